@@ -1,11 +1,105 @@
 import { callPerplexity } from '../utils/apiHelpers.js';
 import { parseCoordinates } from '../utils/coordinateParser.js';
+import { placesOutputInstructions, validatePlaces, placesToCoordinateString, placesFromFreeText } from '../utils/structuredOutput.js';
 import { displayBufferOnMap, displayMultipleBuffersOnMap } from '../utils/mapDisplay.js';
-import { generateCircle } from '../utils/bufferGenerator.js';
+import { generateCircle, generateCircleGeometry, bufferLine, bufferPolygon, geometryAreaKm2 } from '../utils/bufferGenerator.js';
 import { tracker } from '../utils/performanceTracker.js';
 import { getSelectedFeature } from '../utils/commands.js';
+import { isInsetQuery } from '../utils/queryDetector.js';
+
+// Convert a distance in the given unit to kilometers
+function toKilometers(value, unit) {
+    if (unit === 'km' || unit === 'kilometer' || unit === 'kilometers') {
+        return value;
+    } else if (unit === 'mile' || unit === 'miles' || unit === 'mi') {
+        return value * 1.60934;
+    } else if (unit === 'm' || unit === 'meter' || unit === 'meters') {
+        return value / 1000;
+    }
+    return 5; // Default
+}
+
+// Extract a single buffer radius in km from the query (regex first, Perplexity as fallback)
+async function extractRadiusKm(userMessage) {
+    const simpleRadiusMatch = userMessage.match(/(\d+(?:\.\d+)?)\s*(km|kilometer|kilometers|mile|miles|m|meter|meters|mi)\b/i);
+    
+    if (simpleRadiusMatch) {
+        const value = parseFloat(simpleRadiusMatch[1]);
+        const unit = simpleRadiusMatch[2].toLowerCase();
+        const radiusKm = toKilometers(value, unit);
+        console.log(`Extracted single radius: ${value} ${unit} = ${radiusKm.toFixed(2)} km`);
+        return radiusKm;
+    }
+    
+    // Try Perplexity if regex fails
+    const extractRadiusPrompt = `Extract the radius/distance for this buffer/geofence query:
+    User: "${userMessage}"
+    
+    Return ONLY the numeric value in kilometers (e.g., "10" for 10km, "5" for 5km).
+    If no radius specified, return "5" (default 5km).`;
+    
+    const extractRadiusResponse = await callPerplexity(extractRadiusPrompt);
+    tracker.step('Buffer radius extraction (Perplexity API)');
+    
+    const radiusKm = parseFloat(extractRadiusResponse.match(/\d+(?:\.\d+)?/)?.[0] || '5');
+    console.log(`Extracted radius from AI: ${radiusKm} km`);
+    return radiusKm;
+}
+
+// Buffer the selected line (corridor) or polygon (setback, or inset when negative)
+async function bufferSelectedFeature(selectedFeature, userMessage, map) {
+    console.log(`✅ Buffering selected ${selectedFeature.type}: ${selectedFeature.name}`);
+    
+    console.log('\n=== BUFFER STEP 1: EXTRACT DISTANCE ===');
+    const distanceKm = await extractRadiusKm(userMessage);
+    const inset = isInsetQuery(userMessage);
+    
+    if (inset && selectedFeature.type === 'line') {
+        console.error('Negative buffers only apply to polygons - select a polygon to inset');
+        return;
+    }
+    
+    console.log(`\n=== BUFFER STEP 2: ${inset ? 'INSET' : 'BUFFER'} ${selectedFeature.type.toUpperCase()} ===`);
+    const coordinates = selectedFeature.coordinates;
+    const geometry = selectedFeature.type === 'line'
+        ? bufferLine(coordinates, distanceKm)
+        : bufferPolygon([coordinates], inset ? -distanceKm : distanceKm);
+    tracker.step(`${selectedFeature.type === 'line' ? 'Line' : 'Polygon'} buffer generation`);
+    
+    if (!geometry) {
+        console.error(`A ${distanceKm} km inset removes the whole polygon`);
+        return;
+    }
+    
+    // Largest outer ring is used for bounds and the feature registry
+    const outerRings = geometry.type === 'Polygon' ? [geometry.coordinates[0]] : geometry.coordinates.map(polygon => polygon[0]);
+    const outerRing = outerRings.reduce((largest, ring) => ring.length > largest.length ? ring : largest);
+    
+    // Label point: middle vertex of a line, bounding box center of a polygon
+    let center = coordinates[Math.floor(coordinates.length / 2)];
+    if (selectedFeature.type === 'polygon') {
+        const lons = coordinates.map(coord => coord[0]);
+        const lats = coordinates.map(coord => coord[1]);
+        center = [(Math.min(...lons) + Math.max(...lons)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2];
+    }
+    
+    console.log('\n=== BUFFER STEP 3: DISPLAY BUFFER ===');
+    displayBufferOnMap({
+        center: center,
+        radius: distanceKm,
+        polygon: outerRing.slice(0, -1),
+        geometry: geometry,
+        areaKm2: geometryAreaKm2(geometry),
+        inset: inset,
+        feature: { id: selectedFeature.id, type: selectedFeature.type, name: selectedFeature.name }
+    }, map);
+    tracker.step('Map display (buffer)');
+    
+    console.log(`${inset ? 'Inset' : 'Buffer'} of ${distanceKm} km around ${selectedFeature.name} displayed on map`);
+}
 
 // Buffer/Geofence agent - extracts center point(s) and radius, generates buffer(s)
+// Selected lines and polygons are buffered as shapes (corridors, setbacks, insets)
 export async function extractBuffer(userMessage, aiMessage, queryType, map) {
     try {
         const conversationHistory = [];
@@ -18,9 +112,16 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
         
         let extractCenterResponse = '';
         let extractCenterPrompt = '';
+        let centerPlaces = null; // Set when centers come from the LLM (JSON contract)
         
         // Check if there's a selected feature first
         const selectedFeature = getSelectedFeature();
+        
+        // Lines and polygons get a real geometric buffer (corridor / setback / inset) instead of a circle
+        if (selectedFeature && (selectedFeature.type === 'line' || selectedFeature.type === 'polygon')) {
+            return await bufferSelectedFeature(selectedFeature, userMessage, map);
+        }
+        
         if (selectedFeature) {
             console.log(`✅ Using selected feature: ${selectedFeature.name} (${selectedFeature.type})`);
             
@@ -64,25 +165,6 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
                         centerCoord = `${lat},${lon}`;
                     }
                 }
-            } else if (selectedFeature.type === 'line') {
-                // For lines, coordinates is array of [lon, lat] pairs
-                if (selectedFeature.coordinates && selectedFeature.coordinates.length > 0) {
-                    const midIndex = Math.floor(selectedFeature.coordinates.length / 2);
-                    const coord = selectedFeature.coordinates[midIndex];
-                    if (Array.isArray(coord) && coord.length >= 2) {
-                        const [lon, lat] = coord;
-                        centerCoord = `${lat},${lon}`;
-                    }
-                }
-            } else if (selectedFeature.type === 'polygon') {
-                // For polygons, coordinates is array of [lon, lat] pairs
-                if (selectedFeature.coordinates && selectedFeature.coordinates.length > 0) {
-                    const coord = selectedFeature.coordinates[0];
-                    if (Array.isArray(coord) && coord.length >= 2) {
-                        const [lon, lat] = coord;
-                        centerCoord = `${lat},${lon}`;
-                    }
-                }
             }
             
             if (centerCoord) {
@@ -98,70 +180,79 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
             // OPTIMIZATION: First try to extract coordinates from the initial AI response
             // This often contains coordinates and saves an API call
             const initialCoords = parseCoordinates(aiMessage);
+            const initialCount = initialCoords === 'none' ? 0 : initialCoords.split(' | ').length;
+            const matchesExpected = (isMultiple && initialCount >= 2) || (!isMultiple && initialCount === 1);
             
-            if (initialCoords !== 'none') {
-                const coordCount = initialCoords.split(' | ').length;
-                const expectedCount = isMultiple ? 2 : 1; // For multiple, need at least 2; for single, need 1
-                const matchesExpected = (isMultiple && coordCount >= 2) || (!isMultiple && coordCount === 1);
-                
-                if (matchesExpected) {
-                    console.log('✅ Found coordinates in initial response, skipping extraction API call');
-                    extractCenterResponse = initialCoords;
-                    extractCenterPrompt = 'Extracted from initial response'; // For conversation history
-                    tracker.step('Buffer center extraction (from initial response - SKIPPED API)');
-                } else {
-                    console.log(`⚠️ Initial response has ${coordCount} coordinates but expected ${isMultiple ? '2+' : '1'}, using extraction API`);
-                    // Need to extract via API
-                    extractCenterPrompt = isMultiple
-                        ? `Extract ONLY the PRIMARY center coordinates for each location mentioned in this buffer/geofence query:
-                        User: "${userMessage}"
-                        AI Response: "${aiMessage}"
-                        
-                        Return ONLY ONE coordinate per location (the main city center, not neighborhoods or sub-locations).
-                        Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 (one per location only).
-                        If multiple coordinates are mentioned for the same location, return ONLY the primary/main center coordinate.`
-                        : `Extract the PRIMARY/CENTER location coordinate for this buffer/geofence query:
-                        User: "${userMessage}"
-                        AI Response: "${aiMessage}"
-                        
-                        Return ONLY the PRIMARY/CENTER location coordinate in decimal format: lat,lon (not neighborhoods or sub-locations).`;
-                    
-                    extractCenterResponse = await callPerplexity(extractCenterPrompt);
-                    tracker.step('Buffer center extraction (Perplexity API)');
-                }
+            if (matchesExpected) {
+                console.log('✅ Found coordinates in initial response, skipping extraction API call');
+                extractCenterResponse = initialCoords;
+                extractCenterPrompt = 'Extracted from initial response'; // For conversation history
+                tracker.step('Buffer center extraction (from initial response - SKIPPED API)');
             } else {
-                // No coordinates found in initial response, need API call
+                if (initialCount > 0) {
+                    console.log(`⚠️ Initial response has ${initialCount} coordinates but expected ${isMultiple ? '2+' : '1'}, using extraction API`);
+                }
+                
+                // Need to extract via API
                 extractCenterPrompt = isMultiple
-                    ? `Extract ONLY the PRIMARY center coordinates for each location mentioned in this buffer/geofence query:
+                    ? `Extract ONLY the PRIMARY center location for each location mentioned in this buffer/geofence query:
                     User: "${userMessage}"
                     AI Response: "${aiMessage}"
                     
-                    Return ONLY ONE coordinate per location (the main city center, not neighborhoods or sub-locations).
-                    Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 (one per location only).
-                    If multiple coordinates are mentioned for the same location, return ONLY the primary/main center coordinate.`
-                    : `Extract the PRIMARY/CENTER location coordinate for this buffer/geofence query:
+                    Return ONLY ONE place per location (the main city center, not neighborhoods or sub-locations).
+                    ${placesOutputInstructions({ multiple: true })}`
+                    : `Extract the PRIMARY/CENTER location for this buffer/geofence query:
                     User: "${userMessage}"
                     AI Response: "${aiMessage}"
                     
-                    Return ONLY the PRIMARY/CENTER location coordinate in decimal format: lat,lon (not neighborhoods or sub-locations).`;
+                    Return ONLY the PRIMARY/CENTER location (not neighborhoods or sub-locations).
+                    ${placesOutputInstructions({ multiple: false })}`;
                 
                 extractCenterResponse = await callPerplexity(extractCenterPrompt);
                 tracker.step('Buffer center extraction (Perplexity API)');
-            }
-            
-            // Only add to conversation history if we made an API call
-            if (extractCenterPrompt !== 'Extracted from initial response' && extractCenterPrompt !== 'Extracted from selected feature') {
+                
                 conversationHistory.push(
                     { role: 'user', content: extractCenterPrompt },
                     { role: 'assistant', content: extractCenterResponse }
                 );
+                
+                // Validate against the JSON contract, refine once if rejected
+                const validation = validatePlaces(extractCenterResponse, { maxCount: isMultiple ? Infinity : 1 });
+                centerPlaces = validation.places;
+                
+                if (!validation.valid) {
+                    console.log('Center extraction failed validation, refining:', validation.errors);
+                    
+                    const refinePrompt = `Your previous output was rejected: ${validation.errors.join('; ')}
+                    ${placesOutputInstructions({ multiple: isMultiple })}`;
+                    
+                    const refineResponse = await callPerplexity([
+                        ...conversationHistory,
+                        { role: 'user', content: refinePrompt }
+                    ]);
+                    tracker.step('Buffer center refinement (Perplexity API)');
+                    
+                    const refined = validatePlaces(refineResponse, { maxCount: isMultiple ? Infinity : 1 });
+                    if (refined.valid) {
+                        centerPlaces = refined.places;
+                    } else if (centerPlaces.length === 0) {
+                        // Neither response honoured the contract - fall back to scraping the free text
+                        console.warn('⚠️ Refined output still invalid, falling back to free-text parsing:', refined.errors);
+                        centerPlaces = placesFromFreeText(refineResponse);
+                    }
+                    if (!isMultiple) {
+                        centerPlaces = centerPlaces.slice(0, 1);
+                    }
+                }
             }
         }
         
         console.log('Center point extraction:', extractCenterResponse);
         
         // Parse center coordinates
-        const centerCoordinates = parseCoordinates(extractCenterResponse);
+        // Centers from the selected feature or the initial response are "lat,lon | ..." already -
+        // parsing them again would drop one-digit values like the 0 in "90,0"
+        const centerCoordinates = centerPlaces ? placesToCoordinateString(centerPlaces) : extractCenterResponse || 'none';
         if (centerCoordinates === 'none') {
             console.error('Could not extract center point(s)');
             return;
@@ -177,14 +268,14 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
             if (!isNaN(centerLat) && !isNaN(centerLon)) {
                 // Filter out obviously invalid coordinates (like 1,0, 0,0, etc. that might appear in code examples)
                 // Valid city coordinates should have:
-                // - Latitude between -85 and 85 (reasonable city range)
+                // - Latitude between -90 and 90 (the poles can be buffered)
                 // - Not exactly 0,0 or 1,0 (often appear in code examples)
                 // - Longitude should have meaningful decimal places
                 const isInvalid = 
                     (centerLat === 0 && centerLon === 0) || 
                     (centerLat === 1 && centerLon === 0) ||
                     (Math.abs(centerLat) < 0.1 && Math.abs(centerLon) < 0.1) ||
-                    Math.abs(centerLat) > 85; // Beyond reasonable city latitude
+                    Math.abs(centerLat) > 90; // Not a latitude
                 
                 if (!isInvalid) {
                     centers.push([centerLat, centerLon]);
@@ -257,58 +348,18 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
             const value = parseFloat(match[1]);
             const unit = match[2].toLowerCase();
             const location = match[3].trim().toLowerCase();
-            
-            let radiusKm = 5; // Default
-            if (unit === 'km' || unit === 'kilometer' || unit === 'kilometers') {
-                radiusKm = value;
-            } else if (unit === 'mile' || unit === 'miles' || unit === 'mi') {
-                radiusKm = value * 1.60934;
-            } else if (unit === 'm' || unit === 'meter' || unit === 'meters') {
-                radiusKm = value / 1000;
-            }
+            const radiusKm = toKilometers(value, unit);
             
             radiusMatches.push({ location, radiusKm });
             console.log(`Extracted radius for "${location}": ${value} ${unit} = ${radiusKm.toFixed(2)} km`);
         }
         
-        // If no specific radius-location pairs found, try simple pattern
+        // If no specific radius-location pairs found, use a single radius for all centers
         if (radiusMatches.length === 0) {
-            const simpleRadiusMatch = userMessage.match(/(\d+(?:\.\d+)?)\s*(km|kilometer|kilometers|mile|miles|m|meter|meters|mi)/i);
-            let radiusKm = 5; // Default 5km
+            const radiusKm = await extractRadiusKm(userMessage);
             
-            if (simpleRadiusMatch) {
-                const value = parseFloat(simpleRadiusMatch[1]);
-                const unit = simpleRadiusMatch[2].toLowerCase();
-                
-                if (unit === 'km' || unit === 'kilometer' || unit === 'kilometers') {
-                    radiusKm = value;
-                } else if (unit === 'mile' || unit === 'miles' || unit === 'mi') {
-                    radiusKm = value * 1.60934;
-                } else if (unit === 'm' || unit === 'meter' || unit === 'meters') {
-                    radiusKm = value / 1000;
-                }
-                
-                // Apply same radius to all centers
-                radiusMatches.push(...centers.map(() => ({ location: '', radiusKm })));
-                console.log(`Extracted single radius: ${value} ${unit} = ${radiusKm.toFixed(2)} km`);
-            } else {
-                // Try Perplexity if regex fails
-                const extractRadiusPrompt = `Extract the radius/distance for this buffer/geofence query:
-                User: "${userMessage}"
-                
-                Return ONLY the numeric value in kilometers (e.g., "10" for 10km, "5" for 5km).
-                If no radius specified, return "5" (default 5km).`;
-                
-                const extractRadiusResponse = await callPerplexity(extractRadiusPrompt);
-                tracker.step('Buffer radius extraction (Perplexity API)');
-                
-                const radiusValue = parseFloat(extractRadiusResponse.match(/\d+(?:\.\d+)?/)?.[0] || '5');
-                radiusKm = radiusValue;
-                
-                // Apply same radius to all centers
-                radiusMatches.push(...centers.map(() => ({ location: '', radiusKm })));
-                console.log(`Extracted radius from AI: ${radiusKm} km`);
-            }
+            // Apply same radius to all centers
+            radiusMatches.push(...centers.map(() => ({ location: '', radiusKm })));
         }
         
         // Match radii to centers (by location name if available, otherwise by order)
@@ -337,7 +388,8 @@ export async function extractBuffer(userMessage, aiMessage, queryType, map) {
             return {
                 center: [centerLon, centerLat], // Mapbox format: [lon, lat]
                 radius: radiusKm,
-                polygon: circlePoints
+                polygon: circlePoints, // Continuous ring (used for bounds)
+                geometry: generateCircleGeometry([centerLat, centerLon], radiusKm) // Split at ±180°, closed over poles
             };
         });
         
@@ -1,10 +1,17 @@
 import { callPerplexity } from '../utils/apiHelpers.js';
 import { parseCoordinates } from '../utils/coordinateParser.js';
-import { callMapboxIsochrone, detectTravelMode, extractTimeValues, extractDistanceValues } from '../services/isochrone.js';
+import { placesOutputInstructions, validatePlaces } from '../utils/structuredOutput.js';
+import { callMapboxIsochrone, detectTravelMode, extractTimeValues, extractDistanceValues, isochroneVariants } from '../services/isochrone.js';
+import { callMapboxCatchment } from '../services/catchment.js';
+import { isMultiOriginIsochroneQuery, isIsochroneComparisonQuery, isCatchmentQuery } from '../utils/queryDetector.js';
 import { tracker } from '../utils/performanceTracker.js';
 
+// Most origins fetched for one multi-origin query (one Isochrone API request each)
+const MAX_ISOCHRONE_ORIGINS = 10;
+
 // Isochrone agent - extracts location, time/distance, and travel mode
-export async function extractIsochrone(userMessage, aiMessage, queryType, map) {
+// signal (optional AbortSignal) cancels the API calls; a cancelled query rejects with an AbortError
+export async function extractIsochrone(userMessage, aiMessage, queryType, map, signal = null) {
     try {
         const conversationHistory = [];
         
@@ -13,7 +20,7 @@ export async function extractIsochrone(userMessage, aiMessage, queryType, map) {
         
         let planResponse = '';
         if (queryType) {
-            planResponse = `Pre-detected: ${queryType.subtype === 'single' ? 'single' : 'multiple'} contour`;
+            planResponse = `Pre-detected: ${queryType.subtype === 'multiple' ? 'multiple' : 'single'} contour`;
             console.log('Skipping planning API call - using queryType');
         } else {
             tracker.step('Isochrone planning (Perplexity API)');
@@ -37,90 +44,19 @@ export async function extractIsochrone(userMessage, aiMessage, queryType, map) {
         
         console.log('Contour type:', isMultiple ? 'MULTIPLE contours' : 'SINGLE contour');
         
-        // STEP 2: EXTRACT - Get location coordinates
-        console.log('\n=== ISOCHRONE STEP 2: LOCATION EXTRACTION ===');
+        // Catchments are towards a single destination, comparisons (travel modes or departure times) from one or more origins
+        const isCatchment = queryType ? queryType.subtype === 'catchment' : isCatchmentQuery(userMessage);
+        const isMultiOrigin = queryType ? queryType.subtype === 'multi-origin' : !isCatchment && isMultiOriginIsochroneQuery(userMessage);
+        const isComparison = queryType ? queryType.subtype === 'compare' : !isCatchment && !isMultiOrigin && isIsochroneComparisonQuery(userMessage);
+        console.log('Origins:', isCatchment ? 'CATCHMENT towards one destination' : isMultiOrigin ? 'MULTIPLE origins' : 'SINGLE origin');
         
-        tracker.step('Isochrone location extraction (Perplexity API)');
-        const extractLocationPrompt = `Extract the center location from this query:
-        User: "${userMessage}"
-        AI Response: "${aiMessage}"
-        
-        Return ONLY the coordinates in decimal format: lat,lon
-        No text, no explanations, no citations.
-        If location is "here" or "current location", return "here"`;
-        
-        const locationResponse = await callPerplexity(extractLocationPrompt);
-        console.log('Location extraction:', locationResponse);
-        
-        conversationHistory.push(
-            { role: 'user', content: extractLocationPrompt },
-            { role: 'assistant', content: locationResponse }
-        );
-        
-        // Parse coordinates
-        let coordinates = null;
-        const locationLower = locationResponse.toLowerCase().trim();
-        
-        if (locationLower === 'here' || locationLower.includes('current location')) {
-            // Use user location if available
-            if (window.userLocationMarker) {
-                const lngLat = window.userLocationMarker.getLngLat();
-                coordinates = [lngLat.lng, lngLat.lat];
-                console.log('Using user location:', coordinates);
-            } else {
-                // Try to get from map center
-                const center = map.getCenter();
-                coordinates = [center.lng, center.lat];
-                console.log('Using map center:', coordinates);
-            }
-        } else {
-            // Try to parse coordinates from response
-            const parsedCoords = parseCoordinates(locationResponse);
-            if (parsedCoords && parsedCoords !== 'none') {
-                // parseCoordinates returns string like "40.7127,-74.0059" or "40.7127,-74.0059 | ..."
-                const firstCoord = parsedCoords.split(' | ')[0].trim();
-                const [lat, lon] = firstCoord.split(',').map(Number);
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    coordinates = [lon, lat]; // API expects [lng, lat]
-                    console.log('Parsed coordinates from response:', coordinates);
-                }
-            }
-            
-            if (!coordinates) {
-                // Try user message
-                const userCoords = parseCoordinates(userMessage);
-                if (userCoords && userCoords !== 'none') {
-                    const firstCoord = userCoords.split(' | ')[0].trim();
-                    const [lat, lon] = firstCoord.split(',').map(Number);
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        coordinates = [lon, lat];
-                        console.log('Parsed coordinates from user message:', coordinates);
-                    }
-                }
-            }
-            
-            if (!coordinates) {
-                // Try AI message
-                const aiCoords = parseCoordinates(aiMessage);
-                if (aiCoords && aiCoords !== 'none') {
-                    const firstCoord = aiCoords.split(' | ')[0].trim();
-                    const [lat, lon] = firstCoord.split(',').map(Number);
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        coordinates = [lon, lat];
-                        console.log('Parsed coordinates from AI message:', coordinates);
-                    }
-                }
-            }
-            
-            if (!coordinates) {
-                throw new Error('Could not extract location coordinates');
-            }
-        }
+        // STEP 2: EXTRACT - Get location coordinates (one center, or every origin)
+        console.log('\n=== ISOCHRONE STEP 2: LOCATION EXTRACTION ===');
         
-        // Validate coordinates
-        if (!coordinates || coordinates.length !== 2 || isNaN(coordinates[0]) || isNaN(coordinates[1])) {
-            throw new Error(`Invalid coordinates: ${coordinates}`);
-        }
+        const origins = isMultiOrigin
+            ? await extractOrigins(userMessage, aiMessage, conversationHistory)
+            : [await extractCenter(userMessage, aiMessage, map, conversationHistory)];
+        const coordinates = origins[0].coordinates;
         
         // STEP 3: EXTRACT - Get time/distance values and travel mode
         console.log('\n=== ISOCHRONE STEP 3: TIME/DISTANCE EXTRACTION ===');
@@ -154,37 +90,71 @@ export async function extractIsochrone(userMessage, aiMessage, queryType, map) {
         console.log('Travel mode:', travelMode);
         console.log('Using:', useTime ? 'time-based' : 'distance-based');
         
+        // Travel modes or departure times to compare from the center, or from every origin
+        const variants = isComparison || isMultiOrigin ? isochroneVariants(userMessage) : [];
+        const compared = variants.length > 1 ? variants : null;
+        const comparisons = compared && origins.length === 1 ? compared.map(variant => ({ ...variant, coordinates })) : null;
+        // Several origins get one set of isochrones per variant ("from each clinic at 8am and 5pm")
+        const originGroups = compared && origins.length > 1
+            ? compared.map(variant => origins.map(origin => ({
+                ...origin,
+                name: `${origin.name} (${variant.label})`,
+                profile: variant.profile,
+                departAt: variant.departAt
+            })))
+            : [origins];
+        if (isComparison || compared) {
+            console.log('Comparing:', compared ? compared.map(variant => variant.label).join(' vs ') : 'nothing to compare, single isochrone');
+        }
+        
         // STEP 4: CALL API
         console.log('\n=== ISOCHRONE STEP 4: API CALL ===');
         
-        tracker.step('Mapbox Isochrone API');
-        const isochroneData = await callMapboxIsochrone(coordinates, {
-            profile: travelMode,
-            contoursMinutes: useTime ? timeValues : null,
-            contoursMeters: useDistance ? distanceValues : null,
-            polygons: true,
-            denoise: 1.0,
-            generalize: 0
-        });
+        // One request per origin, or per compared travel mode/departure time (for each origin)
+        // A catchment samples origins around the destination and uses the Matrix API instead
+        const requests = comparisons || originGroups.flat();
+        for (const request of requests) {
+            tracker.step(isCatchment ? 'Mapbox Matrix API (catchment)' : 'Mapbox Isochrone API');
+            request.isochroneData = await (isCatchment ? callMapboxCatchment : callMapboxIsochrone)(request.coordinates, {
+                profile: request.profile || travelMode,
+                departAt: request.departAt || null,
+                contoursMinutes: useTime ? timeValues : null,
+                contoursMeters: useDistance ? distanceValues : null,
+                polygons: true,
+                denoise: 1.0,
+                generalize: 0,
+                signal
+            });
+        }
         
-        if (!isochroneData) {
+        const isochroneData = requests[0].isochroneData;
+        if (requests.every(request => !request.isochroneData)) {
             throw new Error('Failed to get isochrone data from API');
         }
         
         console.log('\n=== ISOCHRONE STEP 5: VALIDATION ===');
-        console.log('Final coordinates:', coordinates);
-        console.log('Contours:', isochroneData.features.length);
+        console.log('Final coordinates:', origins.map(origin => origin.coordinates));
+        requests.filter(request => !request.isochroneData).forEach(request => {
+            console.warn(`⚠️ No isochrone for ${request.label || request.name}`);
+        });
         
         return {
             success: true,
             coordinates: coordinates,
             isochroneData: isochroneData,
+            origins: origins,
+            originGroups: originGroups,
+            comparisons: comparisons,
+            catchment: isCatchment,
             travelMode: travelMode,
             useTime: useTime,
             values: useTime ? timeValues : distanceValues
         };
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
         console.error('Error in isochrone agent:', error);
         return {
             success: false,
@@ -193,3 +163,160 @@ export async function extractIsochrone(userMessage, aiMessage, queryType, map) {
     }
 }
 
+// Extract the single center (a place, or "here" for the user location / map center)
+// Resolves to { name, coordinates } with coordinates as [lng, lat]
+async function extractCenter(userMessage, aiMessage, map, conversationHistory) {
+    tracker.step('Isochrone location extraction (Perplexity API)');
+    const extractLocationPrompt = `Extract the center location from this query:
+    User: "${userMessage}"
+    AI Response: "${aiMessage}"
+    
+    For "who can reach X" or "where can people come from to reach X", the center is the destination X.
+    If location is "here" or "current location", return ONLY the word "here".
+    Otherwise:
+    ${placesOutputInstructions({ multiple: false })}`;
+    
+    let locationResponse = await callPerplexity(extractLocationPrompt);
+    console.log('Location extraction:', locationResponse);
+    
+    conversationHistory.push(
+        { role: 'user', content: extractLocationPrompt },
+        { role: 'assistant', content: locationResponse }
+    );
+    
+    // Validate against the JSON contract, refine once if rejected
+    let locationValidation = validatePlaces(locationResponse, { maxCount: 1 });
+    if (!locationValidation.valid && locationResponse.toLowerCase().trim() !== 'here') {
+        console.log('Location extraction failed validation, refining:', locationValidation.errors);
+        
+        const refinePrompt = `Your previous output was rejected: ${locationValidation.errors.join('; ')}
+        ${placesOutputInstructions({ multiple: false })}`;
+        
+        locationResponse = await callPerplexity([
+            ...conversationHistory,
+            { role: 'user', content: refinePrompt }
+        ]);
+        tracker.step('Isochrone location refinement (Perplexity API)');
+        locationValidation = validatePlaces(locationResponse, { maxCount: 1 });
+    }
+    
+    // Parse coordinates
+    let coordinates = null;
+    const locationLower = locationResponse.toLowerCase().trim();
+    
+    if (locationLower === 'here' || locationLower.includes('current location')) {
+        // Use user location if available
+        if (window.userLocationMarker) {
+            const lngLat = window.userLocationMarker.getLngLat();
+            coordinates = [lngLat.lng, lngLat.lat];
+            console.log('Using user location:', coordinates);
+        } else {
+            // Try to get from map center
+            const center = map.getCenter();
+            coordinates = [center.lng, center.lat];
+            console.log('Using map center:', coordinates);
+        }
+    } else if (locationValidation.valid) {
+        const [place] = locationValidation.places;
+        coordinates = [place.lon, place.lat]; // API expects [lng, lat]
+        console.log(`Extracted location: ${place.name}`, coordinates);
+    } else {
+        // Fallback: scrape coordinates from the free-text response
+        const parsedCoords = parseCoordinates(locationResponse);
+        if (parsedCoords && parsedCoords !== 'none') {
+            // parseCoordinates returns string like "40.7127,-74.0059" or "40.7127,-74.0059 | ..."
+            const firstCoord = parsedCoords.split(' | ')[0].trim();
+            const [lat, lon] = firstCoord.split(',').map(Number);
+            if (!isNaN(lat) && !isNaN(lon)) {
+                coordinates = [lon, lat]; // API expects [lng, lat]
+                console.log('Parsed coordinates from response:', coordinates);
+            }
+        }
+        
+        if (!coordinates) {
+            // Try user message
+            const userCoords = parseCoordinates(userMessage);
+            if (userCoords && userCoords !== 'none') {
+                const firstCoord = userCoords.split(' | ')[0].trim();
+                const [lat, lon] = firstCoord.split(',').map(Number);
+                if (!isNaN(lat) && !isNaN(lon)) {
+                    coordinates = [lon, lat];
+                    console.log('Parsed coordinates from user message:', coordinates);
+                }
+            }
+        }
+        
+        if (!coordinates) {
+            // Try AI message
+            const aiCoords = parseCoordinates(aiMessage);
+            if (aiCoords && aiCoords !== 'none') {
+                const firstCoord = aiCoords.split(' | ')[0].trim();
+                const [lat, lon] = firstCoord.split(',').map(Number);
+                if (!isNaN(lat) && !isNaN(lon)) {
+                    coordinates = [lon, lat];
+                    console.log('Parsed coordinates from AI message:', coordinates);
+                }
+            }
+        }
+        
+        if (!coordinates) {
+            throw new Error('Could not extract location coordinates');
+        }
+    }
+    
+    // Validate coordinates
+    if (!coordinates || coordinates.length !== 2 || isNaN(coordinates[0]) || isNaN(coordinates[1])) {
+        throw new Error(`Invalid coordinates: ${coordinates}`);
+    }
+    
+    return {
+        name: locationValidation.valid ? locationValidation.places[0].name : null,
+        coordinates: coordinates
+    };
+}
+
+// Extract every origin of a multi-origin query ("15 minute drive from each of our 5 clinics")
+// Resolves to [{ name, coordinates }] with coordinates as [lng, lat]
+async function extractOrigins(userMessage, aiMessage, conversationHistory) {
+    tracker.step('Isochrone origins extraction (Perplexity API)');
+    const extractOriginsPrompt = `Extract ALL origin locations the travel time or distance is measured from in this query:
+    User: "${userMessage}"
+    AI Response: "${aiMessage}"
+    
+    Include every origin (e.g. each clinic, store or office), at most ${MAX_ISOCHRONE_ORIGINS}.
+    ${placesOutputInstructions({ multiple: true })}`;
+    
+    let originsResponse = await callPerplexity(extractOriginsPrompt);
+    console.log('Origins extraction:', originsResponse);
+    
+    conversationHistory.push(
+        { role: 'user', content: extractOriginsPrompt },
+        { role: 'assistant', content: originsResponse }
+    );
+    
+    // Validate against the JSON contract, refine once if rejected
+    let originsValidation = validatePlaces(originsResponse, { maxCount: MAX_ISOCHRONE_ORIGINS });
+    if (!originsValidation.valid) {
+        console.log('Origins extraction failed validation, refining:', originsValidation.errors);
+        
+        const refinePrompt = `Your previous output was rejected: ${originsValidation.errors.join('; ')}
+        Keep ALL origins (at most ${MAX_ISOCHRONE_ORIGINS})
+        ${placesOutputInstructions({ multiple: true })}`;
+        
+        originsResponse = await callPerplexity([
+            ...conversationHistory,
+            { role: 'user', content: refinePrompt }
+        ]);
+        tracker.step('Isochrone origins refinement (Perplexity API)');
+        originsValidation = validatePlaces(originsResponse, { maxCount: MAX_ISOCHRONE_ORIGINS });
+    }
+    
+    // Keep whatever valid origins came back, even if the list as a whole was rejected
+    const places = originsValidation.places.slice(0, MAX_ISOCHRONE_ORIGINS);
+    if (places.length === 0) {
+        throw new Error(`Could not extract origin locations: ${originsValidation.errors.join('; ')}`);
+    }
+    
+    console.log(`Extracted ${places.length} origin(s): ${places.map(place => place.name).join(', ')}`);
+    return places.map(place => ({ name: place.name, coordinates: [place.lon, place.lat] }));
+}
@@ -1,7 +1,13 @@
 import { callPerplexity } from '../utils/apiHelpers.js';
 import { parseCoordinates } from '../utils/coordinateParser.js';
-import { displayLineOnMap, displayCoordinatesOnMap, displayRouteOnMap } from '../utils/mapDisplay.js';
-import { callMapboxDirections, convertCoordinatesForDirections, detectTransportMode, needsRouting } from '../services/directions.js';
+import { placesOutputInstructions, validatePlaces, placesToCoordinateString, placesFromCoordinateString, placesFromFreeText } from '../utils/structuredOutput.js';
+import { displayLineOnMap, displayCoordinatesOnMap, displayRouteOnMap, displayRouteAlternativesOnMap } from '../utils/mapDisplay.js';
+import { displayRouteComparison } from '../utils/routeComparison.js';
+import { displayDirectionsPanel } from '../utils/directionsPanel.js';
+import { setSelectedFeature } from '../utils/commands.js';
+import { callMapboxDirections, convertCoordinatesForDirections, detectTransportMode, detectRouteOptions, hasRouteOptions, needsRouting } from '../services/directions.js';
+import { optimizeStops, detectTripEnds } from '../services/optimization.js';
+import { isOptimizationQuery } from '../utils/queryDetector.js';
 import { tracker } from '../utils/performanceTracker.js';
 
 // Line agent - extracts coordinates for routes/paths using agentic workflow
@@ -23,6 +29,10 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         // Check for "and X other" pattern
         const hasAndOther = /\band\s+(\d+|ten|X)\s+other/gi.test(userMessage);
         
+        // Multi-stop optimization: visit order is computed, the LLM only lists the stops
+        const optimizeOrder = queryType ? queryType.subtype === 'route-optimized' : isOptimizationQuery(userMessage);
+        const tripEnds = detectTripEnds(userMessage);
+        
         // OPTIMIZATION: Skip planning step if we already have queryType
         let isTwoPoints = false;
         let planResponse = '';
@@ -62,7 +72,7 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         }
         
         // Override with explicit rules if needed
-        if (hasChainKeywords || hasAndOther || locationCount >= 3) {
+        if (hasChainKeywords || hasAndOther || locationCount >= 3 || optimizeOrder) {
             isTwoPoints = false;
             console.log('Override: Detected chain keywords, "and X other", or multiple locations, forcing MULTIPLE');
         }
@@ -74,57 +84,43 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         
         // OPTIMIZATION: First try to extract coordinates from the initial AI response
         // This often contains coordinates and saves an API call
-        const initialCoords = parseCoordinates(aiMessage);
+        const initialPlaces = placesFromCoordinateString(parseCoordinates(aiMessage), 'initial response');
+        const initialMatchesExpected = (isTwoPoints && initialPlaces.length === 2) || (!isTwoPoints && initialPlaces.length >= 2);
         let extractResponse = '';
-        let extractPrompt = '';
+        let validation = null;
         
-        if (initialCoords !== 'none') {
-            const coordCount = initialCoords.split(' | ').length;
-            const matchesExpected = (isTwoPoints && coordCount === 2) || (!isTwoPoints && coordCount >= 2);
-            
-            if (matchesExpected) {
-                console.log('✅ Found coordinates in initial response, skipping extraction API call');
-                extractResponse = initialCoords;
-                extractPrompt = 'Extracted from initial response'; // For conversation history
-                tracker.step('Line extraction (from initial response - SKIPPED API)');
-            } else {
+        if (initialMatchesExpected) {
+            console.log('✅ Found coordinates in initial response, skipping extraction API call');
+            extractResponse = JSON.stringify({ places: initialPlaces });
+            validation = { valid: true, places: initialPlaces, errors: [] };
+            tracker.step('Line extraction (from initial response - SKIPPED API)');
+        } else {
+            if (initialPlaces.length > 0) {
                 console.log('⚠️ Initial response has coordinates but wrong count, using extraction API');
-                // Need to extract via API
-                extractPrompt = isTwoPoints
-                    ? `Extract ONLY the START and END coordinates for this route query: "${userMessage}"
-                    AI Response: "${aiMessage}"
-                    
-                    Extract ONLY the TWO endpoint coordinates (start and end points).
-                    Return coordinates in decimal format: lat1,lon1 | lat2,lon2 (start to end)`
-                    : `Extract coordinates for locations in this query: "${userMessage}"
-                    AI Response: "${aiMessage}"
-                    
-                    Extract coordinates in the ORDER they should be connected (sequence/route order).
-                    Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 (in order)`;
-                
-                extractResponse = await callPerplexity(extractPrompt);
-                tracker.step('Line extraction (Perplexity API)');
             }
-        } else {
-            // No coordinates found in initial response, need API call
-            extractPrompt = isTwoPoints
-                ? `Extract ONLY the START and END coordinates for this route query: "${userMessage}"
+            
+            const extractPrompt = isTwoPoints
+                ? `Extract ONLY the START and END locations for this route query: "${userMessage}"
+                AI Response: "${aiMessage}"
+                
+                Extract ONLY the TWO endpoints (start first, end second).
+                ${placesOutputInstructions({ multiple: true, ordered: true })}`
+                : optimizeOrder
+                ? `Extract ALL stops of this trip: "${userMessage}"
                 AI Response: "${aiMessage}"
                 
-                Extract ONLY the TWO endpoint coordinates (start and end points).
-                Return coordinates in decimal format: lat1,lon1 | lat2,lon2 (start to end)`
-                : `Extract coordinates for locations in this query: "${userMessage}"
+                Put the START location first${tripEnds.fixedEnd ? ' and the END location last' : ''}; the other stops can be in any order.
+                ${placesOutputInstructions({ multiple: true, ordered: true })}`
+                : `Extract the locations in this query: "${userMessage}"
                 AI Response: "${aiMessage}"
                 
-                Extract coordinates in the ORDER they should be connected (sequence/route order).
-                Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 (in order)`;
+                Extract locations in the ORDER they should be connected (sequence/route order).
+                ${placesOutputInstructions({ multiple: true, ordered: true })}`;
             
             extractResponse = await callPerplexity(extractPrompt);
             tracker.step('Line extraction (Perplexity API)');
-        }
-        
-        // Only add to conversation history if we made an API call
-        if (extractPrompt !== 'Extracted from initial response') {
+            validation = validatePlaces(extractResponse, { minCount: 2 });
+            
             conversationHistory.push(
                 { role: 'user', content: extractPrompt },
                 { role: 'assistant', content: extractResponse }
@@ -136,9 +132,8 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         // STEP 3: REFLECT - Fast validation (OPTIMIZATION: Skip API call if extraction looks good)
         console.log('\n=== LINE STEP 3: REFLECTION ===');
         
-        // Count extracted coordinates
-        const extractedCoords = extractResponse.match(/(-?\d+\.?\d*),\s*(-?\d+\.?\d*)/g) || [];
-        const coordCount = extractedCoords.length;
+        // Count validated places
+        const coordCount = validation.places.length;
         
         console.log(`Extracted ${coordCount} coordinates, expected ${isTwoPoints ? '2' : 'multiple'}`);
         
@@ -159,12 +154,9 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
                 needsRefinement = true;
                 console.log('Too many coordinates for route-single, refining to start/end only');
             }
-        } else if (coordCount < 2) {
-            needsRefinement = true;
-            console.log('Too few coordinates extracted, needs refinement');
-        } else if (coordCount >= 2 && !extractResponse.includes('|') && coordCount > 1) {
+        } else if (!validation.valid) {
             needsRefinement = true;
-            console.log('Coordinates not properly formatted, needs refinement');
+            console.log('Extraction failed validation, needs refinement:', validation.errors);
         }
         
         // OPTIMIZATION: Skip reflection API call if extraction matches expected count
@@ -174,16 +166,16 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         if (!needsRefinement && !shouldBeMultiple && extractionMatchesExpected) {
             console.log('✅ Extraction matches expected, skipping reflection API call');
         } else if (!needsRefinement && !shouldBeMultiple) {
-            const reflectPrompt = `You extracted coordinates for a line/route: "${extractResponse}"
+            const reflectPrompt = `You extracted these places for a line/route: "${extractResponse}"
             
-            Extracted ${coordCount} coordinates.
+            Extracted ${coordCount} places.
             Planning said: ${isTwoPoints ? 'TWO point route' : 'MULTIPLE point chain'}
             Query: "${userMessage}"
             
             Evaluate:
-            - Are coordinates in correct order? (Should match route/sequence order)
-            - Are there enough coordinates? (${isTwoPoints ? 'Need exactly 2' : 'Need all points in sequence'})
-            - Is format correct? (lat,lon format, separated by |)
+            - Are places in correct order? (Should match route/sequence order)
+            - Are there enough places? (${isTwoPoints ? 'Need exactly 2' : 'Need all points in sequence'})
+            - Are the coordinates correct for each named place? (check hemisphere signs)
             
             Respond with: "good" if quality is acceptable, or "refine" if needs improvement`;
             
@@ -200,7 +192,7 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
         }
         
         // STEP 4: ACT - Refine if needed
-        let finalCoordinates = extractResponse;
+        let finalPlaces = validation.places;
         
         if (needsRefinement) {
             console.log('\n=== LINE STEP 4: REFINEMENT ===');
@@ -208,46 +200,68 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
             // Use corrected query type if validation found mismatch
             const actualQueryType = shouldBeMultiple ? false : isTwoPoints;
             
+            const validationNote = validation.errors.length > 0
+                ? `Your previous output was rejected: ${validation.errors.join('; ')}`
+                : `From these places: "${extractResponse}"`;
+            
             const refinePrompt = actualQueryType
-                ? `From these coordinates: "${extractResponse}"
-                   Extract ONLY the TWO endpoint coordinates in route order
-                   Return: lat1,lon1 | lat2,lon2 (start to end)`
-                : `From these coordinates: "${extractResponse}"
-                   Clean and order ALL coordinates in sequence/route order
-                   Keep ALL coordinates in the correct order (do not reduce to just 2)
-                   Return: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (all in order)`;
+                ? `${validationNote}
+                   Extract ONLY the TWO endpoints in route order (start first, end second)
+                   ${placesOutputInstructions({ multiple: true, ordered: true })}`
+                : optimizeOrder
+                ? `${validationNote}
+                   Keep ALL stops (do not reduce to just 2), with the START location first${tripEnds.fixedEnd ? ' and the END location last' : ''}
+                   ${placesOutputInstructions({ multiple: true, ordered: true })}`
+                : `${validationNote}
+                   Clean and order ALL locations in sequence/route order
+                   Keep ALL locations in the correct order (do not reduce to just 2)
+                   ${placesOutputInstructions({ multiple: true, ordered: true })}`;
             
             const refineResponse = await callPerplexity([
                 ...conversationHistory,
                 { role: 'user', content: refinePrompt }
             ]);
             tracker.step('Line refinement (Perplexity API)');
+            console.log('Refined line places:', refineResponse);
             
-            finalCoordinates = refineResponse;
-            console.log('Refined line coordinates:', finalCoordinates);
+            const refined = validatePlaces(refineResponse, { minCount: 2, maxCount: actualQueryType ? 2 : Infinity });
+            if (refined.valid) {
+                finalPlaces = refined.places;
+            } else {
+                console.warn('⚠️ Refined output still invalid:', refined.errors);
+                if (finalPlaces.length < 2) {
+                    // Neither response honoured the contract - fall back to scraping the free text
+                    finalPlaces = placesFromFreeText(refineResponse);
+                }
+            }
         }
         
         // STEP 5: VALIDATE - Format and validate
         console.log('\n=== LINE STEP 5: VALIDATION ===');
-        const parsedCoordinates = parseCoordinates(finalCoordinates);
+        const parsedCoordinates = placesToCoordinateString(finalPlaces);
         tracker.step('Coordinate parsing');
         
+        console.log('Final line places:', finalPlaces);
         console.log('Final line coordinates:', parsedCoordinates);
         
+        // Routing constraints: avoidances, departure/arrival time, vehicle limits, approach side
+        const routeOptions = detectRouteOptions(userMessage);
+        
         // Check if routing is needed (use queryType if available)
         let needsRoute = false;
         if (queryType) {
-            // Use queryType to determine if routing is needed
-            needsRoute = queryType.subtype === 'route-single' || queryType.subtype === 'route-multi';
+            // Use queryType to determine if routing is needed (constraints always need a route)
+            needsRoute = queryType.subtype === 'route-single' || queryType.subtype === 'route-multi' || queryType.subtype === 'route-optimized' || hasRouteOptions(routeOptions);
         } else {
             // Fallback to keyword detection
-            needsRoute = needsRouting(userMessage);
+            needsRoute = needsRouting(userMessage) || optimizeOrder;
         }
         const transportMode = detectTransportMode(userMessage);
         
         console.log(`\n=== ROUTING DECISION ===`);
         console.log(`Needs routing: ${needsRoute}`);
         console.log(`Transport mode: ${transportMode}`);
+        console.log(`Route options: ${JSON.stringify(routeOptions)}`);
         
         // Display route or line on map
         if (parsedCoordinates !== 'none') {
@@ -264,14 +278,46 @@ export async function extractLineCoordinates(userMessage, aiMessage, queryType,
                 // Use Directions API for actual routing
                 const coordinates = convertCoordinatesForDirections(parsedCoordinates);
                 
-                if (coordinates.length >= 2) {
+                if (coordinates.length >= 3 && optimizeOrder) {
+                    // Visit the stops in the best order, numbered markers show that order
+                    console.log('\n=== OPTIMIZING STOP ORDER ===');
+                    console.log(`Trip: ${tripEnds.roundtrip ? 'roundtrip' : tripEnds.fixedEnd ? 'fixed end' : 'open end'}`);
+                    const { order, routeData } = await optimizeStops(coordinates, transportMode, tripEnds, routeOptions);
+                    tracker.step('Stop order optimization');
+                    
+                    const orderedCoordinates = order.map(index => coordinates[index]);
+                    console.log('Optimized order:', order.map(index => finalPlaces[index] ? finalPlaces[index].name : index).join(' → '));
+                    
+                    if (routeData) {
+                        const routeId = displayRouteOnMap({ ...routeData, name: 'Optimized route' }, orderedCoordinates, map);
+                        displayDirectionsPanel(routeId, map);
+                        tracker.step('Map display (optimized route)');
+                    } else {
+                        // Fallback to a simple line through the optimized order
+                        console.log('Routing failed, falling back to simple line in optimized order');
+                        const orderedLine = orderedCoordinates.map(([lon, lat]) => `${lat},${lon}`);
+                        displayLineOnMap((tripEnds.roundtrip ? [...orderedLine, orderedLine[0]] : orderedLine).join(' | '), map);
+                        tracker.step('Map display (line)');
+                    }
+                } else if (coordinates.length >= 2) {
                     console.log('\n=== CALLING DIRECTIONS API ===');
-                    const routeData = await callMapboxDirections(coordinates, transportMode);
+                    const routeData = await callMapboxDirections(coordinates, transportMode, routeOptions);
                     tracker.step('Mapbox Directions API');
                     
                     if (routeData) {
-                        displayRouteOnMap(routeData, coordinates, map);
+                        const routeIds = displayRouteAlternativesOnMap(routeData, coordinates, map);
                         tracker.step('Map display (route)');
+                        
+                        // Turn-by-turn directions of the recommended route
+                        displayDirectionsPanel(routeIds[0], map);
+                        
+                        // Compare the recommended route with its alternatives (selecting one shows its directions)
+                        if (routeIds.length > 1) {
+                            displayRouteComparison(routeIds, map, id => {
+                                setSelectedFeature(id, map);
+                                displayDirectionsPanel(id, map);
+                            });
+                        }
                     } else {
                         // Fallback to simple line if Directions API fails
                         console.log('Directions API failed, falling back to simple line');
@@ -0,0 +1,97 @@
+import { callPerplexity } from '../utils/apiHelpers.js';
+import { matrixOutputInstructions, validateMatrixPlaces, placesToCoordinateString } from '../utils/structuredOutput.js';
+import { displayMatrix } from '../utils/matrixDisplay.js';
+import { convertCoordinatesForDirections, detectTransportMode } from '../services/directions.js';
+import { callMapboxMatrix } from '../services/matrix.js';
+import { tracker } from '../utils/performanceTracker.js';
+
+// Matrix agent - extracts origins and destinations, then travel times/distances between every pair
+export async function extractMatrix(userMessage, aiMessage, queryType, map) {
+    try {
+        const conversationHistory = [];
+
+        // STEP 1: EXTRACT - Get both sets of locations
+        console.log('\n=== MATRIX STEP 1: LOCATION EXTRACTION ===');
+
+        tracker.step('Matrix location extraction (Perplexity API)');
+        const extractPrompt = `Extract the ORIGINS (where travel starts) and DESTINATIONS (where it goes) from this query:
+        User: "${userMessage}"
+        AI Response: "${aiMessage}"
+
+        Example: "travel times from our 3 warehouses to these 10 stores" - the 3 warehouses are origins, the 10 stores are destinations.
+        If only one list of places is given, use every place as both an origin and a destination.
+        ${matrixOutputInstructions()}`;
+
+        let extractResponse = await callPerplexity(extractPrompt);
+        console.log('Matrix extraction:', extractResponse);
+
+        conversationHistory.push(
+            { role: 'user', content: extractPrompt },
+            { role: 'assistant', content: extractResponse }
+        );
+
+        // STEP 2: REFLECT - Validate against the JSON contract
+        console.log('\n=== MATRIX STEP 2: VALIDATION ===');
+        let validation = validateMatrixPlaces(extractResponse);
+
+        // STEP 3: REFINE - Retry once if rejected
+        if (!validation.valid) {
+            console.log('\n=== MATRIX STEP 3: REFINEMENT ===');
+            console.log('Matrix extraction failed validation, refining:', validation.errors);
+
+            const refinePrompt = `Your previous output was rejected: ${validation.errors.join('; ')}
+            Keep ALL origins and ALL destinations, each needs at least one place
+            ${matrixOutputInstructions()}`;
+
+            extractResponse = await callPerplexity([
+                ...conversationHistory,
+                { role: 'user', content: refinePrompt }
+            ]);
+            tracker.step('Matrix refinement (Perplexity API)');
+            console.log('Refined matrix places:', extractResponse);
+            validation = validateMatrixPlaces(extractResponse);
+        }
+
+        if (!validation.valid) {
+            throw new Error(`Could not extract origins and destinations: ${validation.errors.join('; ')}`);
+        }
+
+        const { origins, destinations } = validation;
+        const originCoordinates = convertCoordinatesForDirections(placesToCoordinateString(origins));
+        const destinationCoordinates = convertCoordinatesForDirections(placesToCoordinateString(destinations));
+        const transportMode = detectTransportMode(userMessage);
+
+        console.log(`Origins: ${origins.map(place => place.name).join(', ')}`);
+        console.log(`Destinations: ${destinations.map(place => place.name).join(', ')}`);
+        console.log(`Transport mode: ${transportMode}`);
+
+        // STEP 4: CALL MATRIX API
+        console.log('\n=== MATRIX STEP 4: CALLING MATRIX API ===');
+        const matrixData = await callMapboxMatrix(originCoordinates, destinationCoordinates, transportMode);
+        tracker.step('Mapbox Matrix API');
+
+        if (!matrixData) {
+            throw new Error('Matrix API request failed');
+        }
+
+        // STEP 5: DISPLAY - Connector lines and table
+        console.log('\n=== MATRIX STEP 5: DISPLAY ===');
+        displayMatrix(matrixData, origins, destinations, map);
+        tracker.step('Map display (matrix)');
+
+        console.log(`✅ Matrix of ${origins.length} x ${destinations.length} displayed`);
+        return {
+            success: true,
+            origins: origins,
+            destinations: destinations,
+            matrixData: matrixData
+        };
+
+    } catch (error) {
+        console.error('Error in matrix agent:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
@@ -1,5 +1,5 @@
 import { callPerplexity } from '../utils/apiHelpers.js';
-import { parseCoordinates } from '../utils/coordinateParser.js';
+import { placesOutputInstructions, validatePlaces, placesToCoordinateString, placesFromFreeText } from '../utils/structuredOutput.js';
 import { displayCoordinatesOnMap } from '../utils/mapDisplay.js';
 import { tracker } from '../utils/performanceTracker.js';
 
@@ -48,7 +48,7 @@ export async function extractCoordinates(userMessage, aiMessage, queryType, map)
         User: "${userMessage}"
         AI Response: "${aiMessage}"
         
-        Return all coordinates found in decimal format: lat,lon`;
+        ${placesOutputInstructions({ multiple: !isSingleLocation })}`;
         
         const extractResponse = await callPerplexity(extractPrompt);
         tracker.step('Point extraction (Perplexity API)');
@@ -62,19 +62,16 @@ export async function extractCoordinates(userMessage, aiMessage, queryType, map)
         // STEP 3: REFLECT - Fast validation (OPTIMIZATION: Skip API call if extraction looks good)
         console.log('\n=== STEP 3: REFLECTION ===');
         
-        // Quick validation: count coordinates
-        const extractedCoords = extractResponse.match(/(-?\d+\.?\d*),\s*(-?\d+\.?\d*)/g) || [];
-        const coordCount = extractedCoords.length;
+        // Validate against the JSON contract (single location queries need exactly one place)
+        const validation = validatePlaces(extractResponse, { maxCount: isSingleLocation ? 1 : Infinity });
+        const coordCount = validation.places.length;
         
         // OPTIMIZATION: Fast validation - check if extraction looks good without API call
         let needsRefinement = false;
         
-        if (isSingleLocation && coordCount > 1) {
+        if (!validation.valid) {
             needsRefinement = true;
-            console.log('Too many coordinates for single location, needs refinement');
-        } else if (coordCount === 0) {
-            needsRefinement = true;
-            console.log('No coordinates extracted, needs refinement');
+            console.log('Extraction failed validation, needs refinement:', validation.errors);
         } else if (!isSingleLocation && coordCount === 1 && userMessage.toLowerCase().includes('multiple')) {
             needsRefinement = true;
             console.log('Only one coordinate for multiple locations, needs refinement');
@@ -82,13 +79,13 @@ export async function extractCoordinates(userMessage, aiMessage, queryType, map)
         
         // Only call API for reflection if we're unsure
         if (!needsRefinement) {
-            const reflectPrompt = `You extracted coordinates: "${extractResponse}"
+            const reflectPrompt = `You extracted these places: "${extractResponse}"
             
             For a ${isSingleLocation ? 'SINGLE' : 'MULTIPLE'} location query: "${userMessage}"
             
             Evaluate:
-            - Are there too many coordinates? (${isSingleLocation ? 'Should be 1 coordinate only' : 'Should match number of locations'})
-            - Is format correct? (lat,lon format)
+            - Are there too many places? (${isSingleLocation ? 'Should be 1 place only' : 'Should match number of locations'})
+            - Are the coordinates correct for each named place? (check hemisphere signs)
             - Is primary location clear? (${isSingleLocation ? 'Need primary location only' : 'All locations needed'})
             
             Respond with: "good" if quality is acceptable, or "refine" if needs improvement`;
@@ -106,34 +103,51 @@ export async function extractCoordinates(userMessage, aiMessage, queryType, map)
         }
         
         // STEP 4: ACT - Refine if needed
-        let finalCoordinates = extractResponse;
+        let finalPlaces = validation.places;
         
         if (needsRefinement) {
             console.log('\n=== STEP 4: REFINEMENT ===');
             
+            const validationNote = validation.errors.length > 0
+                ? `Your previous output was rejected: ${validation.errors.join('; ')}`
+                : 'Your previous output needs improvement.';
+            
             const refinePrompt = isSingleLocation
-                ? `From these coordinates: "${extractResponse}"
-                   Extract ONLY the PRIMARY/CENTER coordinate for "${userMessage}"
-                   Return single coordinate: lat,lon`
-                : `From these coordinates: "${extractResponse}"
-                   Clean and format all coordinates properly
-                   Return: lat1,lon1 | lat2,lon2`;
+                ? `${validationNote}
+                   Extract ONLY the PRIMARY/CENTER location for "${userMessage}"
+                   ${placesOutputInstructions({ multiple: false })}`
+                : `${validationNote}
+                   Clean and correct all locations for "${userMessage}"
+                   ${placesOutputInstructions({ multiple: true })}`;
             
             const refineResponse = await callPerplexity([
                 ...conversationHistory,
                 { role: 'user', content: refinePrompt }
             ]);
             tracker.step('Point refinement (Perplexity API)');
+            console.log('Refined places:', refineResponse);
             
-            finalCoordinates = refineResponse;
-            console.log('Refined coordinates:', finalCoordinates);
+            const refined = validatePlaces(refineResponse, { maxCount: isSingleLocation ? 1 : Infinity });
+            if (refined.valid) {
+                finalPlaces = refined.places;
+            } else {
+                console.warn('⚠️ Refined output still invalid:', refined.errors);
+                if (finalPlaces.length === 0) {
+                    // Neither response honoured the contract - fall back to scraping the free text
+                    finalPlaces = placesFromFreeText(refineResponse);
+                }
+                if (isSingleLocation) {
+                    finalPlaces = finalPlaces.slice(0, 1);
+                }
+            }
         }
         
         // STEP 5: VALIDATE - Format and validate
         console.log('\n=== STEP 5: VALIDATION ===');
-        const parsedCoordinates = parseCoordinates(finalCoordinates);
+        const parsedCoordinates = placesToCoordinateString(finalPlaces);
         tracker.step('Coordinate parsing');
         
+        console.log('Final places:', finalPlaces);
         console.log('Final coordinates:', parsedCoordinates);
         
         // Display coordinates on map
@@ -1,5 +1,6 @@
 import { callPerplexity } from '../utils/apiHelpers.js';
 import { parseCoordinates } from '../utils/coordinateParser.js';
+import { polygonsOutputInstructions, validatePolygons, placesFromCoordinateString, placesFromFreeText } from '../utils/structuredOutput.js';
 import { displayPolygonOnMap } from '../utils/mapDisplay.js';
 import { tracker } from '../utils/performanceTracker.js';
 
@@ -50,61 +51,37 @@ export async function extractPolygon(userMessage, aiMessage, queryType, map) {
         console.log('\n=== POLYGON STEP 2: EXTRACTION ===');
         
         // OPTIMIZATION: First try to extract coordinates from the initial AI response
-        const initialCoords = parseCoordinates(aiMessage);
+        const initialPlaces = placesFromCoordinateString(parseCoordinates(aiMessage), 'initial response');
         let extractResponse = '';
-        let extractPrompt = '';
-        
-        if (initialCoords !== 'none') {
-            const coordCount = initialCoords.split(' | ').length;
-            // For polygons, we need at least 3 points to form a polygon
-            const matchesExpected = coordCount >= 3;
-            
-            if (matchesExpected) {
-                console.log('✅ Found coordinates in initial response, skipping extraction API call');
-                extractResponse = initialCoords;
-                extractPrompt = 'Extracted from initial response';
-                tracker.step('Polygon extraction (from initial response - SKIPPED API)');
-            } else {
+        let validation = null;
+        
+        // For polygons, we need at least 3 points to form a polygon
+        if (!isMultiplePolygons && initialPlaces.length >= 3) {
+            console.log('✅ Found coordinates in initial response, skipping extraction API call');
+            validation = { valid: true, polygons: [{ name: 'Polygon', places: initialPlaces }], errors: [] };
+            extractResponse = JSON.stringify({ polygons: validation.polygons });
+            tracker.step('Polygon extraction (from initial response - SKIPPED API)');
+        } else {
+            if (initialPlaces.length > 0) {
                 console.log('⚠️ Initial response has coordinates but insufficient for polygon, using extraction API');
-                extractPrompt = isMultiplePolygons
-                    ? `Extract polygon boundary coordinates for each location in this query: "${userMessage}"
-                    AI Response: "${aiMessage}"
-                    
-                    For each location, extract the boundary/outline coordinates that form a closed polygon.
-                    Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (for each polygon, separate polygons with ||)
-                    Each polygon should have at least 3 points and form a closed shape.`
-                    : `Extract polygon boundary coordinates for this query: "${userMessage}"
-                    AI Response: "${aiMessage}"
-                    
-                    Extract the boundary/outline coordinates that form a closed polygon.
-                    Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (at least 3 points)
-                    The polygon should form a closed shape (first and last point should be the same or close).`;
-                
-                extractResponse = await callPerplexity(extractPrompt);
-                tracker.step('Polygon extraction (Perplexity API)');
             }
-        } else {
-            // No coordinates found in initial response, need API call
-            extractPrompt = isMultiplePolygons
+            
+            const extractPrompt = isMultiplePolygons
                 ? `Extract polygon boundary coordinates for each location in this query: "${userMessage}"
                 AI Response: "${aiMessage}"
                 
-                For each location, extract the boundary/outline coordinates that form a closed polygon.
-                Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (for each polygon, separate polygons with ||)
-                Each polygon should have at least 3 points and form a closed shape.`
+                For each location, extract the boundary/outline vertices that form a closed polygon.
+                ${polygonsOutputInstructions({ multiple: true })}`
                 : `Extract polygon boundary coordinates for this query: "${userMessage}"
                 AI Response: "${aiMessage}"
                 
-                Extract the boundary/outline coordinates that form a closed polygon.
-                Return coordinates in decimal format: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (at least 3 points)
-                The polygon should form a closed shape (first and last point should be the same or close).`;
+                Extract the boundary/outline vertices that form a closed polygon.
+                ${polygonsOutputInstructions({ multiple: false })}`;
             
             extractResponse = await callPerplexity(extractPrompt);
             tracker.step('Polygon extraction (Perplexity API)');
-        }
-        
-        // Only add to conversation history if we made an API call
-        if (extractPrompt !== 'Extracted from initial response') {
+            validation = validatePolygons(extractResponse);
+            
             conversationHistory.push(
                 { role: 'user', content: extractPrompt },
                 { role: 'assistant', content: extractResponse }
@@ -116,36 +93,29 @@ export async function extractPolygon(userMessage, aiMessage, queryType, map) {
         // STEP 3: REFLECT - Fast validation
         console.log('\n=== POLYGON STEP 3: REFLECTION ===');
         
-        // Count extracted coordinates
-        const extractedCoords = extractResponse.match(/(-?\d+\.?\d*),\s*(-?\d+\.?\d*)/g) || [];
-        const coordCount = extractedCoords.length;
-        
-        console.log(`Extracted ${coordCount} coordinates`);
+        console.log(`Extracted ${validation.polygons.length} valid polygon(s)`);
         
         // OPTIMIZATION: Fast validation - check if extraction looks good
         let needsRefinement = false;
         
-        if (coordCount < 3) {
-            needsRefinement = true;
-            console.log('Too few coordinates for polygon (need at least 3), needs refinement');
-        } else if (!extractResponse.includes('|') && coordCount > 1) {
+        if (!validation.valid) {
             needsRefinement = true;
-            console.log('Coordinates not properly formatted, needs refinement');
+            console.log('Extraction failed validation, needs refinement:', validation.errors);
         }
         
         // Skip reflection API call if extraction looks good
-        if (!needsRefinement && coordCount >= 3) {
+        if (!needsRefinement) {
             console.log('✅ Extraction looks good, skipping reflection API call');
-        } else if (needsRefinement) {
+        } else {
             const reflectPrompt = `You extracted polygon coordinates: "${extractResponse}"
             
-            Extracted ${coordCount} coordinates.
+            Validation errors: ${validation.errors.join('; ')}
             Query: "${userMessage}"
             
             Evaluate:
-            - Are there enough coordinates? (Need at least 3 points for a polygon)
-            - Is format correct? (lat,lon format, separated by |)
-            - Does it form a closed shape? (First and last point should be same or close)
+            - Are there enough vertices? (Need at least 3 points per polygon)
+            - Is format correct? (JSON with "polygons", each with "places" that have name, lat, lon)
+            - Does it form a closed shape? (Vertices in boundary order)
             
             Respond with: "good" if quality is acceptable, or "refine" if needs improvement`;
             
@@ -155,82 +125,59 @@ export async function extractPolygon(userMessage, aiMessage, queryType, map) {
             ]);
             tracker.step('Polygon reflection (Perplexity API)');
             
-            needsRefinement = reflectResponse.toLowerCase().includes('refine');
+            // Malformed output can never be accepted as-is
+            needsRefinement = reflectResponse.toLowerCase().includes('refine') || validation.polygons.length === 0;
             console.log('Polygon quality check:', needsRefinement ? 'NEEDS REFINEMENT' : 'GOOD');
         }
         
         // STEP 4: ACT - Refine if needed
-        let finalCoordinates = extractResponse;
+        let finalPolygons = validation.polygons;
         
         if (needsRefinement) {
             console.log('\n=== POLYGON STEP 4: REFINEMENT ===');
             
             const refinePrompt = isMultiplePolygons
-                ? `From these coordinates: "${extractResponse}"
+                ? `Your previous output was rejected: ${validation.errors.join('; ')}
                    Clean and format polygon boundaries for each location.
-                   Each polygon should have at least 3 points and form a closed shape.
-                   Return: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (for each polygon, separate polygons with ||)`
-                : `From these coordinates: "${extractResponse}"
-                   Clean and format the polygon boundary coordinates.
-                   Ensure at least 3 points and form a closed shape (first = last point).
-                   Return: lat1,lon1 | lat2,lon2 | lat3,lon3 | ... (closed polygon)`;
+                   ${polygonsOutputInstructions({ multiple: true })}`
+                : `Your previous output was rejected: ${validation.errors.join('; ')}
+                   Clean and format the polygon boundary.
+                   ${polygonsOutputInstructions({ multiple: false })}`;
             
             const refineResponse = await callPerplexity([
                 ...conversationHistory,
                 { role: 'user', content: refinePrompt }
             ]);
             tracker.step('Polygon refinement (Perplexity API)');
+            console.log('Refined polygon coordinates:', refineResponse);
             
-            finalCoordinates = refineResponse;
-            console.log('Refined polygon coordinates:', finalCoordinates);
+            const refined = validatePolygons(refineResponse);
+            if (refined.valid) {
+                finalPolygons = refined.polygons;
+            } else {
+                console.warn('⚠️ Refined output still invalid:', refined.errors);
+                if (finalPolygons.length === 0) {
+                    // Neither response honoured the contract - fall back to scraping the free text.
+                    // Always split on "||" so several polygons are never merged into one.
+                    finalPolygons = refineResponse.split('||')
+                        .map((polyStr, index) => ({ name: `Polygon ${index + 1}`, places: placesFromFreeText(polyStr) }))
+                        .filter(polygon => polygon.places.length >= 3);
+                }
+            }
         }
         
         // STEP 5: VALIDATE - Format and validate
         console.log('\n=== POLYGON STEP 5: VALIDATION ===');
         
-        // Parse and format polygons
-        let polygons = [];
-        
-        if (isMultiplePolygons && finalCoordinates.includes('||')) {
-            // Multiple polygons separated by ||
-            const polygonStrings = finalCoordinates.split('||').map(s => s.trim());
-            polygonStrings.forEach((polyStr, index) => {
-                const parsedCoords = parseCoordinates(polyStr);
-                if (parsedCoords !== 'none') {
-                    const coords = parsedCoords.split(' | ').map(coord => {
-                        const [lat, lon] = coord.trim().split(',').map(Number);
-                        return [lon, lat]; // Convert to [lng, lat]
-                    });
-                    
-                    // Ensure polygon is closed
-                    if (coords.length >= 3) {
-                        if (coords[0][0] !== coords[coords.length - 1][0] || 
-                            coords[0][1] !== coords[coords.length - 1][1]) {
-                            coords.push(coords[0]); // Close the polygon
-                        }
-                        polygons.push({ coordinates: coords, name: `Polygon ${index + 1}` });
-                    }
-                }
-            });
-        } else {
-            // Single polygon
-            const parsedCoords = parseCoordinates(finalCoordinates);
-            if (parsedCoords !== 'none') {
-                const coords = parsedCoords.split(' | ').map(coord => {
-                    const [lat, lon] = coord.trim().split(',').map(Number);
-                    return [lon, lat]; // Convert to [lng, lat]
-                });
-                
-                // Ensure polygon is closed
-                if (coords.length >= 3) {
-                    if (coords[0][0] !== coords[coords.length - 1][0] || 
-                        coords[0][1] !== coords[coords.length - 1][1]) {
-                        coords.push(coords[0]); // Close the polygon
-                    }
-                    polygons.push({ coordinates: coords, name: 'Polygon' });
-                }
+        // Convert to [lng, lat] rings and ensure each polygon is closed
+        const polygons = finalPolygons.map(polygon => {
+            const coords = polygon.places.map(place => [place.lon, place.lat]);
+            if (coords[0][0] !== coords[coords.length - 1][0] || 
+                coords[0][1] !== coords[coords.length - 1][1]) {
+                coords.push(coords[0]); // Close the polygon
             }
-        }
+            return { coordinates: coords, name: polygon.name };
+        });
         
         tracker.step('Polygon parsing');
         
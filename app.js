@@ -1,4 +1,5 @@
-import { MAPBOX_ACCESS_TOKEN, PERPLEXITY_API_KEY } from './config.js';
+import { MAPBOX_ACCESS_TOKEN } from './config.js';
+import { callLLM, getLLMProvider } from './services/llm.js';
 import { detectQueryType } from './utils/queryDetector.js';
 import { extractCoordinates } from './agents/pointAgent.js';
 import { extractLineCoordinates } from './agents/lineAgent.js';
@@ -6,9 +7,15 @@ import { extractBuffer } from './agents/bufferAgent.js';
 import { extractIsochrone } from './agents/isochroneAgent.js';
 import { extractPolygon } from './agents/polygonAgent.js';
 import { extractElevationProfile } from './agents/elevationAgent.js';
-import { displayIsochroneOnMap } from './utils/mapDisplay.js';
+import { extractMatrix } from './agents/matrixAgent.js';
+import { displayIsochroneOnMap, displayMultiOriginIsochrones, displayIsochroneComparisonOnMap, setSourceQuery, getFeatureRegistry, flyToFeature } from './utils/mapDisplay.js';
+import { highlightComparedRoute } from './utils/routeComparison.js';
+import { displayDirectionsPanel } from './utils/directionsPanel.js';
+import { displayIsochroneComparison } from './utils/isochroneComparison.js';
+import { displayIsochroneLegend } from './utils/isochroneLegend.js';
 import { tracker } from './utils/performanceTracker.js';
-import { handleCommand, isCommand, searchCommands, getAllCommands, setSelectedFeature, getSelectedFeature } from './utils/commands.js';
+import { handleCommand, isCommand, searchCommands, getAllCommands, setSelectedFeature, getSelectedFeature, initSession, beginHistoryStep, endHistoryStep, withHistory } from './utils/commands.js';
+import { importFile } from './utils/importFeatures.js';
 
 // Set Mapbox token
 mapboxgl.accessToken = MAPBOX_ACCESS_TOKEN;
@@ -22,6 +29,45 @@ const map = new mapboxgl.Map({
     attributionControl: false
 });
 
+// Open a shared link or restore the last session, then keep both up to date
+map.once('load', () => initSession(map));
+
+// Click a route to select it, show its directions and highlight it in the route comparison panel
+map.on('click', (e) => {
+    const routeLayers = getFeatureRegistry().lines
+        .filter(line => line.type === 'route' && map.getLayer(line.id))
+        .map(line => line.id);
+    if (routeLayers.length === 0) {
+        return;
+    }
+    
+    const [feature] = map.queryRenderedFeatures(e.point, { layers: routeLayers });
+    if (!feature) {
+        return;
+    }
+    
+    const selected = setSelectedFeature(feature.properties.id, map);
+    if (selected) {
+        console.log(`✅ Selected feature: ${selected.name}`);
+        highlightComparedRoute(selected.id);
+        displayDirectionsPanel(selected.id, map);
+    }
+});
+
+// Import GeoJSON, KML, GPX and CSV files dropped on the map
+const mapContainer = map.getContainer();
+mapContainer.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+});
+mapContainer.addEventListener('drop', (e) => {
+    e.preventDefault();
+    Array.from(e.dataTransfer.files).forEach(file => {
+        withHistory(map, () => importFile(file, map))
+            .catch(error => console.error(`❌ Import failed for ${file.name}:`, error.message));
+    });
+});
+
 // Chat input
 const chatInput = document.getElementById('chat-input');
 const commandSuggestions = document.getElementById('command-suggestions');
@@ -34,9 +80,6 @@ let isProcessing = false;
 let currentAbortController = null;
 let currentRequestPromise = null;
 
-// Feature fly-to state
-let currentFlyToHandler = null;
-
 // Show command suggestions
 function showCommandSuggestions(query) {
     if (!query || !query.trim().startsWith('@')) {
@@ -147,155 +190,6 @@ function updateSuggestionSelection() {
     });
 }
 
-// Fly to feature on map
-let lastFlyToFeatureId = null; // Track last feature we flew to
-let isFlying = false; // Track if map is currently flying
-
-function flyToFeature(featureData, map) {
-    if (!featureData || !featureData.type) {
-        return;
-    }
-    
-    // Skip if we're already flying to this same feature
-    const featureId = featureData.id || `${featureData.type}-${featureData.name || 'unknown'}`;
-    if (lastFlyToFeatureId === featureId && isFlying) {
-        return; // Already flying to this feature, skip
-    }
-    
-    // Cancel previous fly operation
-    if (currentFlyToHandler) {
-        clearTimeout(currentFlyToHandler);
-    }
-    
-    // Debounce to prevent excessive flying
-    currentFlyToHandler = setTimeout(() => {
-        try {
-            let center = null;
-            let bounds = null;
-            
-            if (featureData.type === 'line') {
-                // For lines, calculate bounds from all coordinates
-                if (featureData.coordinates && featureData.coordinates.length > 0) {
-                    const firstCoord = featureData.coordinates[0];
-                    if (Array.isArray(firstCoord) && firstCoord.length >= 2) {
-                        bounds = new mapboxgl.LngLatBounds(firstCoord, firstCoord);
-                        featureData.coordinates.forEach(coord => {
-                            if (Array.isArray(coord) && coord.length >= 2) {
-                                bounds.extend(coord);
-                            }
-                        });
-                    }
-                }
-            } else if (featureData.type === 'marker') {
-                // For markers, coordinates is [lngLat] where lngLat is [lon, lat] array
-                if (featureData.coordinates && featureData.coordinates.length > 0) {
-                    const lngLat = featureData.coordinates[0];
-                    if (Array.isArray(lngLat) && lngLat.length >= 2) {
-                        center = lngLat; // [lon, lat]
-                    }
-                }
-            } else if (featureData.type === 'buffer') {
-                // For buffers, coordinates is center [lon, lat] array
-                if (featureData.coordinates) {
-                    if (Array.isArray(featureData.coordinates) && featureData.coordinates.length >= 2) {
-                        center = featureData.coordinates; // [lon, lat]
-                    } else if (typeof featureData.coordinates === 'object') {
-                        // Handle object format if needed
-                        const lon = featureData.coordinates.lng || featureData.coordinates.lon || featureData.coordinates[0];
-                        const lat = featureData.coordinates.lat || featureData.coordinates[1];
-                        if (lon !== undefined && lat !== undefined) {
-                            center = [lon, lat];
-                        }
-                    }
-                }
-            } else if (featureData.type === 'polygon') {
-                // For polygons, calculate bounds from coordinates
-                if (featureData.coordinates && featureData.coordinates.length > 0) {
-                    const firstCoord = featureData.coordinates[0];
-                    if (Array.isArray(firstCoord) && firstCoord.length >= 2) {
-                        bounds = new mapboxgl.LngLatBounds(firstCoord, firstCoord);
-                        featureData.coordinates.forEach(coord => {
-                            if (Array.isArray(coord) && coord.length >= 2) {
-                                bounds.extend(coord);
-                            }
-                        });
-                    }
-                }
-            } else if (featureData.type === 'isochrone') {
-                // For isochrones, coordinates is center [lon, lat] array
-                if (featureData.coordinates) {
-                    if (Array.isArray(featureData.coordinates) && featureData.coordinates.length >= 2) {
-                        center = featureData.coordinates; // [lon, lat]
-                    } else if (typeof featureData.coordinates === 'object') {
-                        // Handle object format if needed
-                        const lon = featureData.coordinates.lng || featureData.coordinates.lon || featureData.coordinates[0];
-                        const lat = featureData.coordinates.lat || featureData.coordinates[1];
-                        if (lon !== undefined && lat !== undefined) {
-                            center = [lon, lat];
-                        }
-                    }
-                }
-            }
-            
-            // Fly to feature
-            if (bounds) {
-                // Check if bounds are valid by checking if they have valid extent
-                try {
-                    const sw = bounds.getSouthWest();
-                    const ne = bounds.getNorthEast();
-                    // Validate bounds have valid coordinates
-                    if (sw && ne && 
-                        typeof sw.lng === 'number' && typeof sw.lat === 'number' &&
-                        typeof ne.lng === 'number' && typeof ne.lat === 'number' &&
-                        !isNaN(sw.lng) && !isNaN(sw.lat) && !isNaN(ne.lng) && !isNaN(ne.lat)) {
-                        // Use fitBounds for lines/polygons
-                        isFlying = true;
-                        lastFlyToFeatureId = featureId;
-                        
-                        map.flyTo({
-                            bounds: bounds,
-                            padding: 50,
-                            duration: 800,
-                            essential: true
-                        });
-                        
-                        // Reset flying flag after animation completes
-                        map.once('moveend', () => {
-                            isFlying = false;
-                        });
-                    }
-                } catch (e) {
-                    // Bounds invalid, skip
-                }
-            }
-            
-            // If bounds didn't work, try center
-            if (!isFlying && center && Array.isArray(center) && center.length >= 2) {
-                // Use flyTo for points/buffers/isochrones
-                isFlying = true;
-                lastFlyToFeatureId = featureId;
-                
-                map.flyTo({
-                    center: center,
-                    zoom: 14,
-                    duration: 800,
-                    essential: true
-                });
-                
-                // Reset flying flag after animation completes
-                map.once('moveend', () => {
-                    isFlying = false;
-                });
-            }
-        } catch (error) {
-            console.error('Error flying to feature:', error);
-            isFlying = false;
-        }
-        
-        currentFlyToHandler = null;
-    }, 200); // 200ms debounce
-}
-
 // Hide suggestions when clicking outside
 document.addEventListener('click', (e) => {
     if (!chatInput.contains(e.target) && !commandSuggestions.contains(e.target)) {
@@ -374,6 +268,21 @@ chatInput.addEventListener('keydown', (e) => {
     handleSuggestionNavigation(e);
 });
 
+// Undo/redo map changes with Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac)
+document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.key.toLowerCase() !== 'z') {
+        return;
+    }
+    // In text fields the shortcut undoes text instead (the chat input only while it has text)
+    const isEditable = e.target instanceof HTMLElement &&
+        (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName));
+    if (isEditable && (e.target !== chatInput || chatInput.value)) {
+        return;
+    }
+    e.preventDefault();
+    handleCommand(e.shiftKey ? '@redo' : '@undo', map);
+});
+
 chatInput.addEventListener('keypress', async (e) => {
     if (e.key === 'Enter' && chatInput.value.trim()) {
         // Cancel any previous request
@@ -390,6 +299,9 @@ chatInput.addEventListener('keypress', async (e) => {
         
         console.log('User message:', userMessage);
         
+        // Features added from here on record this query as their source
+        setSourceQuery(userMessage);
+        
         // Check if it's a command (starts with @)
         if (isCommand(userMessage)) {
             // Check if it's a feature selection command
@@ -414,9 +326,12 @@ chatInput.addEventListener('keypress', async (e) => {
             // For other commands, blur to close mobile keyboard
             chatInput.blur();
             handleCommand(userMessage, map);
-            return; // Skip Perplexity API call
+            return; // Skip LLM call
         }
         
+        // Snapshot before the agent run, so its changes can be undone as one step
+        const historyStep = beginHistoryStep(map);
+        
         // Check if this is an elevation query with a selected feature - skip API call
         const selectedFeature = getSelectedFeature();
         const isElevationQuery = userMessage.toLowerCase().includes('elevation') || 
@@ -436,10 +351,34 @@ chatInput.addEventListener('keypress', async (e) => {
             
             // Display elevation profile directly
             console.log('\n=== ELEVATION WORKFLOW ===');
-            await extractElevationProfile(userMessage, '', queryType, map);
+            try {
+                await extractElevationProfile(userMessage, '', queryType, map);
+            } finally {
+                endHistoryStep(historyStep, map);
+                tracker.end();
+                clearThinkingState();
+            }
+            return;
+        }
+        
+        // Buffers around a selected line/polygon only need the distance from the query - skip API call
+        const isFeatureBufferQuery = selectedFeature &&
+            (selectedFeature.type === 'line' || selectedFeature.type === 'polygon') &&
+            detectQueryType(userMessage, '').type === 'buffer';
+        
+        if (isFeatureBufferQuery) {
+            console.log(`✅ Skipping Perplexity API - buffering selected ${selectedFeature.type}`);
+            tracker.start(`Processing query: "${userMessage.substring(0, 50)}..."`);
             
-            tracker.end();
-            clearThinkingState();
+            const queryType = detectQueryType(userMessage, '');
+            console.log('\n=== BUFFER WORKFLOW ===');
+            try {
+                await extractBuffer(userMessage, '', queryType, map);
+            } finally {
+                endHistoryStep(historyStep, map);
+                tracker.end();
+                clearThinkingState();
+            }
             return;
         }
         
@@ -457,21 +396,8 @@ chatInput.addEventListener('keypress', async (e) => {
         tracker.start(`Processing query: "${userMessage.substring(0, 50)}..."`);
         
         try {
-            // Create request promise
-            currentRequestPromise = fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar',
-                    messages: [
-                        { role: 'user', content: userMessage }
-                    ]
-                }),
-                signal: signal
-            });
+            // Create request promise (goes through the configured LLM provider)
+            currentRequestPromise = callLLM(userMessage, { signal: signal });
 
             const response = await currentRequestPromise;
             
@@ -480,20 +406,14 @@ chatInput.addEventListener('keypress', async (e) => {
                 return;
             }
             
-            const data = await response.json();
-            tracker.step('Initial Perplexity API call');
+            tracker.step(`Initial LLM call (${getLLMProvider().name})`);
             
             // Extract all the data
-            const aiMessage = data.choices[0]?.message?.content || '';
-            const citations = data.citations || [];
-            const searchResults = data.search_results || [];
-            const usage = data.usage || {};
-            const metadata = {
-                id: data.id,
-                model: data.model,
-                created: data.created,
-                object: data.object
-            };
+            const aiMessage = response.content;
+            const citations = response.citations;
+            const searchResults = response.searchResults;
+            const usage = response.usage;
+            const metadata = response.metadata;
             
             // Log everything
             console.log('=== MESSAGE CONTENT ===');
@@ -524,10 +444,17 @@ chatInput.addEventListener('keypress', async (e) => {
                 await extractPolygon(userMessage, aiMessage, queryType, map);
             } else if (queryType.type === 'isochrone') {
                 console.log('\n=== ISOCHRONE WORKFLOW ===');
-                const result = await extractIsochrone(userMessage, aiMessage, queryType, map);
-                if (result.success) {
-                    displayIsochroneOnMap(result.isochroneData, result.coordinates, map);
+                const result = await extractIsochrone(userMessage, aiMessage, queryType, map, signal);
+                if (result.success && result.comparisons) {
+                    displayIsochroneComparison(displayIsochroneComparisonOnMap(result.comparisons, map), map);
+                } else if (result.success && result.origins.length > 1) {
+                    result.originGroups.forEach(group => displayMultiOriginIsochrones(group, map));
+                } else if (result.success) {
+                    displayIsochroneLegend(displayIsochroneOnMap(result.isochroneData, result.coordinates, map), map);
                 }
+            } else if (queryType.type === 'matrix') {
+                console.log('\n=== TRAVEL MATRIX WORKFLOW ===');
+                await extractMatrix(userMessage, aiMessage, queryType, map);
             } else if (queryType.type === 'line') {
                 console.log('\n=== LINE/ROUTE WORKFLOW ===');
                 await extractLineCoordinates(userMessage, aiMessage, queryType, map);
@@ -557,6 +484,8 @@ chatInput.addEventListener('keypress', async (e) => {
             }
             currentAbortController = null;
             currentRequestPromise = null;
+        } finally {
+            endHistoryStep(historyStep, map);
         }
     }
 });
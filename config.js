@@ -3,11 +3,21 @@
 export const MAPBOX_ACCESS_TOKEN = import.meta.env.MAPBOX_ACCESS_TOKEN || '';
 export const PERPLEXITY_API_KEY = import.meta.env.PERPLEXITY_API_KEY || '';
 
+// LLM provider configuration
+// LLM_PROVIDER: 'perplexity' (default), 'openai' (any OpenAI-compatible endpoint) or 'mock' (offline)
+export const LLM_PROVIDER = import.meta.env.LLM_PROVIDER || 'perplexity';
+export const LLM_BASE_URL = import.meta.env.LLM_BASE_URL || '';
+export const LLM_MODEL = import.meta.env.LLM_MODEL || '';
+export const LLM_API_KEY = import.meta.env.LLM_API_KEY || '';
+
+// Fixture record/replay for LLM, Directions, Optimization, Matrix and Isochrone calls: 'off' (default), 'record' or 'replay'
+export const FIXTURE_MODE = import.meta.env.FIXTURE_MODE || 'off';
+
 // Validate that required environment variables are set
 if (!MAPBOX_ACCESS_TOKEN) {
     console.warn('⚠️ MAPBOX_ACCESS_TOKEN is not set. Map functionality will not work.');
 }
 
-if (!PERPLEXITY_API_KEY) {
+if (LLM_PROVIDER === 'perplexity' && !PERPLEXITY_API_KEY && !LLM_API_KEY && FIXTURE_MODE !== 'replay') {
     console.warn('⚠️ PERPLEXITY_API_KEY is not set. Natural language processing will not work.');
 }
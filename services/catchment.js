@@ -0,0 +1,172 @@
+import { callMapboxMatrix, matrixCoordinateLimit } from './matrix.js';
+import { destinationPoint, unionGeometries } from '../utils/bufferGenerator.js';
+
+// Fewest origins sampled per side of the catchment grid (corners outside the search radius are dropped)
+const CATCHMENT_GRID_SIZE = 13;
+
+// Wanted spacing between sampled origins (km), and most Matrix API requests spent on one catchment
+const CATCHMENT_CELL_KM = 1;
+const CATCHMENT_MAX_REQUESTS = 30;
+// Matrix API requests in flight at once for one catchment
+const CATCHMENT_CONCURRENCY = 4;
+
+// Generous travel speeds (km/h): no origin farther than speed x time can arrive in time
+// Driving allows for motorways
+const CATCHMENT_SPEEDS_KMH = {
+    'mapbox/walking': 6,
+    'mapbox/cycling': 20,
+    'mapbox/driving': 130,
+    'mapbox/driving-traffic': 130
+};
+
+// Straight-line radius (km) around the destination to sample origins from
+export function catchmentRadiusKm(profile, contoursMinutes, contoursMeters) {
+    if (contoursMinutes) {
+        const speed = CATCHMENT_SPEEDS_KMH[profile] || CATCHMENT_SPEEDS_KMH['mapbox/driving'];
+        return speed * Math.max(...contoursMinutes) / 60;
+    }
+    // A route is never shorter than the straight line
+    return Math.max(...contoursMeters) / 1000;
+}
+
+// Origins kept in a grid of size x size (the ones within the search radius)
+function catchmentSampleCount(size) {
+    const half = (size - 1) / 2;
+    let count = 0;
+    for (let y = -half; y <= half; y++) {
+        for (let x = -half; x <= half; x++) {
+            if (x * x + y * y <= (half + 0.5) ** 2) {
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+// Odd grid size giving cells of about CATCHMENT_CELL_KM over the radius
+// Larger radii get coarser cells once the grid takes more than CATCHMENT_MAX_REQUESTS requests
+export function catchmentGridSize(radiusKm, profile) {
+    const perRequest = matrixCoordinateLimit(profile) - 1;
+    let size = Math.max(CATCHMENT_GRID_SIZE, 2 * Math.ceil(radiusKm / CATCHMENT_CELL_KM) + 1);
+    while (size > CATCHMENT_GRID_SIZE && Math.ceil(catchmentSampleCount(size) / perRequest) > CATCHMENT_MAX_REQUESTS) {
+        size -= 2;
+    }
+    return size;
+}
+
+// Square grid of origins around the destination ([lng, lat]) within radiusKm
+// Returns [{ coordinates, cell }] - cell is the grid square around the origin as a Polygon
+export function catchmentGrid(destination, radiusKm, size = CATCHMENT_GRID_SIZE) {
+    const half = (size - 1) / 2;
+    const spacingKm = radiusKm / half;
+    const lonStep = destinationPoint(destination, spacingKm, 90)[0] - destination[0];
+    const latStep = destinationPoint(destination, spacingKm, 0)[1] - destination[1];
+    const at = (x, y) => [destination[0] + x * lonStep, destination[1] + y * latStep];
+
+    const samples = [];
+    for (let y = -half; y <= half; y++) {
+        for (let x = -half; x <= half; x++) {
+            if (x * x + y * y > (half + 0.5) ** 2) {
+                continue;
+            }
+            // Neighbouring cells share exact corner coordinates so their union has no slivers
+            samples.push({
+                coordinates: at(x, y),
+                cell: {
+                    type: 'Polygon',
+                    coordinates: [[at(x - 0.5, y - 0.5), at(x + 0.5, y - 0.5), at(x + 0.5, y + 0.5), at(x - 0.5, y + 0.5), at(x - 0.5, y - 0.5)]]
+                }
+            });
+        }
+    }
+    return samples;
+}
+
+// One feature per contour: the union of the cells whose origin reaches the destination within it
+// measures are seconds (time) or meters (distance) per sample, null if unreachable
+// Features go from the largest contour to the smallest, like Isochrone API responses
+export function catchmentFeatures(samples, measures, contours, metric) {
+    return [...contours].sort((a, b) => b - a).map(contour => {
+        const limit = metric === 'time' ? contour * 60 : contour;
+        const geometry = unionGeometries(samples
+            .filter((_, index) => measures[index] !== null && measures[index] <= limit)
+            .map(sample => sample.cell));
+        return geometry && { type: 'Feature', properties: { contour, metric }, geometry };
+    }).filter(Boolean);
+}
+
+// Approximate a reverse isochrone: where can people come from to reach the destination
+// Samples a grid of origins and asks the Matrix API for the trip from each to the destination
+// Takes the same options as callMapboxIsochrone (departAt applies to live traffic) and a signal to cancel it
+// Resolves to isochrone-like data or null, rejects with an AbortError once cancelled
+export async function callMapboxCatchment(coordinates, options = {}) {
+    try {
+        const {
+            profile = 'mapbox/driving-traffic',
+            contoursMinutes = null,
+            contoursMeters = null,
+            departAt = null,
+            signal = null
+        } = options;
+
+        if (!contoursMinutes && !contoursMeters) {
+            throw new Error('Either contoursMinutes or contoursMeters must be provided');
+        }
+
+        const metric = contoursMinutes ? 'time' : 'distance';
+        const radiusKm = catchmentRadiusKm(profile, contoursMinutes, contoursMeters);
+        const size = catchmentGridSize(radiusKm, profile);
+        const samples = catchmentGrid(coordinates, radiusKm, size);
+        // Width of a grid cell: the catchment edge is only known to this
+        const resolutionKm = 2 * radiusKm / (size - 1);
+
+        console.log(`\n=== CATCHMENT GRID ===`);
+        console.log(`Destination: ${coordinates[0]},${coordinates[1]}`);
+        console.log(`${samples.length} origins within ${radiusKm.toFixed(1)} km, ${resolutionKm.toFixed(1)} km apart`);
+
+        // Each request carries as many origins as fit next to the destination
+        const perRequest = matrixCoordinateLimit(profile) - 1;
+        const batches = [];
+        for (let start = 0; start < samples.length; start += perRequest) {
+            batches.push(samples.slice(start, start + perRequest).map(sample => sample.coordinates));
+        }
+
+        // A few requests at a time; the others stop picking up batches once one fails or the query is cancelled
+        const measures = new Array(samples.length).fill(null);
+        let nextBatch = 0;
+        let failed = false;
+        const measureBatches = async () => {
+            while (nextBatch < batches.length && !failed) {
+                signal?.throwIfAborted();
+                const batch = nextBatch++;
+                const matrixData = await callMapboxMatrix(batches[batch], [coordinates], profile, { departAt, signal });
+                if (!matrixData) {
+                    failed = true;
+                    throw new Error('Matrix API request failed');
+                }
+                const rows = metric === 'time' ? matrixData.durations : matrixData.distances;
+                rows.forEach((row, offset) => {
+                    measures[batch * perRequest + offset] = row[0] ?? null;
+                });
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(CATCHMENT_CONCURRENCY, batches.length) }, measureBatches));
+
+        const features = catchmentFeatures(samples, measures, contoursMinutes || contoursMeters, metric);
+        if (features.length === 0) {
+            console.error('No sampled origin reaches the destination');
+            return null;
+        }
+
+        console.log(`\n=== CATCHMENT DATA ===`);
+        console.log(`${measures.filter(measure => measure !== null).length} of ${samples.length} origins reach the destination`);
+
+        return { type: 'FeatureCollection', features, profile, catchment: true, resolutionKm, request: { departAt } };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        console.error('Error computing catchment:', error);
+        return null;
+    }
+}
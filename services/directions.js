@@ -1,4 +1,5 @@
 import { MAPBOX_ACCESS_TOKEN } from '../config.js';
+import { fetchJSONWithFixture } from './fixtures.js';
 
 // Convert coordinates from "lat,lon" string to [lng,lat] array for Directions API
 export function convertCoordinatesForDirections(coordinatesString) {
@@ -32,7 +33,7 @@ export function detectTransportMode(userMessage) {
     }
     
     // Check for driving keywords
-    if (query.includes('driving') || query.includes('drive') || query.includes('car') || query.includes('vehicle') || query.includes('traffic')) {
+    if (query.includes('driving') || query.includes('drive') || query.includes('car') || query.includes('vehicle') || query.includes('traffic') || query.includes('truck')) {
         return 'mapbox/driving-traffic';
     }
     
@@ -41,29 +42,280 @@ export function detectTransportMode(userMessage) {
 }
 
 // Check if query needs actual routing vs simple line
+// Routing constraints (avoid tolls, depart at 8am, 4m high truck, ...) only make sense for routes
 export function needsRouting(userMessage) {
     const query = userMessage.toLowerCase();
-    const routingKeywords = ['route', 'directions', 'driving', 'walking', 'cycling', 'bike', 'car', 'walk', 
+    const routingKeywords = ['route', 'directions', 'driving', 'walking', 'cycling', 'bike', 'car', 'walk', 'truck',
                             'how to get', 'how do i get', 'distance between', 'from to'];
     
-    return routingKeywords.some(keyword => query.includes(keyword));
+    return routingKeywords.some(keyword => query.includes(keyword)) || hasRouteOptions(detectRouteOptions(userMessage));
+}
+
+// Directions API exclude values per avoidance keyword
+const AVOIDANCES = [
+    { exclude: 'toll', pattern: /\btolls?\b/ },
+    { exclude: 'motorway', pattern: /\b(highways?|motorways?|freeways?|interstates?|expressways?)\b/ },
+    { exclude: 'ferry', pattern: /\bferr(y|ies)\b/ }
+];
+
+// Vehicle limits accepted by the Directions API (meters, meters, metric tons)
+const VEHICLE_LIMITS = {
+    maxHeight: 10,
+    maxWidth: 10,
+    maxWeight: 100
+};
+
+// Length in meters from a number and unit (feet and inches are converted)
+function toMeters(value, unit) {
+    return /^(ft|feet|foot|')$/.test(unit) ? value * 0.3048 : value;
+}
+
+// Vehicle height or width from phrases like "height 4.2m", "13'6\" clearance" or "2.5 m wide"
+function detectDimension(query, prefixes, suffixes) {
+    const length = `(\\d+(?:\\.\\d+)?)\\s*(m|meters?|metres?|ft|feet|foot|')(?![a-z])(?:\\s*(\\d+)\\s*(?:"|in\\b|inch(?:es)?))?`;
+    const match = query.match(new RegExp(`\\b(?:${prefixes})\\b[^\\d]{0,20}${length}`)) ||
+        query.match(new RegExp(`${length}\\s*(?:${suffixes})\\b`));
+    if (!match) {
+        return null;
+    }
+    const inches = match[3] ? Number(match[3]) / 12 : 0;
+    return Math.round(toMeters(Number(match[1]) + inches, match[2]) * 100) / 100;
+}
+
+// Vehicle weight in metric tons from phrases like "20 ton truck", "weight 3500 kg" or "40000 lbs"
+// US short tons are read as metric tons, which errs on the heavy (safe) side
+function detectWeight(query) {
+    const match = query.match(/(\d+(?:\.\d+)?)\s*-?\s*(tonnes?|tons?|t|kg|lbs?|pounds)\b/);
+    if (!match) {
+        return null;
+    }
+    const value = Number(match[1]);
+    const unit = match[2];
+    if (unit === 'kg') {
+        return value / 1000;
+    }
+    if (/^(lbs?|pounds)$/.test(unit)) {
+        return Math.round(value * 0.45359237) / 1000;
+    }
+    return value;
+}
+
+// Local "YYYY-MM-DDThh:mm" for a time of day, on the next day if it has passed already
+export function formatRouteTime(hours, minutes, query, now) {
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (/\btomorrow\b/.test(query) || date < now) {
+        date.setDate(date.getDate() + 1);
+    }
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Departure or arrival time following one of the given verbs ("leave at 7:30am", "arrive by 9 pm")
+// Times are local to the user, which the Directions API reads as local to the origin
+function detectRouteTime(query, verbs, now) {
+    const iso = query.match(new RegExp(`\\b(?:${verbs})\\b[^\\d]{0,20}(\\d{4}-\\d{2}-\\d{2}t\\d{2}:\\d{2})`));
+    if (iso) {
+        return iso[1].toUpperCase();
+    }
+    const match = query.match(new RegExp(`\\b(?:${verbs})\\b[^\\d]{0,20}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?`));
+    if (!match || (!match[2] && !match[3])) {
+        return null;
+    }
+    let hours = Number(match[1]) % 12;
+    if (!match[3]) {
+        hours = Number(match[1]); // 24-hour clock
+    } else if (match[3].startsWith('p')) {
+        hours += 12;
+    }
+    const minutes = match[2] ? Number(match[2]) : 0;
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return formatRouteTime(hours, minutes, query, now);
+}
+
+// Detect routing constraints in a user query
+// Returns only the options found: { exclude, departAt, arriveBy, maxHeight, maxWidth, maxWeight, approach }
+export function detectRouteOptions(userMessage, now = new Date()) {
+    const query = userMessage.toLowerCase();
+    const options = {};
+    
+    // Avoidances: "avoid tolls and highways", "no ferries", "without motorways", "toll-free"
+    // A clause ends at the places ("avoiding tolls from Ferry Point" does not avoid ferries)
+    const exclude = new Set();
+    for (const clause of query.matchAll(/\b(?:avoid\w*|no|without|exclud\w*)\b(?:(?!\b(?:from|to|via|in|at)\b)[^.;]){0,40}/g)) {
+        AVOIDANCES.forEach(({ exclude: value, pattern }) => {
+            if (pattern.test(clause[0])) {
+                exclude.add(value);
+            }
+        });
+    }
+    if (/\btoll[- ]free\b/.test(query)) {
+        exclude.add('toll');
+    }
+    if (exclude.size > 0) {
+        options.exclude = [...exclude];
+    }
+    
+    const departAt = detectRouteTime(query, 'depart\\w*|leav\\w*|start\\w*', now);
+    if (departAt) {
+        options.departAt = departAt;
+    }
+    const arriveBy = detectRouteTime(query, 'arriv\\w*|be there', now);
+    if (arriveBy) {
+        options.arriveBy = arriveBy;
+    }
+    
+    const maxHeight = detectDimension(query, 'height|clearance', 'high|tall|clearance');
+    if (maxHeight) {
+        options.maxHeight = maxHeight;
+    }
+    const maxWidth = detectDimension(query, 'width', 'wide');
+    if (maxWidth) {
+        options.maxWidth = maxWidth;
+    }
+    const maxWeight = detectWeight(query);
+    if (maxWeight) {
+        options.maxWeight = maxWeight;
+    }
+    
+    // Approach side: stop on the curb side of the road at each destination
+    if (/\b(curb|kerb)\s*-?\s*side\b|\bright side of the road\b/.test(query)) {
+        options.approach = 'curb';
+    }
+    
+    return options;
+}
+
+// True if any routing constraint was detected
+export function hasRouteOptions(options) {
+    return Object.keys(options).length > 0;
+}
+
+// Directions API query parameters for route options, dropping those the profile does not support
+export function routeOptionParams(options, profile, waypointCount) {
+    const params = {};
+    const driving = profile === 'mapbox/driving' || profile === 'mapbox/driving-traffic';
+    
+    if (options.exclude && options.exclude.length > 0) {
+        // Walking supports no exclusions, cycling only ferries
+        const supported = options.exclude.filter(value => driving || (profile === 'mapbox/cycling' && value === 'ferry'));
+        if (supported.length < options.exclude.length) {
+            console.warn(`⚠️ ${profile} cannot avoid: ${options.exclude.filter(value => !supported.includes(value)).join(', ')}`);
+        }
+        if (supported.length > 0) {
+            params.exclude = supported.join(',');
+        }
+    }
+    
+    if (options.departAt) {
+        if (driving) {
+            params.depart_at = options.departAt;
+        } else {
+            console.warn(`⚠️ ${profile} does not support departure times`);
+        }
+    }
+    if (options.arriveBy) {
+        // Only the plain driving profile plans by arrival time
+        if (profile === 'mapbox/driving') {
+            params.arrive_by = options.arriveBy;
+        } else {
+            console.warn(`⚠️ ${profile} does not support arrival times`);
+        }
+    }
+    
+    Object.entries(VEHICLE_LIMITS).forEach(([option, limit]) => {
+        if (!options[option]) {
+            return;
+        }
+        if (!driving) {
+            console.warn(`⚠️ ${profile} ignores vehicle limits`);
+        } else if (options[option] > limit) {
+            console.warn(`⚠️ ${option} ${options[option]} is above the supported ${limit}`);
+        } else {
+            params[option.replace(/[A-Z]/, letter => `_${letter.toLowerCase()}`)] = options[option];
+        }
+    });
+    
+    if (options.approach) {
+        // The origin can be left in any direction
+        params.approaches = ['unrestricted', ...Array(waypointCount - 1).fill(options.approach)].join(';');
+    }
+    
+    return params;
+}
+
+// Index of the first coordinate equal to coord, at or after from (-1 if there is none)
+function findCoordinate(coordinates, coord, from) {
+    for (let index = from; index < coordinates.length; index++) {
+        if (coordinates[index][0] === coord[0] && coordinates[index][1] === coord[1]) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+// Keep what the directions panel needs from the route legs: maneuvers with their distance
+// Each step's geometry is kept as the [first, last] indexes of its part of the route coordinates
+// (the full route geometry joins the step geometries, sharing the point where one ends and the next starts)
+export function routeLegs(legs, coordinates) {
+    let cursor = 0;
+    return legs.map(leg => ({
+        summary: leg.summary || '',
+        distance: leg.distance,
+        duration: leg.duration,
+        steps: (leg.steps || []).map(step => {
+            const stepCoordinates = step.geometry.coordinates;
+            const first = Math.max(findCoordinate(coordinates, stepCoordinates[0], cursor), cursor);
+            const last = stepCoordinates[stepCoordinates.length - 1];
+            // Arrival steps repeat a single point
+            const expected = Math.min(first + stepCoordinates.length - 1, coordinates.length - 1);
+            const end = coordinates[expected][0] === last[0] && coordinates[expected][1] === last[1]
+                ? expected
+                : Math.max(findCoordinate(coordinates, last, first), first);
+            cursor = end;
+            return {
+                instruction: step.maneuver.instruction,
+                type: step.maneuver.type,
+                modifier: step.maneuver.modifier,
+                name: step.name,
+                distance: step.distance,
+                duration: step.duration,
+                range: [first, end]
+            };
+        })
+    }));
 }
 
 // Call Mapbox Directions API
-export async function callMapboxDirections(coordinates, profile = 'mapbox/driving-traffic') {
+// options are routing constraints from detectRouteOptions()
+// Resolves to the recommended route, with any alternative routes in routeData.alternatives
+export async function callMapboxDirections(coordinates, profile = 'mapbox/driving-traffic', options = {}) {
     try {
         // Format coordinates as semicolon-separated string: "lng1,lat1;lng2,lat2;..."
         const coordsString = coordinates.map(coord => `${coord[0]},${coord[1]}`).join(';');
         
+        // Arrival times are only supported without live traffic
+        if (options.arriveBy && profile === 'mapbox/driving-traffic') {
+            profile = 'mapbox/driving';
+        }
+        const params = routeOptionParams(options, profile, coordinates.length);
+        const optionsString = Object.entries(params).map(([key, value]) => `&${key}=${encodeURIComponent(value)}`).join('');
+        
         // Build URL
-        const url = `https://api.mapbox.com/directions/v5/${profile}/${coordsString}?geometries=geojson&overview=full&access_token=${MAPBOX_ACCESS_TOKEN}`;
+        // Alternatives are only returned for routes between two waypoints
+        const withAlternatives = coordinates.length === 2;
+        const url = `https://api.mapbox.com/directions/v5/${profile}/${coordsString}?geometries=geojson&overview=full&steps=true&alternatives=${withAlternatives}${optionsString}&access_token=${MAPBOX_ACCESS_TOKEN}`;
         
         console.log(`\n=== CALLING DIRECTIONS API ===`);
         console.log(`Profile: ${profile}`);
         console.log(`Coordinates: ${coordsString}`);
+        if (hasRouteOptions(params)) {
+            console.log(`Options: ${JSON.stringify(params)}`);
+        }
         
-        const response = await fetch(url);
-        const data = await response.json();
+        const { data } = await fetchJSONWithFixture('directions', { profile, coordinates: coordsString, alternatives: withAlternatives, steps: true, options: params }, url);
         
         if (data.code !== 'Ok') {
             console.error('Directions API error:', data.code, data.message);
@@ -75,20 +327,23 @@ export async function callMapboxDirections(coordinates, profile = 'mapbox/drivin
             return null;
         }
         
-        const route = data.routes[0];
-        const routeData = {
+        // First route is the recommended one, the rest are alternatives
+        const [routeData, ...alternatives] = data.routes.map(route => ({
             geometry: route.geometry,
             distance: route.distance,
             duration: route.duration,
             weight: route.weight,
             weight_name: route.weight_name,
-            legs: route.legs || []
-        };
+            legs: routeLegs(route.legs || [], route.geometry.coordinates),
+            profile: profile
+        }));
+        routeData.alternatives = alternatives;
         
         console.log(`\n=== ROUTE DATA ===`);
         console.log(`Distance: ${(routeData.distance / 1000).toFixed(2)} km`);
         console.log(`Duration: ${(routeData.duration / 60).toFixed(1)} minutes`);
         console.log(`Profile: ${profile}`);
+        console.log(`Alternatives: ${alternatives.length}`);
         
         return routeData;
     } catch (error) {
@@ -0,0 +1,137 @@
+import { FIXTURE_MODE } from '../config.js';
+
+// Record/replay layer for external API calls (LLM, Directions, Optimization, Matrix, Isochrone)
+// - 'off':    calls go straight to the network
+// - 'record': calls go to the network and each request/response pair is saved as a fixture
+// - 'replay': saved fixtures are served, the network is never touched
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+let fixtureMode = FIXTURE_MODES.includes(FIXTURE_MODE) ? FIXTURE_MODE : 'off';
+
+// Serialize a value with sorted object keys so equal requests always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// 53-bit string hash (cyrb53), returned as hex
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+// Fixture key for a request, e.g. "directions-0a1b2c3d4e5f60"
+export function getFixtureKey(kind, request) {
+    return `${kind}-${hashString(stableStringify({ kind, request }))}`;
+}
+
+// Default store: the Vite dev server fixture endpoint (writes to ./fixtures)
+const httpFixtureStore = {
+    load: async (key) => {
+        const response = await fetch(`/__fixtures/${key}`);
+        if (!response.ok) {
+            return null;
+        }
+        return response.json();
+    },
+    save: async (key, entry) => {
+        await fetch(`/__fixtures/${key}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry, null, 2)
+        });
+    }
+};
+
+// In-memory store (used by tests; seed it with fixtures loaded from disk)
+export function createMemoryFixtureStore(entries = {}) {
+    const fixtures = { ...entries };
+    return {
+        fixtures: fixtures,
+        load: async (key) => fixtures[key] || null,
+        save: async (key, entry) => {
+            fixtures[key] = entry;
+        }
+    };
+}
+
+let fixtureStore = httpFixtureStore;
+
+// Replace the fixture store (anything with async load(key) and save(key, entry))
+export function setFixtureStore(store) {
+    fixtureStore = store || httpFixtureStore;
+}
+
+// Get the current fixture mode
+export function getFixtureMode() {
+    return fixtureMode;
+}
+
+// Set the fixture mode ('off', 'record' or 'replay')
+export function setFixtureMode(mode) {
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`Unknown fixture mode: ${mode}`);
+    }
+    fixtureMode = mode;
+    console.log(`✅ Fixture mode set to ${mode}`);
+    return fixtureMode;
+}
+
+// Run an API call through the record/replay layer
+// `request` must describe the call fully (and must not contain secrets such as access tokens)
+export async function withFixture(kind, request, performRequest) {
+    if (fixtureMode === 'off') {
+        return performRequest();
+    }
+
+    const key = getFixtureKey(kind, request);
+
+    if (fixtureMode === 'replay') {
+        const entry = await fixtureStore.load(key);
+        if (!entry) {
+            throw new Error(`No recorded fixture for ${kind} request (${key})`);
+        }
+        console.log(`📼 Replaying fixture ${key}`);
+        return entry.response;
+    }
+
+    // Record mode
+    const response = await performRequest();
+    try {
+        await fixtureStore.save(key, {
+            kind: kind,
+            key: key,
+            request: request,
+            response: response,
+            recordedAt: new Date().toISOString()
+        });
+        console.log(`📼 Recorded fixture ${key}`);
+    } catch (error) {
+        console.error(`Failed to record fixture ${key}:`, error);
+    }
+    return response;
+}
+
+// Fetch JSON through the record/replay layer, returning { ok, status, data }
+// signal (optional AbortSignal) cancels the live request
+export function fetchJSONWithFixture(kind, request, url, signal = null) {
+    return withFixture(kind, request, async () => {
+        const response = await fetch(url, { signal });
+        const data = await response.json();
+        return { ok: response.ok, status: response.status, data: data };
+    });
+}
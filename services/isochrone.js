@@ -1,4 +1,6 @@
 import { MAPBOX_ACCESS_TOKEN } from '../config.js';
+import { fetchJSONWithFixture } from './fixtures.js';
+import { formatRouteTime } from './directions.js';
 
 // Detect travel mode from user query
 export function detectTravelMode(userMessage) {
@@ -28,6 +30,129 @@ export function detectTravelMode(userMessage) {
     return 'mapbox/driving-traffic';
 }
 
+// Display names of the isochrone profiles
+export const PROFILE_LABELS = {
+    'mapbox/walking': 'Walking',
+    'mapbox/cycling': 'Cycling',
+    'mapbox/driving': 'Driving',
+    'mapbox/driving-traffic': 'Driving (traffic)'
+};
+
+// Words for each travel mode; places named after a mode ("car park", "bike shop") are not travel modes
+const MODE_WORDS = {
+    'mapbox/walking': 'walk|walks|walking|pedestrian|hike|hikes|hiking|on\\s+foot',
+    'mapbox/cycling': 'bike|bikes|biking|bicycle|bicycling|cycle|cycles|cycling',
+    'mapbox/driving-traffic': 'drive|drives|driving|car|cars|vehicle'
+};
+const NOT_A_MODE = '(?!\\s+(park|parks|shop|shops|lot|lots|rental|hire|share|wash|dealer\\w*|lane|lanes|path|paths|rack|racks|station|stations|garage|showroom)\\b)';
+const COMPARISON_WORDS = 'vs\\.?|versus|or|and|than|compared\\s+(?:to|with)';
+
+// Is a travel mode used as one: "walking", "20 min bike", "by car", "can I walk", or joined to another
+// mode by comparison wording ("walk or drive", "than the walk zone")
+function mentionsTravelMode(query, words) {
+    const mode = `(?:${words})\\b${NOT_A_MODE}`;
+    return [
+        new RegExp(`\\b(?:walking|hiking|cycling|biking|bicycling|driving|on\\s+foot)\\b${NOT_A_MODE}`),
+        new RegExp(`\\b\\d+(?:\\.\\d+)?\\s*-?\\s*(?:min|mins|minute|minutes|hour|hours|hr|hrs|km|kilometers?|miles?|m|meters?)\\s+${mode}`),
+        new RegExp(`\\bby\\s+${mode}`),
+        new RegExp(`\\b(?:can|could)\\s+(?:i|we|you|people|they|someone)\\s+${mode}`),
+        new RegExp(`\\b(?:${COMPARISON_WORDS})\\s+(?:a\\s+|the\\s+|by\\s+)?${mode}`),
+        new RegExp(`\\b(?:${words})\\s+(?:zone\\s+|area\\s+)?(?:${COMPARISON_WORDS})\\b`)
+    ].some(pattern => pattern.test(query) && new RegExp(`\\b(?:${words})\\b`).test(query.match(pattern)[0]));
+}
+
+// Every travel mode a query asks for, in profile order ("20 min bike zone vs the walk zone")
+// "all modes" means every profile; driving "with and without traffic" gives both driving profiles
+export function detectTravelModes(userMessage) {
+    const query = userMessage.toLowerCase();
+    
+    if (/\b(all|every|each)\s+(travel\s+|transport\s+)?modes?\b/.test(query)) {
+        return Object.keys(PROFILE_LABELS);
+    }
+    
+    const modes = [];
+    if (mentionsTravelMode(query, MODE_WORDS['mapbox/walking'])) {
+        modes.push('mapbox/walking');
+    }
+    if (mentionsTravelMode(query, MODE_WORDS['mapbox/cycling'])) {
+        modes.push('mapbox/cycling');
+    }
+    const withoutTraffic = /\b(without|no)\s+traffic\b|\btypical\s+traffic\b/.test(query);
+    const withTraffic = /\bwith\s+(and\s+without\s+)?traffic\b|\b(live|current|rush\s+hour)\s+traffic\b/.test(query);
+    if (withoutTraffic) {
+        modes.push('mapbox/driving');
+    }
+    if ((mentionsTravelMode(query, MODE_WORDS['mapbox/driving-traffic']) || /\btraffic\b/.test(query)) && (!withoutTraffic || withTraffic)) {
+        modes.push('mapbox/driving-traffic');
+    }
+    return modes;
+}
+
+// Named times of day for departure comparisons (hours, minutes)
+const NAMED_TIMES = [
+    { pattern: /\bmorning\s+rush\b|(?<!evening\s)\brush\s+hour\b/, time: [8, 0] },
+    { pattern: /\bevening\s+rush(\s+hour)?\b/, time: [17, 30] },
+    { pattern: /\b(noon|midday)\b/, time: [12, 0] },
+    { pattern: /\bmidnight\b/, time: [0, 0] }
+];
+
+// Every departure time in a query ("at 8am and 11pm", "rush hour vs midnight") as local "YYYY-MM-DDThh:mm"
+// Clock times need am/pm or minutes, so "20 min" or "15 minute" are not read as times
+export function detectDepartureTimes(userMessage, now = new Date()) {
+    const query = userMessage.toLowerCase();
+    const times = [];
+    
+    for (const match of query.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?![\w:])/g)) {
+        if (!match[2] && !match[3]) {
+            continue;
+        }
+        let hours = Number(match[1]);
+        if (match[3]) {
+            hours = hours % 12 + (match[3].startsWith('p') ? 12 : 0);
+        }
+        const minutes = match[2] ? Number(match[2]) : 0;
+        if (hours <= 23 && minutes <= 59) {
+            times.push({ index: match.index, time: [hours, minutes] });
+        }
+    }
+    NAMED_TIMES.forEach(({ pattern, time }) => {
+        const match = query.match(pattern);
+        if (match) {
+            times.push({ index: match.index, time });
+        }
+    });
+    
+    // In the order they were mentioned, without duplicates
+    const formatted = times.sort((a, b) => a.index - b.index)
+        .map(({ time }) => formatRouteTime(time[0], time[1], query, now));
+    return [...new Set(formatted)];
+}
+
+// Isochrone variants to compare from one origin: several departure times (driving with traffic)
+// or several travel modes. Returns [{ label, profile, departAt }], empty if there is nothing to compare
+export function isochroneVariants(userMessage, now = new Date()) {
+    const departureTimes = detectDepartureTimes(userMessage, now);
+    const modes = detectTravelModes(userMessage);
+    if (departureTimes.length > 1) {
+        // Only live traffic changes with the time of day
+        if (modes.length > 0 && !modes.includes('mapbox/driving-traffic')) {
+            console.warn(`⚠️ Departure times only affect driving with traffic, not ${modes.map(mode => PROFILE_LABELS[mode]).join('/')}`);
+            return [];
+        }
+        return departureTimes.map(departAt => ({
+            label: `Driving at ${departAt.slice(11)}`,
+            profile: 'mapbox/driving-traffic',
+            departAt
+        }));
+    }
+    
+    if (modes.length > 1) {
+        return modes.map(profile => ({ label: PROFILE_LABELS[profile], profile, departAt: null }));
+    }
+    
+    return [];
+}
+
 // Convert distance units to meters
 export function convertToMeters(value, unit) {
     const unitLower = unit.toLowerCase();
@@ -95,7 +220,33 @@ export function extractDistanceValues(query) {
     return [...new Set(distances)].sort((a, b) => a - b).slice(0, 4); // Max 4 contours
 }
 
+// Parse contour values typed in the legend editor ("10, 20 30") - minutes for time, km for distance
+// Returns sorted values in API units (minutes or meters); throws if any value is invalid
+export function parseContourValues(text, metric) {
+    const values = text.split(/[\s,;]+/).filter(Boolean).map(value => {
+        const number = Number(value);
+        const apiValue = metric === 'time' ? number : Math.round(number * 1000);
+        const max = metric === 'time' ? 60 : 100000;
+        if (!Number.isFinite(number) || apiValue <= 0 || apiValue > max || (metric === 'time' && !Number.isInteger(number))) {
+            throw new Error(metric === 'time'
+                ? `Invalid contour "${value}" (use whole minutes, 1 to 60)`
+                : `Invalid contour "${value}" (use up to 100 km)`);
+        }
+        return apiValue;
+    });
+    
+    const unique = [...new Set(values)].sort((a, b) => a - b);
+    if (unique.length === 0) {
+        throw new Error('Enter at least one contour value');
+    }
+    if (unique.length > 4) {
+        throw new Error('At most 4 contours');
+    }
+    return unique;
+}
+
 // Call Mapbox Isochrone API
+// options.signal (optional AbortSignal) cancels the request, which then rejects with an AbortError
 export async function callMapboxIsochrone(coordinates, options = {}) {
     try {
         const {
@@ -104,8 +255,10 @@ export async function callMapboxIsochrone(coordinates, options = {}) {
             contoursMeters = null,
             polygons = true,
             contoursColors = null,
+            departAt = null,
             denoise = 1.0,
-            generalize = 0
+            generalize = 0,
+            signal = null
         } = options;
         
         // Validate: must have either contoursMinutes or contoursMeters
@@ -140,10 +293,18 @@ export async function callMapboxIsochrone(coordinates, options = {}) {
             url += `&generalize=${generalize}`;
         }
         
+        // Departure time (local to the origin) only affects profiles with traffic
+        if (departAt) {
+            url += `&depart_at=${departAt}`;
+        }
+        
         if (contoursColors && contoursColors.length > 0) {
             url += `&contours_colors=${contoursColors.join(',')}`;
         }
         
+        // Fixture key is the URL without the access token
+        const fixtureRequest = { profile, url };
+        
         url += `&access_token=${MAPBOX_ACCESS_TOKEN}`;
         
         console.log(`\n=== CALLING ISOCHRONE API ===`);
@@ -152,8 +313,8 @@ export async function callMapboxIsochrone(coordinates, options = {}) {
         console.log(`Contours: ${contoursMinutes ? contoursMinutes.join(',') + ' min' : contoursMeters.join(',') + ' m'}`);
         console.log(`URL: ${url}`);
         
-        const response = await fetch(url);
-        const data = await response.json();
+        const response = await fetchJSONWithFixture('isochrone', fixtureRequest, url, signal);
+        const data = response.data;
         
         if (!response.ok) {
             console.error('Isochrone API error:', data);
@@ -173,8 +334,13 @@ export async function callMapboxIsochrone(coordinates, options = {}) {
             console.log(`  ${index + 1}. ${contour} ${metric}`);
         });
         
-        return data;
+        // Request options go along so the isochrone can be fetched again with other contours
+        return { ...data, profile, request: { departAt, denoise, generalize } };
     } catch (error) {
+        // Cancelled by the caller, not a failed request
+        if (error.name === 'AbortError') {
+            throw error;
+        }
         console.error('Error calling Isochrone API:', error);
         return null;
     }
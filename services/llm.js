@@ -0,0 +1,196 @@
+import { LLM_PROVIDER, LLM_BASE_URL, LLM_MODEL, LLM_API_KEY, PERPLEXITY_API_KEY } from '../config.js';
+import { parseCoordinates } from '../utils/coordinateParser.js';
+import { withFixture } from './fixtures.js';
+
+// Normalize a prompt string or message array into chat messages
+function toMessages(promptOrMessages) {
+    return Array.isArray(promptOrMessages)
+        ? promptOrMessages
+        : [{ role: 'user', content: promptOrMessages }];
+}
+
+// Normalize an OpenAI-style chat completion response (Perplexity uses the same shape)
+function normalizeChatResponse(data) {
+    return {
+        content: data.choices?.[0]?.message?.content || '',
+        citations: data.citations || [],
+        searchResults: data.search_results || [],
+        usage: data.usage || {},
+        metadata: {
+            id: data.id,
+            model: data.model,
+            created: data.created,
+            object: data.object
+        }
+    };
+}
+
+// POST to a chat completions endpoint and normalize the result
+async function postChatCompletion(url, apiKey, model, messages, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+            model: model,
+            messages: messages
+        }),
+        signal: signal
+    });
+
+    // Servers and proxies can answer errors with HTML or plain text, so the body is only parsed when it is JSON
+    const body = await response.text();
+    let data = null;
+    try {
+        data = JSON.parse(body);
+    } catch (error) {
+        // Not JSON - reported below
+    }
+
+    if (!response.ok) {
+        const detail = data?.error?.message || data?.message || body.trim().slice(0, 200);
+        throw new Error(`LLM API error (${response.status})${detail ? `: ${detail}` : ''}`);
+    }
+    if (!data) {
+        throw new Error(`LLM API returned invalid JSON (${response.status})`);
+    }
+
+    return normalizeChatResponse(data);
+}
+
+// Perplexity adapter (hosted, web-grounded)
+const perplexityProvider = {
+    name: 'perplexity',
+    complete: (messages, { signal } = {}) => postChatCompletion(
+        'https://api.perplexity.ai/chat/completions',
+        LLM_API_KEY || PERPLEXITY_API_KEY,
+        LLM_MODEL || 'sonar',
+        messages,
+        signal
+    )
+};
+
+// OpenAI-compatible adapter (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+const openAICompatibleProvider = {
+    name: 'openai',
+    complete: (messages, { signal } = {}) => postChatCompletion(
+        `${(LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`,
+        LLM_API_KEY,
+        LLM_MODEL || 'gpt-4o-mini',
+        messages,
+        signal
+    )
+};
+
+// Canned responses for the mock provider: [{ match: RegExp | string, response: string }]
+let mockResponses = [];
+
+// Register canned mock responses (checked in order before the built-in rules)
+export function setMockResponses(responses) {
+    mockResponses = responses || [];
+}
+
+// Deterministic answer for a prompt, used by the mock provider
+function mockAnswer(prompt) {
+    const canned = mockResponses.find(({ match }) =>
+        typeof match === 'string' ? prompt.includes(match) : match.test(prompt)
+    );
+    if (canned) {
+        return canned.response;
+    }
+
+    const lower = prompt.toLowerCase();
+
+    // Planning prompts
+    if (lower.includes('respond with: "single" or "multiple"')) {
+        return 'single';
+    }
+    if (lower.includes('respond with: "two" or "multiple"')) {
+        return 'two';
+    }
+
+    // Reflection prompts
+    if (lower.includes('respond with: "good"')) {
+        return 'good';
+    }
+
+    // Radius prompts
+    if (lower.includes('numeric value in kilometers')) {
+        return '5';
+    }
+
+    // Extraction prompts: echo back whatever coordinates the prompt contains
+    const jsonContractIndex = prompt.indexOf('Return ONLY JSON');
+    const coordinates = parseCoordinates(jsonContractIndex === -1 ? prompt : prompt.slice(0, jsonContractIndex));
+    const places = coordinates === 'none' ? [] : coordinates.split(' | ').map((pair, index) => {
+        const [lat, lon] = pair.split(',').map(Number);
+        return { name: `Location ${index + 1}`, lat, lon, confidence: 1, source: null };
+    });
+
+    if (prompt.includes('{"origins":')) {
+        // First location is the origin, the rest are destinations
+        return JSON.stringify({ origins: places.slice(0, 1), destinations: places.slice(1) });
+    }
+    if (prompt.includes('{"polygons":')) {
+        return JSON.stringify({ polygons: places.length >= 3 ? [{ name: 'Polygon', places }] : [] });
+    }
+    if (prompt.includes('{"places":')) {
+        return JSON.stringify({ places });
+    }
+    return coordinates;
+}
+
+// Offline mock adapter - no network, same input always gives the same output
+const mockProvider = {
+    name: 'mock',
+    complete: async (messages, { signal } = {}) => {
+        if (signal?.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        const content = mockAnswer(lastUserMessage ? lastUserMessage.content : '');
+
+        return {
+            content: content,
+            citations: [],
+            searchResults: [],
+            usage: {},
+            metadata: { id: 'mock', model: 'mock', created: 0, object: 'chat.completion' }
+        };
+    }
+};
+
+const providers = {
+    perplexity: perplexityProvider,
+    openai: openAICompatibleProvider,
+    mock: mockProvider
+};
+
+let activeProvider = providers[LLM_PROVIDER] || perplexityProvider;
+
+// Get the active LLM provider
+export function getLLMProvider() {
+    return activeProvider;
+}
+
+// Switch the active LLM provider by name ('perplexity', 'openai' or 'mock')
+export function setLLMProvider(name) {
+    if (!providers[name]) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    activeProvider = providers[name];
+    console.log(`✅ LLM provider set to ${name}`);
+    return activeProvider;
+}
+
+// Call the active LLM provider, returning the full normalized response
+// Goes through the record/replay layer (keyed by the messages only, so fixtures replay on any provider)
+export async function callLLM(promptOrMessages, options = {}) {
+    const messages = toMessages(promptOrMessages);
+    return withFixture('llm', { messages }, () => activeProvider.complete(messages, options));
+}
@@ -0,0 +1,88 @@
+import { MAPBOX_ACCESS_TOKEN } from '../config.js';
+import { fetchJSONWithFixture } from './fixtures.js';
+
+// Matrix API limit on coordinates per request (live traffic allows fewer)
+const MAX_MATRIX_COORDINATES = 25;
+const MAX_TRAFFIC_MATRIX_COORDINATES = 10;
+
+// Most coordinates (origins + destinations) in one Matrix API request for a profile
+export function matrixCoordinateLimit(profile) {
+    return profile === 'mapbox/driving-traffic' ? MAX_TRAFFIC_MATRIX_COORDINATES : MAX_MATRIX_COORDINATES;
+}
+
+// Split destinations into [start, end) ranges so each request stays within the coordinate limit
+// Every request carries all origins
+export function matrixChunks(originCount, destinationCount, profile) {
+    const limit = matrixCoordinateLimit(profile);
+    const perRequest = limit - originCount;
+    if (perRequest < 1) {
+        throw new Error(`Too many origins: ${originCount} (at most ${limit - 1} for ${profile})`);
+    }
+
+    const chunks = [];
+    for (let start = 0; start < destinationCount; start += perRequest) {
+        chunks.push([start, Math.min(start + perRequest, destinationCount)]);
+    }
+    return chunks;
+}
+
+// Call Mapbox Matrix API for travel times and distances from every origin to every destination
+// origins and destinations are [lng, lat] arrays
+// Resolves to { durations, distances, profile } - rows are origins, columns destinations,
+// seconds and meters (null where no route was found), or null if a request failed
+// options: departAt (local "YYYY-MM-DDThh:mm", live traffic only) and signal (AbortSignal, rejects with an AbortError)
+export async function callMapboxMatrix(origins, destinations, profile = 'mapbox/driving-traffic', options = {}) {
+    const { departAt = null, signal = null } = options;
+    try {
+        // Live traffic leaves no room for destinations once there are this many origins
+        if (profile === 'mapbox/driving-traffic' && origins.length >= MAX_TRAFFIC_MATRIX_COORDINATES) {
+            console.log(`${origins.length} origins exceed the live traffic limit, using typical traffic (mapbox/driving)`);
+            profile = 'mapbox/driving';
+        }
+        // Departure times only apply to live traffic
+        const departure = profile === 'mapbox/driving-traffic' ? departAt : null;
+
+        const durations = origins.map(() => []);
+        const distances = origins.map(() => []);
+
+        for (const [start, end] of matrixChunks(origins.length, destinations.length, profile)) {
+            const coordinates = [...origins, ...destinations.slice(start, end)];
+            // Format coordinates as semicolon-separated string: "lng1,lat1;lng2,lat2;..."
+            const coordsString = coordinates.map(coord => `${coord[0]},${coord[1]}`).join(';');
+            const sources = origins.map((_, index) => index).join(';');
+            const targets = destinations.slice(start, end).map((_, index) => origins.length + index).join(';');
+
+            let url = `https://api.mapbox.com/directions-matrix/v1/${profile}/${coordsString}?sources=${sources}&destinations=${targets}&annotations=duration,distance`;
+            if (departure) {
+                url += `&depart_at=${departure}`;
+            }
+            url += `&access_token=${MAPBOX_ACCESS_TOKEN}`;
+
+            console.log(`\n=== CALLING MATRIX API ===`);
+            console.log(`Profile: ${profile}`);
+            console.log(`Coordinates: ${coordsString}`);
+
+            const { data } = await fetchJSONWithFixture('matrix', { profile, coordinates: coordsString, sources, destinations: targets, departAt: departure || undefined }, url, signal);
+
+            if (data.code !== 'Ok') {
+                console.error('Matrix API error:', data.code, data.message);
+                return null;
+            }
+
+            data.durations.forEach((row, originIndex) => durations[originIndex].push(...row));
+            data.distances.forEach((row, originIndex) => distances[originIndex].push(...row));
+        }
+
+        console.log(`\n=== MATRIX DATA ===`);
+        console.log(`${origins.length} origin(s) x ${destinations.length} destination(s)`);
+
+        return { durations, distances, profile };
+    } catch (error) {
+        // Cancelled by the caller, not a failed request
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        console.error('Error calling Matrix API:', error);
+        return null;
+    }
+}
@@ -0,0 +1,161 @@
+import { MAPBOX_ACCESS_TOKEN } from '../config.js';
+import { fetchJSONWithFixture } from './fixtures.js';
+import { callMapboxDirections, routeLegs } from './directions.js';
+import { haversineDistance } from '../utils/elevationHelpers.js';
+
+// Optimization API limit on coordinates per request
+const MAX_OPTIMIZATION_STOPS = 12;
+
+// Detect how a multi-stop trip starts and ends from user query
+// The start is always the first place; roundtrip returns there, fixedEnd ends at the last place
+export function detectTripEnds(userMessage) {
+    const query = userMessage.toLowerCase();
+
+    const roundtrip = /\b(start(ing)?\s+and\s+end(ing)?|round[\s-]?trip|loop|and\s+back|back\s+to|return(ing)?\s+to)\b/.test(query);
+    const fixedEnd = !roundtrip && /\b(end(ing)?|finish(ing)?|final\s+stop)\s+(at|in)\b/.test(query);
+
+    return { roundtrip, fixedEnd };
+}
+
+// Length in km of stops visited in order (closing the loop for roundtrips)
+function tourLength(order, distances, roundtrip) {
+    let length = 0;
+    for (let i = 1; i < order.length; i++) {
+        length += distances[order[i - 1]][order[i]];
+    }
+    if (roundtrip && order.length > 1) {
+        length += distances[order[order.length - 1]][order[0]];
+    }
+    return length;
+}
+
+// Local stop order: nearest neighbor from the first stop, improved with 2-opt
+// Returns input indexes in visit order, starting with 0 (and ending with the last index if fixedEnd)
+export function optimizeStopOrder(coordinates, { roundtrip = false, fixedEnd = false } = {}) {
+    const count = coordinates.length;
+    const distances = coordinates.map(from => coordinates.map(to => haversineDistance(from, to)));
+
+    // Nearest neighbor tour
+    const order = [0];
+    const remaining = new Set(coordinates.map((_, index) => index).slice(1, fixedEnd ? count - 1 : count));
+    while (remaining.size > 0) {
+        const current = order[order.length - 1];
+        let nearest = null;
+        remaining.forEach(index => {
+            if (nearest === null || distances[current][index] < distances[current][nearest]) {
+                nearest = index;
+            }
+        });
+        order.push(nearest);
+        remaining.delete(nearest);
+    }
+    if (fixedEnd && count > 1) {
+        order.push(count - 1);
+    }
+
+    // 2-opt: reverse segments while that shortens the tour (the start, and a fixed end, stay put)
+    const lastMovable = fixedEnd ? count - 2 : count - 1;
+    let bestLength = tourLength(order, distances, roundtrip);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < lastMovable; i++) {
+            for (let k = i + 1; k <= lastMovable; k++) {
+                const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+                const length = tourLength(candidate, distances, roundtrip);
+                if (length < bestLength - 1e-9) {
+                    order.splice(0, count, ...candidate);
+                    bestLength = length;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return order;
+}
+
+// Call Mapbox Optimization API
+// Resolves to the optimized trip as route data, with order holding the input indexes in visit order
+export async function callMapboxOptimization(coordinates, profile = 'mapbox/driving-traffic', { roundtrip = true } = {}) {
+    try {
+        // Format coordinates as semicolon-separated string: "lng1,lat1;lng2,lat2;..."
+        const coordsString = coordinates.map(coord => `${coord[0]},${coord[1]}`).join(';');
+
+        // Open trips are only supported from the first to the last stop
+        const destination = roundtrip ? 'any' : 'last';
+        const url = `https://api.mapbox.com/optimized-trips/v1/${profile}/${coordsString}?geometries=geojson&overview=full&steps=true&roundtrip=${roundtrip}&source=first&destination=${destination}&access_token=${MAPBOX_ACCESS_TOKEN}`;
+
+        console.log(`\n=== CALLING OPTIMIZATION API ===`);
+        console.log(`Profile: ${profile}`);
+        console.log(`Coordinates: ${coordsString}`);
+        console.log(`Roundtrip: ${roundtrip}`);
+
+        const { data } = await fetchJSONWithFixture('optimization', { profile, coordinates: coordsString, roundtrip, destination }, url);
+
+        if (data.code !== 'Ok') {
+            console.error('Optimization API error:', data.code, data.message);
+            return null;
+        }
+
+        if (!data.trips || data.trips.length === 0) {
+            console.error('No trips found');
+            return null;
+        }
+
+        // waypoints are in input order, each with its position in the trip
+        const order = data.waypoints
+            .map((waypoint, index) => ({ index, position: waypoint.waypoint_index }))
+            .sort((a, b) => a.position - b.position)
+            .map(waypoint => waypoint.index);
+
+        const trip = data.trips[0];
+        const routeData = {
+            geometry: trip.geometry,
+            distance: trip.distance,
+            duration: trip.duration,
+            weight: trip.weight,
+            weight_name: trip.weight_name,
+            legs: routeLegs(trip.legs || [], trip.geometry.coordinates),
+            profile: profile,
+            order: order
+        };
+
+        console.log(`\n=== TRIP DATA ===`);
+        console.log(`Order: ${order.join(' → ')}`);
+        console.log(`Distance: ${(routeData.distance / 1000).toFixed(2)} km`);
+        console.log(`Duration: ${(routeData.duration / 60).toFixed(1)} minutes`);
+
+        return routeData;
+    } catch (error) {
+        console.error('Error calling Optimization API:', error);
+        return null;
+    }
+}
+
+// Find the best order to visit stops (the first stop is the start) and route them
+// Uses the Optimization API when it can, otherwise orders stops locally and routes them with the Directions API
+// Routing constraints are only supported by the Directions API, so constrained trips are always ordered locally
+// Resolves to { order, routeData } - routeData is null if no road route could be found
+export async function optimizeStops(coordinates, profile, { roundtrip, fixedEnd }, routeOptions = {}) {
+    // Without a fixed end the API cannot leave the last stop open
+    const useApi = (roundtrip || fixedEnd) &&
+        coordinates.length <= MAX_OPTIMIZATION_STOPS &&
+        Object.keys(routeOptions).length === 0;
+
+    if (useApi) {
+        const routeData = await callMapboxOptimization(coordinates, profile, { roundtrip });
+        if (routeData) {
+            return { order: routeData.order, routeData };
+        }
+        console.log('Optimization API failed, ordering stops locally');
+    } else {
+        console.log(`Ordering ${coordinates.length} stops locally (nearest neighbor + 2-opt)`);
+    }
+
+    const order = optimizeStopOrder(coordinates, { roundtrip, fixedEnd });
+    const ordered = order.map(index => coordinates[index]);
+    const routeData = await callMapboxDirections(roundtrip ? [...ordered, ordered[0]] : ordered, profile, routeOptions);
+
+    return { order, routeData };
+}
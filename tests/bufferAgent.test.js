@@ -0,0 +1,32 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { extractBuffer } from '../agents/bufferAgent.js';
+import { displayBufferOnMap } from '../utils/mapDisplay.js';
+
+// The agent is checked up to what it hands to the map
+vi.mock('../utils/mapDisplay.js', () => ({
+    displayBufferOnMap: vi.fn(),
+    displayMultipleBuffersOnMap: vi.fn()
+}));
+vi.mock('../utils/commands.js', () => ({
+    getSelectedFeature: () => null
+}));
+
+beforeEach(() => {
+    vi.clearAllMocks();
+});
+
+describe('extractBuffer', () => {
+    it.each([
+        ['North Pole', 'The North Pole is at 90.0000, 0.0000.', 90],
+        ['South Pole', 'The South Pole is at -90.0000, 0.0000.', -90]
+    ])('buffers the %s', async (place, aiMessage, lat) => {
+        await extractBuffer(`1000km buffer around the ${place}`, aiMessage, { type: 'buffer', subtype: 'single' }, null);
+
+        expect(displayBufferOnMap).toHaveBeenCalledTimes(1);
+        const buffer = displayBufferOnMap.mock.calls[0][0];
+        expect(buffer.center).toEqual([0, lat]);
+        expect(buffer.radius).toBe(1000);
+        // Polar cap: a single ring closed over the pole
+        expect(buffer.geometry.type).toBe('Polygon');
+    });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect } from 'vitest';
+import {
+    destinationPoint, generateCircle, generateCircleGeometry, circleAreaKm2,
+    bufferLine, bufferPolygon, unionGeometries, intersectGeometries, differenceGeometries, geometryAreaKm2
+} from '../utils/bufferGenerator.js';
+import { haversineDistance } from '../utils/elevationHelpers.js';
+
+// All [lon, lat] points of a Polygon or MultiPolygon
+function geometryPoints(geometry) {
+    return geometry.type === 'Polygon' ? geometry.coordinates.flat() : geometry.coordinates.flat(2);
+}
+
+describe('destinationPoint', () => {
+    it('moves one degree north along a meridian', () => {
+        const [lon, lat] = destinationPoint([10, 0], haversineDistance([0, 0], [0, 1]), 0);
+        expect(lon).toBeCloseTo(10, 9);
+        expect(lat).toBeCloseTo(1, 9);
+    });
+
+    it('lands exactly the requested distance away', () => {
+        const start = [-74.006, 40.7128];
+        [0, 45, 135, 200, 315].forEach(bearing => {
+            expect(haversineDistance(start, destinationPoint(start, 750, bearing))).toBeCloseTo(750, 6);
+        });
+    });
+});
+
+describe('generateCircle', () => {
+    it('returns a closed ring of numPoints + 1 points', () => {
+        const ring = generateCircle([30.3165, 78.0322], 10, 32);
+        expect(ring).toHaveLength(33);
+        expect(ring[0][0]).toBeCloseTo(ring[32][0], 9);
+        expect(ring[0][1]).toBeCloseTo(ring[32][1], 9);
+    });
+
+    it('keeps every point at the radius, even at high latitude and large radius', () => {
+        const center = [69.6492, 18.9553]; // Tromsø
+        generateCircle(center, 800).forEach(point => {
+            expect(haversineDistance([center[1], center[0]], point)).toBeCloseTo(800, 6);
+        });
+    });
+});
+
+describe('circleAreaKm2', () => {
+    it('matches πr² for small circles', () => {
+        expect(circleAreaKm2(10)).toBeCloseTo(Math.PI * 100, 2);
+    });
+
+    it('is smaller than πr² for large circles on the sphere', () => {
+        expect(circleAreaKm2(2000)).toBeLessThan(Math.PI * 2000 * 2000);
+    });
+});
+
+describe('generateCircleGeometry', () => {
+    it('returns a single polygon away from the antimeridian and poles', () => {
+        const geometry = generateCircleGeometry([48.8566, 2.3522], 500);
+        expect(geometry.type).toBe('Polygon');
+        expect(geometry.coordinates).toHaveLength(1);
+    });
+
+    it('splits circles crossing the antimeridian into two parts within ±180°', () => {
+        const geometry = generateCircleGeometry([-17.7134, 178.065], 500); // Fiji
+        expect(geometry.type).toBe('MultiPolygon');
+        expect(geometry.coordinates).toHaveLength(2);
+
+        const points = geometryPoints(geometry);
+        points.forEach(([lon]) => {
+            expect(lon).toBeGreaterThanOrEqual(-180);
+            expect(lon).toBeLessThanOrEqual(180);
+        });
+        expect(points.some(([lon]) => lon === 180)).toBe(true);
+        expect(points.some(([lon]) => lon === -180)).toBe(true);
+    });
+
+    it('closes a circle containing the north pole along the pole', () => {
+        const geometry = generateCircleGeometry([85, 30], 1000);
+        expect(geometry.type).toBe('Polygon');
+
+        const points = geometryPoints(geometry);
+        expect(points.some(([, lat]) => lat === 90)).toBe(true);
+        points.forEach(([lon]) => {
+            expect(Math.abs(lon)).toBeLessThanOrEqual(180);
+        });
+    });
+
+    it('closes a circle containing the south pole along the pole', () => {
+        const geometry = generateCircleGeometry([-80, -60], 1500);
+        const points = geometryPoints(geometry);
+        expect(points.some(([, lat]) => lat === -90)).toBe(true);
+        expect(points.some(([, lat]) => lat === 90)).toBe(false);
+    });
+
+    it('cuts the antipodal circle out of the world when both poles are covered', () => {
+        const geometry = generateCircleGeometry([0, 0], 15000);
+        expect(geometry.type).toBe('Polygon');
+        expect(geometry.coordinates.length).toBeGreaterThan(1); // World ring + hole(s)
+    });
+
+    it('covers the whole world past half the circumference', () => {
+        const geometry = generateCircleGeometry([0, 0], 25000);
+        expect(geometry.coordinates).toHaveLength(1);
+        expect(geometry.coordinates[0]).toContainEqual([180, 90]);
+    });
+});
+
+describe('geometryAreaKm2', () => {
+    it('matches the spherical cap area of a dense circle', () => {
+        expect(geometryAreaKm2(generateCircleGeometry([40, -74], 10, 256))).toBeCloseTo(circleAreaKm2(10), 0);
+    });
+
+    it('subtracts holes', () => {
+        const outer = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+        const hole = [[0.25, 0.25], [0.25, 0.75], [0.75, 0.75], [0.75, 0.25], [0.25, 0.25]];
+        const full = geometryAreaKm2({ type: 'Polygon', coordinates: [outer] });
+        const holed = geometryAreaKm2({ type: 'Polygon', coordinates: [outer, hole] });
+        expect(holed).toBeCloseTo(full * 0.75, -1);
+    });
+});
+
+describe('bufferLine', () => {
+    const line = [[0, 0], [0.5, 0]]; // ~55.6 km along the equator
+
+    it('builds a corridor with round caps', () => {
+        const geometry = bufferLine(line, 2);
+        const lengthKm = haversineDistance(line[0], line[1]);
+        expect(geometry.type).toBe('Polygon');
+        expect(geometryAreaKm2(geometry)).toBeCloseTo(lengthKm * 4 + Math.PI * 4, -1);
+    });
+
+    it('keeps every vertex of the corridor at least the buffer distance from the line', () => {
+        const geometry = bufferLine(line, 2);
+        geometry.coordinates[0].forEach(([lon, lat]) => {
+            const nearest = lon < 0 ? line[0] : lon > 0.5 ? line[1] : [lon, 0];
+            expect(haversineDistance(nearest, [lon, lat])).toBeGreaterThan(1.95);
+        });
+    });
+
+    it('unions overlapping pieces of a winding route into one polygon', () => {
+        const zigzag = [[0, 0], [0.05, 0.01], [0, 0.02], [0.05, 0.03]];
+        expect(bufferLine(zigzag, 1).type).toBe('Polygon');
+    });
+
+    it('rejects negative distances', () => {
+        expect(() => bufferLine(line, -1)).toThrow();
+    });
+});
+
+describe('bufferPolygon', () => {
+    const square = [[0, 0], [0.1, 0], [0.1, 0.1], [0, 0.1], [0, 0]]; // ~11.1 km square
+
+    it('grows a polygon by the buffer distance', () => {
+        const side = haversineDistance([0, 0], [0.1, 0]);
+        const area = geometryAreaKm2(bufferPolygon([square], 1));
+        // Square grown by 1 km on every side, with rounded corners
+        expect(area).toBeCloseTo((side + 2) ** 2 - (4 - Math.PI), -1);
+    });
+
+    it('insets a polygon with a negative distance', () => {
+        const side = haversineDistance([0, 0], [0.1, 0]);
+        const area = geometryAreaKm2(bufferPolygon([square], -1));
+        expect(area).toBeCloseTo((side - 2) ** 2, -1);
+    });
+
+    it('returns null when the inset removes the whole polygon', () => {
+        expect(bufferPolygon([square], -10)).toBeNull();
+    });
+
+    it('accepts open rings', () => {
+        expect(bufferPolygon([square.slice(0, -1)], 1).type).toBe('Polygon');
+    });
+});
+
+describe('unionGeometries', () => {
+    it('merges overlapping buffers into one polygon', () => {
+        const a = generateCircleGeometry([0, 0], 10);
+        const b = generateCircleGeometry([0, 0.1], 10);
+        const union = unionGeometries([a, b]);
+        expect(union.type).toBe('Polygon');
+        expect(geometryAreaKm2(union)).toBeLessThan(geometryAreaKm2(a) + geometryAreaKm2(b));
+    });
+
+    it('keeps disjoint buffers as a MultiPolygon', () => {
+        const union = unionGeometries([generateCircleGeometry([0, 0], 10), generateCircleGeometry([0, 5], 10)]);
+        expect(union.type).toBe('MultiPolygon');
+    });
+});
+
+describe('intersectGeometries', () => {
+    it('keeps only the area shared by every geometry', () => {
+        const a = generateCircleGeometry([0, 0], 10);
+        const b = generateCircleGeometry([0, 0.1], 10);
+        const overlap = intersectGeometries([a, b]);
+        expect(overlap.type).toBe('Polygon');
+        expect(geometryAreaKm2(overlap)).toBeLessThan(geometryAreaKm2(a));
+        expect(geometryAreaKm2(overlap)).toBeCloseTo(
+            geometryAreaKm2(a) + geometryAreaKm2(b) - geometryAreaKm2(unionGeometries([a, b])), 3);
+    });
+
+    it('returns null for geometries that do not overlap', () => {
+        expect(intersectGeometries([generateCircleGeometry([0, 0], 10), generateCircleGeometry([0, 5], 10)])).toBeNull();
+    });
+});
+
+describe('differenceGeometries', () => {
+    it('subtracts every following geometry from the first', () => {
+        const outer = generateCircleGeometry([0, 0], 10);
+        const inner = generateCircleGeometry([0, 0], 5);
+        const ring = differenceGeometries([outer, inner]);
+        expect(ring.coordinates).toHaveLength(2); // outer ring and one hole
+        expect(geometryAreaKm2(ring)).toBeCloseTo(geometryAreaKm2(outer) - geometryAreaKm2(inner), 3);
+    });
+
+    it('returns null when nothing is left', () => {
+        const small = generateCircleGeometry([0, 0], 5);
+        expect(differenceGeometries([small, generateCircleGeometry([0, 0], 10)])).toBeNull();
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { catchmentRadiusKm, catchmentGridSize, catchmentGrid, catchmentFeatures, callMapboxCatchment } from '../services/catchment.js';
+import { matrixCoordinateLimit } from '../services/matrix.js';
+import { geometryAreaKm2 } from '../utils/bufferGenerator.js';
+import { haversineDistance } from '../utils/elevationHelpers.js';
+
+const DESTINATION = [2.3522, 48.8566];
+
+describe('catchmentRadiusKm', () => {
+    it('bounds time contours by a generous speed for the profile', () => {
+        expect(catchmentRadiusKm('mapbox/walking', [10, 30], null)).toBeCloseTo(3);
+        expect(catchmentRadiusKm('mapbox/driving', [15], null)).toBeCloseTo(32.5);
+    });
+
+    it('uses the largest distance contour as is', () => {
+        expect(catchmentRadiusKm('mapbox/cycling', null, [2000, 5000])).toBe(5);
+    });
+});
+
+describe('catchmentGridSize', () => {
+    it('keeps at least the default grid for small radii', () => {
+        expect(catchmentGridSize(1, 'mapbox/walking')).toBe(13);
+    });
+
+    it('adds origins to keep cells about 1 km wide', () => {
+        expect(catchmentGridSize(10, 'mapbox/cycling')).toBe(21);
+    });
+
+    it('caps the grid by the Matrix API requests it takes', () => {
+        // 20 min drive: 43 km radius
+        const size = catchmentGridSize(43.3, 'mapbox/driving');
+        expect(size % 2).toBe(1);
+        expect(size).toBeGreaterThan(13);
+        expect(catchmentGrid(DESTINATION, 43.3, size).length / (matrixCoordinateLimit('mapbox/driving') - 1)).toBeLessThanOrEqual(30);
+        expect(catchmentGridSize(43.3, 'mapbox/driving-traffic')).toBeLessThan(size);
+    });
+});
+
+describe('catchmentGrid', () => {
+    const samples = catchmentGrid(DESTINATION, 6, 7);
+
+    it('keeps origins within the search radius, including the destination', () => {
+        expect(samples.some(sample => sample.coordinates[0] === DESTINATION[0] && sample.coordinates[1] === DESTINATION[1])).toBe(true);
+        // Corners of the 7 x 7 grid are dropped
+        expect(samples.length).toBeLessThan(49);
+        samples.forEach(sample => {
+            // Half a cell beyond the radius at most (2 km spacing)
+            expect(haversineDistance(DESTINATION, sample.coordinates)).toBeLessThan(7.01);
+        });
+    });
+
+    it('covers the grid with square cells of the grid spacing', () => {
+        // 2 km spacing
+        expect(geometryAreaKm2(samples[0].cell)).toBeCloseTo(4, 1);
+    });
+});
+
+describe('catchmentFeatures', () => {
+    const samples = catchmentGrid(DESTINATION, 2, 3);
+    // Destination reachable immediately, its neighbours in 5-10 minutes, one origin unreachable
+    const measures = samples.map((sample, index) => {
+        if (sample.coordinates[0] === DESTINATION[0] && sample.coordinates[1] === DESTINATION[1]) {
+            return 0;
+        }
+        return index === 0 ? null : 300 + index * 30;
+    });
+
+    it('grades contours from largest to smallest', () => {
+        const features = catchmentFeatures(samples, measures, [1, 15], 'time');
+        expect(features.map(feature => feature.properties)).toEqual([
+            { contour: 15, metric: 'time' },
+            { contour: 1, metric: 'time' }
+        ]);
+        expect(geometryAreaKm2(features[0].geometry)).toBeGreaterThan(geometryAreaKm2(features[1].geometry));
+        // Only the destination cell is reachable within a minute
+        const destinationCell = samples[measures.indexOf(0)].cell;
+        expect(geometryAreaKm2(features[1].geometry)).toBeCloseTo(geometryAreaKm2(destinationCell), 6);
+    });
+
+    it('leaves out unreachable origins and empty contours', () => {
+        const unreachable = samples.map(() => null);
+        expect(catchmentFeatures(samples, unreachable, [10], 'time')).toEqual([]);
+        const all = catchmentFeatures(samples, measures, [1000000], 'distance')[0];
+        expect(geometryAreaKm2(all.geometry)).toBeLessThan(samples.length * geometryAreaKm2(samples[0].cell));
+    });
+});
+
+describe('matrixCoordinateLimit', () => {
+    it('leaves room for one destination per catchment request', () => {
+        expect(matrixCoordinateLimit('mapbox/walking') - 1).toBe(24);
+        expect(matrixCoordinateLimit('mapbox/driving-traffic') - 1).toBe(9);
+    });
+});
+
+describe('callMapboxCatchment', () => {
+    // Matrix API stub: every origin reaches the destination in a minute, answering after a tick
+    function stubMatrix() {
+        const inFlight = { now: 0, most: 0 };
+        const fetch = vi.fn(async url => {
+            inFlight.now++;
+            inFlight.most = Math.max(inFlight.most, inFlight.now);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            inFlight.now--;
+            const sources = new URL(url).searchParams.get('sources').split(';');
+            return { ok: true, status: 200, json: async () => ({ code: 'Ok', durations: sources.map(() => [60]), distances: sources.map(() => [1000]) }) };
+        });
+        vi.stubGlobal('fetch', fetch);
+        return { fetch, inFlight };
+    }
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('forwards the departure time and keeps a few requests in flight', async () => {
+        const { fetch, inFlight } = stubMatrix();
+        const data = await callMapboxCatchment(DESTINATION, { profile: 'mapbox/driving-traffic', contoursMinutes: [5], departAt: '2026-10-19T08:00' });
+
+        expect(data.request).toEqual({ departAt: '2026-10-19T08:00' });
+        expect(fetch.mock.calls.length).toBeGreaterThan(4);
+        fetch.mock.calls.forEach(([url]) => expect(new URL(url).searchParams.get('depart_at')).toBe('2026-10-19T08:00'));
+        expect(inFlight.most).toBe(4);
+    });
+
+    it('only sends departure times with live traffic', async () => {
+        const { fetch } = stubMatrix();
+        await callMapboxCatchment(DESTINATION, { profile: 'mapbox/walking', contoursMinutes: [10], departAt: '2026-10-19T08:00' });
+        fetch.mock.calls.forEach(([url]) => expect(url).not.toContain('depart_at'));
+    });
+
+    it('stops requesting once cancelled', async () => {
+        const controller = new AbortController();
+        const fetch = vi.fn(async () => {
+            controller.abort();
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        });
+        vi.stubGlobal('fetch', fetch);
+
+        await expect(callMapboxCatchment(DESTINATION, { profile: 'mapbox/driving', contoursMinutes: [20], signal: controller.signal }))
+            .rejects.toThrow(/aborted/);
+        expect(fetch.mock.calls.length).toBeLessThanOrEqual(4);
+    });
+});
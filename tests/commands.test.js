@@ -0,0 +1,19 @@
+// @vitest-environment happy-dom
+import { describe, it, expect } from 'vitest';
+import { parseCommand } from '../utils/commands.js';
+
+describe('parseCommand', () => {
+    it('matches command names and aliases in any case', () => {
+        expect(parseCommand('@Help')).toEqual({ command: 'help', args: [] });
+        expect(parseCommand('@SESSION list')).toEqual({ command: 'session', args: ['list'] });
+    });
+
+    it('keeps the case of the arguments', () => {
+        expect(parseCommand('@session save Site A')).toEqual({ command: 'session', args: ['save', 'Site', 'A'] });
+        expect(parseCommand('@Session Load  Site A ')).toEqual({ command: 'session', args: ['Load', 'Site', 'A'] });
+    });
+
+    it('returns null for unknown commands', () => {
+        expect(parseCommand('@nothing here')).toBeNull();
+    });
+});
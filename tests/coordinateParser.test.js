@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { parseCoordinates } from '../utils/coordinateParser.js';
+
+describe('parseCoordinates', () => {
+    it('parses a decimal lat,lon pair', () => {
+        expect(parseCoordinates('40.7128,-74.0060')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('40.7128, -74.0060')).toBe('40.7128,-74.006');
+    });
+
+    it('parses integer coordinates', () => {
+        expect(parseCoordinates('12,34')).toBe('12,34');
+    });
+
+    it('parses degree symbols and cardinal letters', () => {
+        expect(parseCoordinates('30.3165° N, 78.0322° E')).toBe('30.3165,78.0322');
+        expect(parseCoordinates('30.3165 N, 78.0322 E')).toBe('30.3165,78.0322');
+    });
+
+    it('applies the sign of S and W hemispheres', () => {
+        expect(parseCoordinates('33.8688° S, 151.2093° E')).toBe('-33.8688,151.2093');
+        expect(parseCoordinates('40.7128° N, 74.0060° W')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('22.9068 S, 43.1729 W')).toBe('-22.9068,-43.1729');
+        expect(parseCoordinates('S 33.8688, E 151.2093')).toBe('-33.8688,151.2093');
+        expect(parseCoordinates('33.8688 South, 151.2093 East')).toBe('-33.8688,151.2093');
+    });
+
+    it('lets the hemisphere override a minus sign', () => {
+        expect(parseCoordinates('-33.8688° S, 151.2093° E')).toBe('-33.8688,151.2093');
+    });
+
+    it('puts hemisphere-labeled longitude first when it comes first', () => {
+        expect(parseCoordinates('151.2093° E, 33.8688° S')).toBe('-33.8688,151.2093');
+    });
+
+    it('parses degrees-minutes-seconds', () => {
+        expect(parseCoordinates(`40°42'46"N 74°0'21"W`)).toBe('40.7127778,-74.0058333');
+        expect(parseCoordinates(`40°42'46"N, 74°0'21"W`)).toBe('40.7127778,-74.0058333');
+        expect(parseCoordinates('40° 42′ 46″ N, 74° 0′ 21″ W')).toBe('40.7127778,-74.0058333');
+        expect(parseCoordinates(`N 40°42'46" W 74°0'21"`)).toBe('40.7127778,-74.0058333');
+    });
+
+    it('parses degrees and decimal minutes', () => {
+        expect(parseCoordinates(`33°52.13'S, 151°12.56'E`)).toBe('-33.8688333,151.2093333');
+    });
+
+    it('rejects minutes or seconds of 60 and over', () => {
+        expect(parseCoordinates(`40°75'N, 74°0'W`)).toBe('none');
+    });
+
+    it('parses labeled lat/lon values in either order', () => {
+        expect(parseCoordinates('lat: 40.7128, lon: -74.006')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('lon: -74.006, lat: 40.7128')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('lng=-74.006&lat=40.7128')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('latitude 51.5074 longitude -0.1278')).toBe('51.5074,-0.1278');
+        expect(parseCoordinates('{"name": "NYC", "lat": 40.7128, "lon": -74.006}')).toBe('40.7128,-74.006');
+    });
+
+    it('applies hemispheres on labeled values', () => {
+        expect(parseCoordinates('Latitude: 33.8688° S, Longitude: 151.2093° E')).toBe('-33.8688,151.2093');
+        expect(parseCoordinates('lat: 33.86 S, lon: 151.2 E')).toBe('-33.86,151.2');
+        expect(parseCoordinates('lng: 74.006 W, lat: 40.7128 N')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('latitude 51.5074 longitude -0.1278 east of the city')).toBe('51.5074,-0.1278');
+        // A hemisphere of the other axis is not a valid label
+        expect(parseCoordinates('lat: 33.86 E, lon: 151.2 S')).toBe('none');
+    });
+
+    it('reads pairs as lon,lat after an explicit lon/lat declaration', () => {
+        expect(parseCoordinates('Coordinates (lon, lat): -74.006, 40.7128')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('{"type": "Point", "coordinates": [-74.006, 40.7128]}')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('(lat, lon): 40.7128, -74.006')).toBe('40.7128,-74.006');
+    });
+
+    it('limits a lon/lat declaration to the sentence it labels', () => {
+        expect(parseCoordinates('(lon, lat): -74.006, 40.7128. Later point 51.5, -0.12'))
+            .toBe('40.7128,-74.006 | 51.5,-0.12');
+        expect(parseCoordinates('Points are given as lon, lat. Stops: -74.006, 40.7128; -0.12, 51.5'))
+            .toBe('40.7128,-74.006 | 51.5,-0.12');
+        expect(parseCoordinates('{"coordinates": [[-74.006, 40.7128], [-0.12, 51.5]]}\n\nCenter: 48.85, 2.35'))
+            .toBe('40.7128,-74.006 | 51.5,-0.12 | 48.85,2.35');
+    });
+
+    it('parses geo: URIs', () => {
+        expect(parseCoordinates('geo:40.7128,-74.006')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('geo:37.786971,-122.399677,12;u=35')).toBe('37.786971,-122.399677');
+    });
+
+    it('parses Google Maps URLs', () => {
+        // Place pin (!3d/!4d) wins over the @ viewport center
+        expect(parseCoordinates('https://www.google.com/maps/place/Eiffel+Tower/@48.8583701,2.2919064,17z/data=!3m1!4b1!4m6!3m5!8m2!3d48.8583701!4d2.2944813'))
+            .toBe('48.8583701,2.2944813');
+        expect(parseCoordinates('https://www.google.com/maps?q=40.7128,-74.0060')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('https://maps.google.com/?ll=51.5074,-0.1278&z=12')).toBe('51.5074,-0.1278');
+        expect(parseCoordinates('https://www.google.com/maps/search/40.7128,+-74.0060')).toBe('40.7128,-74.006');
+        expect(parseCoordinates('https://www.google.com/maps/@35.6762,139.6503,12z')).toBe('35.6762,139.6503');
+        expect(parseCoordinates('https://www.google.com/maps/dir/40.7128,-74.006/42.3601,-71.0589/@41.5,-72.5,7z'))
+            .toBe('40.7128,-74.006 | 42.3601,-71.0589');
+    });
+
+    it('decodes full plus codes to the center of the code area', () => {
+        expect(parseCoordinates('849VCWC8+R9')).toBe('37.4220625,-122.0840625');
+        expect(parseCoordinates('8FVC9G8F+6X')).toBe('47.3655625,8.5249375');
+    });
+
+    it('keeps mixed notations in document order', () => {
+        expect(parseCoordinates('Start at 849VCWC8+R9, then 40.7128,-74.0060, then 33.8688° S, 151.2093° E'))
+            .toBe('37.4220625,-122.0840625 | 40.7128,-74.006 | -33.8688,151.2093');
+    });
+
+    it('splits multiple coordinates on "|"', () => {
+        expect(parseCoordinates('40.7128,-74.0060 | 34.0522,-118.2437'))
+            .toBe('40.7128,-74.006 | 34.0522,-118.2437');
+    });
+
+    it('splits multiple coordinates on ";"', () => {
+        expect(parseCoordinates('40.7128,-74.0060; 34.0522,-118.2437'))
+            .toBe('40.7128,-74.006 | 34.0522,-118.2437');
+    });
+
+    it('accepts "|" as the separator inside a single pair', () => {
+        expect(parseCoordinates('40.7128|-74.0060')).toBe('40.7128,-74.006');
+    });
+
+    it('removes duplicate coordinates', () => {
+        expect(parseCoordinates('The city is at 48.8566, 2.3522 and also 48.8566, 2.3522')).toBe('48.8566,2.3522');
+    });
+
+    it('rejects out-of-range latitude and longitude', () => {
+        expect(parseCoordinates('95.0, 10.0')).toBe('none');
+        expect(parseCoordinates('45.0, 200.0')).toBe('none');
+    });
+
+    it('returns "none" for empty input or explicit none', () => {
+        expect(parseCoordinates('')).toBe('none');
+        expect(parseCoordinates(null)).toBe('none');
+        expect(parseCoordinates('none')).toBe('none');
+        expect(parseCoordinates('no coordinates here')).toBe('none');
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { convexHullGeometry, coverageAnalysis } from '../utils/coverage.js';
+import { geometryAreaKm2 } from '../utils/bufferGenerator.js';
+
+// Axis-aligned square Polygon from its south-west corner
+const square = (lon, lat, size) => ({
+    type: 'Polygon',
+    coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+});
+
+describe('convexHullGeometry', () => {
+    it('wraps points of several geometries', () => {
+        const hull = convexHullGeometry([square(0, 0, 0.1), square(0.2, 0, 0.1)]);
+        expect(hull.type).toBe('Polygon');
+        expect(geometryAreaKm2(hull)).toBeCloseTo(geometryAreaKm2(square(0, 0, 0.1)) * 3, 0);
+    });
+
+    it('drops interior points', () => {
+        const hull = convexHullGeometry([square(0, 0, 1), square(0.25, 0.25, 0.5)]);
+        expect(hull.coordinates[0]).toHaveLength(5);
+    });
+
+    it('needs at least 3 distinct points', () => {
+        expect(convexHullGeometry([])).toBeNull();
+    });
+});
+
+describe('coverageAnalysis', () => {
+    it('finds overlap between origins', () => {
+        const coverage = coverageAnalysis([square(0, 0, 0.2), square(0.1, 0, 0.2)]);
+        expect(coverage.overlapKm2).toBeCloseTo(geometryAreaKm2(square(0.1, 0, 0.1)) * 2, 0);
+        expect(coverage.gaps).toBeNull();
+    });
+
+    it('finds gaps between origins that do not touch', () => {
+        const coverage = coverageAnalysis([square(0, 0, 0.1), square(0.2, 0, 0.1)]);
+        expect(coverage.overlap).toBeNull();
+        expect(coverage.gapsKm2).toBeCloseTo(geometryAreaKm2(square(0.1, 0, 0.1)), 0);
+        expect(coverage.coveredKm2 + coverage.gapsKm2).toBeCloseTo(coverage.studyAreaKm2, 3);
+    });
+
+    it('merges the overlaps of every pair of origins', () => {
+        // Reachable from 2+ of the three: longitudes 0.05 to 0.25
+        const coverage = coverageAnalysis([square(0, 0, 0.2), square(0.1, 0, 0.2), square(0.05, 0, 0.2)]);
+        expect(coverage.overlapKm2).toBeCloseTo(geometryAreaKm2(square(0.05, 0, 0.2)), 0);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import { detectRouteOptions, routeOptionParams, needsRouting, routeLegs } from '../services/directions.js';
+
+// Wednesday 2026-03-04 10:00 local time
+const NOW = new Date(2026, 2, 4, 10, 0);
+
+describe('detectRouteOptions', () => {
+    it('finds avoidances', () => {
+        expect(detectRouteOptions('truck route avoiding tolls from Newark to Albany', NOW)).toEqual({ exclude: ['toll'] });
+        expect(detectRouteOptions('drive to Boston avoiding tolls and highways, no ferries', NOW).exclude)
+            .toEqual(['toll', 'motorway', 'ferry']);
+        expect(detectRouteOptions('toll-free route from Dallas to Austin', NOW)).toEqual({ exclude: ['toll'] });
+    });
+
+    it('ends avoidance clauses at place names', () => {
+        expect(detectRouteOptions('route avoiding tolls to Ferry Building', NOW)).toEqual({ exclude: ['toll'] });
+        expect(detectRouteOptions('route from Staten Island Ferry to Highway Diner', NOW)).toEqual({});
+    });
+
+    it('reads departure and arrival times', () => {
+        expect(detectRouteOptions('route to JFK leaving at 2:30pm', NOW)).toEqual({ departAt: '2026-03-04T14:30' });
+        expect(detectRouteOptions('depart at 7am', NOW)).toEqual({ departAt: '2026-03-05T07:00' });
+        expect(detectRouteOptions('arrive by 18:45 tomorrow', NOW)).toEqual({ arriveBy: '2026-03-05T18:45' });
+        expect(detectRouteOptions('depart at 2026-04-01T06:15', NOW)).toEqual({ departAt: '2026-04-01T06:15' });
+    });
+
+    it('ignores numbers that are not times', () => {
+        expect(detectRouteOptions('route starting from 5 points', NOW)).toEqual({});
+    });
+
+    it('reads vehicle limits in metric and imperial units', () => {
+        expect(detectRouteOptions('route for a 4.2m high, 2.6 m wide, 20 ton truck', NOW))
+            .toEqual({ maxHeight: 4.2, maxWidth: 2.6, maxWeight: 20 });
+        expect(detectRouteOptions("truck with 13'6\" clearance, weight 3500 kg", NOW))
+            .toEqual({ maxHeight: 4.11, maxWeight: 3.5 });
+        expect(detectRouteOptions('route for an 80000 lbs rig, height 14 ft', NOW))
+            .toEqual({ maxHeight: 4.27, maxWeight: 36.287 });
+    });
+
+    it('reads curb side approaches', () => {
+        expect(detectRouteOptions('deliveries with curbside stops', NOW)).toEqual({ approach: 'curb' });
+    });
+});
+
+describe('routeOptionParams', () => {
+    it('maps options to Directions API parameters', () => {
+        const options = { exclude: ['toll', 'ferry'], departAt: '2026-03-04T14:30', maxHeight: 4.2, maxWidth: 2.6, maxWeight: 20, approach: 'curb' };
+        expect(routeOptionParams(options, 'mapbox/driving-traffic', 3)).toEqual({
+            exclude: 'toll,ferry',
+            depart_at: '2026-03-04T14:30',
+            max_height: 4.2,
+            max_width: 2.6,
+            max_weight: 20,
+            approaches: 'unrestricted;curb;curb'
+        });
+    });
+
+    it('drops options the profile does not support', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(routeOptionParams({ exclude: ['toll', 'ferry'], maxHeight: 4 }, 'mapbox/cycling', 2)).toEqual({ exclude: 'ferry' });
+        expect(routeOptionParams({ arriveBy: '2026-03-04T14:30' }, 'mapbox/driving-traffic', 2)).toEqual({});
+        expect(routeOptionParams({ arriveBy: '2026-03-04T14:30' }, 'mapbox/driving', 2)).toEqual({ arrive_by: '2026-03-04T14:30' });
+        expect(routeOptionParams({ maxWeight: 150 }, 'mapbox/driving', 2)).toEqual({});
+        warn.mockRestore();
+    });
+});
+
+describe('needsRouting', () => {
+    it('routes queries with constraints', () => {
+        expect(needsRouting('Newark to Albany avoiding tolls')).toBe(true);
+        expect(needsRouting('line from Paris to Berlin')).toBe(false);
+    });
+});
+
+describe('routeLegs', () => {
+    const step = (instruction, coordinates) => ({ maneuver: { instruction, type: 'turn' }, name: '', distance: 100, duration: 10, geometry: { coordinates } });
+    // Two legs through [2, 0]; step geometries share their end points
+    const coordinates = [[0, 0], [1, 0], [1, 1], [2, 0], [3, 0], [3, 1]];
+    const legs = [
+        { summary: 'A', distance: 300, duration: 30, steps: [step('Head east', [[0, 0], [1, 0]]), step('Turn left', [[1, 0], [1, 1], [2, 0]]), step('Arrive', [[2, 0], [2, 0]])] },
+        { distance: 200, duration: 20, steps: [step('Head east', [[2, 0], [3, 0], [3, 1]]), step('Arrive', [[3, 1], [3, 1]])] }
+    ];
+
+    it('keeps steps as index ranges into the route coordinates', () => {
+        const [first, second] = routeLegs(legs, coordinates);
+        expect(first.steps.map(s => s.range)).toEqual([[0, 1], [1, 3], [3, 3]]);
+        expect(second.steps.map(s => s.range)).toEqual([[3, 5], [5, 5]]);
+        expect(second.summary).toBe('');
+        expect(first.steps[1]).toMatchObject({ instruction: 'Turn left', type: 'turn', distance: 100 });
+        expect(first.steps[1].coordinates).toBeUndefined();
+    });
+
+    it('finds steps again when the route passes the same point twice', () => {
+        const loop = [[0, 0], [1, 0], [0, 0], [1, 0]];
+        const [leg] = routeLegs([{ distance: 0, duration: 0, steps: [step('Out', [[0, 0], [1, 0]]), step('Back', [[1, 0], [0, 0]]), step('Out again', [[0, 0], [1, 0]])] }], loop);
+        expect(leg.steps.map(s => s.range)).toEqual([[0, 1], [1, 2], [2, 3]]);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { directionsToText } from '../utils/directionsPanel.js';
+
+const step = (instruction, distance) => ({ instruction, distance, duration: distance / 10, range: [0, 1] });
+
+describe('directionsToText', () => {
+    it('lists numbered maneuvers per leg with distances', () => {
+        const route = {
+            name: 'Route',
+            distance: 12500,
+            duration: 1260,
+            legs: [
+                { summary: 'Main Street', distance: 2500, duration: 300, steps: [step('Head north on Main Street', 2500), step('You have arrived at your 1st destination', 0)] },
+                { summary: '', distance: 10000, duration: 960, steps: [step('Turn left onto I-5', 10000), step('You have arrived at your destination', 0)] }
+            ]
+        };
+
+        expect(directionsToText(route)).toBe([
+            'ROUTE',
+            '12.50 km - 21 min',
+            '',
+            'LEG 1: Main Street (2.50 km, 5 min)',
+            '1. Head north on Main Street (2.50 km)',
+            '2. You have arrived at your 1st destination',
+            '',
+            'LEG 2 (10.00 km, 16 min)',
+            '1. Turn left onto I-5 (10.00 km)',
+            '2. You have arrived at your destination',
+            ''
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { waitForIdle } from '../utils/elevationDisplay.js';
+
+// Map stub keeping its 'idle' listeners so tests can fire them
+function createMap() {
+    const listeners = new Set();
+    return {
+        listeners,
+        once: vi.fn((type, listener) => listeners.add(listener)),
+        off: vi.fn((type, listener) => listeners.delete(listener)),
+        fireIdle: () => [...listeners].forEach(listener => {
+            listeners.delete(listener);
+            listener();
+        })
+    };
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('waitForIdle', () => {
+    it('resolves when the map goes idle', async () => {
+        vi.useFakeTimers();
+        const map = createMap();
+        const resolved = vi.fn();
+        waitForIdle(map).then(resolved);
+
+        map.fireIdle();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(resolved).toHaveBeenCalled();
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('gives up waiting while the map keeps repainting', async () => {
+        vi.useFakeTimers();
+        const map = createMap();
+        const resolved = vi.fn();
+        waitForIdle(map, 1000).then(resolved);
+
+        await vi.advanceTimersByTimeAsync(999);
+        expect(resolved).not.toHaveBeenCalled();
+        await vi.advanceTimersByTimeAsync(1);
+        expect(resolved).toHaveBeenCalled();
+        expect(map.listeners.size).toBe(0);
+    });
+});
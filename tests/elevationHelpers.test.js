@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { haversineDistance, calculateLineDistance, pointAlongLine, lineChunk, calculateElevationGainLoss } from '../utils/elevationHelpers.js';
+
+// [lon, lat]
+const LONDON = [-0.1278, 51.5074];
+const PARIS = [2.3522, 48.8566];
+
+describe('haversineDistance', () => {
+    it('returns 0 for identical points', () => {
+        expect(haversineDistance(LONDON, LONDON)).toBe(0);
+    });
+
+    it('measures London to Paris in kilometers', () => {
+        expect(haversineDistance(LONDON, PARIS)).toBeCloseTo(343.5, 0);
+    });
+
+    it('is symmetric', () => {
+        expect(haversineDistance(PARIS, LONDON)).toBeCloseTo(haversineDistance(LONDON, PARIS), 9);
+    });
+
+    it('measures one degree of latitude as ~111.19 km', () => {
+        expect(haversineDistance([0, 0], [0, 1])).toBeCloseTo(111.19, 1);
+    });
+
+    it('handles the antimeridian', () => {
+        expect(haversineDistance([179.5, 0], [-179.5, 0])).toBeCloseTo(111.19, 1);
+    });
+});
+
+describe('calculateLineDistance', () => {
+    it('sums segment lengths', () => {
+        const line = [[0, 0], [0, 1], [0, 2]];
+        expect(calculateLineDistance(line)).toBeCloseTo(2 * haversineDistance([0, 0], [0, 1]), 6);
+    });
+
+    it('returns 0 for a single point', () => {
+        expect(calculateLineDistance([[0, 0]])).toBe(0);
+    });
+});
+
+describe('pointAlongLine', () => {
+    const line = [[0, 0], [0, 1], [0, 2]];
+    const degreeKm = haversineDistance([0, 0], [0, 1]);
+
+    it('returns the start point at distance 0', () => {
+        expect(pointAlongLine(line, 0)).toEqual([0, 0]);
+    });
+
+    it('interpolates within the first segment', () => {
+        const [lon, lat] = pointAlongLine(line, degreeKm / 2);
+        expect(lon).toBeCloseTo(0, 9);
+        expect(lat).toBeCloseTo(0.5, 6);
+    });
+
+    it('interpolates within a later segment', () => {
+        const [, lat] = pointAlongLine(line, degreeKm * 1.25);
+        expect(lat).toBeCloseTo(1.25, 6);
+    });
+
+    it('returns the last point when the distance exceeds the line length', () => {
+        expect(pointAlongLine(line, degreeKm * 10)).toEqual([0, 2]);
+    });
+});
+
+describe('lineChunk', () => {
+    it('returns the whole line when it is shorter than the chunk length', () => {
+        const line = [[0, 0], [0, 0.001]];
+        expect(lineChunk(line, 1)).toEqual([line]);
+    });
+
+    it('splits a line into consecutive chunks of the requested length', () => {
+        const line = [[0, 0], [0, 1]];
+        const chunks = lineChunk(line, 10);
+        const total = haversineDistance(line[0], line[1]);
+
+        expect(chunks).toHaveLength(Math.ceil(total / 10));
+        chunks.slice(0, -1).forEach(chunk => {
+            expect(haversineDistance(chunk[0], chunk[1])).toBeCloseTo(10, 3);
+        });
+        // Chunks are contiguous and cover the whole line
+        for (let i = 1; i < chunks.length; i++) {
+            expect(chunks[i][0]).toEqual(chunks[i - 1][1]);
+        }
+        expect(chunks[0][0]).toEqual(line[0]);
+        expect(chunks[chunks.length - 1][1]).toEqual(line[1]);
+    });
+
+    it('defaults to 1 km chunks', () => {
+        const line = [[0, 0], [0, 0.05]];
+        const total = haversineDistance(line[0], line[1]);
+        expect(lineChunk(line)).toHaveLength(Math.ceil(total));
+    });
+});
+
+describe('calculateElevationGainLoss', () => {
+    const points = elevations => elevations.map((elevation, index) => ({ elevation, distance: index }));
+
+    it('sums climbs and descents separately', () => {
+        expect(calculateElevationGainLoss(points([100, 150, 120, 200, 180]))).toEqual({ gain: 130, loss: 50 });
+    });
+
+    it('returns zeros for flat or single-point profiles', () => {
+        expect(calculateElevationGainLoss(points([10, 10, 10]))).toEqual({ gain: 0, loss: 0 });
+        expect(calculateElevationGainLoss(points([10]))).toEqual({ gain: 0, loss: 0 });
+        expect(calculateElevationGainLoss([])).toEqual({ gain: 0, loss: 0 });
+    });
+});
@@ -0,0 +1,159 @@
+// @vitest-environment happy-dom
+import { describe, it, expect } from 'vitest';
+import { buildFeatureCollection, buildGPX, buildKML, elevationAt } from '../utils/exportFeatures.js';
+import { parseGPX, parseKML } from '../utils/importFeatures.js';
+
+const emptyRegistry = { lines: [], markers: [], buffers: [], polygons: [], isochrones: [], matrices: [] };
+
+const square = [[0, 0], [0.1, 0], [0.1, 0.1], [0, 0.1], [0, 0]];
+
+const registry = {
+    lines: [{
+        id: 'lines-1',
+        type: 'route',
+        name: 'Route',
+        coordinates: [[0, 0], [0, 1]],
+        profile: 'mapbox/walking',
+        distance: 111500,
+        duration: 80000,
+        query: 'walk from A to B'
+    }],
+    markers: [{ id: 'markers-1', name: 'Marker 1', lngLat: [-74, 40.7], query: 'show New York' }],
+    buffers: [{ id: 'buffers-1', radius: 5, center: [0, 0], geometry: { type: 'Polygon', coordinates: [square] } }],
+    polygons: [{ id: 'polygons-1', name: 'Park', coordinates: square.slice(0, -1) }],
+    isochrones: [{
+        id: 'isochrones-1',
+        center: [0, 0],
+        profile: 'mapbox/cycling',
+        query: '15 min bike',
+        features: [
+            { type: 'Feature', geometry: { type: 'Polygon', coordinates: [square] }, properties: { contour: 15, metric: 'time' } },
+            { type: 'Feature', geometry: { type: 'Polygon', coordinates: [square.slice(1).concat([square[1]])] }, properties: { contour: 5, metric: 'time' } }
+        ]
+    }],
+    matrices: [{
+        id: 'matrices-1',
+        profile: 'mapbox/driving',
+        query: 'travel times from the depot to these 2 stores',
+        rows: [
+            { pair: '0-0', from: 'Depot', to: 'Store 1', fromCoordinates: [0, 0], toCoordinates: [0.1, 0], duration: 600, distance: 9000 },
+            { pair: '0-1', from: 'Depot', to: 'Store 2', fromCoordinates: [0, 0], toCoordinates: [0, 0.1], duration: null, distance: null }
+        ]
+    }]
+};
+
+describe('buildFeatureCollection', () => {
+    it('exports every registry feature with the same attributes', () => {
+        const { type, features } = buildFeatureCollection(registry);
+        expect(type).toBe('FeatureCollection');
+        expect(features).toHaveLength(8);
+
+        const keys = Object.keys(features[0].properties).sort();
+        features.forEach(feature => expect(Object.keys(feature.properties).sort()).toEqual(keys));
+        expect(keys).toEqual(expect.arrayContaining(['name', 'type', 'radius', 'contour', 'travelMode', 'distance', 'duration', 'sourceQuery']));
+    });
+
+    it('keeps route metadata and the source query', () => {
+        const route = buildFeatureCollection(registry).features.find(f => f.properties.id === 'lines-1');
+        expect(route.geometry.type).toBe('LineString');
+        expect(route.properties).toMatchObject({
+            type: 'route', travelMode: 'walking', distance: 111500, duration: 80000, sourceQuery: 'walk from A to B'
+        });
+    });
+
+    it('computes the distance of direct lines', () => {
+        const line = { id: 'lines-2', type: 'line', name: 'Direct line', coordinates: [[0, 0], [0, 1]] };
+        const [feature] = buildFeatureCollection({ ...emptyRegistry, lines: [line] }).features;
+        expect(feature.properties.distance).toBe(111195);
+        expect(feature.properties.duration).toBeNull();
+    });
+
+    it('splits isochrones into one feature per contour', () => {
+        const contours = buildFeatureCollection(registry).features.filter(f => f.properties.type === 'isochrone');
+        expect(contours.map(f => f.properties.contour)).toEqual([15, 5]);
+        expect(contours[0].properties).toMatchObject({ name: '15 min isochrone', travelMode: 'cycling', sourceQuery: '15 min bike' });
+    });
+
+    it('exports one connector per matrix pair', () => {
+        const pairs = buildFeatureCollection(registry).features.filter(f => f.properties.type === 'matrix');
+        expect(pairs.map(f => f.properties.name)).toEqual(['Depot → Store 1', 'Depot → Store 2']);
+        expect(pairs[0].geometry).toEqual({ type: 'LineString', coordinates: [[0, 0], [0.1, 0]] });
+        expect(pairs[0].properties).toMatchObject({ id: 'matrices-1', travelMode: 'driving', duration: 600, distance: 9000 });
+        expect(pairs[1].properties.duration).toBeNull();
+    });
+
+    it('closes polygon rings and exports buffer radius', () => {
+        const { features } = buildFeatureCollection(registry);
+        const polygon = features.find(f => f.properties.id === 'polygons-1');
+        expect(polygon.geometry.coordinates[0]).toEqual(square);
+        expect(features.find(f => f.properties.id === 'buffers-1').properties.radius).toBe(5);
+    });
+});
+
+describe('elevationAt', () => {
+    const profile = [{ distance: 0, elevation: 100 }, { distance: 1, elevation: 200 }, { distance: 2, elevation: 150 }];
+
+    it('interpolates between samples and clamps at the ends', () => {
+        expect(elevationAt(profile, 0.5)).toBeCloseTo(150, 9);
+        expect(elevationAt(profile, 1.5)).toBeCloseTo(175, 9);
+        expect(elevationAt(profile, 5)).toBe(150);
+    });
+
+    it('returns null without samples', () => {
+        expect(elevationAt([], 1)).toBeNull();
+    });
+});
+
+describe('buildGPX', () => {
+    it('writes markers as waypoints and lines as tracks with elevation', () => {
+        const profiles = { 'lines-1': [{ distance: 0, elevation: 10 }, { distance: 111.2, elevation: 20 }] };
+        const gpx = buildGPX(registry, profiles);
+        expect(gpx).toContain('<wpt lat="40.7" lon="-74">');
+        expect(gpx).toContain('<type>walking</type>');
+        expect(gpx).toContain('<trkpt lat="0" lon="0"><ele>10.0</ele></trkpt>');
+
+        const features = parseGPX(gpx);
+        expect(features.map(f => [f.name, f.geometry.type])).toEqual([['Marker 1', 'Point'], ['Route', 'LineString']]);
+        expect(features[1].geometry.coordinates).toEqual(registry.lines[0].coordinates);
+    });
+
+    it('leaves out elevation when there is no terrain data', () => {
+        expect(buildGPX(registry)).toContain('<trkpt lat="0" lon="0"/>');
+    });
+
+    it('escapes names', () => {
+        const markers = [{ id: 'markers-2', name: 'Fish & <Chips>', lngLat: [0, 0] }];
+        expect(buildGPX({ ...emptyRegistry, markers })).toContain('<name>Fish &amp; &lt;Chips&gt;</name>');
+    });
+});
+
+describe('buildKML', () => {
+    it('writes buffers, polygons and every isochrone contour as placemarks', () => {
+        const features = parseKML(buildKML(registry));
+        expect(features.map(f => f.name)).toEqual(['5 km buffer', 'Park', '15 min isochrone', '5 min isochrone']);
+        expect(features.every(f => f.geometry.type === 'Polygon')).toBe(true);
+    });
+
+    it('uses the map colors as KML aabbggrr styles', () => {
+        const kml = buildKML(registry);
+        // Polygons and buffers: #089BDF, 20% fill and solid outline
+        expect(kml).toContain('<PolyStyle><color>33df9b08</color></PolyStyle>');
+        expect(kml).toContain('<LineStyle><color>ffdf9b08</color><width>3</width></LineStyle>');
+        // First isochrone contour: default #ff6b6b with an 80% outline
+        expect(kml).toContain('<LineStyle><color>cc6b6bff</color><width>3</width></LineStyle>');
+    });
+
+    it('keeps polygon holes and splits multipolygons', () => {
+        const hole = [[0.02, 0.02], [0.02, 0.05], [0.05, 0.05], [0.02, 0.02]];
+        const polygons = [{
+            id: 'polygons-2',
+            name: 'Result',
+            color: '#9B59B6',
+            geometry: { type: 'MultiPolygon', coordinates: [[square, hole], [square.map(([x, y]) => [x + 1, y])]] }
+        }];
+        const kml = buildKML({ ...emptyRegistry, polygons });
+        expect(kml).toContain('<MultiGeometry>');
+        expect(kml).toContain('<innerBoundaryIs>');
+        expect(kml).toContain('33b6599b');
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { getFixtureKey, createMemoryFixtureStore, setFixtureStore, setFixtureMode, withFixture } from '../services/fixtures.js';
+import { extractIsochrone } from '../agents/isochroneAgent.js';
+
+// Hand-written fixtures in the recorded format (tests/fixtures/synthetic/<key>.json, marked "synthetic": true)
+// They pin the agent's requests and parsing, not the live response format - real recordings go in fixtures/
+function loadSyntheticFixtures() {
+    const dir = path.resolve('tests/fixtures/synthetic');
+    return Object.fromEntries(fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file.replace(/\.json$/, ''), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]));
+}
+
+afterEach(() => {
+    setFixtureMode('off');
+    setFixtureStore(null);
+    vi.unstubAllGlobals();
+});
+
+describe('getFixtureKey', () => {
+    it('does not depend on the order of request keys', () => {
+        const key = getFixtureKey('matrix', { profile: 'mapbox/driving', coordinates: '1,2;3,4', options: { a: 1, b: [1, 2] } });
+        expect(getFixtureKey('matrix', { options: { b: [1, 2], a: 1 }, coordinates: '1,2;3,4', profile: 'mapbox/driving' })).toBe(key);
+        expect(key).toMatch(/^matrix-[0-9a-f]{14}$/);
+    });
+
+    it('differs by kind and request', () => {
+        const request = { profile: 'mapbox/driving', coordinates: '1,2;3,4' };
+        expect(getFixtureKey('directions', request)).not.toBe(getFixtureKey('matrix', request));
+        expect(getFixtureKey('matrix', { ...request, coordinates: '1,2;3,5' })).not.toBe(getFixtureKey('matrix', request));
+    });
+
+    it('ignores undefined values', () => {
+        expect(getFixtureKey('llm', { messages: [], options: undefined })).toBe(getFixtureKey('llm', { messages: [] }));
+    });
+});
+
+describe('withFixture', () => {
+    const request = { profile: 'mapbox/walking', url: 'https://api.mapbox.com/isochrone' };
+
+    it('replays what was recorded without calling the network again', async () => {
+        const store = createMemoryFixtureStore();
+        setFixtureStore(store);
+        const performRequest = vi.fn(async () => ({ ok: true, status: 200, data: { features: [] } }));
+
+        setFixtureMode('record');
+        const recorded = await withFixture('isochrone', request, performRequest);
+        const key = getFixtureKey('isochrone', request);
+        expect(store.fixtures[key]).toMatchObject({ kind: 'isochrone', key, request, response: recorded });
+
+        setFixtureMode('replay');
+        expect(await withFixture('isochrone', { url: request.url, profile: request.profile }, performRequest)).toEqual(recorded);
+        expect(performRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails replaying a request that was never recorded', async () => {
+        setFixtureStore(createMemoryFixtureStore());
+        setFixtureMode('replay');
+        const performRequest = vi.fn();
+        await expect(withFixture('isochrone', request, performRequest)).rejects.toThrow(/No recorded fixture for isochrone request/);
+        expect(performRequest).not.toHaveBeenCalled();
+    });
+
+    it('goes straight to the network when off', async () => {
+        const store = createMemoryFixtureStore();
+        setFixtureStore(store);
+        expect(await withFixture('isochrone', request, async () => 'live')).toBe('live');
+        expect(store.fixtures).toEqual({});
+    });
+});
+
+describe('agent regression (replayed synthetic fixtures)', () => {
+    it('extracts and fetches a walking isochrone around the Louvre', async () => {
+        setFixtureStore(createMemoryFixtureStore(loadSyntheticFixtures()));
+        setFixtureMode('replay');
+        vi.stubGlobal('fetch', vi.fn(() => {
+            throw new Error('Network used during replay');
+        }));
+
+        const result = await extractIsochrone(
+            '10 minute walk from the Louvre',
+            'The Louvre Museum is in the 1st arrondissement of Paris.',
+            { type: 'isochrone', subtype: 'single' },
+            null
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.coordinates).toEqual([2.3376, 48.8606]);
+        expect(result.origins[0].name).toBe('Louvre Museum, Paris');
+        expect(result.travelMode).toBe('mapbox/walking');
+        expect(result.values).toEqual([10]);
+        expect(result.isochroneData.profile).toBe('mapbox/walking');
+        expect(result.isochroneData.features.map(feature => feature.properties.contour)).toEqual([10]);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
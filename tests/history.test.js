@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { pushHistory, undoHistory, redoHistory, getHistoryState, clearHistory, HISTORY_LIMIT } from '../utils/history.js';
+
+beforeEach(() => {
+    clearHistory();
+});
+
+describe('undo/redo history', () => {
+    it('returns null when there is nothing to undo or redo', () => {
+        expect(undoHistory('current')).toBeNull();
+        expect(redoHistory('current')).toBeNull();
+        expect(getHistoryState()).toEqual({ undo: 0, redo: 0 });
+    });
+
+    it('undoes back to earlier states and redoes forward again', () => {
+        pushHistory('empty');
+        pushHistory('markers');
+        // current state: 'buffer'
+
+        expect(undoHistory('buffer')).toBe('markers');
+        expect(undoHistory('markers')).toBe('empty');
+        expect(undoHistory('empty')).toBeNull();
+        expect(getHistoryState()).toEqual({ undo: 0, redo: 2 });
+
+        expect(redoHistory('empty')).toBe('markers');
+        expect(redoHistory('markers')).toBe('buffer');
+        expect(redoHistory('buffer')).toBeNull();
+        expect(getHistoryState()).toEqual({ undo: 2, redo: 0 });
+    });
+
+    it('drops the redo stack when a new change is recorded', () => {
+        pushHistory('empty');
+        expect(undoHistory('markers')).toBe('empty');
+
+        pushHistory('empty');
+        expect(redoHistory('line')).toBeNull();
+        expect(undoHistory('line')).toBe('empty');
+    });
+
+    it(`keeps at most ${HISTORY_LIMIT} steps, dropping the oldest`, () => {
+        for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+            pushHistory(i);
+        }
+        expect(getHistoryState().undo).toBe(HISTORY_LIMIT);
+
+        let state = 'current';
+        let oldest = null;
+        while ((state = undoHistory(state)) !== null) {
+            oldest = state;
+        }
+        expect(oldest).toBe(5);
+    });
+});
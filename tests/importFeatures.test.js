@@ -0,0 +1,111 @@
+// @vitest-environment happy-dom
+import { describe, it, expect } from 'vitest';
+import { parseGeoJSON, parseCSV, parseKML, parseGPX, parseImportFile } from '../utils/importFeatures.js';
+
+describe('parseGeoJSON', () => {
+    it('reads a FeatureCollection with names and drops altitudes', () => {
+        const features = parseGeoJSON(JSON.stringify({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'Well' }, geometry: { type: 'Point', coordinates: [-74, 40.7, 12] } },
+                { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+            ]
+        }));
+        expect(features).toEqual([
+            { name: 'Well', geometry: { type: 'Point', coordinates: [-74, 40.7] } },
+            { name: 'Feature 2', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+        ]);
+    });
+
+    it('splits multi-lines and closes polygon rings', () => {
+        const features = parseGeoJSON(JSON.stringify({
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'MultiLineString', coordinates: [[[0, 0], [1, 0]], [[2, 0], [3, 0]]] },
+                { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] }
+            ]
+        }));
+        expect(features.map(f => f.geometry.type)).toEqual(['LineString', 'LineString', 'Polygon']);
+        expect(features[2].geometry.coordinates[0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 0]]);
+    });
+
+    it('drops coordinates outside the valid range', () => {
+        const features = parseGeoJSON(JSON.stringify({ type: 'Point', coordinates: [200, 95] }));
+        expect(features).toEqual([]);
+    });
+});
+
+describe('parseCSV', () => {
+    it('finds lat/lon columns in any order and quoted names', () => {
+        const csv = 'Name,Longitude,Latitude\n"Site A, north",-74.0060,40.7128\nSite B,2.3522,48.8566\n';
+        expect(parseCSV(csv)).toEqual([
+            { name: 'Site A, north', geometry: { type: 'Point', coordinates: [-74.006, 40.7128] } },
+            { name: 'Site B', geometry: { type: 'Point', coordinates: [2.3522, 48.8566] } }
+        ]);
+    });
+
+    it('supports semicolon separated files and skips bad rows', () => {
+        const csv = 'id;lat;lng\n1;51.5;-0.12\n2;not a number;0\n';
+        expect(parseCSV(csv)).toEqual([{ name: '1', geometry: { type: 'Point', coordinates: [-0.12, 51.5] } }]);
+    });
+
+    it('requires lat and lon columns', () => {
+        expect(() => parseCSV('name,x_coord\nA,1\n')).toThrow(/lat/);
+    });
+});
+
+describe('parseKML', () => {
+    it('reads points, lines, polygons with holes and multi-geometries', () => {
+        const kml = `<?xml version="1.0" encoding="UTF-8"?>
+            <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+                <Placemark><name>Pin</name><Point><coordinates>-74,40.7,0</coordinates></Point></Placemark>
+                <Placemark><name>Path</name><LineString><coordinates>0,0 1,1 2,2</coordinates></LineString></Placemark>
+                <Placemark><name>Lot</name><Polygon>
+                    <outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,4 0,4 0,0</coordinates></LinearRing></outerBoundaryIs>
+                    <innerBoundaryIs><LinearRing><coordinates>1,1 2,1 2,2 1,1</coordinates></LinearRing></innerBoundaryIs>
+                </Polygon></Placemark>
+                <Placemark><name>Both</name><MultiGeometry>
+                    <Point><coordinates>5,5</coordinates></Point>
+                    <LineString><coordinates>5,5 6,6</coordinates></LineString>
+                </MultiGeometry></Placemark>
+            </Document></kml>`;
+        const features = parseKML(kml);
+        expect(features.map(f => [f.name, f.geometry.type])).toEqual([
+            ['Pin', 'Point'], ['Path', 'LineString'], ['Lot', 'Polygon'], ['Both', 'Point'], ['Both', 'LineString']
+        ]);
+        expect(features[2].geometry.coordinates).toHaveLength(2);
+    });
+
+    it('rejects invalid XML', () => {
+        expect(() => parseKML('<kml><Placemark>')).toThrow();
+    });
+});
+
+describe('parseGPX', () => {
+    it('reads waypoints, routes and each track segment', () => {
+        const gpx = `<?xml version="1.0"?>
+            <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+                <wpt lat="46.5" lon="7.9"><name>Summit</name><ele>3970</ele></wpt>
+                <rte><name>Approach</name><rtept lat="46.4" lon="7.8"/><rtept lat="46.5" lon="7.9"/></rte>
+                <trk><name>Hike</name>
+                    <trkseg><trkpt lat="46.1" lon="7.1"><ele>1000</ele></trkpt><trkpt lat="46.2" lon="7.2"/></trkseg>
+                    <trkseg><trkpt lat="46.3" lon="7.3"/><trkpt lat="46.4" lon="7.4"/></trkseg>
+                </trk>
+            </gpx>`;
+        const features = parseGPX(gpx);
+        expect(features.map(f => [f.name, f.geometry.type])).toEqual([
+            ['Summit', 'Point'], ['Approach', 'LineString'], ['Hike 1', 'LineString'], ['Hike 2', 'LineString']
+        ]);
+        expect(features[2].geometry.coordinates).toEqual([[7.1, 46.1], [7.2, 46.2]]);
+    });
+});
+
+describe('parseImportFile', () => {
+    it('picks the parser from the file extension', () => {
+        expect(parseImportFile('sites.CSV', 'lat,lon\n1,2\n')).toHaveLength(1);
+    });
+
+    it('rejects unsupported files', () => {
+        expect(() => parseImportFile('map.shp', '')).toThrow(/Unsupported file type/);
+    });
+});
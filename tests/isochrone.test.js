@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { detectTravelModes, detectDepartureTimes, isochroneVariants, parseContourValues } from '../services/isochrone.js';
+
+// Wednesday 2026-03-04 10:00 local time
+const NOW = new Date(2026, 2, 4, 10, 0);
+
+describe('detectTravelModes', () => {
+    it('finds every mode mentioned', () => {
+        expect(detectTravelModes('how much bigger is the 20 min bike zone than the walk zone'))
+            .toEqual(['mapbox/walking', 'mapbox/cycling']);
+        expect(detectTravelModes('15 min walk or drive from the station'))
+            .toEqual(['mapbox/walking', 'mapbox/driving-traffic']);
+    });
+
+    it('splits driving with and without traffic', () => {
+        expect(detectTravelModes('30 min drive with and without traffic'))
+            .toEqual(['mapbox/driving', 'mapbox/driving-traffic']);
+        expect(detectTravelModes('30 min drive without traffic')).toEqual(['mapbox/driving']);
+    });
+
+    it('ignores mode words that are not the travel mode', () => {
+        expect(detectTravelModes('10 minute walk from the car park at Heathrow')).toEqual(['mapbox/walking']);
+        expect(detectTravelModes('show a 20 minute walk zone around the bike shop')).toEqual(['mapbox/walking']);
+        expect(detectTravelModes('15 minute drive from the bicycle museum')).toEqual(['mapbox/driving-traffic']);
+    });
+
+    it('finds modes used as travel verbs', () => {
+        expect(detectTravelModes('how far can I walk or bike in 10 min'))
+            .toEqual(['mapbox/walking', 'mapbox/cycling']);
+        expect(detectTravelModes('compare walking and driving from Lyon'))
+            .toEqual(['mapbox/walking', 'mapbox/driving-traffic']);
+    });
+
+    it('expands all modes', () => {
+        expect(detectTravelModes('20 minute isochrone for all travel modes')).toHaveLength(4);
+    });
+});
+
+describe('detectDepartureTimes', () => {
+    it('reads clock times in order', () => {
+        expect(detectDepartureTimes('30 min drive at 8am vs 11:30pm', NOW))
+            .toEqual(['2026-03-05T08:00', '2026-03-04T23:30']);
+        expect(detectDepartureTimes('at 17:00 and 21:00 tomorrow', NOW))
+            .toEqual(['2026-03-05T17:00', '2026-03-05T21:00']);
+    });
+
+    it('reads named times of day', () => {
+        expect(detectDepartureTimes('rush hour vs midnight', NOW)).toEqual(['2026-03-05T08:00', '2026-03-05T00:00']);
+        expect(detectDepartureTimes('evening rush hour or noon', NOW)).toEqual(['2026-03-04T17:30', '2026-03-04T12:00']);
+    });
+
+    it('ignores durations', () => {
+        expect(detectDepartureTimes('15 and 30 min drive', NOW)).toEqual([]);
+    });
+});
+
+describe('isochroneVariants', () => {
+    it('compares departure times with live traffic', () => {
+        expect(isochroneVariants('30 min drive at 8am and 6pm', NOW)).toEqual([
+            { label: 'Driving at 08:00', profile: 'mapbox/driving-traffic', departAt: '2026-03-05T08:00' },
+            { label: 'Driving at 18:00', profile: 'mapbox/driving-traffic', departAt: '2026-03-04T18:00' }
+        ]);
+    });
+
+    it('ignores departure times for walking and cycling', () => {
+        expect(isochroneVariants('20 min walk at 8am and 6pm', NOW)).toEqual([]);
+    });
+
+    it('compares travel modes', () => {
+        expect(isochroneVariants('20 min bike vs walk', NOW).map(variant => variant.label)).toEqual(['Walking', 'Cycling']);
+    });
+
+    it('returns nothing to compare for a single mode', () => {
+        expect(isochroneVariants('20 min walk from Paris', NOW)).toEqual([]);
+    });
+});
+
+describe('parseContourValues', () => {
+    it('reads minutes, sorted and deduplicated', () => {
+        expect(parseContourValues('30, 10 20,10', 'time')).toEqual([10, 20, 30]);
+    });
+
+    it('reads kilometers as meters for distance contours', () => {
+        expect(parseContourValues('2.5; 1', 'distance')).toEqual([1000, 2500]);
+    });
+
+    it('rejects values the Isochrone API does not accept', () => {
+        expect(() => parseContourValues('90', 'time')).toThrow('1 to 60');
+        expect(() => parseContourValues('7.5', 'time')).toThrow('whole minutes');
+        expect(() => parseContourValues('150', 'distance')).toThrow('100 km');
+        expect(() => parseContourValues('ten', 'time')).toThrow('Invalid contour');
+        expect(() => parseContourValues(' ', 'time')).toThrow('at least one');
+        expect(() => parseContourValues('5, 10, 15, 20, 25', 'time')).toThrow('At most 4');
+    });
+});
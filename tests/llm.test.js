@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { callLLM, getLLMProvider, setLLMProvider, setMockResponses } from '../services/llm.js';
+
+// fetch stub answering with a status and a raw body
+function stubFetch(status, body) {
+    const fetch = vi.fn(async () => ({
+        ok: status >= 200 && status < 300,
+        status,
+        text: async () => body
+    }));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+}
+
+const completion = {
+    id: 'cmpl-1',
+    model: 'sonar',
+    created: 1700000000,
+    object: 'chat.completion',
+    choices: [{ message: { role: 'assistant', content: 'Paris is at 48.8566, 2.3522' } }],
+    citations: ['https://example.org'],
+    search_results: [{ title: 'Paris' }],
+    usage: { total_tokens: 12 }
+};
+
+afterEach(() => {
+    setLLMProvider('perplexity');
+    setMockResponses([]);
+    vi.unstubAllGlobals();
+});
+
+describe('provider selection', () => {
+    it('defaults to Perplexity and switches by name', () => {
+        expect(getLLMProvider().name).toBe('perplexity');
+        expect(setLLMProvider('openai').name).toBe('openai');
+        expect(getLLMProvider().name).toBe('openai');
+    });
+
+    it('rejects unknown providers and keeps the current one', () => {
+        setLLMProvider('mock');
+        expect(() => setLLMProvider('claude')).toThrow(/Unknown LLM provider: claude/);
+        expect(getLLMProvider().name).toBe('mock');
+    });
+});
+
+describe('perplexity provider', () => {
+    it('posts the messages to the chat completions endpoint and normalizes the answer', async () => {
+        const fetch = stubFetch(200, JSON.stringify(completion));
+        const response = await callLLM('Where is Paris?');
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.perplexity.ai/chat/completions');
+        expect(JSON.parse(init.body)).toEqual({ model: 'sonar', messages: [{ role: 'user', content: 'Where is Paris?' }] });
+        expect(response).toEqual({
+            content: 'Paris is at 48.8566, 2.3522',
+            citations: ['https://example.org'],
+            searchResults: [{ title: 'Paris' }],
+            usage: { total_tokens: 12 },
+            metadata: { id: 'cmpl-1', model: 'sonar', created: 1700000000, object: 'chat.completion' }
+        });
+    });
+
+    it('reports the API error message of JSON error bodies', async () => {
+        stubFetch(401, JSON.stringify({ error: { message: 'Invalid API key' } }));
+        await expect(callLLM('Where is Paris?')).rejects.toThrow('LLM API error (401): Invalid API key');
+    });
+
+    it('keeps the status of HTML and plain text error bodies', async () => {
+        stubFetch(502, '<html><body>Bad Gateway</body></html>');
+        await expect(callLLM('Where is Paris?')).rejects.toThrow('LLM API error (502): <html><body>Bad Gateway</body></html>');
+        stubFetch(500, '');
+        await expect(callLLM('Where is Paris?')).rejects.toThrow(/^LLM API error \(500\)$/);
+    });
+
+    it('rejects successful responses that are not JSON', async () => {
+        stubFetch(200, 'OK');
+        await expect(callLLM('Where is Paris?')).rejects.toThrow('LLM API returned invalid JSON (200)');
+    });
+});
+
+describe('openai provider', () => {
+    it('uses the OpenAI endpoint and model by default', async () => {
+        const fetch = stubFetch(200, JSON.stringify({ ...completion, citations: undefined, search_results: undefined }));
+        setLLMProvider('openai');
+        const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Where is Paris?' }];
+        const response = await callLLM(messages);
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.openai.com/v1/chat/completions');
+        expect(JSON.parse(init.body)).toEqual({ model: 'gpt-4o-mini', messages });
+        expect(response.citations).toEqual([]);
+        expect(response.searchResults).toEqual([]);
+    });
+});
+
+describe('mock provider', () => {
+    it('answers without the network', async () => {
+        const fetch = stubFetch(500, '');
+        setLLMProvider('mock');
+
+        expect((await callLLM('Respond with: "single" or "multiple"')).content).toBe('single');
+        const places = JSON.parse((await callLLM('Find 48.8566, 2.3522\nReturn ONLY JSON matching {"places": []}')).content);
+        expect(places.places).toEqual([{ name: 'Location 1', lat: 48.8566, lon: 2.3522, confidence: 1, source: null }]);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('prefers canned responses', async () => {
+        setLLMProvider('mock');
+        setMockResponses([{ match: /eiffel/i, response: 'canned' }]);
+        expect((await callLLM('Where is the Eiffel Tower?')).content).toBe('canned');
+    });
+
+    it('honours an aborted signal', async () => {
+        setLLMProvider('mock');
+        const controller = new AbortController();
+        controller.abort();
+        await expect(callLLM('Where is Paris?', { signal: controller.signal })).rejects.toThrow(/aborted/);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { matrixChunks } from '../services/matrix.js';
+import { matrixRows, sortMatrixRows, matrixColor } from '../utils/matrixDisplay.js';
+import { validateMatrixPlaces } from '../utils/structuredOutput.js';
+
+const place = (name, lat, lon) => ({ name, lat, lon, confidence: 0.9, source: null });
+
+describe('matrixChunks', () => {
+    it('fits small matrices in one request', () => {
+        expect(matrixChunks(3, 10, 'mapbox/driving')).toEqual([[0, 10]]);
+    });
+
+    it('splits destinations to stay within the coordinate limit', () => {
+        // 25 coordinates per request: 3 origins leave room for 22 destinations
+        expect(matrixChunks(3, 50, 'mapbox/walking')).toEqual([[0, 22], [22, 44], [44, 50]]);
+    });
+
+    it('uses the smaller live traffic limit', () => {
+        expect(matrixChunks(3, 10, 'mapbox/driving-traffic')).toEqual([[0, 7], [7, 10]]);
+    });
+
+    it('rejects more origins than fit in a request', () => {
+        expect(() => matrixChunks(25, 1, 'mapbox/driving')).toThrow(/Too many origins/);
+    });
+});
+
+describe('validateMatrixPlaces', () => {
+    it('accepts origins and destinations', () => {
+        const text = JSON.stringify({
+            origins: [place('Warehouse', 40.7, -74.0)],
+            destinations: [place('Store 1', 40.8, -73.9), place('Store 2', 40.6, -74.1)]
+        });
+        const result = validateMatrixPlaces(text);
+        expect(result.valid).toBe(true);
+        expect(result.origins.map(p => p.name)).toEqual(['Warehouse']);
+        expect(result.destinations).toHaveLength(2);
+    });
+
+    it('rejects a missing list', () => {
+        const result = validateMatrixPlaces('{"origins": [{"name": "A", "lat": 1, "lon": 2}]}');
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Missing "destinations" array');
+    });
+
+    it('drops invalid places and reports them', () => {
+        const text = JSON.stringify({
+            origins: [place('A', 95, 0)],
+            destinations: [place('B', 1, 2)]
+        });
+        const result = validateMatrixPlaces(text);
+        expect(result.valid).toBe(false);
+        expect(result.origins).toEqual([]);
+        expect(result.errors.some(error => error.includes('origins[0]'))).toBe(true);
+    });
+});
+
+describe('matrix table', () => {
+    const origins = [place('A', 0, 0), place('B', 1, 1)];
+    const destinations = [place('X', 0, 1), place('Y', 1, 0)];
+    const rows = matrixRows({
+        durations: [[600, null], [300, 1200]],
+        distances: [[5000, null], [2500, 9000]]
+    }, origins, destinations);
+
+    it('has one row per pair', () => {
+        expect(rows.map(row => `${row.from}-${row.to}`)).toEqual(['A-X', 'A-Y', 'B-X', 'B-Y']);
+        expect(rows[0].toCoordinates).toEqual([1, 0]);
+    });
+
+    it('sorts by time with unreachable pairs last', () => {
+        expect(sortMatrixRows(rows, 'duration').map(row => row.pair)).toEqual(['1-0', '0-0', '1-1', '0-1']);
+        expect(sortMatrixRows(rows, 'duration', false).map(row => row.pair)).toEqual(['1-1', '0-0', '1-0', '0-1']);
+    });
+
+    it('sorts by name', () => {
+        expect(sortMatrixRows(rows, 'to', false).map(row => row.to)).toEqual(['Y', 'Y', 'X', 'X']);
+    });
+
+    it('colors connectors from green to red', () => {
+        expect(matrixColor(300, 300, 1200)).toBe('hsl(120, 75%, 45%)');
+        expect(matrixColor(1200, 300, 1200)).toBe('hsl(0, 75%, 45%)');
+        expect(matrixColor(null, 300, 1200)).toBe('#999999');
+    });
+});
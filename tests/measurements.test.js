@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { measureGeometry, boundingBox, formatLength, formatArea, formatDuration } from '../utils/measurements.js';
+import { generateCircleGeometry, circleAreaKm2 } from '../utils/bufferGenerator.js';
+import { haversineDistance } from '../utils/elevationHelpers.js';
+
+describe('measureGeometry', () => {
+    it('measures a point', () => {
+        const result = measureGeometry({ type: 'Point', coordinates: [-74, 40.7] });
+        expect(result.kind).toBe('point');
+        expect(result.centroid).toEqual([-74, 40.7]);
+        expect(result.bbox).toEqual([-74, 40.7, -74, 40.7]);
+    });
+
+    it('measures the geodesic length and midpoint of a line', () => {
+        const line = { type: 'LineString', coordinates: [[0, 0], [0, 1], [0, 2]] };
+        const result = measureGeometry(line);
+        expect(result.kind).toBe('line');
+        expect(result.lengthKm).toBeCloseTo(2 * haversineDistance([0, 0], [0, 1]), 9);
+        expect(result.centroid[0]).toBeCloseTo(0, 9);
+        expect(result.centroid[1]).toBeCloseTo(1, 9);
+        expect(result.areaKm2).toBe(0);
+    });
+
+    it('measures area, perimeter and centroid of a buffer', () => {
+        const result = measureGeometry(generateCircleGeometry([40, -74], 10));
+        expect(result.kind).toBe('area');
+        expect(result.areaKm2).toBeCloseTo(circleAreaKm2(10), -1);
+        expect(result.perimeterKm).toBeCloseTo(2 * Math.PI * 10, 0);
+        expect(result.centroid[0]).toBeCloseTo(-74, 2);
+        expect(result.centroid[1]).toBeCloseTo(40, 2);
+    });
+
+    it('includes holes in the perimeter and subtracts them from the area', () => {
+        const outer = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+        const hole = [[0.25, 0.25], [0.25, 0.75], [0.75, 0.75], [0.75, 0.25], [0.25, 0.25]];
+        const solid = measureGeometry({ type: 'Polygon', coordinates: [outer] });
+        const holed = measureGeometry({ type: 'Polygon', coordinates: [outer, hole] });
+        expect(holed.areaKm2).toBeLessThan(solid.areaKm2);
+        expect(holed.perimeterKm).toBeCloseTo(solid.perimeterKm * 1.5, 0);
+        expect(holed.centroid[0]).toBeCloseTo(0.5, 6);
+    });
+
+    it('keeps a buffer split at the antimeridian together', () => {
+        const result = measureGeometry(generateCircleGeometry([0, 179.95], 20));
+        expect(Math.abs(result.centroid[0])).toBeGreaterThan(179.9);
+        const [west, , east] = result.bbox;
+        expect(west).toBeGreaterThan(east);
+    });
+
+    it('rejects missing geometries', () => {
+        expect(() => measureGeometry(null)).toThrow();
+    });
+});
+
+describe('boundingBox', () => {
+    it('returns west, south, east, north', () => {
+        expect(boundingBox([[10, 5], [12, -3], [11, 8]])).toEqual([10, -3, 12, 8]);
+    });
+
+    it('wraps across the antimeridian when that is smaller', () => {
+        expect(boundingBox([[179, 0], [-179, 1]])).toEqual([179, 0, -179, 1]);
+    });
+});
+
+describe('formatLength', () => {
+    it.each([
+        [0.5, 'metric', '500 m'],
+        [12.345, 'metric', '12.35 km'],
+        [1609.344, 'imperial', '1,000.00 mi'],
+        [0.1, 'imperial', '328 ft'],
+        [1.852, 'nautical', '1.00 nmi']
+    ])('formats %s km in %s as %s', (km, units, expected) => {
+        expect(formatLength(km, units)).toBe(expected);
+    });
+});
+
+describe('formatArea', () => {
+    it.each([
+        [0.5, 'metric', '50.00 ha'],
+        [2, 'metric', '2.00 km²'],
+        [12.95, 'imperial', '5.00 mi²'],
+        [0.0040468564224, 'imperial', '1.0 ac'],
+        [3.429904, 'nautical', '1.00 nmi²']
+    ])('formats %s km² in %s as %s', (km2, units, expected) => {
+        expect(formatArea(km2, units)).toBe(expected);
+    });
+});
+
+describe('formatDuration', () => {
+    it.each([
+        [20, '< 1 min'],
+        [90, '2 min'],
+        [3540, '59 min'],
+        [3600, '1 h 00 min'],
+        [5 * 3600 + 7 * 60, '5 h 07 min']
+    ])('formats %s s as %s', (seconds, expected) => {
+        expect(formatDuration(seconds)).toBe(expected);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { optimizeStopOrder, detectTripEnds } from '../services/optimization.js';
+import { haversineDistance } from '../utils/elevationHelpers.js';
+
+// Length of a visit order in km
+const orderLength = (coordinates, order, roundtrip) => order.reduce((length, index, i) => {
+    const next = i + 1 < order.length ? order[i + 1] : (roundtrip ? order[0] : null);
+    return next === null ? length : length + haversineDistance(coordinates[index], coordinates[next]);
+}, 0);
+
+// Stops on a line, listed out of order: 0, 4, 1, 3, 2 along the x axis
+const SHUFFLED = [[0, 0], [0.4, 0], [0.1, 0], [0.3, 0], [0.2, 0]];
+
+describe('optimizeStopOrder', () => {
+    it('visits stops on a line in order', () => {
+        expect(optimizeStopOrder(SHUFFLED)).toEqual([0, 2, 4, 3, 1]);
+    });
+
+    it('keeps a fixed end last', () => {
+        const order = optimizeStopOrder(SHUFFLED, { fixedEnd: true });
+        expect(order[0]).toBe(0);
+        expect(order[order.length - 1]).toBe(4);
+        expect([...order].sort()).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('untangles crossing roundtrips with 2-opt', () => {
+        // Corners of a square: nearest neighbor from the start would cross the diagonals
+        const square = [[0, 0], [0.1, 0.1], [0.1, 0], [0, 0.1], [0.05, 0.11]];
+        const order = optimizeStopOrder(square, { roundtrip: true });
+        const perimeter = orderLength(square, [0, 2, 1, 4, 3], true);
+        expect(order[0]).toBe(0);
+        expect(orderLength(square, order, true)).toBeCloseTo(perimeter, 6);
+    });
+
+    it('never does worse than the listed order', () => {
+        const stops = Array.from({ length: 10 }, (_, i) => [Math.cos(i * 2.4) * 0.5, Math.sin(i * 1.7) * 0.5]);
+        const listed = stops.map((_, i) => i);
+        expect(orderLength(stops, optimizeStopOrder(stops, { roundtrip: true }), true))
+            .toBeLessThanOrEqual(orderLength(stops, listed, true));
+    });
+});
+
+describe('detectTripEnds', () => {
+    it.each([
+        ['best order to visit these 8 sites starting and ending at our office', { roundtrip: true, fixedEnd: false }],
+        ['optimize a round trip from the depot', { roundtrip: true, fixedEnd: false }],
+        ['best order to visit these stops, ending at the airport', { roundtrip: false, fixedEnd: true }],
+        ['best order to visit the Louvre, Orsay and Pantheon', { roundtrip: false, fixedEnd: false }]
+    ])('"%s"', (query, expected) => {
+        expect(detectTripEnds(query)).toEqual(expected);
+    });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { detectQueryType, isInsetQuery } from '../utils/queryDetector.js';
+
+// [query, type, subtype]
+const cases = [
+    // Isochrones (travel time / reachability)
+    ['10 min walk from Times Square', 'isochrone', 'single'],
+    ['15 minute drive from Central Park', 'isochrone', 'single'],
+    ['isochrone around Berlin', 'isochrone', 'single'],
+    ['show 30 min bike zone from Amsterdam', 'isochrone', 'single'],
+    ['reachable area within 20 minutes of Paris', 'isochrone', 'single'],
+    ['delivery zone for our warehouse in Newark', 'isochrone', 'single'],
+    ['5 km walk from the Louvre', 'isochrone', 'single'],
+    ['service area of Seattle hospital', 'isochrone', 'single'],
+    ['15, 30, 45 min drive from Denver', 'isochrone', 'multiple'],
+    ['15 minute drive from each of our 5 clinics', 'isochrone', 'multi-origin'],
+    ['10 min walk from Times Square, Grand Central and Penn Station', 'isochrone', 'multi-origin'],
+    ['30 min drive zone around our 3 warehouses in Ohio', 'isochrone', 'multi-origin'],
+    ['20 minute drive from Denver, Colorado', 'isochrone', 'single'],
+    ['isochrone from Denver for 15 and 30 minutes', 'isochrone', 'multiple'],
+    ['how much bigger is the 20 min bike zone than the walk zone from Union Square', 'isochrone', 'compare'],
+    ['30 min drive zone from Atlanta airport at 8am vs 11pm', 'isochrone', 'compare'],
+    ['20 minute isochrone from Lyon for all travel modes', 'isochrone', 'compare'],
+    ['10 minute walk from the car park at Heathrow', 'isochrone', 'single'],
+    ['show a 20 minute walk zone around the bike shop', 'isochrone', 'single'],
+    ['15 minute drive from each of our 5 clinics at 8am and 5pm', 'isochrone', 'multi-origin'],
+    ['30 min drive from Denver at 8am and 5pm', 'isochrone', 'compare'],
+    ['20 min zone from Lyon walking and cycling', 'isochrone', 'compare'],
+    ['who can reach Wembley Stadium within 20 minutes by car', 'isochrone', 'catchment'],
+    ['where can customers come from to reach our store in Leeds in 15 min', 'isochrone', 'catchment'],
+    ['catchment area of the Denver clinic for a 30 min drive', 'isochrone', 'catchment'],
+    ['reverse isochrone for Lyon Part-Dieu station, 10 and 20 minutes walking', 'isochrone', 'catchment'],
+
+    // Buffers (fixed distance)
+    ['add 10km buffer around Dehradun', 'buffer', 'single'],
+    ['create a 5 mile geofence around Chicago', 'buffer', 'single'],
+    ['show a 3 km perimeter around the stadium', 'buffer', 'single'],
+    ['within 5 km of Boston', 'buffer', 'single'],
+    ['buffer of 2km around Tokyo and Osaka', 'buffer', 'multiple'],
+    ['2km corridor along this route', 'buffer', 'single'],
+    ['500m setback around the polygon', 'buffer', 'single'],
+    ['inset this polygon by 500m', 'buffer', 'single'],
+
+    // Polygons
+    ['draw polygon around Manhattan', 'polygon', 'single'],
+    ['boundary of Paris', 'polygon', 'single'],
+    ['show region around Tokyo', 'polygon', 'single'],
+    ['create a polygon from Delhi, Mumbai and Bangalore', 'polygon', 'multiple'],
+    ['polygon connecting London, Paris, Berlin', 'polygon', 'multiple'],
+    ['triangle connecting Rome, Milan, Naples', 'polygon', 'multiple'],
+    ['area between Boston, New York, Philadelphia', 'polygon', 'multiple'],
+
+    // Elevation
+    ['show elevation profile', 'elevation', 'single'],
+    ['elevation profile from Denver to Aspen', 'elevation', 'single'],
+    ['terrain profile along this route', 'elevation', 'single'],
+    ['display elevation', 'elevation', 'single'],
+
+    // Lines - road routing
+    ['route from San Francisco to Los Angeles', 'line', 'route-single'],
+    ['directions from Boston to New York', 'line', 'route-single'],
+    ['walking directions to the Eiffel Tower from the Louvre', 'line', 'route-single'],
+    ['driving route from Berlin to Munich via Leipzig', 'line', 'route-multi'],
+    ['route through Paris, Lyon, Marseille', 'line', 'route-multi'],
+
+    // Lines - optimized multi-stop routes
+    ['best order to visit these 8 sites starting and ending at our office', 'line', 'route-optimized'],
+    ['optimize my delivery route: Newark, Jersey City, Hoboken, Bayonne', 'line', 'route-optimized'],
+    ['shortest way to visit the Louvre, Notre-Dame, Orsay and the Pantheon', 'line', 'route-optimized'],
+
+    // Travel time matrix
+    ['travel times from our 3 warehouses to these 10 stores', 'matrix', 'multiple'],
+    ['drive times between our offices in Boston and Hartford and all hospitals in Providence', 'matrix', 'multiple'],
+    ['distance matrix for Lyon, Marseille and Nice', 'matrix', 'multiple'],
+    ['drive time table from our 2 depots to these 6 towns', 'matrix', 'multiple'],
+    ['origin-destination times between Lyon, Marseille and Nice', 'matrix', 'multiple'],
+
+    // Lines - straight connections
+    ['connect London with a line to Paris', 'line', 'direct-single'],
+    ['from Delhi to Agra', 'line', 'direct-single'],
+    ['Tokyo, Kyoto', 'line', 'direct-single'],
+    ['path through Rome, Florence, Venice', 'line', 'direct-multi'],
+    ['Paris, Lyon, Nice', 'line', 'direct-multi'],
+
+    // Points
+    ['where is Dubai', 'point', 'single'],
+    ['show me Tokyo', 'point', 'single'],
+    ['find the Eiffel Tower', 'point', 'single'],
+    ['locate Mount Everest', 'point', 'single'],
+    ['coordinates of the Statue of Liberty', 'point', 'single'],
+    ['New York', 'point', 'single'],
+    ['take me to London', 'point', 'single'],
+    ['top 10 places in Rome', 'point', 'multiple'],
+    ['show me London, Paris, Berlin', 'point', 'multiple']
+];
+
+describe('detectQueryType', () => {
+    it.each(cases)('"%s" -> %s/%s', (query, type, subtype) => {
+        expect(detectQueryType(query, '')).toEqual({ type, subtype });
+    });
+
+    it.each([
+        'time table from 9am to 5pm in London',
+        'train timetable from London to Paris',
+        'bus timetable for Lyon'
+    ])('does not read "%s" as a matrix', query => {
+        expect(detectQueryType(query, '').type).not.toBe('matrix');
+    });
+
+    it('does not route travel-time queries to buffer', () => {
+        expect(detectQueryType('10 min walk from Times Square', '').type).not.toBe('buffer');
+        expect(detectQueryType('20 minute drive from the airport', '').type).toBe('isochrone');
+    });
+});
+
+describe('isInsetQuery', () => {
+    it.each([
+        '-500m buffer',
+        'buffer by -1.5 km',
+        'inset by 500m',
+        'shrink the polygon by 1km',
+        'erode this shape by 200 m',
+        'negative buffer of 2 km',
+        'buffer 300 m inwards',
+        'offset it inward by 100m',
+        '200 m inside the boundary'
+    ])('"%s" is an inset', query => {
+        expect(isInsetQuery(query)).toBe(true);
+    });
+
+    it.each([
+        '5 km buffer around the route inside the city',
+        '2 km buffer around the inner ring road',
+        '1 km buffer around zone -2',
+        '10 km buffer around the A-1 motorway',
+        '500 m setback from the polygon',
+        'buffer this polygon by 1 km inside Paris',
+        'is there a negative effect of a 2 km buffer'
+    ])('"%s" is not an inset', query => {
+        expect(isInsetQuery(query)).toBe(false);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { saveSession, loadSession, listSessions, SESSION_VERSION } from '../utils/session.js';
+
+// Minimal in-memory localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+const session = {
+    camera: { center: [-74, 40.7], zoom: 12, bearing: 0, pitch: 0 },
+    style: 'mapbox://styles/mapbox/dark-v11',
+    features: {
+        markers: [{ lngLat: [-74, 40.7], number: 1 }],
+        registry: { lines: [], markers: [{ id: 'markers-1', lngLat: [-74, 40.7] }], buffers: [], polygons: [], isochrones: [] }
+    },
+    selectedFeatureId: 'markers-1'
+};
+
+beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+});
+
+describe('session persistence', () => {
+    it('round-trips the current session', () => {
+        saveSession(session);
+        const loaded = loadSession();
+        expect(loaded.camera).toEqual(session.camera);
+        expect(loaded.features).toEqual(session.features);
+        expect(loaded.selectedFeatureId).toBe('markers-1');
+        expect(loaded.version).toBe(SESSION_VERSION);
+    });
+
+    it('returns null when nothing is saved', () => {
+        expect(loadSession()).toBeNull();
+        expect(loadSession('missing')).toBeNull();
+    });
+
+    it('keeps named sessions separate from the current one', () => {
+        saveSession(session, 'downtown');
+        expect(loadSession()).toBeNull();
+        expect(loadSession('downtown').name).toBe('downtown');
+    });
+
+    it('lists named sessions with feature counts, newest first', () => {
+        const now = vi.spyOn(Date, 'now');
+        now.mockReturnValue(1000);
+        saveSession(session, 'first');
+        now.mockReturnValue(2000);
+        saveSession({ ...session, features: { registry: {} } }, 'second');
+        now.mockRestore();
+
+        expect(listSessions()).toEqual([
+            { name: 'second', savedAt: 2000, featureCount: 0 },
+            { name: 'first', savedAt: 1000, featureCount: 1 }
+        ]);
+    });
+
+    it('ignores sessions from another version or corrupt storage', () => {
+        localStorage.setItem('mbrt-session', JSON.stringify({ ...session, version: SESSION_VERSION + 1 }));
+        expect(loadSession()).toBeNull();
+        localStorage.setItem('mbrt-session', '{not json');
+        expect(loadSession()).toBeNull();
+    });
+
+    it('reports storage failures', () => {
+        localStorage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        expect(() => saveSession(session, 'big')).toThrow(/Could not save session/);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { extractJSON, validatePlaces, validatePolygons } from '../utils/structuredOutput.js';
+
+const place = (name, lat, lon) => ({ name, lat, lon, confidence: 0.9, source: null });
+
+describe('extractJSON', () => {
+    it('reads fenced JSON', () => {
+        const text = 'Here you go:\n```json\n{"places": []}\n```\nAnything else?';
+        expect(extractJSON(text)).toEqual({ data: { places: [] }, error: null });
+        expect(extractJSON('```\n{"a": 1}\n```').data).toEqual({ a: 1 });
+    });
+
+    it('reads JSON surrounded by prose', () => {
+        expect(extractJSON('The answer is {"places": [{"name": "Paris"}]} as requested.').data)
+            .toEqual({ places: [{ name: 'Paris' }] });
+    });
+
+    it('reports responses without valid JSON', () => {
+        expect(extractJSON('')).toEqual({ data: null, error: 'Empty response' });
+        expect(extractJSON(null).error).toBe('Empty response');
+        expect(extractJSON('Paris is at 48.85, 2.35').error).toBe('Response is not JSON');
+        expect(extractJSON('{"places": [}').error).toMatch(/^Invalid JSON/);
+    });
+});
+
+describe('validatePlaces', () => {
+    it('accepts places and fills optional fields', () => {
+        const result = validatePlaces(JSON.stringify({ places: [{ name: ' Sydney ', lat: -33.8688, lon: 151.2093 }] }));
+        expect(result).toEqual({
+            valid: true,
+            places: [{ name: 'Sydney', lat: -33.8688, lon: 151.2093, confidence: null, source: null }],
+            errors: []
+        });
+    });
+
+    it('rejects out of range coordinates', () => {
+        const result = validatePlaces(JSON.stringify({ places: [place('North', 91, 0), place('East', 0, 180.5), place('Ok', 1, 2)] }));
+        expect(result.valid).toBe(false);
+        expect(result.places.map(p => p.name)).toEqual(['Ok']);
+        expect(result.errors).toEqual([
+            'places[0] has invalid "lat" (must be a number from -90 to 90)',
+            'places[1] has invalid "lon" (must be a number from -180 to 180)'
+        ]);
+    });
+
+    it('rejects swapped latitude and longitude when the latitude is out of range', () => {
+        // Sydney given as lat, lon = 151.2, -33.9
+        const result = validatePlaces(JSON.stringify({ places: [place('Sydney', 151.2093, -33.8688)] }));
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('places[0] has invalid "lat" (must be a number from -90 to 90)');
+    });
+
+    it('rejects coordinates given as strings and bad confidence', () => {
+        const result = validatePlaces('{"places": [{"name": "Paris", "lat": "48.85", "lon": 2.35, "confidence": 2}]}');
+        expect(result.errors).toEqual([
+            'places[0] has invalid "lat" (must be a number from -90 to 90)',
+            'places[0] has invalid "confidence" (must be a number from 0 to 1)',
+            'Expected at least 1 place(s), got 0'
+        ]);
+    });
+
+    it('enforces the minimum and maximum count', () => {
+        expect(validatePlaces('{"places": []}').errors).toEqual(['Expected at least 1 place(s), got 0']);
+        expect(validatePlaces('{"places": []}', { minCount: 0 }).valid).toBe(true);
+
+        const two = JSON.stringify({ places: [place('A', 1, 2), place('B', 3, 4)] });
+        const result = validatePlaces(two, { maxCount: 1 });
+        expect(result.valid).toBe(false);
+        expect(result.places).toHaveLength(2);
+        expect(result.errors).toEqual(['Expected at most 1 place(s), got 2']);
+    });
+
+    it('requires a places array', () => {
+        expect(validatePlaces('{"place": {}}').errors).toEqual(['Missing "places" array']);
+        expect(validatePlaces('not json').errors).toEqual(['Response is not JSON']);
+    });
+});
+
+describe('validatePolygons', () => {
+    const triangle = [place('A', 0, 0), place('B', 0, 1), place('C', 1, 0)];
+
+    it('accepts polygons and names unnamed ones', () => {
+        const result = validatePolygons('```json\n' + JSON.stringify({ polygons: [{ name: 'Park', places: triangle }, { places: triangle }] }) + '\n```');
+        expect(result.valid).toBe(true);
+        expect(result.polygons.map(polygon => polygon.name)).toEqual(['Park', 'Polygon 2']);
+        expect(result.polygons[0].places[2]).toEqual({ name: 'C', lat: 1, lon: 0, confidence: 0.9, source: null });
+    });
+
+    it('rejects polygons with too few or invalid vertices', () => {
+        const result = validatePolygons(JSON.stringify({ polygons: [
+            { name: 'Line', places: triangle.slice(0, 2) },
+            { name: 'Off map', places: [...triangle.slice(0, 2), place('D', -95, 0)] },
+            { name: 'Ok', places: triangle }
+        ] }));
+        expect(result.valid).toBe(false);
+        expect(result.polygons.map(polygon => polygon.name)).toEqual(['Ok']);
+        expect(result.errors).toEqual([
+            'polygons[0] has 2 vertices, needs at least 3',
+            'polygons[1].places[2] has invalid "lat" (must be a number from -90 to 90)'
+        ]);
+    });
+
+    it('enforces the minimum and maximum count', () => {
+        expect(validatePolygons('{"polygons": []}').errors).toEqual(['Expected at least 1 polygon(s), got 0']);
+        const two = JSON.stringify({ polygons: [{ places: triangle }, { places: triangle }] });
+        expect(validatePolygons(two, { maxPolygons: 1 }).errors).toEqual(['Expected at most 1 polygon(s), got 2']);
+        expect(validatePolygons(JSON.stringify({ polygons: [{ places: triangle.slice(0, 2) }] }), { minPoints: 2 }).valid).toBe(true);
+    });
+
+    it('requires vertex lists', () => {
+        expect(validatePolygons('{"polygons": [{"name": "Park"}]}').errors).toEqual([
+            'polygons[0] is missing "places" array',
+            'Expected at least 1 polygon(s), got 0'
+        ]);
+        expect(validatePolygons('{"places": []}').errors).toEqual(['Missing "polygons" array']);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { encodePolyline, decodePolyline, encodeGeometry, decodeGeometry, encodeMapState, decodeMapState } from '../utils/urlState.js';
+
+// Example from the Google polyline algorithm documentation
+const GOOGLE_EXAMPLE = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+const GOOGLE_COORDINATES = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+
+describe('polyline encoding', () => {
+    it('encodes the reference example', () => {
+        expect(encodePolyline(GOOGLE_COORDINATES)).toBe(GOOGLE_EXAMPLE);
+    });
+
+    it('decodes the reference example', () => {
+        expect(decodePolyline(GOOGLE_EXAMPLE)).toEqual(GOOGLE_COORDINATES);
+    });
+
+    it('round-trips coordinates across the antimeridian to 5 decimals', () => {
+        const coordinates = [[179.99999, -45.12345], [-179.5, -44.9], [0, 0]];
+        expect(decodePolyline(encodePolyline(coordinates))).toEqual(coordinates);
+    });
+
+    it('rejects truncated input', () => {
+        expect(() => decodePolyline(GOOGLE_EXAMPLE.slice(0, -1))).toThrow('Truncated polyline');
+    });
+});
+
+describe('geometry encoding', () => {
+    const geometries = [
+        { type: 'Point', coordinates: [2.35222, 48.85661] },
+        { type: 'LineString', coordinates: [[2.35, 48.85], [2.36, 48.86], [2.4, 48.9]] },
+        { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]], [[0.2, 0.1], [0.8, 0.1], [0.8, 0.7], [0.2, 0.1]]] },
+        { type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[5, 5], [6, 5], [6, 6], [5, 5]]]] }
+    ];
+
+    geometries.forEach(geometry => {
+        it(`round-trips a ${geometry.type}`, () => {
+            expect(decodeGeometry(encodeGeometry(geometry))).toEqual(geometry);
+        });
+    });
+
+    it('rejects unsupported geometries', () => {
+        expect(() => encodeGeometry({ type: 'GeometryCollection', geometries: [] })).toThrow('Unsupported geometry type');
+    });
+});
+
+describe('map state hash', () => {
+    const state = {
+        camera: { center: [-74.0060123, 40.7127801], zoom: 12.345, bearing: 33.33, pitch: 45 },
+        style: 'mapbox://styles/mapbox/satellite-streets-v12',
+        terrain: true,
+        scene: {
+            b: [[-74.006, 40.7128, 2.5]],
+            p: [['Zürich park', '#089BDF', encodeGeometry({ type: 'Polygon', coordinates: [[[8.5, 47.3], [8.6, 47.3], [8.6, 47.4], [8.5, 47.3]]] })]]
+        }
+    };
+
+    it('round-trips camera, style, terrain and scene', () => {
+        const hash = encodeMapState(state);
+        expect(hash.startsWith('#map=')).toBe(true);
+        expect(hash).toMatch(/^#map=[A-Za-z0-9_-]+$/);
+
+        const decoded = decodeMapState(hash);
+        expect(decoded.camera).toEqual({ center: [-74.00601, 40.71278], zoom: 12.35, bearing: 33.3, pitch: 45 });
+        expect(decoded.style).toBe(state.style);
+        expect(decoded.terrain).toBe(true);
+        expect(decoded.scene).toEqual(state.scene);
+    });
+
+    it('keeps custom style URLs', () => {
+        const decoded = decodeMapState(encodeMapState({ ...state, style: 'mapbox://styles/someone/abc123', terrain: false }));
+        expect(decoded.style).toBe('mapbox://styles/someone/abc123');
+        expect(decoded.terrain).toBe(false);
+    });
+
+    it('ignores hashes without valid map state', () => {
+        expect(decodeMapState('')).toBeNull();
+        expect(decodeMapState('#section')).toBeNull();
+        expect(decodeMapState('#map=not-json')).toBeNull();
+    });
+});
@@ -1,26 +1,404 @@
-// Generate circle polygon for buffer/geofence
+import polygonClipping from 'polygon-clipping';
+import { haversineDistance } from './elevationHelpers.js';
+
+// Geodesic buffer/geofence generation on a spherical Earth
+// Uses the same radius as haversineDistance so buffers and measured distances agree
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Wrap a longitude into [-180, 180]
+function normalizeLongitude(lon) {
+    return ((lon + 540) % 360) - 180;
+}
+
+/**
+ * Point at a distance and initial bearing from a start point along a great circle
+ * start is [lon, lat], bearing in degrees clockwise from north
+ * Returns [lon, lat] - longitude is NOT wrapped, it stays within ±180° of the start
+ */
+export function destinationPoint(start, distanceKm, bearingDeg) {
+    const [lon1, lat1] = start;
+    const lat1Rad = toRadians(lat1);
+    const lon1Rad = toRadians(lon1);
+    const bearingRad = toRadians(bearingDeg);
+    const angularDistance = distanceKm / EARTH_RADIUS_KM;
+
+    const lat2Rad = Math.asin(
+        Math.sin(lat1Rad) * Math.cos(angularDistance) +
+        Math.cos(lat1Rad) * Math.sin(angularDistance) * Math.cos(bearingRad)
+    );
+    const lon2Rad = lon1Rad + Math.atan2(
+        Math.sin(bearingRad) * Math.sin(angularDistance) * Math.cos(lat1Rad),
+        Math.cos(angularDistance) - Math.sin(lat1Rad) * Math.sin(lat2Rad)
+    );
+
+    return [toDegrees(lon2Rad), toDegrees(lat2Rad)];
+}
+
+/**
+ * Generate the ring of a geodesic circle (every point is radiusKm from the center)
+ * center is [lat, lon]; returns a closed ring of [lon, lat] points
+ * Longitudes are continuous around the center, so the ring may extend past ±180°
+ * (use generateCircleGeometry for a map-ready geometry)
+ */
 export function generateCircle(center, radiusKm, numPoints = 64) {
     const [lat, lon] = center;
     const points = [];
-    
-    // Convert radius to degrees (approximate)
-    // 1 degree latitude ≈ 111 km
-    // 1 degree longitude ≈ 111 km * cos(latitude)
-    const latOffset = radiusKm / 111;
-    const lonOffset = radiusKm / (111 * Math.cos(lat * Math.PI / 180));
-    
-    // Generate points around the circle
+
+    // Walk the bearings counter-clockwise (east, north, west, south) so the ring is CCW like GeoJSON outer rings
     for (let i = 0; i <= numPoints; i++) {
-        const angle = (i / numPoints) * 2 * Math.PI;
-        
-        // Calculate point at radius distance
-        const pointLat = lat + latOffset * Math.sin(angle);
-        const pointLon = lon + lonOffset * Math.cos(angle);
-        
-        // Mapbox format: [lon, lat]
-        points.push([pointLon, pointLat]);
-    }
-    
+        const bearing = 90 - (i / numPoints) * 360;
+        points.push(destinationPoint([lon, lat], radiusKm, bearing));
+    }
+
     return points;
 }
 
+/**
+ * Area of a geodesic circle (spherical cap) in km²
+ */
+export function circleAreaKm2(radiusKm) {
+    const angularRadius = Math.min(radiusKm / EARTH_RADIUS_KM, Math.PI);
+    return 2 * Math.PI * EARTH_RADIUS_KM * EARTH_RADIUS_KM * (1 - Math.cos(angularRadius));
+}
+
+// Clip a ring to the half-plane lon >= bound (keepEast) or lon <= bound, Sutherland-Hodgman style
+// A meridian crosses a small circle at most twice, so clipping a circle ring stays a single ring
+function clipRingAtLongitude(ring, bound, keepEast) {
+    const inside = point => keepEast ? point[0] >= bound : point[0] <= bound;
+    const crossing = (a, b) => {
+        const t = (bound - a[0]) / (b[0] - a[0]);
+        return [bound, a[1] + (b[1] - a[1]) * t];
+    };
+
+    const clipped = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+        const current = ring[i];
+        const next = ring[i + 1];
+        if (inside(current)) {
+            clipped.push(current);
+            if (!inside(next)) {
+                clipped.push(crossing(current, next));
+            }
+        } else if (inside(next)) {
+            clipped.push(crossing(current, next));
+        }
+    }
+
+    if (clipped.length < 3) {
+        return null;
+    }
+    clipped.push(clipped[0]);
+    return clipped;
+}
+
+// Clip a ring to the [-180, 180] longitude range
+function clipRingToWorld(ring) {
+    const west = clipRingAtLongitude(ring, -180, true);
+    return west ? clipRingAtLongitude(west, 180, false) : null;
+}
+
+// Ring of a circle that contains a pole: runs along the circle from -180° to 180°, then closes over the pole
+function polarCapRing(ring, pole) {
+    const points = ring.slice(0, -1)
+        .map(([lon, lat]) => [normalizeLongitude(lon), lat])
+        .sort((a, b) => a[0] - b[0]);
+
+    // Latitude where the circle crosses the antimeridian (between the last and first point, wrapping around)
+    const first = points[0];
+    const last = points[points.length - 1];
+    const gap = first[0] + 360 - last[0];
+    const crossingLat = gap === 0 ? last[1] : last[1] + (first[1] - last[1]) * (180 - last[0]) / gap;
+
+    const capRing = [
+        [-180, crossingLat],
+        ...points,
+        [180, crossingLat],
+        [180, pole],
+        [-180, pole],
+        [-180, crossingLat]
+    ];
+
+    // Keep the outer ring CCW: the north cap is traced west to east along its southern edge already
+    return pole > 0 ? capRing : capRing.reverse();
+}
+
+/**
+ * Generate a map-ready GeoJSON geometry for a geodesic circle
+ * center is [lat, lon]; returns a Polygon, or a MultiPolygon when the circle is split at ±180°
+ * - Circles crossing the antimeridian are split into an east and a west part
+ * - Circles containing a pole become a cap that closes along the pole
+ * - Circles containing both poles become the world minus the circle around the antipode
+ */
+export function generateCircleGeometry(center, radiusKm, numPoints = 64) {
+    const [lat, lon] = center;
+    const halfCircumference = Math.PI * EARTH_RADIUS_KM;
+    const distanceToNorthPole = toRadians(90 - lat) * EARTH_RADIUS_KM;
+    const distanceToSouthPole = toRadians(90 + lat) * EARTH_RADIUS_KM;
+    const containsNorthPole = radiusKm >= distanceToNorthPole;
+    const containsSouthPole = radiusKm >= distanceToSouthPole;
+
+    if (containsNorthPole && containsSouthPole) {
+        const worldRing = [[-180, -90], [180, -90], [180, 90], [-180, 90], [-180, -90]];
+        if (radiusKm >= halfCircumference) {
+            return { type: 'Polygon', coordinates: [worldRing] };
+        }
+
+        // The uncovered part is a small circle around the antipode - cut it out as holes
+        const antipode = [-lat, normalizeLongitude(lon + 180)];
+        const uncovered = generateCircleGeometry(antipode, halfCircumference - radiusKm, numPoints);
+        const holes = uncovered.type === 'Polygon'
+            ? [uncovered.coordinates[0]]
+            : uncovered.coordinates.map(polygon => polygon[0]);
+        return { type: 'Polygon', coordinates: [worldRing, ...holes.map(hole => [...hole].reverse())] };
+    }
+
+    const ring = generateCircle(center, radiusKm, numPoints);
+
+    if (containsNorthPole || containsSouthPole) {
+        return { type: 'Polygon', coordinates: [polarCapRing(ring, containsNorthPole ? 90 : -90)] };
+    }
+
+    const lons = ring.map(point => point[0]);
+    const minLon = Math.min(...lons);
+    const maxLon = Math.max(...lons);
+
+    if (minLon >= -180 && maxLon <= 180) {
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    // Crosses the antimeridian: clip the ring and its copy shifted by 360° to the world
+    const shift = maxLon > 180 ? -360 : 360;
+    const parts = [
+        clipRingToWorld(ring),
+        clipRingToWorld(ring.map(([pointLon, pointLat]) => [pointLon + shift, pointLat]))
+    ].filter(Boolean);
+
+    return parts.length === 1
+        ? { type: 'Polygon', coordinates: parts }
+        : { type: 'MultiPolygon', coordinates: parts.map(part => [part]) };
+}
+
+// --- Buffers around lines and polygons ---
+
+// Steps per vertex circle in line/polygon buffers (fewer than standalone circles - there can be hundreds)
+const FEATURE_BUFFER_STEPS = 24;
+// Longest segment buffered in one piece, in km (longer segments are split so the corridor edges follow the line)
+const MAX_SEGMENT_KM = 25;
+
+/**
+ * Initial bearing from a to b in degrees clockwise from north ([lon, lat] points)
+ */
+export function initialBearing(a, b) {
+    const lat1 = toRadians(a[1]);
+    const lat2 = toRadians(b[1]);
+    const dLon = toRadians(b[0] - a[0]);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Distance in km from point p to segment a-b, in a local equirectangular projection around p
+function distanceToSegmentKm(p, a, b) {
+    const kmPerDegLat = EARTH_RADIUS_KM * Math.PI / 180;
+    const kmPerDegLon = kmPerDegLat * Math.cos(toRadians(p[1]));
+    const ax = (a[0] - p[0]) * kmPerDegLon;
+    const ay = (a[1] - p[1]) * kmPerDegLat;
+    const bx = (b[0] - p[0]) * kmPerDegLon;
+    const by = (b[1] - p[1]) * kmPerDegLat;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Douglas-Peucker simplification (tolerance in km) - keeps long routes to a manageable number of vertices
+function simplifyLine(coordinates, toleranceKm) {
+    if (coordinates.length <= 2) {
+        return coordinates;
+    }
+
+    const keep = new Array(coordinates.length).fill(false);
+    keep[0] = true;
+    keep[coordinates.length - 1] = true;
+
+    const stack = [[0, coordinates.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = distanceToSegmentKm(coordinates[i], coordinates[start], coordinates[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+        if (maxIndex !== -1 && maxDistance > toleranceKm) {
+            keep[maxIndex] = true;
+            stack.push([start, maxIndex], [maxIndex, end]);
+        }
+    }
+
+    return coordinates.filter((_, index) => keep[index]);
+}
+
+// Split segments longer than maxSegmentKm (linear in lon/lat, matching how lines are drawn)
+function densifyLine(coordinates, maxSegmentKm) {
+    const dense = [coordinates[0]];
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const [lon1, lat1] = coordinates[i];
+        const [lon2, lat2] = coordinates[i + 1];
+        const parts = Math.ceil(haversineDistance(coordinates[i], coordinates[i + 1]) / maxSegmentKm);
+        for (let part = 1; part <= parts; part++) {
+            const t = part / parts;
+            dense.push([lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t]);
+        }
+    }
+    return dense;
+}
+
+// Pieces whose union is the buffer of a line: a circle at every vertex and a quad along every segment
+function lineBufferPieces(coordinates, distanceKm) {
+    const line = densifyLine(simplifyLine(coordinates, distanceKm / 20), MAX_SEGMENT_KM);
+    const pieces = line.map(([lon, lat]) => [generateCircle([lat, lon], distanceKm, FEATURE_BUFFER_STEPS)]);
+
+    for (let i = 0; i < line.length - 1; i++) {
+        const start = line[i];
+        const end = line[i + 1];
+        if (start[0] === end[0] && start[1] === end[1]) {
+            continue;
+        }
+        const startBearing = initialBearing(start, end);
+        const endBearing = (initialBearing(end, start) + 180) % 360;
+        const quad = [
+            destinationPoint(start, distanceKm, startBearing - 90),
+            destinationPoint(end, distanceKm, endBearing - 90),
+            destinationPoint(end, distanceKm, endBearing + 90),
+            destinationPoint(start, distanceKm, startBearing + 90)
+        ];
+        pieces.push([[...quad, quad[0]]]);
+    }
+
+    return pieces;
+}
+
+// Convert polygon-clipping output (array of polygons) to a GeoJSON geometry, or null when empty
+function toGeometry(multiPolygon) {
+    if (!multiPolygon || multiPolygon.length === 0) {
+        return null;
+    }
+    return multiPolygon.length === 1
+        ? { type: 'Polygon', coordinates: multiPolygon[0] }
+        : { type: 'MultiPolygon', coordinates: multiPolygon };
+}
+
+// Polygon/MultiPolygon geometry as a list of polygons (arrays of rings)
+function toPolygons(geometry) {
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Union any number of Polygon/MultiPolygon geometries into one (null if there is nothing left)
+ */
+export function unionGeometries(geometries) {
+    const polygons = geometries.filter(Boolean).flatMap(toPolygons);
+    if (polygons.length === 0) {
+        return null;
+    }
+    return toGeometry(polygonClipping.union(...polygons.map(polygon => [polygon])));
+}
+
+/**
+ * Area shared by all of the given Polygon/MultiPolygon geometries (null if they do not overlap)
+ */
+export function intersectGeometries(geometries) {
+    if (geometries.length === 0 || geometries.some(geometry => !geometry)) {
+        return null;
+    }
+    return toGeometry(polygonClipping.intersection(...geometries.map(toPolygons)));
+}
+
+/**
+ * First geometry minus every following one (null if nothing is left)
+ */
+export function differenceGeometries(geometries) {
+    const [first, ...rest] = geometries;
+    if (!first) {
+        return null;
+    }
+    return toGeometry(polygonClipping.difference(toPolygons(first), ...rest.filter(Boolean).map(toPolygons)));
+}
+
+/**
+ * Buffer a LineString ([lon, lat] coordinates) by distanceKm - e.g. a corridor along a route
+ * Returns a Polygon/MultiPolygon geometry with round caps and joins
+ * Lines crossing the antimeridian are not split
+ */
+export function bufferLine(coordinates, distanceKm) {
+    if (distanceKm <= 0) {
+        throw new Error('Lines can only have positive buffers');
+    }
+    if (!coordinates || coordinates.length === 0) {
+        throw new Error('Line has no coordinates');
+    }
+    return toGeometry(polygonClipping.union(...lineBufferPieces(coordinates, distanceKm)));
+}
+
+/**
+ * Buffer a polygon by distanceKm; negative distances inset it (shrink it away from its boundary)
+ * rings is [outerRing, ...holes] of [lon, lat] points
+ * Returns a Polygon/MultiPolygon geometry, or null when an inset erases the whole polygon
+ */
+export function bufferPolygon(rings, distanceKm) {
+    if (!rings || rings.length === 0 || rings[0].length < 3) {
+        throw new Error('Polygon needs at least 3 points');
+    }
+    if (distanceKm === 0) {
+        return { type: 'Polygon', coordinates: rings };
+    }
+
+    // Closed rings, so the boundary buffer also covers the closing edge
+    const closedRings = rings.map(ring => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    });
+    const boundary = closedRings.flatMap(ring => lineBufferPieces(ring, Math.abs(distanceKm)));
+    const boundaryBuffer = polygonClipping.union(...boundary);
+
+    return distanceKm > 0
+        ? toGeometry(polygonClipping.union([closedRings], boundaryBuffer))
+        : toGeometry(polygonClipping.difference([closedRings], boundaryBuffer));
+}
+
+/**
+ * Geodesic area of a Polygon/MultiPolygon geometry in km² (holes subtracted)
+ */
+export function geometryAreaKm2(geometry) {
+    if (!geometry) {
+        return 0;
+    }
+
+    // Spherical excess of a ring (same approach as turf.area)
+    const ringArea = ring => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        const points = first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+        let total = 0;
+        for (let i = 0; i < points.length; i++) {
+            const previous = points[(i + points.length - 1) % points.length];
+            const current = points[i];
+            const next = points[(i + 1) % points.length];
+            total += (toRadians(next[0]) - toRadians(previous[0])) * Math.sin(toRadians(current[1]));
+        }
+        return Math.abs(total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+    };
+
+    return toPolygons(geometry).reduce((area, [outer, ...holes]) =>
+        area + ringArea(outer) - holes.reduce((holeArea, hole) => holeArea + ringArea(hole), 0), 0);
+}
@@ -1,10 +1,31 @@
-import { currentMarkers, currentLineMarkers, storeMapFeatures, restoreMapFeatures, toggleBufferAnimation, getBufferAnimationState, stopBufferAnimation, cleanIsochrones, cleanPolygons, getAllFeatures, displaySelectionIndicator, clearSelectionIndicator } from './mapDisplay.js';
+import { currentMarkers, getFeatureMarkers, clearPointMarkers, cleanFeatures, removeFeature, setFeatureVisibility, setFeatureStyle, getFeatureRegistry, storeMapFeatures, restoreMapFeatures, toggleBufferAnimation, getBufferAnimationState, stopBufferAnimation, cleanIsochrones, cleanPolygons, getAllFeatures, displaySelectionIndicator, clearSelectionIndicator, getFeatureGeometry, displayGeometryResultOnMap, getMapSnapshot, restoreMapSnapshot, cleanImported } from './mapDisplay.js';
+import { unionGeometries, intersectGeometries, differenceGeometries, geometryAreaKm2 } from './bufferGenerator.js';
+import { measureGeometry, UNIT_SYSTEMS } from './measurements.js';
+import { displayMeasurementPanel, cleanMeasurementPanel, setMeasurementUnits, getMeasurementUnits } from './measurementDisplay.js';
+import { saveSession, loadSession, listSessions } from './session.js';
+import { exportGeoJSON, exportKML, exportGPX } from './exportFeatures.js';
+import { pickAndImportFiles, importFile } from './importFeatures.js';
+import { captureScene, rebuildScene, encodeMapState, decodeMapState } from './urlState.js';
+import { pushHistory, undoHistory, redoHistory } from './history.js';
 import { createUserMarker } from './markers.js';
 import { cleanElevationProfile } from './elevationDisplay.js';
+import { cleanRouteComparison } from './routeComparison.js';
+import { cleanDirectionsPanel, displayDirectionsPanel } from './directionsPanel.js';
+import { cleanMatrixPanel } from './matrixDisplay.js';
+import { cleanIsochroneComparison } from './isochroneComparison.js';
+import { cleanIsochroneLegend } from './isochroneLegend.js';
 
 // Default map settings
 const DEFAULT_CENTER = [-74.006, 40.7128]; // New York
 const DEFAULT_ZOOM = 12;
+const DEFAULT_STYLE = 'mapbox://styles/mapbox/dark-v11';
+
+// Style URL currently applied to the map (saved with sessions)
+let currentStyleUrl = DEFAULT_STYLE;
+
+// URL hash this page wrote (@share) or already opened - saved with the current session,
+// which is newer than that hash when the page is reloaded
+let ownUrlHash = null;
 
 // Command registry with aliases and shortcuts
 const commands = {
@@ -40,6 +61,23 @@ const commands = {
         execute: (map) => cleanElevationProfileWithLine(map)
     },
     
+    // Per-feature commands
+    'remove': {
+        aliases: ['rm', 'delete'],
+        description: 'REMOVE THE SELECTED FEATURE OR ONE BY ID (EXAMPLE: @REMOVE <ID>)',
+        execute: (map, args) => removeFeatureCommand(map, args)
+    },
+    'toggle': {
+        aliases: [],
+        description: 'HIDE OR SHOW THE SELECTED FEATURE OR ONE BY ID (EXAMPLE: @TOGGLE <ID>)',
+        execute: (map, args) => toggleFeature(map, args)
+    },
+    'style': {
+        aliases: [],
+        description: 'RESTYLE A LINE, BUFFER, POLYGON OR ISOCHRONE (EXAMPLE: @STYLE <ID> #FF0000 OPACITY 0.5 WIDTH 6)',
+        execute: (map, args) => styleFeature(map, args)
+    },
+    
     // Reset commands
     'reset': {
         aliases: ['rs', 'home'],
@@ -158,21 +196,88 @@ const commands = {
         execute: () => toggleFullscreen()
     },
     
+    // Export commands
+    'export': {
+        aliases: ['ex'],
+        description: 'DOWNLOAD FEATURES AS GEOJSON, KML OR GPX (EXAMPLE: @EXPORT GPX)',
+        execute: (map, args) => exportFeatures(map, args)
+    },
+    
+    'import': {
+        aliases: ['im', 'open'],
+        description: 'IMPORT GEOJSON, KML, GPX OR CSV FILES (OR DROP THEM ON THE MAP)',
+        execute: (map) => {
+            // Each file is its own undo step - it is imported after the command has returned
+            pickAndImportFiles(map, file => withHistory(map, () => importFile(file, map)));
+            return { success: true, message: 'Choose files to import' };
+        }
+    },
+    
+    // Session commands
+    'session': {
+        aliases: ['sessions'],
+        description: 'SAVE, LOAD OR LIST WORKSPACES (EXAMPLE: @SESSION SAVE <NAME>, @SESSION LOAD <NAME>, @SESSION LIST)',
+        execute: (map, args) => sessionCommand(map, args)
+    },
+    'undo': {
+        aliases: ['u'],
+        description: 'UNDO THE LAST CHANGE TO THE MAP (CTRL+Z)',
+        skipHistory: true,
+        execute: (map) => stepHistory(map, 'undo')
+    },
+    'redo': {
+        aliases: [],
+        description: 'REDO THE LAST UNDONE CHANGE (CTRL+SHIFT+Z)',
+        skipHistory: true,
+        execute: (map) => stepHistory(map, 'redo')
+    },
+    'share': {
+        aliases: ['link'],
+        description: 'COPY A LINK TO THE CURRENT VIEW AND FEATURES',
+        execute: (map) => shareMap(map)
+    },
+    
     // Animation commands
     'animate buffers': {
         aliases: ['ab', 'animate buffer', 'abuffers'],
         description: 'TOGGLE ANIMATED BUFFER STROKES',
         execute: (map) => animateBuffers(map)
+    },
+    
+    // Geometry commands
+    'measure': {
+        aliases: ['m', 'measurement'],
+        description: 'AREA, PERIMETER, LENGTH OF SELECTED FEATURE OR ID (EXAMPLE: @MEASURE <ID> IMPERIAL)',
+        execute: (map, args) => measureFeature(args)
+    },
+    'union': {
+        aliases: ['merge'],
+        description: 'MERGE 2+ AREA FEATURES BY ID (EXAMPLE: @UNION <ID> <ID>)',
+        execute: (map, args) => combineFeatures(map, args, 'union')
+    },
+    'intersect': {
+        aliases: ['intersection', 'overlap'],
+        description: 'OVERLAP OF 2+ AREA FEATURES BY ID (EXAMPLE: @INTERSECT <ID> <ID>)',
+        execute: (map, args) => combineFeatures(map, args, 'intersect')
+    },
+    'difference': {
+        aliases: ['diff', 'subtract'],
+        description: 'FIRST FEATURE MINUS THE OTHERS BY ID (EXAMPLE: @DIFFERENCE <ID> <ID>)',
+        execute: (map, args) => combineFeatures(map, args, 'difference')
     }
 };
 
+// Geometry operations for @union, @intersect and @difference
+const geometryOperations = {
+    union: { label: 'Union', combine: unionGeometries },
+    intersect: { label: 'Intersection', combine: intersectGeometries },
+    difference: { label: 'Difference', combine: differenceGeometries }
+};
+
 // Clean all features
 function cleanAll(map) {
-    // Remove all markers
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers.length = 0;
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers.length = 0;
+    // Remove point markers
+    clearPointMarkers();
     
     // Remove user location marker if exists
     if (window.userLocationMarker) {
@@ -180,48 +285,38 @@ function cleanAll(map) {
         window.userLocationMarker = null;
     }
     
-    // Remove route sources
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) map.removeLayer('route-stroke');
-        if (map.getLayer('route')) map.removeLayer('route');
-        map.removeSource('route');
-    }
-    
-    // Remove route-line sources
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) map.removeLayer('route-line-stroke');
-        if (map.getLayer('route-line')) map.removeLayer('route-line');
-        map.removeSource('route-line');
-    }
+    // Remove lines and routes (with their waypoint markers)
+    cleanFeatures('lines', map);
     
-    // Remove single buffer
-    if (map.getSource('buffer')) {
-        if (map.getLayer('buffer-stroke')) map.removeLayer('buffer-stroke');
-        if (map.getLayer('buffer-stroke-background')) map.removeLayer('buffer-stroke-background');
-        if (map.getLayer('buffer-fill')) map.removeLayer('buffer-fill');
-        map.removeSource('buffer');
-    }
-    
-    // Remove multiple buffers (buffer-0 to buffer-9)
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `buffer-${i}`;
-        if (map.getSource(sourceId)) {
-            if (map.getLayer(`${sourceId}-stroke`)) map.removeLayer(`${sourceId}-stroke`);
-            if (map.getLayer(`${sourceId}-stroke-background`)) map.removeLayer(`${sourceId}-stroke-background`);
-            if (map.getLayer(`${sourceId}-fill`)) map.removeLayer(`${sourceId}-fill`);
-            map.removeSource(sourceId);
-        }
-    }
+    // Remove buffers
+    stopBufferAnimation(map);
+    cleanFeatures('buffers', map);
     
-    // Remove isochrones
+    // Remove isochrones and their comparison panel and legend
     cleanIsochrones(map);
+    cleanIsochroneComparison();
+    cleanIsochroneLegend();
     
     // Remove polygons
     cleanPolygons(map);
     
+    // Remove imported features
+    cleanImported(map);
+    
     // Remove elevation profile
     cleanElevationProfile();
     
+    // Remove measurement panel
+    cleanMeasurementPanel();
+    
+    // Remove route comparison and directions panels
+    cleanRouteComparison();
+    cleanDirectionsPanel(map);
+    
+    // Remove travel matrices and their table
+    cleanFeatures('matrices', map);
+    cleanMatrixPanel();
+    
     // Clear selection indicator
     clearSelectionIndicator(map);
     
@@ -229,14 +324,9 @@ function cleanAll(map) {
     return { success: true, message: 'All features cleaned' };
 }
 
-// Clean only markers
+// Clean only markers (waypoint and center markers stay with their lines, buffers and isochrones)
 function cleanMarkers(map) {
-    let markerCount = currentMarkers.length + currentLineMarkers.length;
-    
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers.length = 0;
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers.length = 0;
+    let markerCount = clearPointMarkers();
     
     // Also remove user location marker if it exists
     if (window.userLocationMarker) {
@@ -251,62 +341,25 @@ function cleanMarkers(map) {
 
 // Clean elevation profile and its associated line
 function cleanElevationProfileWithLine(map) {
-    let removed = 0;
-    
     // Remove elevation profile marker
     cleanElevationProfile();
     
-    // Remove the line that was used for elevation (if it exists)
-    // Check if it's a route or route-line
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) map.removeLayer('route-stroke');
-        if (map.getLayer('route')) map.removeLayer('route');
-        map.removeSource('route');
-        removed++;
-    }
-    
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) map.removeLayer('route-line-stroke');
-        if (map.getLayer('route-line')) map.removeLayer('route-line');
-        map.removeSource('route-line');
-        removed++;
-    }
-    
-    // Remove line markers
-    const lineMarkerCount = currentLineMarkers.length;
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers.length = 0;
+    // Remove the line that was used for elevation (routes and direct lines, not imported tracks)
+    const removed = cleanFeatures('lines', map, line => line.type !== 'import');
+    cleanRouteComparison();
+    cleanDirectionsPanel(map);
     
     console.log(`✅ Removed elevation profile and ${removed} line(s)`);
     return { success: true, message: `Removed elevation profile and ${removed} line(s)` };
 }
 
-// Clean only lines and routes
+// Clean only lines and routes (imported lines stay until @clean)
 function cleanLines(map) {
-    let removed = 0;
-    
-    // Remove route
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) map.removeLayer('route-stroke');
-        if (map.getLayer('route')) map.removeLayer('route');
-        map.removeSource('route');
-        removed++;
-    }
-    
-    // Remove route-line
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) map.removeLayer('route-line-stroke');
-        if (map.getLayer('route-line')) map.removeLayer('route-line');
-        map.removeSource('route-line');
-        removed++;
-    }
-    
-    // Remove line markers
-    const lineMarkerCount = currentLineMarkers.length;
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers.length = 0;
+    const removed = cleanFeatures('lines', map, line => line.type !== 'import');
+    cleanRouteComparison();
+    cleanDirectionsPanel(map);
     
-    console.log(`✅ Removed ${removed} line/route(s) and ${lineMarkerCount} marker(s)`);
+    console.log(`✅ Removed ${removed} line/route(s)`);
     return { success: true, message: `Removed ${removed} line/route(s)` };
 }
 
@@ -315,32 +368,7 @@ function cleanBuffers(map) {
     // Stop animation if running
     stopBufferAnimation(map);
     
-    let removed = 0;
-    
-    // Remove single buffer
-    if (map.getSource('buffer')) {
-        if (map.getLayer('buffer-stroke')) map.removeLayer('buffer-stroke');
-        if (map.getLayer('buffer-stroke-background')) map.removeLayer('buffer-stroke-background');
-        if (map.getLayer('buffer-fill')) map.removeLayer('buffer-fill');
-        if (map.getLayer('buffer-label')) map.removeLayer('buffer-label');
-        if (map.getSource('buffer-label')) map.removeSource('buffer-label');
-        map.removeSource('buffer');
-        removed++;
-    }
-    
-    // Remove multiple buffers
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `buffer-${i}`;
-        if (map.getSource(sourceId)) {
-            if (map.getLayer(`${sourceId}-stroke`)) map.removeLayer(`${sourceId}-stroke`);
-            if (map.getLayer(`${sourceId}-stroke-background`)) map.removeLayer(`${sourceId}-stroke-background`);
-            if (map.getLayer(`${sourceId}-fill`)) map.removeLayer(`${sourceId}-fill`);
-            if (map.getLayer(`${sourceId}-label`)) map.removeLayer(`${sourceId}-label`);
-            if (map.getSource(`${sourceId}-label`)) map.removeSource(`${sourceId}-label`);
-            map.removeSource(sourceId);
-            removed++;
-        }
-    }
+    const removed = cleanFeatures('buffers', map);
     
     console.log(`✅ Removed ${removed} buffer(s)`);
     return { success: true, message: `Removed ${removed} buffer(s)` };
@@ -375,19 +403,12 @@ function showHelp() {
 function showMapInfo(map) {
     const center = map.getCenter();
     const zoom = map.getZoom().toFixed(2);
-    const markerCount = currentMarkers.length + currentLineMarkers.length;
+    const markerCount = currentMarkers.length + getFeatureMarkers().length;
     
-    // Count sources
-    let lineCount = 0;
-    let bufferCount = 0;
-    
-    if (map.getSource('route')) lineCount++;
-    if (map.getSource('route-line')) lineCount++;
-    
-    if (map.getSource('buffer')) bufferCount++;
-    for (let i = 0; i < 10; i++) {
-        if (map.getSource(`buffer-${i}`)) bufferCount++;
-    }
+    // Count features
+    const registry = getFeatureRegistry();
+    const lineCount = registry.lines.length;
+    const bufferCount = registry.buffers.length;
     
     console.log('\n📍 Map Information:');
     console.log(`  Center: ${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`);
@@ -492,6 +513,7 @@ function setMapStyle(map, styleUrl) {
     
     // Change style
     map.setStyle(styleUrl);
+    currentStyleUrl = styleUrl;
     
     // restoreMapFeatures already waits for style.load event internally
     restoreMapFeatures(map);
@@ -526,76 +548,31 @@ function zoomMap(map, direction) {
 // Fit map to show all features
 function fitToFeatures(map) {
     let bounds = null;
-    
-    // Collect all marker coordinates
-    const allMarkers = [...currentMarkers, ...currentLineMarkers];
-    allMarkers.forEach(marker => {
-        const lngLat = marker.getLngLat();
+    const extend = coord => {
         if (!bounds) {
-            bounds = new mapboxgl.LngLatBounds(lngLat, lngLat);
+            bounds = new mapboxgl.LngLatBounds(coord, coord);
         } else {
-            bounds.extend(lngLat);
+            bounds.extend(coord);
         }
-    });
-    
-    // Collect route coordinates
-    if (map.getSource('route')) {
-        const routeData = map.getSource('route')._data;
-        if (routeData && routeData.geometry && routeData.geometry.coordinates) {
-            routeData.geometry.coordinates.forEach(coord => {
-                if (!bounds) {
-                    bounds = new mapboxgl.LngLatBounds(coord, coord);
-                } else {
-                    bounds.extend(coord);
-                }
-            });
-        }
-    }
-    
-    // Collect line coordinates
-    if (map.getSource('route-line')) {
-        const lineData = map.getSource('route-line')._data;
-        if (lineData && lineData.geometry && lineData.geometry.coordinates) {
-            lineData.geometry.coordinates.forEach(coord => {
-                if (!bounds) {
-                    bounds = new mapboxgl.LngLatBounds(coord, coord);
-                } else {
-                    bounds.extend(coord);
-                }
-            });
-        }
-    }
+    };
     
-    // Collect buffer coordinates
-    if (map.getSource('buffer')) {
-        const bufferData = map.getSource('buffer')._data;
-        if (bufferData && bufferData.geometry && bufferData.geometry.coordinates) {
-            bufferData.geometry.coordinates[0].forEach(coord => {
-                if (!bounds) {
-                    bounds = new mapboxgl.LngLatBounds(coord, coord);
-                } else {
-                    bounds.extend(coord);
-                }
-            });
-        }
-    }
+    // Collect all marker coordinates
+    [...currentMarkers, ...getFeatureMarkers()].forEach(marker => {
+        extend(marker.getLngLat().toArray());
+    });
     
-    // Collect multiple buffer coordinates
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `buffer-${i}`;
-        if (map.getSource(sourceId)) {
-            const bufferData = map.getSource(sourceId)._data;
-            if (bufferData && bufferData.geometry && bufferData.geometry.coordinates) {
-                bufferData.geometry.coordinates[0].forEach(coord => {
-                    if (!bounds) {
-                        bounds = new mapboxgl.LngLatBounds(coord, coord);
-                    } else {
-                        bounds.extend(coord);
-                    }
-                });
-            }
-        }
-    }
+    // Collect line, buffer, polygon and isochrone coordinates (hidden features are skipped)
+    const registry = getFeatureRegistry();
+    const isVisible = feature => feature.visible !== false;
+    registry.lines.filter(isVisible).forEach(line => line.coordinates.forEach(extend));
+    registry.buffers.filter(isVisible).forEach(buffer => buffer.polygon.forEach(extend));
+    registry.polygons.filter(isVisible).forEach(polygon => polygon.coordinates.forEach(extend));
+    registry.isochrones.filter(isVisible).forEach(isochrone => {
+        isochrone.features.forEach(feature => {
+            const ring = feature.geometry.type === 'LineString' ? feature.geometry.coordinates : feature.geometry.coordinates[0];
+            ring.forEach(extend);
+        });
+    });
     
     if (bounds) {
         map.fitBounds(bounds, {
@@ -798,10 +775,451 @@ function animateBuffers(map) {
     return result;
 }
 
+// Measure a feature by id (or the selected feature) and show the results in a floating panel
+// A unit system (metric, imperial, nautical) can be given in any position
+function measureFeature(args) {
+    const words = args.filter(Boolean).map(word => word.toLowerCase());
+    const units = words.find(word => UNIT_SYSTEMS.includes(word));
+    const featureId = words.find(word => !UNIT_SYSTEMS.includes(word)) || selectedFeature?.id;
+    
+    if (units) {
+        setMeasurementUnits(units);
+    }
+    if (!featureId) {
+        console.log('❌ Select a feature with @feature or pass its id (e.g. @measure <id>)');
+        return { success: false, message: 'No feature selected' };
+    }
+    
+    const feature = getAllFeatures().find(f => f.id === featureId);
+    const measurement = measureGeometry(getFeatureGeometry(featureId));
+    displayMeasurementPanel(feature ? feature.name : featureId, measurement);
+    
+    console.log(`📏 Measured ${featureId} (${getMeasurementUnits()}):`, measurement);
+    return { success: true, message: `Measured ${featureId}`, measurement };
+}
+
+// Feature id from the arguments (any word that is a registered id), else the selected feature
+function featureIdFromArgs(args) {
+    const ids = getAllFeatures().map(f => f.id);
+    return args.map(word => word.toLowerCase()).find(word => ids.includes(word)) || selectedFeature?.id || null;
+}
+
+// @remove [id]
+function removeFeatureCommand(map, args) {
+    const featureId = featureIdFromArgs(args.filter(Boolean));
+    if (!featureId) {
+        console.log('❌ Select a feature with @feature or pass its id (e.g. @remove <id>)');
+        return { success: false, message: 'No feature selected' };
+    }
+    
+    const removed = removeFeature(featureId, map);
+    if (selectedFeature && selectedFeature.id === featureId) {
+        setSelectedFeature(null, map);
+    }
+    
+    console.log(`🗑️ Removed ${removed.name || featureId}`);
+    return { success: true, message: `Removed ${removed.name || featureId}` };
+}
+
+// @toggle [id] - hide a visible feature, show a hidden one
+function toggleFeature(map, args) {
+    const featureId = featureIdFromArgs(args.filter(Boolean));
+    if (!featureId) {
+        console.log('❌ Select a feature with @feature or pass its id (e.g. @toggle <id>)');
+        return { success: false, message: 'No feature selected' };
+    }
+    
+    const entry = Object.values(getFeatureRegistry()).flat().find(f => f.id === featureId);
+    const updated = setFeatureVisibility(featureId, entry.visible === false, map);
+    
+    console.log(`👁️ ${updated.name || featureId} ${updated.visible ? 'shown' : 'hidden'}`);
+    return { success: true, message: `${updated.name || featureId} ${updated.visible ? 'shown' : 'hidden'}` };
+}
+
+// @style [id] [#rrggbb] [opacity <0-1>] [width <px>]
+function styleFeature(map, args) {
+    const words = args.filter(Boolean).map(word => word.toLowerCase());
+    const featureId = featureIdFromArgs(words);
+    if (!featureId) {
+        console.log('❌ Select a feature with @feature or pass its id (e.g. @style <id> #ff0000)');
+        return { success: false, message: 'No feature selected' };
+    }
+    
+    const valueAfter = name => {
+        const index = words.indexOf(name);
+        return index !== -1 && index + 1 < words.length ? parseFloat(words[index + 1]) : undefined;
+    };
+    const style = {
+        color: words.find(word => word.startsWith('#')),
+        opacity: valueAfter('opacity'),
+        width: valueAfter('width')
+    };
+    if (Object.values(style).every(value => value === undefined)) {
+        console.log('❌ Give a color, opacity or width (e.g. @style <id> #ff0000 opacity 0.5 width 6)');
+        return { success: false, message: 'No style given' };
+    }
+    
+    const updated = setFeatureStyle(featureId, style, map);
+    console.log(`🎨 Restyled ${updated.name || featureId}: ${updated.color || 'contour colors'}, opacity ${updated.opacity}, width ${updated.width}`);
+    return { success: true, message: `Restyled ${updated.name || featureId}` };
+}
+
+// Combine buffers, polygons and isochrones by id into a new registered polygon
+function combineFeatures(map, args, operation) {
+    const ids = args.filter(Boolean).map(word => word.toLowerCase());
+    if (ids.length < 2) {
+        console.log(`❌ @${operation} needs at least 2 feature ids (use @feature to list them)`);
+        return { success: false, message: `@${operation} needs at least 2 feature ids` };
+    }
+    
+    const geometries = ids.map(id => {
+        const featureGeometry = getFeatureGeometry(id);
+        if (featureGeometry.type !== 'Polygon' && featureGeometry.type !== 'MultiPolygon') {
+            throw new Error(`${id} is not an area feature (use buffers, polygons or isochrones)`);
+        }
+        return featureGeometry;
+    });
+    
+    const { label, combine } = geometryOperations[operation];
+    const geometry = combine(geometries);
+    
+    if (!geometry) {
+        console.log(`⚠️ ${label} is empty - nothing to display`);
+        return { success: false, message: `${label} is empty` };
+    }
+    
+    const name = `${label} of ${ids.length} features`;
+    const featureId = displayGeometryResultOnMap({ geometry, name, operation, sources: ids }, map);
+    const areaKm2 = geometryAreaKm2(geometry);
+    
+    console.log(`✅ ${name}: ${areaKm2.toFixed(2)} km² (${featureId})`);
+    return { success: true, message: `${name}: ${areaKm2.toFixed(2)} km²`, featureId };
+}
+
+// Download features in the requested format
+// geojson: everything, kml: buffers/polygons/isochrones, gpx: lines/routes and markers
+function exportFeatures(map, args) {
+    const format = (args.filter(Boolean)[0] || 'geojson').toLowerCase();
+    
+    if (format === 'geojson' || format === 'json') {
+        const collection = exportGeoJSON(map);
+        console.log(`📦 Exported ${collection.features.length} feature(s) as GeoJSON`);
+        return { success: true, message: `Exported ${collection.features.length} feature(s)` };
+    }
+    
+    if (format === 'kml') {
+        const count = exportKML(map);
+        console.log(`📦 Exported ${count} area(s) as KML`);
+        return { success: true, message: `Exported ${count} area(s) as KML` };
+    }
+    
+    if (format === 'gpx') {
+        exportGPX(map)
+            .then(count => console.log(`📦 Exported ${count} track(s)/waypoint(s) as GPX`))
+            .catch(error => console.error('❌ GPX export failed:', error));
+        return { success: true, message: 'Exporting GPX...' };
+    }
+    
+    console.log(`❌ Unknown export format: ${format} (use geojson, kml or gpx)`);
+    return { success: false, message: `Unknown export format: ${format}` };
+}
+
+// Current map state as a session: camera, style, terrain, features and selection
+function captureSession(map) {
+    const center = map.getCenter();
+    return {
+        camera: {
+            center: [center.lng, center.lat],
+            zoom: map.getZoom(),
+            bearing: map.getBearing(),
+            pitch: map.getPitch()
+        },
+        style: currentStyleUrl,
+        features: getMapSnapshot(map),
+        selectedFeatureId: selectedFeature ? selectedFeature.id : null
+    };
+}
+
+// Replace the map contents with a saved session
+export async function applySession(session, map) {
+    cleanAll(map);
+    
+    if (session.style && session.style !== currentStyleUrl) {
+        currentStyleUrl = session.style;
+        map.setStyle(session.style);
+    }
+    
+    await restoreMapSnapshot(session.features, map);
+    
+    if (!session.features.terrainEnabled && map.getTerrain()) {
+        map.setTerrain(null);
+    }
+    
+    // Jump last, so it wins over the fitBounds of redrawn isochrones and polygons
+    map.jumpTo(session.camera);
+    
+    if (session.selectedFeatureId) {
+        setSelectedFeature(session.selectedFeatureId, map);
+    }
+    
+    console.log(`✅ Session restored${session.name ? `: ${session.name}` : ''}`);
+}
+
+// Restore the last session on load, then save the map automatically whenever it settles
+export function initSession(map) {
+    let autosaveTimer = null;
+    
+    const saveCurrentSession = () => {
+        // Mid style change the sources are gone - saving now would lose every feature
+        if (!map.isStyleLoaded()) {
+            return;
+        }
+        try {
+            saveSession({ ...captureSession(map), urlHash: ownUrlHash });
+        } catch (error) {
+            console.warn('⚠️ Session autosave failed:', error.message);
+        }
+    };
+    
+    const startAutosave = () => {
+        // 'idle' fires after camera moves, new features and style changes have rendered
+        map.on('idle', () => {
+            clearTimeout(autosaveTimer);
+            autosaveTimer = setTimeout(saveCurrentSession, 1000);
+        });
+        window.addEventListener('beforeunload', saveCurrentSession);
+        trackUrlState(map);
+    };
+    
+    // A shared link wins over the last session, unless it is the page's own link (reload after @share or opening it)
+    const lastSession = loadSession();
+    const hash = window.location.hash;
+    if (hash && lastSession && lastSession.urlHash === hash) {
+        ownUrlHash = hash;
+    } else {
+        const urlState = decodeMapState(hash);
+        if (urlState) {
+            ownUrlHash = hash;
+            applyMapState(urlState, map)
+                .catch(error => console.error('❌ Failed to open shared map:', error))
+                .finally(startAutosave);
+            return;
+        }
+    }
+    
+    if (!lastSession) {
+        startAutosave();
+        return;
+    }
+    
+    applySession(lastSession, map)
+        .catch(error => console.error('❌ Failed to restore last session:', error))
+        .finally(startAutosave);
+}
+
+// @session save <name> | load <name> | list
+function sessionCommand(map, args) {
+    const [actionArg, ...nameParts] = args.filter(Boolean);
+    const action = actionArg?.toLowerCase();
+    const name = nameParts.join(' ');
+    
+    if (action === 'list' || !action) {
+        const sessions = listSessions();
+        if (sessions.length === 0) {
+            console.log('💾 No saved sessions (save one with @session save <name>)');
+            return { success: true, message: 'No saved sessions', sessions };
+        }
+        console.log(`💾 ${sessions.length} saved session(s):`);
+        sessions.forEach(session => {
+            console.log(`  ${session.name} - ${session.featureCount} feature(s), saved ${new Date(session.savedAt).toLocaleString()}`);
+        });
+        return { success: true, message: `${sessions.length} saved session(s)`, sessions };
+    }
+    
+    if (!name) {
+        console.log(`❌ Missing session name (e.g. @session ${action} <name>)`);
+        return { success: false, message: 'Missing session name' };
+    }
+    
+    if (action === 'save') {
+        saveSession(captureSession(map), name);
+        console.log(`💾 Session saved: ${name}`);
+        return { success: true, message: `Session saved: ${name}` };
+    }
+    
+    if (action === 'load') {
+        const session = loadSession(name);
+        if (!session) {
+            console.log(`❌ Session not found: ${name}`);
+            return { success: false, message: `Session not found: ${name}` };
+        }
+        applySession(session, map).catch(error => {
+            console.error(`❌ Failed to load session ${name}:`, error);
+        });
+        return { success: true, message: `Loading session: ${name}` };
+    }
+    
+    console.log(`❌ Unknown session action: ${action} (use save, load or list)`);
+    return { success: false, message: `Unknown session action: ${action}` };
+}
+
+// Camera, style, terrain and drawn features of the map, for the URL hash
+function captureMapState(map) {
+    const center = map.getCenter();
+    return {
+        camera: {
+            center: [center.lng, center.lat],
+            zoom: map.getZoom(),
+            bearing: map.getBearing(),
+            pitch: map.getPitch()
+        },
+        style: currentStyleUrl,
+        terrain: map.getTerrain() !== null,
+        scene: captureScene()
+    };
+}
+
+// Resolves once the current style has loaded
+function whenStyleLoaded(map) {
+    return new Promise(resolve => {
+        if (map.isStyleLoaded()) {
+            resolve();
+        } else {
+            map.once('style.load', resolve);
+        }
+    });
+}
+
+// Replace the map contents with a state decoded from a shared link
+export async function applyMapState(state, map) {
+    cleanAll(map);
+    
+    if (state.style !== currentStyleUrl) {
+        currentStyleUrl = state.style;
+        map.setStyle(state.style);
+    }
+    
+    await whenStyleLoaded(map);
+    rebuildScene(state.scene, map);
+    
+    // Directions of the latest route, as they were shown when the link was made
+    const route = getFeatureRegistry().lines.filter(line => line.type === 'route' && line.legs && line.legs.length > 0).pop();
+    if (route) {
+        displayDirectionsPanel(route.id, map);
+    }
+    
+    if (state.terrain && !map.getTerrain()) {
+        if (!map.getSource('mapbox-dem')) {
+            map.addSource('mapbox-dem', {
+                type: 'raster-dem',
+                url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
+                tileSize: 256,
+                maxzoom: 14
+            });
+        }
+        map.setTerrain({
+            source: 'mapbox-dem',
+            exaggeration: 1.5
+        });
+    } else if (!state.terrain && map.getTerrain()) {
+        map.setTerrain(null);
+    }
+    
+    // Jump last, so it wins over the fitBounds of the redrawn features
+    map.jumpTo(state.camera);
+    
+    console.log('✅ Shared map opened');
+}
+
+// Open links pasted into the address bar (the hash itself is only written by @share)
+function trackUrlState(map) {
+    window.addEventListener('hashchange', () => {
+        if (window.location.hash === ownUrlHash) {
+            return;
+        }
+        const state = decodeMapState(window.location.hash);
+        if (state) {
+            ownUrlHash = window.location.hash;
+            applyMapState(state, map).catch(error => console.error('❌ Failed to open shared map:', error));
+        }
+    });
+}
+
+// Copy a link that rebuilds the current view and features
+function shareMap(map) {
+    const hash = encodeMapState(captureMapState(map));
+    ownUrlHash = hash;
+    // replaceState does not fire hashchange and keeps the history clean
+    history.replaceState(null, '', hash);
+    const url = window.location.href;
+    
+    navigator.clipboard.writeText(url).then(() => {
+        console.log(`✅ Map link copied to clipboard (${url.length} characters)`);
+    }).catch(err => {
+        console.error('❌ Failed to copy map link:', err);
+    });
+    
+    return { success: true, message: 'Map link copied', url };
+}
+
+// Session-shaped snapshot for the undo history (null mid style change, when the sources are gone)
+function historySnapshot(map) {
+    return map.isStyleLoaded() ? captureSession(map) : null;
+}
+
+// Snapshot taken before a command or agent run changes the map
+export function beginHistoryStep(map) {
+    return historySnapshot(map);
+}
+
+// Push the snapshot from beginHistoryStep if the features or style have changed since
+export function endHistoryStep(before, map) {
+    if (!before) {
+        return;
+    }
+    // A style change still loading counts as a change
+    const after = historySnapshot(map);
+    if (after && after.style === before.style && JSON.stringify(after.features) === JSON.stringify(before.features)) {
+        return;
+    }
+    pushHistory(before);
+}
+
+// Run a (possibly async) map change as one undo step
+export async function withHistory(map, action) {
+    const before = beginHistoryStep(map);
+    try {
+        return await action();
+    } finally {
+        endHistoryStep(before, map);
+    }
+}
+
+// @undo / @redo
+function stepHistory(map, direction) {
+    const current = historySnapshot(map);
+    if (!current) {
+        return { success: false, message: 'Map is still loading' };
+    }
+    
+    const target = direction === 'undo' ? undoHistory(current) : redoHistory(current);
+    if (!target) {
+        console.log(`↩️ Nothing to ${direction}`);
+        return { success: false, message: `Nothing to ${direction}` };
+    }
+    
+    applySession(target, map).catch(error => {
+        console.error(`❌ Failed to ${direction}:`, error);
+    });
+    console.log(`${direction === 'undo' ? '↩️ Undone' : '↪️ Redone'}`);
+    return { success: true, message: direction === 'undo' ? 'Undone' : 'Redone' };
+}
+
 // Parse command from user message
-function parseCommand(message) {
-    // Remove @ symbol and trim
-    const cmd = message.replace(/^@/, '').trim().toLowerCase();
+export function parseCommand(message) {
+    // Remove @ symbol and trim - names and aliases match in any case, args keep theirs (session names)
+    const text = message.replace(/^@/, '').trim();
+    const cmd = text.toLowerCase();
     
     // Try exact match first
     if (commands[cmd]) {
@@ -813,21 +1231,22 @@ function parseCommand(message) {
         if (cmdData.aliases.includes(cmd)) {
             return { command: name, args: [] };
         }
-        
-        // Check if command starts with name and has args
-        if (cmd.startsWith(name)) {
-            const args = cmd.substring(name.length).trim().split(/\s+/);
-            return { command: name, args };
-        }
-        
-        // Check if command starts with alias and has args
-        for (const alias of cmdData.aliases) {
-            if (cmd.startsWith(alias)) {
-                const args = cmd.substring(alias.length).trim().split(/\s+/);
-                return { command: name, args };
+    }
+    
+    // Check if command starts with a name or alias followed by args
+    // Longest match wins, so "cl markers" is not read as "cl" with args
+    let best = null;
+    for (const [name, cmdData] of Object.entries(commands)) {
+        for (const prefix of [name, ...cmdData.aliases]) {
+            if (cmd.startsWith(`${prefix} `) && (!best || prefix.length > best.prefix.length)) {
+                best = { command: name, prefix };
             }
         }
     }
+    if (best) {
+        const args = text.substring(best.prefix.length).trim().split(/\s+/);
+        return { command: best.command, args };
+    }
     
     return null;
 }
@@ -850,12 +1269,17 @@ export function handleCommand(message, map) {
         return { success: false, message: `Command not found: ${command}` };
     }
     
+    // Snapshot around every command so it can be undone (@undo/@redo move through the history instead)
+    const before = cmdData.skipHistory ? null : beginHistoryStep(map);
+    
     try {
         const result = cmdData.execute(map, args);
         return result || { success: true, message: `Command executed: ${command}` };
     } catch (error) {
         console.error(`❌ Error executing command ${command}:`, error);
         return { success: false, message: `Error: ${error.message}` };
+    } finally {
+        endHistoryStep(before, map);
     }
 }
 
@@ -1,67 +1,326 @@
 // Parse coordinates from text response
-export function parseCoordinates(text) {
-    if (!text || text.toLowerCase().includes('none')) {
-        return 'none';
-    }
-    
-    // Extract decimal coordinates (flexible format matching)
-    // Matches patterns like:
-    // - 40.7128,-74.0060 (simple)
-    // - 40.7128, -74.0060 (with space)
-    // - 40.7128° N, 78.0322° E (with degrees and cardinal)
-    // - 30.3165° N, 78.0322° E (with degrees)
-    // - 30.3165, 78.0322 (simple with space)
-    
-    const matches = [];
-    const seen = new Set(); // Track seen coordinate pairs to avoid duplicates
-    
-    // Pattern 1: With degrees symbol and cardinal directions (most specific, try first)
-    // Matches: 30.3165° N, 78.0322° E
-    let pattern1 = /(-?\d+\.?\d+)\s*°\s*[NS]?\s*[,;|]\s*(-?\d+\.?\d+)\s*°\s*[EW]?/gi;
+//
+// Returns "lat1,lon1 | lat2,lon2 | ..." in the order the coordinates appear in the text, or 'none'.
+// Understands:
+// - 40.7128,-74.0060 / 40.7128, -74.0060 / 40.7128 | -74.0060 / 40.7128; -74.0060 (lat,lon)
+// - 30.3165° N, 78.0322° E / 33.8688 S, 151.2093 E / S 33.8688, E 151.2093 (the hemisphere sets the sign)
+// - 40°42'46"N 74°0'21"W / 40°42.767'N, 74°0.35'W (degrees-minutes-seconds)
+// - lat: 40.7128, lon: -74.006 / lng=-74.006&lat=40.7128 / lat: 33.86 S, lon: 151.2 E (labeled values, either order)
+// - (lon, lat): -74.006, 40.7128 / GeoJSON "coordinates": [-74.006, 40.7128] (pairs in the sentence after a lon/lat label)
+// - geo:40.7128,-74.006 (geo: URIs)
+// - Google Maps URLs (place pins, q=/ll= parameters, /dir/ waypoints, @lat,lon viewports)
+// - 87G7PX7V+4H (full plus codes, decoded to the center of the code area)
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const HEMISPHERE = '(North|South|East|West|[NSEW])';
+
+// Check a lat/lon pair is on the globe
+function isValidPair(lat, lon) {
+    return Number.isFinite(lat) && Number.isFinite(lon) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+// Round computed (not parsed) coordinates to ~1 cm
+function roundCoordinate(value) {
+    return Math.round(value * 1e7) / 1e7;
+}
+
+// Run a global regex over the working text, turning each match into a list of { lat, lon } with toPairs.
+// Accepted matches are recorded at their position and blanked out so the looser patterns that run
+// later cannot match the same digits again. toPairs returns null to reject a match.
+function scan(state, regex, toPairs) {
     let match;
-    while ((match = pattern1.exec(text)) !== null) {
-        const lat = parseFloat(match[1]);
-        const lon = parseFloat(match[2]);
-        const key = `${lat},${lon}`;
-        
-        if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 && !seen.has(key)) {
-            matches.push(key);
-            seen.add(key);
+    regex.lastIndex = 0;
+    while ((match = regex.exec(state.text)) !== null) {
+        const pairs = toPairs(match);
+        if (!pairs) {
+            // Retry from the next character so an overlapping match is not lost
+            regex.lastIndex = match.index + 1;
+            continue;
         }
+
+        pairs.forEach((pair, offset) => state.found.push({ index: match.index, offset, ...pair }));
+        state.text = state.text.slice(0, match.index) +
+            ' '.repeat(match[0].length) +
+            state.text.slice(match.index + match[0].length);
     }
-    
-    // Pattern 2: Simple lat,lon (with optional space or separator)
-    // Matches: 40.7128,-74.0060 or 40.7128, -74.0060 or 40.7128 | -74.0060
-    let pattern2 = /(-?\d+\.?\d+)\s*[,;|]\s*(-?\d+\.?\d+)(?![°EW])/g;
-    while ((match = pattern2.exec(text)) !== null) {
-        const lat = parseFloat(match[1]);
-        const lon = parseFloat(match[2]);
-        const key = `${lat},${lon}`;
-        
-        if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 && !seen.has(key)) {
-            matches.push(key);
-            seen.add(key);
+}
+
+// --- geo: URIs ---
+
+// Matches: geo:40.7128,-74.006 / geo:40.7128,-74.006,10;u=35
+const GEO_URI = new RegExp(`\\bgeo:${NUMBER},${NUMBER}(?:,-?\\d+(?:\\.\\d+)?)?(?:;[\\w.=-]+)*`, 'gi');
+
+// --- Google Maps URLs ---
+
+const GOOGLE_MAPS_URL = /https?:\/\/(?:www\.)?(?:google\.[a-z.]+\/maps|maps\.google\.[a-z.]+)[^\s)"'<>]*/gi;
+const GOOGLE_MAPS_PIN = new RegExp(`!3d${NUMBER}!4d${NUMBER}`);
+const GOOGLE_MAPS_PARAM = new RegExp(`(?:[?&](?:q|query|ll|sll|center|destination|daddr)=|/(?:place|search)/)${NUMBER},\\s*${NUMBER}`);
+const GOOGLE_MAPS_VIEWPORT = new RegExp(`@${NUMBER},${NUMBER}`);
+const COORDINATE_SEGMENT = new RegExp(`^\\s*${NUMBER},\\s*${NUMBER}\\s*$`);
+
+// Coordinates from a Google Maps URL, most specific first:
+// /dir/ waypoints, the !3d/!4d place pin, q=/ll= parameters, then the @lat,lon viewport center
+function googleMapsPairs(url) {
+    let decoded = url;
+    try {
+        decoded = decodeURIComponent(url.replace(/\+/g, ' '));
+    } catch (error) {
+        // Malformed escapes - parse the raw URL
+    }
+
+    const dirIndex = decoded.indexOf('/dir/');
+    if (dirIndex !== -1) {
+        const waypoints = [];
+        for (const segment of decoded.slice(dirIndex + 5).split('/')) {
+            if (segment.startsWith('@') || segment.startsWith('data=')) {
+                break;
+            }
+            const waypoint = segment.match(COORDINATE_SEGMENT);
+            if (waypoint) {
+                waypoints.push({ lat: parseFloat(waypoint[1]), lon: parseFloat(waypoint[2]) });
+            }
+        }
+        if (waypoints.length > 0) {
+            return waypoints;
         }
     }
-    
-    // Pattern 3: With cardinal directions but no degree symbol
-    // Matches: 30.3165 N, 78.0322 E
-    let pattern3 = /(-?\d+\.?\d+)\s*[NS]?\s*[,;|]\s*(-?\d+\.?\d+)\s*[EW]?/gi;
-    while ((match = pattern3.exec(text)) !== null) {
-        const lat = parseFloat(match[1]);
-        const lon = parseFloat(match[2]);
-        const key = `${lat},${lon}`;
-        
-        if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 && !seen.has(key)) {
-            matches.push(key);
-            seen.add(key);
+
+    for (const pattern of [GOOGLE_MAPS_PIN, GOOGLE_MAPS_PARAM, GOOGLE_MAPS_VIEWPORT]) {
+        const match = decoded.match(pattern);
+        if (match) {
+            return [{ lat: parseFloat(match[1]), lon: parseFloat(match[2]) }];
         }
     }
-    
+
+    // No coordinates (e.g. a place-name search) - still consume the URL so its digits are not misread
+    return [];
+}
+
+// --- Plus codes (Open Location Code) ---
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+
+// Full codes only - short codes like "PX7V+4H Delhi" need a reference location to decode
+// Matches: 849VCWC8+R9 / 8FVC9G8F+6XQ / 87G70000+ (padded)
+const PLUS_CODE = /(?<![0-9A-Z+])([2-9C][2-9CFGHJMPQRV](?:[2-9CFGHJMPQRVWX]{6}\+(?:[2-9CFGHJMPQRVWX]{2,})?|[2-9CFGHJMPQRVWX]{4}00\+|[2-9CFGHJMPQRVWX]{2}0000\+|000000\+))(?![0-9A-Z])/gi;
+
+// Decode a full plus code to the center of its area
+function decodePlusCode(code) {
+    const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+    let lat = -90;
+    let lon = -180;
+    let latSize = 20;
+    let lonSize = 20;
+
+    // First 10 digits: lat/lon pairs, each 20 times finer than the last
+    for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+        const size = 20 / Math.pow(20, i / 2);
+        lat += PLUS_CODE_ALPHABET.indexOf(digits[i]) * size;
+        lon += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * size;
+        latSize = size;
+        lonSize = size;
+    }
+
+    // Remaining digits: 5 rows x 4 columns grid refinement
+    for (let i = 10; i < digits.length; i++) {
+        const index = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+        latSize /= 5;
+        lonSize /= 4;
+        lat += Math.floor(index / 4) * latSize;
+        lon += (index % 4) * lonSize;
+    }
+
+    return {
+        lat: roundCoordinate(Math.min(lat + latSize / 2, 90)),
+        lon: roundCoordinate(lon + lonSize / 2)
+    };
+}
+
+// --- Labeled values ---
+
+const LAT_LABEL = `["']?\\b(?:latitude|lat)\\b["']?`;
+const LON_LABEL = `["']?\\b(?:longitude|long|lng|lon)\\b["']?`;
+// A hemisphere after a labeled value ends it ("33.86 S, lon" but not "-0.1278 east of here")
+const LABEL_HEMISPHERE = `(?:\\s*${HEMISPHERE}(?=\\s*(?:[,;|&)\\]}"']|\\.(?!\\w)|$)|\\s+(?:latitude|lat|longitude|long|lng|lon)\\b))?`;
+const LABEL_VALUE = `\\s*[:=]?\\s*${NUMBER}(?:\\s*[°º˚])?${LABEL_HEMISPHERE}`;
+const LABEL_SEPARATOR = '\\s*[,;|&]?\\s*';
+
+// Matches: lat: 40.7128, lon: -74.006 / "lat": 40.7128, "lng": -74.006 / latitude 40.7128 longitude -74.006
+// / Latitude: 33.8688° S, Longitude: 151.2093° E
+const LAT_LON_LABELED = new RegExp(`${LAT_LABEL}${LABEL_VALUE}${LABEL_SEPARATOR}${LON_LABEL}${LABEL_VALUE}`, 'gi');
+// Matches: lon: -74.006, lat: 40.7128 / lng=-74.006&lat=40.7128
+const LON_LAT_LABELED = new RegExp(`${LON_LABEL}${LABEL_VALUE}${LABEL_SEPARATOR}${LAT_LABEL}${LABEL_VALUE}`, 'gi');
+
+// Signed value of a labeled number: a hemisphere sets the sign, and must name the labeled axis (null if not)
+function labeledValue(value, hemisphere, axis) {
+    if (!hemisphere) {
+        return parseFloat(value);
+    }
+    const letter = hemisphere[0].toUpperCase();
+    if (hemisphereAxis(letter) !== axis) {
+        return null;
+    }
+    const magnitude = Math.abs(parseFloat(value));
+    return letter === 'S' || letter === 'W' ? -magnitude : magnitude;
+}
+
+// Pair from labeled lat/lon values and their hemispheres (null if a hemisphere names the wrong axis)
+function labeledPair(lat, latHemisphere, lon, lonHemisphere) {
+    const pair = { lat: labeledValue(lat, latHemisphere, 'lat'), lon: labeledValue(lon, lonHemisphere, 'lon') };
+    return pair.lat === null || pair.lon === null ? null : [pair];
+}
+
+// Order declarations for the plain pairs that follow them
+// Matches: (lon, lat) / lng/lat / GeoJSON "coordinates":
+const LON_LAT_DECLARATION = /\b(?:longitude|long|lng|lon)\s*[,/]\s*(?:latitude|lat)\b|"coordinates"\s*:/gi;
+// Matches: (lat, lon) / lat/lng
+const LAT_LON_DECLARATION = /\b(?:latitude|lat)\s*[,/]\s*(?:longitude|long|lng|lon)\b/gi;
+
+// End of a sentence: ., ! or ? before whitespace (not a decimal point), or a blank line
+const SENTENCE_END = /[.!?](?=\s|$)|\n\s*\n/g;
+
+// Spans where the text reads pairs as lon,lat (true) or lat,lon (false)
+// A declaration covers the sentence of the first pair after it: "(lon, lat): -74.006, 40.7128. Later 51.5, -0.12"
+// reads the second pair as lat,lon again. pairText is the text left for plain pairs.
+function findOrderDeclarations(text, pairText) {
+    const declarations = [];
+    for (const match of text.matchAll(LON_LAT_DECLARATION)) {
+        declarations.push({ index: match.index, lonFirst: true });
+    }
+    for (const match of text.matchAll(LAT_LON_DECLARATION)) {
+        declarations.push({ index: match.index, lonFirst: false });
+    }
+
+    const pairIndexes = [...pairText.matchAll(PLAIN_PAIR)].map(match => match.index);
+    const sentenceEnds = [...text.matchAll(SENTENCE_END)].map(match => match.index);
+    return declarations
+        .sort((a, b) => a.index - b.index)
+        .map(declaration => {
+            const firstPair = pairIndexes.find(index => index > declaration.index);
+            const end = firstPair === undefined ? undefined : sentenceEnds.find(index => index > firstPair);
+            return { ...declaration, end: end === undefined ? Infinity : end };
+        });
+}
+
+// --- Degrees with hemispheres / degrees-minutes-seconds ---
+
+// Degrees (not the tail of a longer number) with optional degree sign, minutes and seconds
+const DMS = `(?<![\\d.])${NUMBER}(?![\\d.])\\s*([°º˚])?(?:\\s*(\\d+(?:\\.\\d+)?)\\s*(?:'(?!')|′|’))?(?:\\s*(\\d+(?:\\.\\d+)?)\\s*(?:"|″|”|''))?`;
+const PAIR_SEPARATOR = '\\s*[,;|]?\\s*';
+const COMPONENT = `(?:\\b${HEMISPHERE}\\s*)?${DMS}\\s*(?:${HEMISPHERE}\\b)?`;
+
+// Matches: 33.8688° S, 151.2093° E / 40°42'46"N 74°0'21"W / 74°0'21"W, 40°42'46"N / S 33.8688, E 151.2093
+const HEMISPHERE_PAIR = new RegExp(`${COMPONENT}${PAIR_SEPARATOR}${COMPONENT}`, 'g');
+
+// Convert one matched component to signed decimal degrees (null if minutes/seconds are out of range)
+function toDecimalDegrees({ degrees, minutes, seconds, hemisphere }) {
+    const minuteValue = minutes ? parseFloat(minutes) : 0;
+    const secondValue = seconds ? parseFloat(seconds) : 0;
+    if (minuteValue >= 60 || secondValue >= 60) {
+        return null;
+    }
+
+    const value = Math.abs(parseFloat(degrees)) + minuteValue / 60 + secondValue / 3600;
+    // The hemisphere wins over a minus sign
+    const negative = hemisphere ? /^[SW]/.test(hemisphere) : degrees.startsWith('-');
+    const signed = negative ? -value : value;
+    return minutes || seconds ? roundCoordinate(signed) : signed;
+}
+
+// Which axis a hemisphere letter labels
+function hemisphereAxis(hemisphere) {
+    if (!hemisphere) {
+        return null;
+    }
+    return /^[NS]/.test(hemisphere) ? 'lat' : 'lon';
+}
+
+// Build a lat/lon pair from two components, swapping when the hemispheres say lon comes first.
+// Both components need a degree sign, minutes/seconds or a hemisphere - plain numbers are left
+// for the simple lat,lon pattern.
+function hemispherePair(first, second) {
+    const hasMarker = component => Boolean(component.degreeSign || component.minutes || component.seconds || component.hemisphere);
+    if (!hasMarker(first) || !hasMarker(second)) {
+        return null;
+    }
+
+    const firstAxis = hemisphereAxis(first.hemisphere);
+    const secondAxis = hemisphereAxis(second.hemisphere);
+    if (firstAxis && firstAxis === secondAxis) {
+        return null;
+    }
+
+    const firstValue = toDecimalDegrees(first);
+    const secondValue = toDecimalDegrees(second);
+    if (firstValue === null || secondValue === null) {
+        return null;
+    }
+
+    return firstAxis === 'lon' || secondAxis === 'lat'
+        ? [{ lat: secondValue, lon: firstValue }]
+        : [{ lat: firstValue, lon: secondValue }];
+}
+
+// --- Plain decimal pairs ---
+
+// Matches: 40.7128,-74.0060 / 40.7128, -74.0060 / 40.7128 | -74.0060 / 40.7128; -74.0060
+const PLAIN_PAIR = /(-?\d+\.?\d+)\s*[,;|]\s*(-?\d+\.?\d+)/g;
+
+export function parseCoordinates(text) {
+    if (!text || text.toLowerCase().includes('none')) {
+        return 'none';
+    }
+
+    const state = { text: text, found: [] };
+
+    // Most specific notations first - each one blanks out what it consumed
+    scan(state, GEO_URI, match => [{ lat: parseFloat(match[1]), lon: parseFloat(match[2]) }]);
+    scan(state, GOOGLE_MAPS_URL, match => googleMapsPairs(match[0]));
+    scan(state, PLUS_CODE, match => [decodePlusCode(match[1])]);
+
+    scan(state, LAT_LON_LABELED, match => labeledPair(match[1], match[2], match[3], match[4]));
+    scan(state, LON_LAT_LABELED, match => labeledPair(match[3], match[4], match[1], match[2]));
+
+    scan(state, HEMISPHERE_PAIR, match => {
+        const [, firstLeading, firstDegrees, firstSign, firstMinutes, firstSeconds, firstTrailing,
+            secondLeading, secondDegrees, secondSign, secondMinutes, secondSeconds, secondTrailing] = match;
+        // "N 40° W 74°" puts the second hemisphere right after the first value, where it reads as trailing
+        const leadingStyle = Boolean(firstLeading);
+        return hemispherePair(
+            { degrees: firstDegrees, degreeSign: firstSign, minutes: firstMinutes, seconds: firstSeconds,
+                hemisphere: leadingStyle ? firstLeading : firstTrailing },
+            { degrees: secondDegrees, degreeSign: secondSign, minutes: secondMinutes, seconds: secondSeconds,
+                hemisphere: leadingStyle ? firstTrailing || secondLeading : secondTrailing || secondLeading }
+        );
+    });
+
+    // Plain pairs are lat,lon unless a lon,lat declaration before them covers their sentence
+    const declarations = findOrderDeclarations(text, state.text);
+    scan(state, PLAIN_PAIR, match => {
+        const declaration = declarations.filter(d => d.index < match.index && match.index < d.end).pop();
+        const first = parseFloat(match[1]);
+        const second = parseFloat(match[2]);
+        return declaration && declaration.lonFirst
+            ? [{ lat: second, lon: first }]
+            : [{ lat: first, lon: second }];
+    });
+
+    // Keep document order and drop out-of-range values and duplicates
+    const matches = [];
+    const seen = new Set(); // Track seen coordinate pairs to avoid duplicates
+    state.found
+        .sort((a, b) => a.index - b.index || a.offset - b.offset)
+        .forEach(({ lat, lon }) => {
+            const key = `${lat},${lon}`;
+            if (isValidPair(lat, lon) && !seen.has(key)) {
+                matches.push(key);
+                seen.add(key);
+            }
+        });
+
     if (matches.length === 0) {
         return 'none';
     }
-    
+
     return matches.join(' | ');
 }
-
@@ -0,0 +1,61 @@
+import { unionGeometries, intersectGeometries, differenceGeometries, geometryAreaKm2 } from './bufferGenerator.js';
+
+/**
+ * Convex hull of every [lon, lat] point of the given Polygon/MultiPolygon geometries (monotone chain)
+ * Returns a Polygon geometry, or null if there are fewer than 3 distinct points
+ */
+export function convexHullGeometry(geometries) {
+    const points = geometries.filter(Boolean)
+        .flatMap(geometry => geometry.type === 'Polygon' ? geometry.coordinates.flat() : geometry.coordinates.flat(2))
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const halfHull = sorted => {
+        const hull = [];
+        sorted.forEach(point => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                hull.pop();
+            }
+            hull.push(point);
+        });
+        hull.pop();
+        return hull;
+    };
+
+    const hull = [...halfHull(points), ...halfHull([...points].reverse())];
+    if (hull.length < 3) {
+        return null;
+    }
+    return { type: 'Polygon', coordinates: [[...hull, hull[0]]] };
+}
+
+/**
+ * Coverage of several service areas (one Polygon/MultiPolygon per origin)
+ * overlap: reachable from 2+ origins, gaps: inside the study area (convex hull of all areas) but not reachable
+ * Geometries are null when empty; areas are in km²
+ */
+export function coverageAnalysis(geometries) {
+    const areas = geometries.filter(Boolean);
+
+    const pairOverlaps = [];
+    for (let i = 0; i < areas.length; i++) {
+        for (let k = i + 1; k < areas.length; k++) {
+            pairOverlaps.push(intersectGeometries([areas[i], areas[k]]));
+        }
+    }
+    const overlap = unionGeometries(pairOverlaps);
+    const covered = unionGeometries(areas);
+    const studyArea = convexHullGeometry(areas);
+    const gaps = studyArea ? differenceGeometries([studyArea, covered]) : null;
+
+    return {
+        covered,
+        overlap,
+        gaps,
+        studyArea,
+        coveredKm2: geometryAreaKm2(covered),
+        overlapKm2: geometryAreaKm2(overlap),
+        gapsKm2: geometryAreaKm2(gaps),
+        studyAreaKm2: geometryAreaKm2(studyArea)
+    };
+}
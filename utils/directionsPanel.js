@@ -0,0 +1,197 @@
+import { getFeatureRegistry, flyToFeature } from './mapDisplay.js';
+import { formatLength, formatDuration } from './measurements.js';
+import { downloadFile, exportFilename } from './exportFeatures.js';
+
+const STEP_HIGHLIGHT_COLOR = '#FFD700';
+
+let directionsPanel = null;
+let directionsRoute = null;
+let collapsed = false;
+
+/**
+ * Printable plain text directions: route totals, then numbered maneuvers per leg
+ * route is a registry route line ({ name, distance, duration, legs })
+ */
+export function directionsToText(route) {
+    const lines = [
+        route.name.toUpperCase(),
+        `${formatLength(route.distance / 1000)} - ${formatDuration(route.duration)}`,
+        ''
+    ];
+
+    route.legs.forEach((leg, legIndex) => {
+        const summary = leg.summary ? `: ${leg.summary}` : '';
+        lines.push(`LEG ${legIndex + 1}${summary} (${formatLength(leg.distance / 1000)}, ${formatDuration(leg.duration)})`);
+        leg.steps.forEach((step, stepIndex) => {
+            // Arrival steps have no distance to cover
+            const distance = step.distance > 0 ? ` (${formatLength(step.distance / 1000)})` : '';
+            lines.push(`${stepIndex + 1}. ${step.instruction}${distance}`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+// A step's part of the route line (step.range indexes route.coordinates); arrival steps are a single point
+function stepCoordinates(route, step) {
+    const [first, end] = step.range;
+    const coordinates = route.coordinates.slice(first, end + 1);
+    return coordinates.length > 1 ? coordinates : [coordinates[0], coordinates[0]];
+}
+
+/**
+ * Display the turn-by-turn directions of a route in a collapsible panel
+ * Returns false (and leaves the panel as it is) if the route has no maneuvers
+ */
+export function displayDirectionsPanel(routeId, map) {
+    const route = getFeatureRegistry().lines.find(line => line.id === routeId);
+    if (!route || !route.legs || !route.legs.some(leg => leg.steps.length > 0)) {
+        return false;
+    }
+    directionsRoute = route;
+
+    if (!directionsPanel) {
+        directionsPanel = document.createElement('div');
+        directionsPanel.className = 'directions-panel';
+        document.body.appendChild(directionsPanel);
+    }
+
+    renderDirectionsPanel(map);
+    return true;
+}
+
+/**
+ * Fill the panel with the legs and steps of the current route
+ */
+function renderDirectionsPanel(map) {
+    directionsPanel.innerHTML = '';
+    directionsPanel.classList.toggle('collapsed', collapsed);
+
+    const header = document.createElement('div');
+    header.className = 'directions-panel-header';
+    const title = document.createElement('span');
+    title.textContent = `DIRECTIONS: ${directionsRoute.name}`;
+    const buttons = document.createElement('span');
+    const toggleButton = document.createElement('button');
+    toggleButton.textContent = collapsed ? '▸' : '▾';
+    toggleButton.title = collapsed ? 'Expand' : 'Collapse';
+    toggleButton.addEventListener('click', () => {
+        collapsed = !collapsed;
+        renderDirectionsPanel(map);
+    });
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'TXT';
+    exportButton.title = 'Export printable directions';
+    exportButton.addEventListener('click', () => {
+        downloadFile(directionsToText(directionsRoute), exportFilename('txt'), 'text/plain');
+    });
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanDirectionsPanel(map));
+    buttons.append(toggleButton, exportButton, closeButton);
+    header.append(title, buttons);
+    directionsPanel.appendChild(header);
+
+    const totals = document.createElement('div');
+    totals.className = 'directions-panel-totals';
+    totals.textContent = `${formatLength(directionsRoute.distance / 1000)} - ${formatDuration(directionsRoute.duration)}`;
+    directionsPanel.appendChild(totals);
+
+    if (collapsed) {
+        return;
+    }
+
+    const body = document.createElement('div');
+    body.className = 'directions-panel-body';
+    directionsRoute.legs.forEach((leg, legIndex) => {
+        const legHeader = document.createElement('div');
+        legHeader.className = 'directions-panel-leg';
+        legHeader.textContent = `LEG ${legIndex + 1}${leg.summary ? `: ${leg.summary}` : ''} (${formatLength(leg.distance / 1000)})`;
+        body.appendChild(legHeader);
+
+        leg.steps.forEach((step, stepIndex) => {
+            const row = document.createElement('div');
+            row.className = 'directions-panel-step';
+            const instruction = document.createElement('span');
+            instruction.textContent = `${stepIndex + 1}. ${step.instruction}`;
+            const distance = document.createElement('span');
+            distance.className = 'directions-panel-distance';
+            distance.textContent = step.distance > 0 ? formatLength(step.distance / 1000) : '';
+            row.append(instruction, distance);
+
+            // Hovering a step highlights its segment and brings it into view
+            row.addEventListener('mouseenter', () => {
+                const coordinates = stepCoordinates(directionsRoute, step);
+                highlightStep(coordinates, map);
+                flyToFeature({
+                    id: `${directionsRoute.id}-step-${legIndex}-${stepIndex}`,
+                    type: 'line',
+                    coordinates
+                }, map);
+            });
+            row.addEventListener('mouseleave', () => clearStepHighlight(map));
+            body.appendChild(row);
+        });
+    });
+    directionsPanel.appendChild(body);
+}
+
+/**
+ * Draw a step's segment over the route
+ */
+function highlightStep(coordinates, map) {
+    const data = {
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'LineString', coordinates }
+    };
+
+    const source = map.getSource('directions-step');
+    if (source) {
+        source.setData(data);
+        return;
+    }
+
+    map.addSource('directions-step', { type: 'geojson', data });
+    map.addLayer({
+        id: 'directions-step',
+        type: 'line',
+        source: 'directions-step',
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': STEP_HIGHLIGHT_COLOR,
+            'line-width': 8,
+            'line-opacity': 0.9
+        }
+    });
+}
+
+/**
+ * Remove the step highlight
+ */
+function clearStepHighlight(map) {
+    if (map.getLayer('directions-step')) {
+        map.removeLayer('directions-step');
+    }
+    if (map.getSource('directions-step')) {
+        map.removeSource('directions-step');
+    }
+}
+
+/**
+ * Remove the directions panel and its step highlight
+ */
+export function cleanDirectionsPanel(map) {
+    if (directionsPanel) {
+        directionsPanel.remove();
+        directionsPanel = null;
+    }
+    if (map) {
+        clearStepHighlight(map);
+    }
+    directionsRoute = null;
+}
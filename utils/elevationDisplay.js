@@ -2,6 +2,41 @@ import { getElevationPoints, calculateLineDistance, pointAlongLine } from './ele
 
 let elevationMarker = null;
 
+/**
+ * Enable terrain so map.queryTerrainElevation() returns elevations
+ * Elevations are available once the map is idle again
+ */
+export function ensureTerrain(map) {
+    if (map.getTerrain()) {
+        return;
+    }
+    // Add DEM source if it doesn't exist
+    if (!map.getSource('mapbox-dem')) {
+        map.addSource('mapbox-dem', {
+            type: 'raster-dem',
+            url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
+            tileSize: 512,
+            maxzoom: 20
+        });
+    }
+    map.setTerrain({ source: 'mapbox-dem', exaggeration: 1 });
+}
+
+/**
+ * Resolve once the map is idle, or after timeoutMs at the latest
+ * 'idle' never fires while an animation keeps repainting (e.g. an animated buffer), so callers sample whatever has loaded by then
+ */
+export function waitForIdle(map, timeoutMs = 5000) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            map.off('idle', done);
+            resolve();
+        };
+        const timer = setTimeout(done, timeoutMs);
+        map.once('idle', done);
+    });
+}
 
 /**
  * Display elevation profile on map as an HTML marker
@@ -14,19 +49,7 @@ export function displayElevationProfileOnMap(coordinates, map) {
         elevationMarker = null;
     }
     
-    // Ensure terrain is enabled
-    if (!map.getTerrain()) {
-        // Add DEM source if it doesn't exist
-        if (!map.getSource('mapbox-dem')) {
-            map.addSource('mapbox-dem', {
-                type: 'raster-dem',
-                url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
-                tileSize: 512,
-                maxzoom: 20
-            });
-        }
-        map.setTerrain({ source: 'mapbox-dem', exaggeration: 1 });
-    }
+    ensureTerrain(map);
     
     // Wait for terrain to load, then get elevation data
     map.once('idle', () => {
@@ -117,6 +117,7 @@ export function lineChunk(coordinates, chunkLengthKm = 1) {
 /**
  * Get elevation points along a line
  * Splits line into chunks and queries elevation at each chunk start point
+ * Elevations are true heights in meters, whatever terrain exaggeration the map shows
  */
 export function getElevationPoints(coordinates, map, chunkLengthKm = 1) {
     const chunks = lineChunk(coordinates, chunkLengthKm);
@@ -127,7 +128,7 @@ export function getElevationPoints(coordinates, map, chunkLengthKm = 1) {
     let accumulatedDistance = 0;
     chunks.forEach((chunk, index) => {
         const point = chunk[0];
-        const elevation = map.queryTerrainElevation(point);
+        const elevation = map.queryTerrainElevation(point, { exaggerated: false });
         
         if (elevation !== null && elevation !== undefined) {
             // Use accumulated distance (simpler approach)
@@ -144,7 +145,7 @@ export function getElevationPoints(coordinates, map, chunkLengthKm = 1) {
     
     // Always include last coordinate
     const lastCoord = coordinates[coordinates.length - 1];
-    const lastElevation = map.queryTerrainElevation(lastCoord);
+    const lastElevation = map.queryTerrainElevation(lastCoord, { exaggerated: false });
     if (lastElevation !== null && lastElevation !== undefined) {
         const lastDistance = totalDistance;
         
@@ -169,3 +170,21 @@ export function getElevationPoints(coordinates, map, chunkLengthKm = 1) {
     return elevations;
 }
 
+
+/**
+ * Total climb and descent along elevation points (from getElevationPoints)
+ * Returns { gain, loss } in meters, both positive
+ */
+export function calculateElevationGainLoss(elevations) {
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i < elevations.length; i++) {
+        const change = elevations[i].elevation - elevations[i - 1].elevation;
+        if (change > 0) {
+            gain += change;
+        } else {
+            loss -= change;
+        }
+    }
+    return { gain, loss };
+}
@@ -0,0 +1,362 @@
+import { getFeatureRegistry, isochroneColor, POLYGON_COLOR } from './mapDisplay.js';
+import { calculateLineDistance, getElevationPoints } from './elevationHelpers.js';
+import { waitForIdle } from './elevationDisplay.js';
+
+// Every exported feature has the same attributes, so GIS tools see one consistent table
+// distance is in meters, duration in seconds and radius in km
+function exportProperties(values) {
+    return {
+        id: null,
+        name: null,
+        type: null,
+        radius: null,
+        contour: null,
+        metric: null,
+        travelMode: null,
+        distance: null,
+        duration: null,
+        sourceQuery: null,
+        ...values
+    };
+}
+
+// 'mapbox/driving-traffic' -> 'driving-traffic'
+function travelMode(profile) {
+    return profile ? profile.replace(/^mapbox\//, '') : null;
+}
+
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+function isochroneName(contour, metric) {
+    return metric === 'distance' ? `${contour / 1000} km isochrone` : `${contour} min isochrone`;
+}
+
+// GeoJSON features for every entry of the feature registry
+function registryFeatures(registry) {
+    const features = [];
+    const add = (geometry, properties) => features.push({ type: 'Feature', geometry, properties: exportProperties(properties) });
+
+    registry.lines.forEach(line => {
+        add({ type: 'LineString', coordinates: line.coordinates }, {
+            id: line.id,
+            name: line.name,
+            type: line.type,
+            travelMode: travelMode(line.profile),
+            distance: line.distance ?? Math.round(calculateLineDistance(line.coordinates) * 1000),
+            duration: line.duration ?? null,
+            sourceQuery: line.query
+        });
+    });
+
+    registry.markers.forEach(marker => {
+        add({ type: 'Point', coordinates: marker.lngLat }, {
+            id: marker.id,
+            name: marker.name,
+            type: 'marker',
+            sourceQuery: marker.query
+        });
+    });
+
+    registry.buffers.forEach(buffer => {
+        add(buffer.geometry || { type: 'Polygon', coordinates: [closeRing(buffer.polygon)] }, {
+            id: buffer.id,
+            name: `${buffer.inset ? '-' : ''}${buffer.radius} km buffer`,
+            type: 'buffer',
+            radius: buffer.inset ? -buffer.radius : buffer.radius,
+            sourceQuery: buffer.query
+        });
+    });
+
+    registry.polygons.forEach(polygon => {
+        add(polygon.geometry || { type: 'Polygon', coordinates: [closeRing(polygon.coordinates)] }, {
+            id: polygon.id,
+            name: polygon.name,
+            type: 'polygon',
+            sourceQuery: polygon.query
+        });
+    });
+
+    // One feature per contour
+    registry.isochrones.forEach(isochrone => {
+        isochrone.features.forEach(contourFeature => {
+            const { contour, metric } = contourFeature.properties;
+            add(contourFeature.geometry, {
+                id: isochrone.id,
+                name: isochroneName(contour, metric),
+                type: 'isochrone',
+                contour: contour,
+                metric: metric,
+                travelMode: travelMode(isochrone.profile),
+                sourceQuery: isochrone.query
+            });
+        });
+    });
+
+    // One straight connector per origin/destination pair
+    registry.matrices.forEach(matrix => {
+        matrix.rows.forEach(row => {
+            add({ type: 'LineString', coordinates: [row.fromCoordinates, row.toCoordinates] }, {
+                id: matrix.id,
+                name: `${row.from} → ${row.to}`,
+                type: 'matrix',
+                travelMode: travelMode(matrix.profile),
+                distance: row.distance,
+                duration: row.duration,
+                sourceQuery: matrix.query
+            });
+        });
+    });
+
+    return features;
+}
+
+/**
+ * One FeatureCollection from the feature registry
+ */
+export function buildFeatureCollection(registry) {
+    return { type: 'FeatureCollection', features: registryFeatures(registry) };
+}
+
+/**
+ * Download text content as a file
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// File name with a timestamp, e.g. mbrt-2025-01-31-14-05-09.geojson
+export function exportFilename(extension) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `mbrt-${timestamp}.${extension}`;
+}
+
+/**
+ * Export all map features as a GeoJSON file
+ */
+export function exportGeoJSON(map) {
+    // Registered features only: markers (imported points too), lines, buffers, polygons, isochrone contours and matrix connectors
+    const collection = buildFeatureCollection(getFeatureRegistry());
+    downloadFile(JSON.stringify(collection, null, 2), exportFilename('geojson'), 'application/geo+json');
+    return collection;
+}
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Elevation at a distance (km) along a line, interpolated from getElevationPoints() samples
+export function elevationAt(profile, distanceKm) {
+    if (!profile || profile.length === 0) {
+        return null;
+    }
+    if (distanceKm <= profile[0].distance) {
+        return profile[0].elevation;
+    }
+    for (let i = 1; i < profile.length; i++) {
+        if (distanceKm <= profile[i].distance) {
+            const previous = profile[i - 1];
+            const span = profile[i].distance - previous.distance;
+            const ratio = span > 0 ? (distanceKm - previous.distance) / span : 0;
+            return previous.elevation + ratio * (profile[i].elevation - previous.elevation);
+        }
+    }
+    return profile[profile.length - 1].elevation;
+}
+
+/**
+ * GPX 1.1 document: markers become waypoints, lines and routes become tracks
+ * profiles maps line id -> getElevationPoints() samples, used for <ele> on every track point
+ */
+export function buildGPX(registry, profiles = {}) {
+    const waypoints = registry.markers.map(marker => {
+        const [lon, lat] = marker.lngLat;
+        return `  <wpt lat="${lat}" lon="${lon}">\n    <name>${escapeXML(marker.name || 'Marker')}</name>\n  </wpt>`;
+    });
+
+    const tracks = registry.lines.map(line => {
+        const profile = profiles[line.id];
+        let distanceKm = 0;
+        const points = line.coordinates.map(([lon, lat], index) => {
+            if (index > 0) {
+                distanceKm += calculateLineDistance([line.coordinates[index - 1], [lon, lat]]);
+            }
+            const elevation = elevationAt(profile, distanceKm);
+            return elevation === null
+                ? `      <trkpt lat="${lat}" lon="${lon}"/>`
+                : `      <trkpt lat="${lat}" lon="${lon}"><ele>${elevation.toFixed(1)}</ele></trkpt>`;
+        });
+        const type = line.type === 'route' && line.profile ? `\n    <type>${escapeXML(travelMode(line.profile))}</type>` : '';
+        return `  <trk>\n    <name>${escapeXML(line.name || 'Line')}</name>${type}\n    <trkseg>\n${points.join('\n')}\n    </trkseg>\n  </trk>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="MBRT" xmlns="http://www.topografix.com/GPX/1/1">',
+        ...waypoints,
+        ...tracks,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+// '#089BDF' + opacity -> KML aabbggrr
+function kmlColor(hex, opacity) {
+    const value = hex.replace('#', '');
+    const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+    return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toLowerCase();
+}
+
+// KML <Polygon>/<MultiGeometry> for a Polygon or MultiPolygon geometry
+function kmlGeometry(geometry) {
+    const ring = coordinates => `<coordinates>${closeRing(coordinates).map(([lon, lat]) => `${lon},${lat}`).join(' ')}</coordinates>`;
+    const polygon = ([outer, ...holes]) => '<Polygon>' +
+        `<outerBoundaryIs><LinearRing>${ring(outer)}</LinearRing></outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs><LinearRing>${ring(hole)}</LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+    return geometry.type === 'Polygon'
+        ? polygon(geometry.coordinates)
+        : `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+}
+
+/**
+ * KML document with buffers, polygons and isochrone contours as placemarks
+ * Colors match the map: 20% fill with a solid (polygons, buffers) or 80% (isochrones) outline
+ */
+export function buildKML(registry) {
+    const placemarks = [];
+    const styles = new Map();
+
+    const add = (name, description, geometry, color, strokeOpacity) => {
+        const styleId = `style-${color.replace('#', '').toLowerCase()}-${Math.round(strokeOpacity * 100)}`;
+        if (!styles.has(styleId)) {
+            styles.set(styleId, `  <Style id="${styleId}">\n` +
+                `    <LineStyle><color>${kmlColor(color, strokeOpacity)}</color><width>3</width></LineStyle>\n` +
+                `    <PolyStyle><color>${kmlColor(color, 0.2)}</color></PolyStyle>\n` +
+                '  </Style>');
+        }
+        placemarks.push('  <Placemark>\n' +
+            `    <name>${escapeXML(name)}</name>\n` +
+            `    <description>${escapeXML(description)}</description>\n` +
+            `    <styleUrl>#${styleId}</styleUrl>\n` +
+            `    ${kmlGeometry(geometry)}\n` +
+            '  </Placemark>');
+    };
+
+    registry.buffers.forEach(buffer => {
+        const radius = `${buffer.inset ? '-' : ''}${buffer.radius} km`;
+        add(`${radius} buffer`, `Buffer with ${radius} radius`,
+            buffer.geometry || { type: 'Polygon', coordinates: [buffer.polygon] }, buffer.color || POLYGON_COLOR, 1);
+    });
+
+    registry.polygons.forEach(polygon => {
+        add(polygon.name || 'Polygon', polygon.query || 'Polygon',
+            polygon.geometry || { type: 'Polygon', coordinates: [polygon.coordinates] }, polygon.color || POLYGON_COLOR, 1);
+    });
+
+    registry.isochrones.forEach(isochrone => {
+        isochrone.features.forEach((feature, index) => {
+            const { contour, metric } = feature.properties;
+            const geometry = feature.geometry.type === 'LineString'
+                ? { type: 'Polygon', coordinates: [feature.geometry.coordinates] }
+                : feature.geometry;
+            const mode = travelMode(isochrone.profile);
+            add(isochroneName(contour, metric), mode ? `Reachable by ${mode}` : 'Reachable area',
+                geometry, isochrone.color || isochroneColor(feature.properties, index), 0.8);
+        });
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        '  <name>MBRT export</name>',
+        ...styles.values(),
+        ...placemarks,
+        '</Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Export buffers, polygons and isochrones as a KML file (for Google Earth)
+ */
+export function exportKML(map) {
+    const registry = getFeatureRegistry();
+    const kml = buildKML(registry);
+    downloadFile(kml, exportFilename('kml'), 'application/vnd.google-earth.kml+xml');
+    return registry.buffers.length + registry.polygons.length +
+        registry.isochrones.reduce((count, isochrone) => count + isochrone.features.length, 0);
+}
+
+// Sample spacing for track elevations: 1 km, finer for short lines
+function elevationChunkKm(coordinates) {
+    return Math.max(0.05, Math.min(1, calculateLineDistance(coordinates) / 100));
+}
+
+// Bring a line into view and wait for its DEM tiles - elevations only exist where tiles have loaded
+async function loadLineTerrain(coordinates, map) {
+    const bounds = coordinates.reduce((bounds, coord) => bounds.extend(coord),
+        new mapboxgl.LngLatBounds(coordinates[0], coordinates[0]));
+    map.fitBounds(bounds, { padding: 50, duration: 0 });
+    // Make sure a frame is rendered (and 'idle' fires) even if the camera did not move
+    map.triggerRepaint();
+    await waitForIdle(map);
+}
+
+/**
+ * Export lines/routes as GPX tracks (with terrain elevations) and markers as waypoints
+ * Terrain is switched on while sampling if needed, and each line is brought into view so its DEM tiles load;
+ * the camera and terrain state are restored afterwards
+ */
+export async function exportGPX(map) {
+    const registry = getFeatureRegistry();
+    const terrainWasEnabled = map.getTerrain() !== null;
+
+    if (registry.lines.length > 0 && !terrainWasEnabled) {
+        if (!map.getSource('mapbox-dem')) {
+            map.addSource('mapbox-dem', {
+                type: 'raster-dem',
+                url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
+                tileSize: 512,
+                maxzoom: 14
+            });
+        }
+        map.setTerrain({ source: 'mapbox-dem', exaggeration: 1 });
+        await waitForIdle(map);
+    }
+
+    const camera = { center: map.getCenter(), zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() };
+    const profiles = {};
+    for (const line of registry.lines) {
+        await loadLineTerrain(line.coordinates, map);
+        profiles[line.id] = getElevationPoints(line.coordinates, map, elevationChunkKm(line.coordinates));
+    }
+
+    if (registry.lines.length > 0) {
+        map.jumpTo(camera);
+        if (!terrainWasEnabled) {
+            map.setTerrain(null);
+        }
+    }
+
+    downloadFile(buildGPX(registry, profiles), exportFilename('gpx'), 'application/gpx+xml');
+    return registry.markers.length + registry.lines.length;
+}
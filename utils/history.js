@@ -0,0 +1,50 @@
+// Undo/redo stacks of map snapshots
+// A snapshot is pushed before every change; undo swaps it with the current state
+
+// Oldest snapshots are dropped beyond this many steps
+export const HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Record the state from before a change (clears the redo stack)
+ */
+export function pushHistory(snapshot) {
+    undoStack.push(snapshot);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+/**
+ * Step back: returns the previous state (null if there is none) and keeps current for redo
+ */
+export function undoHistory(current) {
+    if (undoStack.length === 0) {
+        return null;
+    }
+    redoStack.push(current);
+    return undoStack.pop();
+}
+
+/**
+ * Step forward again after an undo (null if there is nothing to redo)
+ */
+export function redoHistory(current) {
+    if (redoStack.length === 0) {
+        return null;
+    }
+    undoStack.push(current);
+    return redoStack.pop();
+}
+
+export function getHistoryState() {
+    return { undo: undoStack.length, redo: redoStack.length };
+}
+
+export function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+}
@@ -0,0 +1,283 @@
+import { displayImportedFeaturesOnMap } from './mapDisplay.js';
+
+// File extensions accepted by @import and drag-and-drop
+export const IMPORT_EXTENSIONS = ['geojson', 'json', 'kml', 'gpx', 'csv'];
+
+// [lon, lat] only - altitudes are dropped so imported shapes work with every agent
+function toPosition(coordinate) {
+    return [Number(coordinate[0]), Number(coordinate[1])];
+}
+
+function isValidPosition([lon, lat]) {
+    return Number.isFinite(lon) && Number.isFinite(lat) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// Split a geometry into simple { geometry, name } features (Point, LineString, Polygon/MultiPolygon)
+// Multi-points and multi-lines become one feature per part; invalid parts are dropped
+function simpleFeatures(geometry, name) {
+    if (!geometry) {
+        return [];
+    }
+
+    switch (geometry.type) {
+        case 'Point': {
+            const position = toPosition(geometry.coordinates);
+            return isValidPosition(position) ? [{ geometry: { type: 'Point', coordinates: position }, name }] : [];
+        }
+        case 'MultiPoint':
+            return geometry.coordinates.flatMap((coordinates, index) =>
+                simpleFeatures({ type: 'Point', coordinates }, `${name} ${index + 1}`));
+        case 'LineString': {
+            const coordinates = geometry.coordinates.map(toPosition).filter(isValidPosition);
+            return coordinates.length >= 2 ? [{ geometry: { type: 'LineString', coordinates }, name }] : [];
+        }
+        case 'MultiLineString':
+            return geometry.coordinates.flatMap((coordinates, index) =>
+                simpleFeatures({ type: 'LineString', coordinates }, `${name} ${index + 1}`));
+        case 'Polygon':
+        case 'MultiPolygon': {
+            const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+                .map(rings => rings
+                    .map(ring => ring.map(toPosition).filter(isValidPosition))
+                    .filter(ring => ring.length >= 3)
+                    .map(closeRing))
+                .filter(rings => rings.length > 0);
+            if (polygons.length === 0) {
+                return [];
+            }
+            return [{
+                geometry: polygons.length === 1
+                    ? { type: 'Polygon', coordinates: polygons[0] }
+                    : { type: 'MultiPolygon', coordinates: polygons },
+                name
+            }];
+        }
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(part => simpleFeatures(part, name));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Parse GeoJSON text (FeatureCollection, Feature or bare geometry)
+ */
+export function parseGeoJSON(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', geometry: data, properties: {} }];
+
+    return features.flatMap((feature, index) => {
+        const properties = feature.properties || {};
+        const name = properties.name || properties.title || properties.Name || `Feature ${index + 1}`;
+        return simpleFeatures(feature.geometry, String(name));
+    });
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCSVLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x'];
+const NAME_COLUMNS = ['name', 'title', 'label', 'id'];
+
+/**
+ * Parse CSV text with a header row naming the lat/lon columns (comma, semicolon or tab separated)
+ */
+export function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('CSV needs a header row and at least one data row');
+    }
+
+    const delimiter = ['\t', ';', ','].find(candidate => lines[0].includes(candidate)) || ',';
+    const header = splitCSVLine(lines[0], delimiter).map(column => column.toLowerCase());
+    const latIndex = header.findIndex(column => LAT_COLUMNS.includes(column));
+    const lonIndex = header.findIndex(column => LON_COLUMNS.includes(column));
+    const nameIndex = header.findIndex(column => NAME_COLUMNS.includes(column));
+
+    if (latIndex === -1 || lonIndex === -1) {
+        throw new Error('CSV needs lat/latitude and lon/lng/longitude columns');
+    }
+
+    return lines.slice(1).flatMap((line, index) => {
+        const fields = splitCSVLine(line, delimiter);
+        const name = nameIndex !== -1 && fields[nameIndex] ? fields[nameIndex] : `Point ${index + 1}`;
+        return simpleFeatures({ type: 'Point', coordinates: [parseFloat(fields[lonIndex]), parseFloat(fields[latIndex])] }, name);
+    });
+}
+
+function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid XML');
+    }
+    return doc;
+}
+
+// Text of the first direct or nested child element with this tag
+function childText(element, tagName) {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+// KML "lon,lat[,alt] lon,lat[,alt] ..." coordinate text
+function kmlCoordinates(element) {
+    return childText(element, 'coordinates')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => tuple.split(',').map(Number));
+}
+
+// GeoJSON geometries of the KML geometry elements directly under a parent
+function kmlGeometries(parent) {
+    return Array.from(parent.children).flatMap(element => {
+        switch (element.localName) {
+            case 'Point':
+                return [{ type: 'Point', coordinates: kmlCoordinates(element)[0] || [] }];
+            case 'LineString':
+                return [{ type: 'LineString', coordinates: kmlCoordinates(element) }];
+            case 'LinearRing':
+                return [{ type: 'Polygon', coordinates: [kmlCoordinates(element)] }];
+            case 'Polygon': {
+                const outer = element.getElementsByTagName('outerBoundaryIs')[0];
+                const inner = Array.from(element.getElementsByTagName('innerBoundaryIs'));
+                return outer ? [{ type: 'Polygon', coordinates: [outer, ...inner].map(kmlCoordinates) }] : [];
+            }
+            case 'MultiGeometry':
+                return kmlGeometries(element);
+            default:
+                return [];
+        }
+    });
+}
+
+/**
+ * Parse KML placemarks (points, lines, polygons and multi-geometries)
+ */
+export function parseKML(text) {
+    const doc = parseXML(text);
+    return Array.from(doc.getElementsByTagName('Placemark')).flatMap((placemark, index) => {
+        const name = childText(placemark, 'name') || `Placemark ${index + 1}`;
+        return kmlGeometries(placemark).flatMap(geometry => simpleFeatures(geometry, name));
+    });
+}
+
+// [lon, lat] of GPX point elements (wpt, rtept, trkpt)
+function gpxPoints(elements) {
+    return Array.from(elements).map(point => [Number(point.getAttribute('lon')), Number(point.getAttribute('lat'))]);
+}
+
+/**
+ * Parse GPX waypoints, routes and tracks (one line per track segment)
+ */
+export function parseGPX(text) {
+    const doc = parseXML(text);
+    const features = [];
+
+    Array.from(doc.getElementsByTagName('wpt')).forEach((waypoint, index) => {
+        const name = childText(waypoint, 'name') || `Waypoint ${index + 1}`;
+        features.push(...simpleFeatures({ type: 'Point', coordinates: gpxPoints([waypoint])[0] }, name));
+    });
+
+    Array.from(doc.getElementsByTagName('rte')).forEach((route, index) => {
+        const name = childText(route, 'name') || `Route ${index + 1}`;
+        features.push(...simpleFeatures({ type: 'LineString', coordinates: gpxPoints(route.getElementsByTagName('rtept')) }, name));
+    });
+
+    Array.from(doc.getElementsByTagName('trk')).forEach((track, index) => {
+        const name = childText(track, 'name') || `Track ${index + 1}`;
+        const segments = Array.from(track.getElementsByTagName('trkseg'));
+        segments.forEach((segment, segmentIndex) => {
+            const segmentName = segments.length > 1 ? `${name} ${segmentIndex + 1}` : name;
+            features.push(...simpleFeatures({ type: 'LineString', coordinates: gpxPoints(segment.getElementsByTagName('trkpt')) }, segmentName));
+        });
+    });
+
+    return features;
+}
+
+const parsers = {
+    geojson: parseGeoJSON,
+    json: parseGeoJSON,
+    kml: parseKML,
+    gpx: parseGPX,
+    csv: parseCSV
+};
+
+/**
+ * Parse file contents by extension into [{ geometry, name }]
+ */
+export function parseImportFile(filename, text) {
+    const extension = filename.split('.').pop().toLowerCase();
+    const parser = parsers[extension];
+    if (!parser) {
+        throw new Error(`Unsupported file type: .${extension} (use ${IMPORT_EXTENSIONS.map(ext => `.${ext}`).join(', ')})`);
+    }
+    return parser(text);
+}
+
+/**
+ * Read a dropped or picked File, draw its features and register them for @feature
+ */
+export async function importFile(file, map) {
+    const text = await file.text();
+    const features = parseImportFile(file.name, text);
+
+    if (features.length === 0) {
+        throw new Error(`No features found in ${file.name}`);
+    }
+
+    displayImportedFeaturesOnMap(features, file.name, map);
+    console.log(`📥 Imported ${features.length} feature(s) from ${file.name}`);
+    return features;
+}
+
+/**
+ * Open a file picker and import the chosen files (each through importer, importFile by default)
+ */
+export function pickAndImportFiles(map, importer = file => importFile(file, map)) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = IMPORT_EXTENSIONS.map(ext => `.${ext}`).join(',');
+    input.addEventListener('change', () => {
+        Array.from(input.files).forEach(file => {
+            importer(file).catch(error => console.error(`❌ Import failed for ${file.name}:`, error.message));
+        });
+    });
+    input.click();
+}
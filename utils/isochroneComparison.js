@@ -0,0 +1,112 @@
+import { getFeatureRegistry, getFeatureGeometry, setFeatureVisibility } from './mapDisplay.js';
+import { geometryAreaKm2 } from './bufferGenerator.js';
+import { formatArea } from './measurements.js';
+
+let comparisonPanel = null;
+let comparedIsochrones = [];
+
+/**
+ * Reachable area of each isochrone (outermost contour) and its size relative to the smallest one
+ * isochrones are registry entries; returns [{ id, name, color, areaKm2, ratio }] in the same order
+ */
+export function isochroneAreas(isochrones) {
+    const areas = isochrones.map(isochrone => ({
+        id: isochrone.id,
+        name: isochrone.name,
+        color: isochrone.color,
+        areaKm2: geometryAreaKm2(getFeatureGeometry(isochrone.id))
+    }));
+    const smallest = Math.min(...areas.map(area => area.areaKm2).filter(areaKm2 => areaKm2 > 0));
+    return areas.map(area => ({ ...area, ratio: Number.isFinite(smallest) ? area.areaKm2 / smallest : null }));
+}
+
+/**
+ * Legend and area table for isochrones compared across travel modes or departure times
+ * Each row toggles its isochrone on the map
+ */
+export function displayIsochroneComparison(isochroneIds, map) {
+    const isochrones = getFeatureRegistry().isochrones;
+    comparedIsochrones = isochroneAreas(isochroneIds
+        .map(id => isochrones.find(isochrone => isochrone.id === id))
+        .filter(Boolean));
+
+    if (!comparisonPanel) {
+        comparisonPanel = document.createElement('div');
+        comparisonPanel.className = 'isochrone-comparison-panel';
+        document.body.appendChild(comparisonPanel);
+    }
+
+    renderIsochroneComparison(map);
+}
+
+/**
+ * Fill the panel with one row per isochrone
+ */
+function renderIsochroneComparison(map) {
+    comparisonPanel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'isochrone-comparison-header';
+    const title = document.createElement('span');
+    title.textContent = 'ISOCHRONES';
+    const closeButton = document.createElement('button');
+    closeButton.className = 'isochrone-comparison-close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanIsochroneComparison());
+    header.append(title, closeButton);
+    comparisonPanel.appendChild(header);
+
+    const labels = document.createElement('div');
+    labels.className = 'isochrone-comparison-row isochrone-comparison-labels';
+    ['ISOCHRONE', 'AREA', 'VS SMALLEST'].forEach(label => {
+        const cell = document.createElement('span');
+        cell.textContent = label;
+        labels.appendChild(cell);
+    });
+    comparisonPanel.appendChild(labels);
+
+    const registry = getFeatureRegistry().isochrones;
+    comparedIsochrones.forEach(isochrone => {
+        const entry = registry.find(feature => feature.id === isochrone.id);
+        // Isochrone was removed since the comparison was made
+        if (!entry) {
+            return;
+        }
+
+        const row = document.createElement('label');
+        row.className = 'isochrone-comparison-row';
+        row.classList.toggle('isochrone-comparison-off', entry.visible === false);
+
+        const name = document.createElement('span');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = entry.visible !== false;
+        toggle.addEventListener('change', () => {
+            setFeatureVisibility(isochrone.id, toggle.checked, map);
+            renderIsochroneComparison(map);
+        });
+        const swatch = document.createElement('span');
+        swatch.className = 'isochrone-comparison-swatch';
+        swatch.style.background = isochrone.color;
+        name.append(toggle, swatch, isochrone.name);
+        row.appendChild(name);
+
+        [formatArea(isochrone.areaKm2), isochrone.ratio === null ? '—' : `×${isochrone.ratio.toFixed(1)}`].forEach(value => {
+            const cell = document.createElement('span');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        comparisonPanel.appendChild(row);
+    });
+}
+
+/**
+ * Remove the isochrone comparison panel (the isochrones stay on the map)
+ */
+export function cleanIsochroneComparison() {
+    if (comparisonPanel) {
+        comparisonPanel.remove();
+        comparisonPanel = null;
+    }
+    comparedIsochrones = [];
+}
@@ -0,0 +1,192 @@
+import { getFeatureRegistry, isochroneColor, isochroneContourLabel, setIsochroneContourStyle, setIsochroneFeatures } from './mapDisplay.js';
+import { callMapboxIsochrone, parseContourValues } from '../services/isochrone.js';
+import { callMapboxCatchment } from '../services/catchment.js';
+import { beginHistoryStep, endHistoryStep, withHistory } from './commands.js';
+
+let legendPanel = null;
+let legendIsochroneId = null;
+let legendStatus = '';
+
+/**
+ * Legend for one isochrone: a row per contour with a show/hide checkbox and an opacity slider,
+ * plus an editor to re-run the isochrone with other contour values
+ * Replaces any legend shown before
+ */
+export function displayIsochroneLegend(isochroneId, map) {
+    legendIsochroneId = isochroneId;
+    legendStatus = '';
+
+    if (!legendPanel) {
+        legendPanel = document.createElement('div');
+        legendPanel.className = 'isochrone-legend';
+        document.body.appendChild(legendPanel);
+    }
+
+    renderIsochroneLegend(map);
+}
+
+/**
+ * Fill the legend from the registry entry (contours sorted from smallest to largest)
+ */
+function renderIsochroneLegend(map) {
+    const isochrone = getFeatureRegistry().isochrones.find(entry => entry.id === legendIsochroneId);
+    // Isochrone was removed since the legend was shown
+    if (!isochrone) {
+        cleanIsochroneLegend();
+        return;
+    }
+
+    legendPanel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'isochrone-legend-header';
+    const title = document.createElement('span');
+    const kind = isochrone.catchment ? 'CATCHMENT' : 'ISOCHRONE';
+    title.textContent = isochrone.name ? `${kind} - ${isochrone.name.toUpperCase()}` : kind;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'isochrone-legend-close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanIsochroneLegend());
+    header.append(title, closeButton);
+    legendPanel.appendChild(header);
+
+    // Catchment edges are only as sharp as the grid of origins sampled for them
+    if (isochrone.catchment && isochrone.resolutionKm) {
+        const resolution = document.createElement('div');
+        resolution.className = 'isochrone-legend-note';
+        resolution.textContent = `Origins sampled every ${isochrone.resolutionKm.toFixed(1)} km`;
+        legendPanel.appendChild(resolution);
+    }
+
+    const contours = isochrone.features
+        .map((feature, index) => ({ index, properties: feature.properties }))
+        .sort((a, b) => a.properties.contour - b.properties.contour);
+
+    contours.forEach(({ index, properties }) => {
+        const contourStyle = (isochrone.contourStyles || [])[index] || {};
+
+        const row = document.createElement('div');
+        row.className = 'isochrone-legend-row';
+        row.classList.toggle('isochrone-legend-off', contourStyle.visible === false);
+
+        const name = document.createElement('label');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = contourStyle.visible !== false;
+        toggle.addEventListener('change', () => {
+            withHistory(map, () => setIsochroneContourStyle(isochrone.id, index, { visible: toggle.checked }, map));
+            renderIsochroneLegend(map);
+        });
+        const swatch = document.createElement('span');
+        swatch.className = 'isochrone-legend-swatch';
+        swatch.style.background = isochrone.color || isochroneColor(properties, index);
+        name.append(toggle, swatch, isochroneContourLabel(properties));
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = '0';
+        opacity.max = '1';
+        opacity.step = '0.05';
+        opacity.value = String(contourStyle.opacity ?? isochrone.opacity);
+        opacity.title = 'Fill opacity';
+        opacity.disabled = contourStyle.visible === false;
+        // One undo step per drag: opened by the first move, closed when the slider is released
+        let opacityStep = null;
+        opacity.addEventListener('input', () => {
+            opacityStep = opacityStep || beginHistoryStep(map);
+            setIsochroneContourStyle(isochrone.id, index, { opacity: Number(opacity.value) }, map);
+        });
+        opacity.addEventListener('change', () => {
+            endHistoryStep(opacityStep, map);
+            opacityStep = null;
+        });
+
+        row.append(name, opacity);
+        legendPanel.appendChild(row);
+    });
+
+    // Contour editor: values in minutes for time isochrones, km for distance isochrones
+    const metric = isochrone.features[0].properties.metric;
+    const editor = document.createElement('form');
+    editor.className = 'isochrone-legend-editor';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = contours
+        .map(({ properties }) => metric === 'time' ? properties.contour : properties.contour / 1000)
+        .join(', ');
+    input.title = 'Up to 4 values, separated by commas';
+    const unit = document.createElement('span');
+    unit.textContent = metric === 'time' ? 'MIN' : 'KM';
+    const runButton = document.createElement('button');
+    runButton.type = 'submit';
+    runButton.textContent = 'RUN';
+    editor.append(input, unit, runButton);
+    editor.addEventListener('submit', event => {
+        event.preventDefault();
+        withHistory(map, () => rerunIsochrone(isochrone, metric, input.value, map));
+    });
+    legendPanel.appendChild(editor);
+
+    if (legendStatus) {
+        const status = document.createElement('div');
+        status.className = 'isochrone-legend-status';
+        status.textContent = legendStatus;
+        legendPanel.appendChild(status);
+    }
+}
+
+/**
+ * Request the isochrone again with new contour values and replace its contours in place
+ * Uses the options of the first request (departure time etc.)
+ */
+async function rerunIsochrone(isochrone, metric, text, map) {
+    let values;
+    try {
+        values = parseContourValues(text, metric);
+    } catch (error) {
+        legendStatus = error.message;
+        renderIsochroneLegend(map);
+        return;
+    }
+
+    legendStatus = 'Updating...';
+    renderIsochroneLegend(map);
+
+    // Catchments are sampled again towards the same destination
+    const isochroneData = await (isochrone.catchment ? callMapboxCatchment : callMapboxIsochrone)(isochrone.center, {
+        ...isochrone.request,
+        profile: isochrone.profile,
+        ...(metric === 'time' ? { contoursMinutes: values } : { contoursMeters: values })
+    });
+
+    // Legend was closed or moved to another isochrone while the request was running
+    if (!legendPanel || legendIsochroneId !== isochrone.id) {
+        return;
+    }
+
+    if (!getFeatureRegistry().isochrones.some(entry => entry.id === isochrone.id)) {
+        cleanIsochroneLegend();
+        return;
+    }
+
+    if (!isochroneData) {
+        legendStatus = 'Isochrone request failed';
+    } else {
+        setIsochroneFeatures(isochrone.id, isochroneData, map);
+        legendStatus = '';
+        console.log(`✅ Isochrone re-run with contours ${values.join(', ')}`);
+    }
+    renderIsochroneLegend(map);
+}
+
+/**
+ * Remove the isochrone legend (the isochrone stays on the map)
+ */
+export function cleanIsochroneLegend() {
+    if (legendPanel) {
+        legendPanel.remove();
+        legendPanel = null;
+    }
+    legendIsochroneId = null;
+    legendStatus = '';
+}
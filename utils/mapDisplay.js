@@ -1,24 +1,58 @@
 import { createCircleMarker } from './markers.js';
+import { circleAreaKm2, unionGeometries } from './bufferGenerator.js';
+import { coverageAnalysis } from './coverage.js';
 
-// Store markers and lines for cleanup (exported for use in app.js)
+// Point markers from the POINTS workflow (exported for use in app.js)
+// Waypoint and center markers belong to the line, buffer or isochrone they were drawn with
 export let currentMarkers = [];
-export let currentLineMarkers = [];
+
+// Fill/stroke colors for polygons and geometry operation results
+export const POLYGON_COLOR = '#089BDF';
+const ROUTE_COLOR = '#089BDF';
+const ALTERNATIVE_ROUTE_COLORS = ['#2ECC71', '#E84393'];
+const BUFFER_COLOR = '#089BDF';
+const GEOMETRY_RESULT_COLOR = '#9B59B6';
+const IMPORTED_COLOR = '#F5A623';
+const ORIGIN_COLORS = ['#E74C3C', '#3498DB', '#2ECC71', '#F39C12', '#9B59B6', '#1ABC9C', '#E84393', '#34495E'];
+const PROFILE_COLORS = {
+    'mapbox/walking': '#2ECC71',
+    'mapbox/cycling': '#3498DB',
+    'mapbox/driving': '#F39C12',
+    'mapbox/driving-traffic': '#E74C3C'
+};
+const OVERLAP_COLOR = '#F1C40F';
+const GAP_COLOR = '#7F8C8D';
+const MATRIX_ORIGIN_COLOR = '#E67E22';
+
+// Registry types drawn with their own sources and layers (one set per feature id)
+export const LAYERED_FEATURE_TYPES = ['lines', 'buffers', 'polygons', 'isochrones', 'matrices'];
 
 // Feature registry for @feature command
+// Entries of LAYERED_FEATURE_TYPES also carry their style: color, opacity, width and visible
 let featureRegistry = {
     lines: [],
     markers: [],
     buffers: [],
     polygons: [],
-    isochrones: []
+    isochrones: [],
+    matrices: []
 };
 
+// Query (or command) that is currently adding features - stored with them for export
+let currentSourceQuery = null;
+
+// Set the query that features registered from now on come from
+export function setSourceQuery(query) {
+    currentSourceQuery = query;
+}
+
 // Register a feature in the registry
 function registerFeature(type, featureData) {
     const id = `${type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const feature = {
         id,
         type,
+        query: currentSourceQuery,
         ...featureData,
         addedAt: Date.now()
     };
@@ -26,6 +60,17 @@ function registerFeature(type, featureData) {
     return id;
 }
 
+// Registry type and entry of a feature id (null if unknown)
+function findFeature(featureId) {
+    for (const type of Object.keys(featureRegistry)) {
+        const entry = featureRegistry[type].find(feature => feature.id === featureId);
+        if (entry) {
+            return { type, entry };
+        }
+    }
+    return null;
+}
+
 // Clear selection indicator
 export function clearSelectionIndicator(map) {
     // Remove selection indicator layers
@@ -71,8 +116,8 @@ export function displaySelectionIndicator(featureData, map) {
                 coordinates.push(first);
             }
         }
-    } else if (featureData.type === 'buffer' || featureData.type === 'isochrone') {
-        // For buffers/isochrones, we could add a highlight, but for now skip
+    } else if (featureData.type === 'buffer' || featureData.type === 'isochrone' || featureData.type === 'matrix') {
+        // For buffers/isochrones/matrices, we could add a highlight, but for now skip
         return;
     }
     
@@ -124,25 +169,9 @@ export function displaySelectionIndicator(featureData, map) {
         // Mapbox draws layers bottom-to-top in the order they're added
         // We need to insert green BEFORE the white stroke layer
         
-        let beforeId = null;
-        
-        // Find the white stroke layer to insert green before it
-        // This ensures: green (bottom) → white stroke (middle) → blue route (top)
-        if (map.getLayer('route-stroke')) {
-            // For routes, insert green before white stroke (route-stroke)
-            // This creates: green → route-stroke → route
-            beforeId = 'route-stroke';
-        } else if (map.getLayer('route-line-stroke')) {
-            // For direct lines, insert green before white stroke (route-line-stroke)
-            // This creates: green → route-line-stroke → route-line
-            beforeId = 'route-line-stroke';
-        } else if (map.getLayer('route')) {
-            // If no stroke layer exists, insert before blue route
-            beforeId = 'route';
-        } else if (map.getLayer('route-line')) {
-            // If no stroke layer exists, insert before blue line
-            beforeId = 'route-line';
-        }
+        // Insert green before the line's white stroke layer ({id}-stroke)
+        // This creates: green → {id}-stroke → {id}
+        const beforeId = map.getLayer(`${featureData.id}-stroke`) ? `${featureData.id}-stroke` : undefined;
         
         // Add green layer, inserting it before the found layer
         // This ensures proper stacking: green (bottom) → white (middle) → blue (top)
@@ -163,6 +192,166 @@ export function displaySelectionIndicator(featureData, map) {
     }
 }
 
+// Fly to feature on map (feature suggestions, directions steps)
+let currentFlyToHandler = null;
+let lastFlyToFeatureId = null; // Track last feature we flew to
+let isFlying = false; // Track if map is currently flying
+
+export function flyToFeature(featureData, map) {
+    if (!featureData || !featureData.type) {
+        return;
+    }
+    
+    // Skip if we're already flying to this same feature
+    const featureId = featureData.id || `${featureData.type}-${featureData.name || 'unknown'}`;
+    if (lastFlyToFeatureId === featureId && isFlying) {
+        return; // Already flying to this feature, skip
+    }
+    
+    // Cancel previous fly operation
+    if (currentFlyToHandler) {
+        clearTimeout(currentFlyToHandler);
+    }
+    
+    // Debounce to prevent excessive flying
+    currentFlyToHandler = setTimeout(() => {
+        try {
+            let center = null;
+            let bounds = null;
+            
+            if (featureData.type === 'line' || featureData.type === 'matrix') {
+                // For lines (and the places of a matrix), calculate bounds from all coordinates
+                if (featureData.coordinates && featureData.coordinates.length > 0) {
+                    const firstCoord = featureData.coordinates[0];
+                    if (Array.isArray(firstCoord) && firstCoord.length >= 2) {
+                        bounds = new mapboxgl.LngLatBounds(firstCoord, firstCoord);
+                        featureData.coordinates.forEach(coord => {
+                            if (Array.isArray(coord) && coord.length >= 2) {
+                                bounds.extend(coord);
+                            }
+                        });
+                    }
+                }
+            } else if (featureData.type === 'marker') {
+                // For markers, coordinates is [lngLat] where lngLat is [lon, lat] array
+                if (featureData.coordinates && featureData.coordinates.length > 0) {
+                    const lngLat = featureData.coordinates[0];
+                    if (Array.isArray(lngLat) && lngLat.length >= 2) {
+                        center = lngLat; // [lon, lat]
+                    }
+                }
+            } else if (featureData.type === 'buffer') {
+                // For buffers, coordinates is center [lon, lat] array
+                if (featureData.coordinates) {
+                    if (Array.isArray(featureData.coordinates) && featureData.coordinates.length >= 2) {
+                        center = featureData.coordinates; // [lon, lat]
+                    } else if (typeof featureData.coordinates === 'object') {
+                        // Handle object format if needed
+                        const lon = featureData.coordinates.lng || featureData.coordinates.lon || featureData.coordinates[0];
+                        const lat = featureData.coordinates.lat || featureData.coordinates[1];
+                        if (lon !== undefined && lat !== undefined) {
+                            center = [lon, lat];
+                        }
+                    }
+                }
+            } else if (featureData.type === 'polygon') {
+                // For polygons, calculate bounds from coordinates
+                if (featureData.coordinates && featureData.coordinates.length > 0) {
+                    const firstCoord = featureData.coordinates[0];
+                    if (Array.isArray(firstCoord) && firstCoord.length >= 2) {
+                        bounds = new mapboxgl.LngLatBounds(firstCoord, firstCoord);
+                        featureData.coordinates.forEach(coord => {
+                            if (Array.isArray(coord) && coord.length >= 2) {
+                                bounds.extend(coord);
+                            }
+                        });
+                    }
+                }
+            } else if (featureData.type === 'isochrone') {
+                // For isochrones, coordinates is center [lon, lat] array
+                if (featureData.coordinates) {
+                    if (Array.isArray(featureData.coordinates) && featureData.coordinates.length >= 2) {
+                        center = featureData.coordinates; // [lon, lat]
+                    } else if (typeof featureData.coordinates === 'object') {
+                        // Handle object format if needed
+                        const lon = featureData.coordinates.lng || featureData.coordinates.lon || featureData.coordinates[0];
+                        const lat = featureData.coordinates.lat || featureData.coordinates[1];
+                        if (lon !== undefined && lat !== undefined) {
+                            center = [lon, lat];
+                        }
+                    }
+                }
+            }
+            
+            // Fly to feature
+            if (bounds) {
+                // Check if bounds are valid by checking if they have valid extent
+                try {
+                    const sw = bounds.getSouthWest();
+                    const ne = bounds.getNorthEast();
+                    // Validate bounds have valid coordinates
+                    if (sw && ne && 
+                        typeof sw.lng === 'number' && typeof sw.lat === 'number' &&
+                        typeof ne.lng === 'number' && typeof ne.lat === 'number' &&
+                        !isNaN(sw.lng) && !isNaN(sw.lat) && !isNaN(ne.lng) && !isNaN(ne.lat)) {
+                        // Use fitBounds for lines/polygons
+                        isFlying = true;
+                        lastFlyToFeatureId = featureId;
+                        
+                        map.fitBounds(bounds, {
+                            padding: 50,
+                            maxZoom: 16, // Short segments (e.g. a single step) stay in context
+                            duration: 800,
+                            essential: true
+                        });
+                        
+                        // Reset flying flag after animation completes
+                        map.once('moveend', () => {
+                            isFlying = false;
+                        });
+                    }
+                } catch (e) {
+                    // Bounds invalid, skip
+                }
+            }
+            
+            // If bounds didn't work, try center
+            if (!isFlying && center && Array.isArray(center) && center.length >= 2) {
+                // Use flyTo for points/buffers/isochrones
+                isFlying = true;
+                lastFlyToFeatureId = featureId;
+                
+                map.flyTo({
+                    center: center,
+                    zoom: 14,
+                    duration: 800,
+                    essential: true
+                });
+                
+                // Reset flying flag after animation completes
+                map.once('moveend', () => {
+                    isFlying = false;
+                });
+            }
+        } catch (error) {
+            console.error('Error flying to feature:', error);
+            isFlying = false;
+        }
+        
+        currentFlyToHandler = null;
+    }, 200); // 200ms debounce
+}
+
+// Copy of the feature registry (for export)
+export function getFeatureRegistry() {
+    return JSON.parse(JSON.stringify(featureRegistry));
+}
+
+// Suffix for features toggled off with @toggle
+function hiddenNote(feature) {
+    return feature.visible === false ? ' (hidden)' : '';
+}
+
 // Get all features for @feature command
 export function getAllFeatures() {
     const allFeatures = [];
@@ -174,7 +363,7 @@ export function getAllFeatures() {
             type: 'line',
             id: line.id,
             coordinates: line.coordinates,
-            description: `${line.type === 'route' ? 'Route' : 'Direct line'} with ${line.coordinates.length} points`
+            description: `${line.type === 'route' ? 'Route' : line.type === 'import' ? 'Imported line' : 'Direct line'} with ${line.coordinates.length} points${hiddenNote(line)}`
         });
     });
     
@@ -196,7 +385,7 @@ export function getAllFeatures() {
             type: 'buffer',
             id: buffer.id,
             coordinates: buffer.center,
-            description: `Buffer with ${buffer.radius}km radius`
+            description: `Buffer with ${buffer.radius}km radius${hiddenNote(buffer)}`
         });
     });
     
@@ -207,7 +396,7 @@ export function getAllFeatures() {
             type: 'polygon',
             id: polygon.id,
             coordinates: polygon.coordinates,
-            description: `Polygon with ${polygon.coordinates.length} points`
+            description: `Polygon with ${polygon.coordinates.length} points${hiddenNote(polygon)}`
         });
     });
     
@@ -218,12 +407,23 @@ export function getAllFeatures() {
             type: 'isochrone',
             id: isochrone.id,
             coordinates: isochrone.center,
-            description: `Isochrone with ${isochrone.contours || 1} contour(s)`
+            description: `Isochrone with ${isochrone.contours || 1} contour(s)${hiddenNote(isochrone)}`
+        });
+    });
+    
+    // Travel matrices
+    featureRegistry.matrices.forEach((matrix, index) => {
+        allFeatures.push({
+            name: `Matrix ${index + 1}: ${matrix.name}`,
+            type: 'matrix',
+            id: matrix.id,
+            coordinates: [...matrix.origins, ...matrix.destinations].map(place => [place.lon, place.lat]),
+            description: `Travel matrix with ${matrix.rows.length} pair(s)${hiddenNote(matrix)}`
         });
     });
     
-    // Sort by type (Lines → Markers → Buffers → Polygons → Isochrones), then by creation order
-    const typeOrder = { line: 0, marker: 1, buffer: 2, polygon: 3, isochrone: 4 };
+    // Sort by type (Lines → Markers → Buffers → Polygons → Isochrones → Matrices), then by creation order
+    const typeOrder = { line: 0, marker: 1, buffer: 2, polygon: 3, isochrone: 4, matrix: 5 };
     allFeatures.sort((a, b) => {
         if (typeOrder[a.type] !== typeOrder[b.type]) {
             return typeOrder[a.type] - typeOrder[b.type];
@@ -235,14 +435,13 @@ export function getAllFeatures() {
 }
 
 // Store current map features for restoration after style change
+// Lines, buffers, polygons, isochrones and matrices are redrawn from the registry
 let storedFeatures = {
-    buffers: null,
-    routes: null,
     markers: [],
     animationState: false,
     terrainEnabled: false,
-    isochrones: null,
-    polygons: null
+    imported: null,
+    registry: null
 };
 
 // Buffer animation state
@@ -270,525 +469,628 @@ const dashArraySequence = [
     [0, 3.5, 3, 0.5]
 ];
 
-// Store current map features before style change
-export function storeMapFeatures(map) {
-    storedFeatures.markers = [];
-    storedFeatures.buffers = null;
-    storedFeatures.routes = null;
-    storedFeatures.animationState = bufferAnimationState.isAnimating; // Store animation state
-    storedFeatures.terrainEnabled = map.getTerrain() !== null; // Store terrain state
-    
-    // Store markers (positions and numbers)
-    currentMarkers.forEach((marker, index) => {
-        const lngLat = marker.getLngLat();
-        storedFeatures.markers.push({
-            lngLat: [lngLat.lng, lngLat.lat],
-            number: index + 1
-        });
+// Sources, layers and DOM markers drawn for each feature id (see LAYERED_FEATURE_TYPES)
+// Layer and source ids all start with the feature id, e.g. 'lines-…-stroke' or 'isochrones-…-0-fill'
+const renderedFeatures = new Map();
+
+// Start a fresh record of what is drawn for a feature
+function beginRender(feature) {
+    const rendered = { sources: [], layers: [], markers: [] };
+    renderedFeatures.set(feature.id, rendered);
+    return rendered;
+}
+
+function addFeatureSource(rendered, sourceId, data, map) {
+    map.addSource(sourceId, {
+        type: 'geojson',
+        data: data
     });
-    
-    // Store buffer data
-    if (map.getSource('buffer')) {
-        const source = map.getSource('buffer');
-        if (source._data) {
-            storedFeatures.buffers = [{ 
-                polygon: source._data.geometry.coordinates[0],
-                center: source._data.geometry.coordinates[0][0],
-                radius: source._data.properties?.radius || 5
-            }];
+    rendered.sources.push(sourceId);
+}
+
+// Add a layer, hidden when the feature is toggled off
+function addFeatureLayer(rendered, feature, layer, map) {
+    map.addLayer({
+        ...layer,
+        layout: {
+            ...layer.layout,
+            visibility: feature.visible === false ? 'none' : 'visible'
         }
+    });
+    rendered.layers.push(layer.id);
+}
+
+// Numbered (or lettered) marker owned by a feature (not drawn while the feature is hidden)
+function addFeatureMarker(rendered, feature, number, lngLat, map, color = null) {
+    if (feature.visible === false) {
+        return;
     }
+    const el = createCircleMarker(number);
+    if (color) {
+        el.style.backgroundColor = color;
+    }
+    const marker = new mapboxgl.Marker({ element: el })
+        .setLngLat(lngLat)
+        .addTo(map);
+    rendered.markers.push(marker);
+}
+
+// Centered text label (radius of buffers, contour of isochrones)
+function addFeatureLabel(rendered, feature, sourceId, lngLat, label, color, map) {
+    addFeatureSource(rendered, sourceId, {
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: lngLat
+        },
+        properties: {
+            label: label
+        }
+    }, map);
     
-    // Store multiple buffers
-    const multipleBuffers = [];
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `buffer-${i}`;
-        if (map.getSource(sourceId)) {
-            const source = map.getSource(sourceId);
-            if (source._data) {
-                multipleBuffers.push({
-                    polygon: source._data.geometry.coordinates[0],
-                    center: source._data.geometry.coordinates[0][0],
-                    radius: source._data.properties?.radius || 5
-                });
-            }
+    addFeatureLayer(rendered, feature, {
+        id: sourceId,
+        type: 'symbol',
+        source: sourceId,
+        layout: {
+            'text-field': ['get', 'label'],
+            'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
+            'text-size': 12,
+            'text-anchor': 'center',
+            'text-justify': 'center'
+        },
+        paint: {
+            'text-color': '#ffffff',
+            'text-halo-color': color,
+            'text-halo-width': 2
         }
-    }
-    if (multipleBuffers.length > 0) {
-        storedFeatures.buffers = multipleBuffers;
-    }
+    }, map);
+}
+
+// Route, direct line or imported line: white casing under a colored line, numbered waypoints
+function renderLine(line, map) {
+    const rendered = beginRender(line);
+    
+    addFeatureSource(rendered, line.id, {
+        type: 'Feature',
+        properties: { id: line.id, name: line.name },
+        geometry: {
+            type: 'LineString',
+            coordinates: line.coordinates
+        }
+    }, map);
+    
+    // White stroke layer (beneath the colored line)
+    addFeatureLayer(rendered, line, {
+        id: `${line.id}-stroke`,
+        type: 'line',
+        source: line.id,
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': '#ffffff',
+            'line-width': line.width + 2,
+            'line-opacity': 1
+        }
+    }, map);
     
-    // Store route data
-    if (map.getSource('route')) {
-        const source = map.getSource('route');
-        if (source._data) {
-            storedFeatures.routes = {
-                type: 'route',
-                coordinates: source._data.geometry.coordinates
-            };
+    // Colored line on top
+    addFeatureLayer(rendered, line, {
+        id: line.id,
+        type: 'line',
+        source: line.id,
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': line.color,
+            'line-width': line.width,
+            'line-opacity': line.opacity
         }
-    }
-    if (map.getSource('route-line')) {
-        const source = map.getSource('route-line');
-        if (source._data) {
-            storedFeatures.routes = {
-                type: 'line',
-                coordinates: source._data.geometry.coordinates
-            };
+    }, map);
+    
+    (line.waypoints || []).forEach((coord, index) => {
+        addFeatureMarker(rendered, line, index + 1, coord, map);
+    });
+}
+
+// Buffer: semi-transparent fill, animated dashed stroke over a solid background stroke, radius/area label
+function renderBuffer(buffer, map) {
+    const rendered = beginRender(buffer);
+    
+    // Geodesic circles come with a geometry already split at ±180°
+    addFeatureSource(rendered, buffer.id, {
+        type: 'Feature',
+        properties: {
+            id: buffer.id,
+            radius: buffer.radius,
+            center: buffer.center,
+            areaKm2: buffer.areaKm2,
+            inset: buffer.inset || false
+        },
+        geometry: buffer.geometry || {
+            type: 'Polygon',
+            coordinates: [buffer.polygon]
         }
-    }
+    }, map);
     
-    // Store isochrone data
-    const isochrones = [];
-    for (let i = 0; i < 4; i++) {
-        const sourceId = `isochrone-${i}`;
-        if (map.getSource(sourceId)) {
-            const source = map.getSource(sourceId);
-            if (source._data) {
-                isochrones.push(source._data);
-            }
+    addFeatureLayer(rendered, buffer, {
+        id: `${buffer.id}-fill`,
+        type: 'fill',
+        source: buffer.id,
+        paint: {
+            'fill-color': buffer.color,
+            'fill-opacity': buffer.opacity
         }
-    }
-    if (isochrones.length > 0) {
-        // Also store center coordinates from first isochrone label
-        const firstLabelSource = map.getSource('isochrone-0-label');
-        let centerCoordinates = null;
-        if (firstLabelSource && firstLabelSource._data) {
-            centerCoordinates = firstLabelSource._data.geometry.coordinates;
+    }, map);
+    
+    // Solid background stroke fills the gaps while the dashed line animates
+    addFeatureLayer(rendered, buffer, {
+        id: `${buffer.id}-stroke-background`,
+        type: 'line',
+        source: buffer.id,
+        layout: {
+            'line-cap': 'round',
+            'line-join': 'round'
+        },
+        paint: {
+            'line-color': buffer.color,
+            'line-width': buffer.width,
+            'line-opacity': 0.4
         }
-        storedFeatures.isochrones = {
-            features: isochrones,
-            centerCoordinates: centerCoordinates
-        };
-    }
+    }, map);
     
-    // Store polygon data
-    const polygons = [];
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `polygon-${i}`;
-        if (map.getSource(sourceId)) {
-            const source = map.getSource(sourceId);
-            if (source._data) {
-                polygons.push({
-                    coordinates: source._data.geometry.coordinates[0],
-                    name: source._data.properties?.name || `Polygon ${i + 1}`
-                });
-            }
+    addFeatureLayer(rendered, buffer, {
+        id: `${buffer.id}-stroke`,
+        type: 'line',
+        source: buffer.id,
+        layout: {
+            'line-cap': 'round',
+            'line-join': 'round'
+        },
+        paint: {
+            'line-color': buffer.color,
+            'line-width': buffer.width,
+            'line-opacity': 1,
+            'line-dasharray': [4, 2]
         }
+    }, map);
+    
+    // Center marker (point buffers only)
+    if (!buffer.feature) {
+        addFeatureMarker(rendered, buffer, buffer.number || 1, buffer.center, map);
     }
-    if (polygons.length > 0) {
-        storedFeatures.polygons = polygons;
-    }
+    
+    // Geodesic area (spherical cap for circles, precomputed for line/polygon buffers) in km²
+    const areaKm2 = buffer.areaKm2 ?? circleAreaKm2(buffer.radius);
+    const distanceLabel = `${buffer.inset ? '-' : ''}${buffer.radius.toFixed(buffer.radius < 1 ? 1 : 0)} km`;
+    addFeatureLabel(rendered, buffer, `${buffer.id}-label`, buffer.center, `${distanceLabel}\n${areaKm2.toFixed(0)} km²`, buffer.color, map);
 }
 
-// Restore map features after style change
-export function restoreMapFeatures(map) {
-    // Wait for style to load
-    map.once('style.load', () => {
-        // Clear existing markers first to prevent duplicates
-        currentMarkers.forEach(marker => marker.remove());
-        currentMarkers = [];
-        
-        // Clear existing line markers
-        currentLineMarkers.forEach(marker => marker.remove());
-        currentLineMarkers = [];
-        
-        // Restore markers
-        storedFeatures.markers.forEach(markerData => {
-            const el = createCircleMarker(markerData.number);
-            const marker = new mapboxgl.Marker({ element: el })
-                .setLngLat(markerData.lngLat)
-                .addTo(map);
-            currentMarkers.push(marker);
-        });
-        
-        // Restore buffers
-        if (storedFeatures.buffers) {
-            // Clear any existing buffers first to prevent duplicates
-            if (map.getSource('buffer')) {
-                if (map.getLayer('buffer-stroke')) map.removeLayer('buffer-stroke');
-                if (map.getLayer('buffer-stroke-background')) map.removeLayer('buffer-stroke-background');
-                if (map.getLayer('buffer-fill')) map.removeLayer('buffer-fill');
-                if (map.getLayer('buffer-label')) map.removeLayer('buffer-label');
-                if (map.getSource('buffer-label')) map.removeSource('buffer-label');
-                map.removeSource('buffer');
-            }
-            for (let i = 0; i < 10; i++) {
-                const sourceId = `buffer-${i}`;
-                if (map.getSource(sourceId)) {
-                    if (map.getLayer(`${sourceId}-stroke`)) map.removeLayer(`${sourceId}-stroke`);
-                    if (map.getLayer(`${sourceId}-stroke-background`)) map.removeLayer(`${sourceId}-stroke-background`);
-                    if (map.getLayer(`${sourceId}-fill`)) map.removeLayer(`${sourceId}-fill`);
-                    if (map.getLayer(`${sourceId}-label`)) map.removeLayer(`${sourceId}-label`);
-                    if (map.getSource(`${sourceId}-label`)) map.removeSource(`${sourceId}-label`);
-                    map.removeSource(sourceId);
-                }
-            }
-            
-            if (storedFeatures.buffers.length === 1) {
-                const buffer = storedFeatures.buffers[0];
-                // Extract center from polygon (first point)
-                const center = buffer.polygon[0];
-                const polygonWithoutLast = buffer.polygon.slice(0, -1); // Remove last duplicate point
-                
-                map.addSource('buffer', {
-                    type: 'geojson',
-                    data: {
-                        type: 'Feature',
-                        geometry: {
-                            type: 'Polygon',
-                            coordinates: [buffer.polygon]
-                        }
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'buffer-fill',
-                    type: 'fill',
-                    source: 'buffer',
-                    paint: {
-                        'fill-color': '#089BDF',
-                        'fill-opacity': 0.2
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'buffer-stroke-background',
-                    type: 'line',
-                    source: 'buffer',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#089BDF',
-                        'line-width': 3,
-                        'line-opacity': 0.4
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'buffer-stroke',
-                    type: 'line',
-                    source: 'buffer',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#089BDF',
-                        'line-width': 3,
-                        'line-opacity': 1,
-                        'line-dasharray': [4, 2]
-                    }
-                });
-                
-                // Add center marker
-                const el = createCircleMarker(1);
-                const centerMarker = new mapboxgl.Marker({ element: el })
-                    .setLngLat(center)
-                    .addTo(map);
-                currentMarkers.push(centerMarker);
-                
-                // Calculate area (π * r²) in km²
-                const radius = buffer.radius || 5;
-                const areaKm2 = Math.PI * radius * radius;
-                
-                // Add label source (point at center)
-                map.addSource('buffer-label', {
-                    type: 'geojson',
-                    data: {
-                        type: 'Feature',
-                        geometry: {
-                            type: 'Point',
-                            coordinates: center
-                        },
-                        properties: {
-                            label: `${radius.toFixed(0)} km\n${areaKm2.toFixed(0)} km²`
-                        }
-                    }
-                });
-                
-                // Add label layer
-                map.addLayer({
-                    id: 'buffer-label',
-                    type: 'symbol',
-                    source: 'buffer-label',
-                    layout: {
-                        'text-field': ['get', 'label'],
-                        'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
-                        'text-size': 12,
-                        'text-anchor': 'center',
-                        'text-justify': 'center'
-                    },
-                    paint: {
-                        'text-color': '#ffffff',
-                        'text-halo-color': '#089BDF',
-                        'text-halo-width': 2
-                    }
-                });
-            } else {
-                // Multiple buffers
-                storedFeatures.buffers.forEach((buffer, index) => {
-                    const sourceId = `buffer-${index}`;
-                    const center = buffer.polygon[0];
-                    
-                    map.addSource(sourceId, {
-                        type: 'geojson',
-                        data: {
-                            type: 'Feature',
-                            geometry: {
-                                type: 'Polygon',
-                                coordinates: [buffer.polygon]
-                            }
-                        }
-                    });
-                    
-                    map.addLayer({
-                        id: `${sourceId}-fill`,
-                        type: 'fill',
-                        source: sourceId,
-                        paint: {
-                            'fill-color': '#089BDF',
-                            'fill-opacity': 0.2
-                        }
-                    });
-                    
-                    map.addLayer({
-                        id: `${sourceId}-stroke-background`,
-                        type: 'line',
-                        source: sourceId,
-                        layout: {
-                            'line-cap': 'round',
-                            'line-join': 'round'
-                        },
-                        paint: {
-                            'line-color': '#089BDF',
-                            'line-width': 3,
-                            'line-opacity': 0.4
-                        }
-                    });
-                    
-                    map.addLayer({
-                        id: `${sourceId}-stroke`,
-                        type: 'line',
-                        source: sourceId,
-                        layout: {
-                            'line-cap': 'round',
-                            'line-join': 'round'
-                        },
-                        paint: {
-                            'line-color': '#089BDF',
-                            'line-width': 3,
-                            'line-opacity': 1,
-                            'line-dasharray': [4, 2]
-                        }
-                    });
-                    
-                    const el = createCircleMarker(index + 1);
-                    const centerMarker = new mapboxgl.Marker({ element: el })
-                        .setLngLat(center)
-                        .addTo(map);
-                    currentMarkers.push(centerMarker);
-                    
-                    // Calculate area (π * r²) in km²
-                    const radius = buffer.radius || 5;
-                    const areaKm2 = Math.PI * radius * radius;
-                    
-                    // Add label source (point at center)
-                    map.addSource(`${sourceId}-label`, {
-                        type: 'geojson',
-                        data: {
-                            type: 'Feature',
-                            geometry: {
-                                type: 'Point',
-                                coordinates: center
-                            },
-                            properties: {
-                                label: `${radius.toFixed(0)} km\n${areaKm2.toFixed(0)} km²`
-                            }
-                        }
-                    });
-                    
-                    // Add label layer
-                    map.addLayer({
-                        id: `${sourceId}-label`,
-                        type: 'symbol',
-                        source: `${sourceId}-label`,
-                        layout: {
-                            'text-field': ['get', 'label'],
-                            'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
-                            'text-size': 12,
-                            'text-anchor': 'center',
-                            'text-justify': 'center'
-                        },
-                        paint: {
-                            'text-color': '#ffffff',
-                            'text-halo-color': '#089BDF',
-                            'text-halo-width': 2
-                        }
-                    });
-                });
-            }
+// Polygon: semi-transparent fill with a dashed stroke (same style as buffers)
+function renderPolygon(polygon, map) {
+    const rendered = beginRender(polygon);
+    
+    addFeatureSource(rendered, polygon.id, {
+        type: 'Feature',
+        geometry: polygon.geometry || {
+            type: 'Polygon',
+            coordinates: [polygon.coordinates]
+        },
+        properties: {
+            id: polygon.id,
+            name: polygon.name,
+            color: polygon.color
         }
-        
-        // Restore routes
-        if (storedFeatures.routes) {
-            if (storedFeatures.routes.type === 'route') {
-                map.addSource('route', {
-                    type: 'geojson',
-                    data: {
-                        type: 'Feature',
-                        geometry: {
-                            type: 'LineString',
-                            coordinates: storedFeatures.routes.coordinates
-                        }
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'route-stroke',
-                    type: 'line',
-                    source: 'route',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#ffffff',
-                        'line-width': 6,
-                        'line-opacity': 0.8
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'route',
-                    type: 'line',
-                    source: 'route',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#089BDF',
-                        'line-width': 4,
-                        'line-opacity': 1
-                    }
-                });
-            } else {
-                // Simple line
-                map.addSource('route-line', {
-                    type: 'geojson',
-                    data: {
-                        type: 'Feature',
-                        geometry: {
-                            type: 'LineString',
-                            coordinates: storedFeatures.routes.coordinates
-                        }
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'route-line-stroke',
-                    type: 'line',
-                    source: 'route-line',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#ffffff',
-                        'line-width': 6,
-                        'line-opacity': 0.8
-                    }
-                });
-                
-                map.addLayer({
-                    id: 'route-line',
-                    type: 'line',
-                    source: 'route-line',
-                    layout: {
-                        'line-cap': 'round',
-                        'line-join': 'round'
-                    },
-                    paint: {
-                        'line-color': '#089BDF',
-                        'line-width': 4,
-                        'line-opacity': 1
-                    }
-                });
-            }
+    }, map);
+    
+    addFeatureLayer(rendered, polygon, {
+        id: `${polygon.id}-fill`,
+        type: 'fill',
+        source: polygon.id,
+        paint: {
+            'fill-color': polygon.color,
+            'fill-opacity': polygon.opacity
         }
-        
-        // Restore animation state if it was on
-        if (storedFeatures.animationState) {
-            // Wait a bit for layers to be fully loaded
-            setTimeout(() => {
-                startBufferAnimation(map);
-            }, 100);
+    }, map);
+    
+    addFeatureLayer(rendered, polygon, {
+        id: `${polygon.id}-stroke`,
+        type: 'line',
+        source: polygon.id,
+        layout: {
+            'line-cap': 'round',
+            'line-join': 'round'
+        },
+        paint: {
+            'line-color': polygon.color,
+            'line-width': polygon.width,
+            'line-opacity': 1,
+            'line-dasharray': [4, 2]
         }
-        
-        // Restore terrain state if it was enabled
-        if (storedFeatures.terrainEnabled) {
-            // Add DEM source if it doesn't exist
-            if (!map.getSource('mapbox-dem')) {
-                map.addSource('mapbox-dem', {
-                    type: 'raster-dem',
-                    url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
-                    tileSize: 256,
-                    maxzoom: 14
-                });
-            }
-            
-            // Enable terrain
-            map.setTerrain({
-                source: 'mapbox-dem',
-                exaggeration: 1.5
-            });
+    }, map);
+}
+
+// Isochrone: one fill/stroke/label set per contour ({id}-0, {id}-1, ...) and a center marker
+// Contours hidden from the legend are not drawn; contourStyles[i].opacity overrides the fill opacity
+function renderIsochrone(isochrone, map) {
+    const rendered = beginRender(isochrone);
+    
+    addFeatureMarker(rendered, isochrone, isochrone.number, isochrone.center, map);
+    
+    isochrone.features.forEach((feature, index) => {
+        const contourStyle = (isochrone.contourStyles || [])[index] || {};
+        if (contourStyle.visible === false) {
+            return;
         }
         
-        // Restore isochrones if they were enabled
-        if (storedFeatures.isochrones && storedFeatures.isochrones.features) {
-            const { features, centerCoordinates } = storedFeatures.isochrones;
-            if (centerCoordinates) {
-                displayIsochroneOnMap({ features }, centerCoordinates, map);
-            }
-        }
+        const sourceId = `${isochrone.id}-${index}`;
+        const color = isochrone.color || isochroneColor(feature.properties, index);
         
-        // Restore polygons if they were enabled
-        if (storedFeatures.polygons && storedFeatures.polygons.length > 0) {
-            displayPolygonOnMap(storedFeatures.polygons, map);
-        }
-    });
+        addFeatureSource(rendered, sourceId, feature, map);
+        
+        addFeatureLayer(rendered, isochrone, {
+            id: `${sourceId}-fill`,
+            type: 'fill',
+            source: sourceId,
+            paint: {
+                'fill-color': color,
+                'fill-opacity': contourStyle.opacity ?? isochrone.opacity
+            }
+        }, map);
+        
+        addFeatureLayer(rendered, isochrone, {
+            id: `${sourceId}-stroke`,
+            type: 'line',
+            source: sourceId,
+            layout: {
+                'line-cap': 'round',
+                'line-join': 'round'
+            },
+            paint: {
+                'line-color': color,
+                'line-width': isochrone.width,
+                'line-opacity': 0.8
+            }
+        }, map);
+        
+        addFeatureLabel(rendered, isochrone, `${sourceId}-label`, isochrone.center, isochroneContourLabel(feature.properties), color, map);
+    });
 }
 
-// Display coordinates on map (POINTS workflow)
-export function displayCoordinatesOnMap(coordinatesString, map) {
-    // Clear existing point markers
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers = [];
+// Travel matrix: a connector per origin/destination pair (colored by travel time unless restyled),
+// lettered origin markers and numbered destination markers
+function renderMatrix(matrix, map) {
+    const rendered = beginRender(matrix);
+    
+    addFeatureSource(rendered, matrix.id, {
+        type: 'FeatureCollection',
+        features: matrix.rows.map(row => ({
+            type: 'Feature',
+            properties: { pair: row.pair, color: row.color },
+            geometry: { type: 'LineString', coordinates: [row.fromCoordinates, row.toCoordinates] }
+        }))
+    }, map);
     
-    // Clear line if exists (points take precedence)
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) {
-            map.removeLayer('route-line-stroke');
+    addFeatureLayer(rendered, matrix, {
+        id: matrix.id,
+        type: 'line',
+        source: matrix.id,
+        layout: {
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': matrix.color || ['get', 'color'],
+            'line-width': matrix.width,
+            'line-opacity': matrix.opacity
+        }
+    }, map);
+    
+    matrix.origins.forEach((place, index) => {
+        addFeatureMarker(rendered, matrix, String.fromCharCode(65 + (index % 26)), [place.lon, place.lat], map, MATRIX_ORIGIN_COLOR);
+    });
+    matrix.destinations.forEach((place, index) => {
+        addFeatureMarker(rendered, matrix, index + 1, [place.lon, place.lat], map);
+    });
+}
+
+const renderers = {
+    lines: renderLine,
+    buffers: renderBuffer,
+    polygons: renderPolygon,
+    isochrones: renderIsochrone,
+    matrices: renderMatrix
+};
+
+// Remove the layers, sources and markers drawn for a feature (the registry entry stays)
+function removeRendered(featureId, map) {
+    const rendered = renderedFeatures.get(featureId);
+    if (!rendered) {
+        return;
+    }
+    [...rendered.layers].reverse().forEach(layerId => {
+        if (map.getLayer(layerId)) {
+            map.removeLayer(layerId);
+        }
+    });
+    rendered.sources.forEach(sourceId => {
+        if (map.getSource(sourceId)) {
+            map.removeSource(sourceId);
+        }
+    });
+    rendered.markers.forEach(marker => marker.remove());
+    renderedFeatures.delete(featureId);
+}
+
+// Register a feature and draw it with its own sources and layers, returning its id
+function addLayeredFeature(type, featureData, map) {
+    const id = registerFeature(type, { visible: true, ...featureData });
+    const entry = featureRegistry[type].find(feature => feature.id === id);
+    renderers[type](entry, map);
+    return id;
+}
+
+// Redraw one feature (after a style, visibility or geometry change)
+function redrawFeature(type, entry, map) {
+    removeRendered(entry.id, map);
+    renderers[type](entry, map);
+}
+
+/**
+ * Remove a feature from the map and the registry
+ * Point markers are matched by position; imported points are dropped from the imported source
+ */
+export function removeFeature(featureId, map) {
+    const found = findFeature(featureId);
+    if (!found) {
+        throw new Error(`Feature not found: ${featureId}`);
+    }
+    const { type, entry } = found;
+    
+    if (renderers[type]) {
+        removeRendered(featureId, map);
+    } else if (entry.file) {
+        const source = map.getSource('imported');
+        if (source && source._data) {
+            source.setData({
+                type: 'FeatureCollection',
+                features: source._data.features.filter(feature => feature.properties.id !== featureId)
+            });
         }
-        if (map.getLayer('route-line')) {
-            map.removeLayer('route-line');
+    } else {
+        const index = currentMarkers.findIndex(marker => {
+            const lngLat = marker.getLngLat();
+            return lngLat.lng === entry.lngLat[0] && lngLat.lat === entry.lngLat[1];
+        });
+        if (index !== -1) {
+            currentMarkers[index].remove();
+            currentMarkers.splice(index, 1);
         }
-        map.removeSource('route-line');
     }
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) {
-            map.removeLayer('route-stroke');
+    
+    featureRegistry[type] = featureRegistry[type].filter(feature => feature.id !== featureId);
+    return entry;
+}
+
+/**
+ * Remove every feature of a layered registry type, optionally only those matching a filter
+ * Returns how many were removed
+ */
+export function cleanFeatures(type, map, filter = () => true) {
+    const removed = featureRegistry[type].filter(filter);
+    removed.forEach(entry => removeRendered(entry.id, map));
+    featureRegistry[type] = featureRegistry[type].filter(entry => !removed.includes(entry));
+    return removed.length;
+}
+
+// Registry entry of a line, buffer, polygon, isochrone or matrix (others cannot be styled or hidden)
+function findLayeredFeature(featureId) {
+    const found = findFeature(featureId);
+    if (!found) {
+        throw new Error(`Feature not found: ${featureId}`);
+    }
+    if (!renderers[found.type]) {
+        throw new Error('Only lines, buffers, polygons, isochrones and matrices can be styled or hidden');
+    }
+    return found;
+}
+
+/**
+ * Show or hide a line, buffer, polygon or isochrone (with its markers and labels)
+ */
+export function setFeatureVisibility(featureId, visible, map) {
+    const { type, entry } = findLayeredFeature(featureId);
+    entry.visible = visible;
+    redrawFeature(type, entry, map);
+    return entry;
+}
+
+/**
+ * Restyle a line, buffer, polygon or isochrone
+ * style is { color, opacity, width } (any subset); opacity is the fill opacity of areas and the line opacity of lines
+ */
+export function setFeatureStyle(featureId, style, map) {
+    const { type, entry } = findLayeredFeature(featureId);
+    if (style.color !== undefined && !/^#[0-9a-f]{6}$/i.test(style.color)) {
+        throw new Error(`Invalid color: ${style.color} (use #rrggbb)`);
+    }
+    if (style.opacity !== undefined && !(style.opacity >= 0 && style.opacity <= 1)) {
+        throw new Error(`Invalid opacity: ${style.opacity} (use 0 to 1)`);
+    }
+    if (style.width !== undefined && !(style.width > 0 && style.width <= 20)) {
+        throw new Error(`Invalid width: ${style.width} (use 1 to 20)`);
+    }
+    Object.entries(style).forEach(([key, value]) => {
+        if (value !== undefined) {
+            entry[key] = value;
         }
-        if (map.getLayer('route')) {
-            map.removeLayer('route');
+    });
+    redrawFeature(type, entry, map);
+    return entry;
+}
+
+/**
+ * Markers drawn with lines, buffers, isochrones and matrices (waypoints, centers and matrix places)
+ */
+export function getFeatureMarkers() {
+    return [...renderedFeatures.values()].flatMap(rendered => rendered.markers);
+}
+
+/**
+ * Remove the point markers of the POINTS workflow and their registry entries
+ */
+export function clearPointMarkers() {
+    const removed = currentMarkers.length;
+    currentMarkers.forEach(marker => marker.remove());
+    currentMarkers = [];
+    featureRegistry.markers = featureRegistry.markers.filter(marker => marker.file);
+    return removed;
+}
+
+// Store current map features before style change
+export function storeMapFeatures(map) {
+    storedFeatures.markers = [];
+    storedFeatures.animationState = bufferAnimationState.isAnimating; // Store animation state
+    storedFeatures.terrainEnabled = map.getTerrain() !== null; // Store terrain state
+    storedFeatures.registry = JSON.parse(JSON.stringify(featureRegistry)); // Geometry, style and ids of every feature
+    
+    // Store point markers (positions and numbers)
+    currentMarkers.forEach((marker, index) => {
+        const lngLat = marker.getLngLat();
+        storedFeatures.markers.push({
+            lngLat: [lngLat.lng, lngLat.lat],
+            number: index + 1
+        });
+    });
+    
+    // Store imported points
+    const importedSource = map.getSource('imported');
+    storedFeatures.imported = importedSource && importedSource._data ? importedSource._data.features : null;
+}
+
+// Restore map features after style change
+export function restoreMapFeatures(map) {
+    // Wait for style to load
+    map.once('style.load', () => renderStoredFeatures(map));
+}
+
+// Snapshot of the current map features (plain JSON, for session persistence)
+export function getMapSnapshot(map) {
+    storeMapFeatures(map);
+    return JSON.parse(JSON.stringify(storedFeatures));
+}
+
+// Redraw the features of a snapshot taken with getMapSnapshot
+// Resolves once they are on the map (after the style has loaded)
+export function restoreMapSnapshot(snapshot, map) {
+    storedFeatures = {
+        markers: [],
+        animationState: false,
+        terrainEnabled: false,
+        imported: null,
+        registry: null,
+        ...JSON.parse(JSON.stringify(snapshot))
+    };
+    
+    return new Promise(resolve => {
+        const render = () => {
+            renderStoredFeatures(map);
+            resolve();
+        };
+        if (map.isStyleLoaded()) {
+            render();
+        } else {
+            map.once('style.load', render);
+        }
+    });
+}
+
+// Draw everything in storedFeatures on the (freshly loaded) style
+function renderStoredFeatures(map) {
+    // Clear existing markers first to prevent duplicates
+    currentMarkers.forEach(marker => marker.remove());
+    currentMarkers = [];
+    
+    // Forget what was drawn on the old style (its sources are gone, its markers are not)
+    [...renderedFeatures.keys()].forEach(featureId => removeRendered(featureId, map));
+    
+    // Restore markers
+    storedFeatures.markers.forEach(markerData => {
+        const el = createCircleMarker(markerData.number);
+        const marker = new mapboxgl.Marker({ element: el })
+            .setLngLat(markerData.lngLat)
+            .addTo(map);
+        currentMarkers.push(marker);
+    });
+    
+    // Redraw lines, buffers, polygons, isochrones and matrices with their ids and styles
+    // (registries saved before a type existed get an empty list for it)
+    if (storedFeatures.registry) {
+        featureRegistry = {
+            ...Object.fromEntries(Object.keys(featureRegistry).map(type => [type, []])),
+            ...storedFeatures.registry
+        };
+    }
+    LAYERED_FEATURE_TYPES.forEach(type => {
+        featureRegistry[type].forEach(entry => renderers[type](entry, map));
+    });
+    
+    // Restore animation state if it was on
+    if (storedFeatures.animationState) {
+        // Wait a bit for layers to be fully loaded
+        setTimeout(() => {
+            startBufferAnimation(map);
+        }, 100);
+    }
+    
+    // Restore terrain state if it was enabled
+    if (storedFeatures.terrainEnabled) {
+        // Add DEM source if it doesn't exist
+        if (!map.getSource('mapbox-dem')) {
+            map.addSource('mapbox-dem', {
+                type: 'raster-dem',
+                url: 'mapbox://mapbox.mapbox-terrain-dem-v1',
+                tileSize: 256,
+                maxzoom: 14
+            });
         }
-        map.removeSource('route');
+        
+        // Enable terrain
+        map.setTerrain({
+            source: 'mapbox-dem',
+            exaggeration: 1.5
+        });
+    }
+    
+    // Restore imported points
+    if (storedFeatures.imported && storedFeatures.imported.length > 0) {
+        addImportedLayers(storedFeatures.imported, map);
     }
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers = [];
+}
+
+// Fit the map to a set of [lng, lat] points
+function fitToPoints(points, map, options = {}) {
+    if (points.length === 0) {
+        return;
+    }
+    const bounds = points.reduce((bounds, coord) => {
+        return bounds.extend(coord);
+    }, new mapboxgl.LngLatBounds(points[0], points[0]));
+    
+    map.fitBounds(bounds, {
+        padding: 50,
+        duration: 1500,
+        ...options
+    });
+}
+
+// Display coordinates on map (POINTS workflow)
+export function displayCoordinatesOnMap(coordinatesString, map) {
+    // Replace the previous point markers (routes, lines and areas stay)
+    clearPointMarkers();
     
     // Parse coordinates string: "lat1,lon1 | lat2,lon2"
     const coordPairs = coordinatesString.split(' | ').map(coord => coord.trim());
@@ -831,132 +1133,73 @@ export function displayCoordinatesOnMap(coordinatesString, map) {
 }
 
 // Display route on map (ROUTING workflow)
+// Every route is kept as its own feature, so alternatives can be compared side by side
 export function displayRouteOnMap(routeData, coordinates, map) {
-    // Clear existing point markers (route takes precedence)
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers = [];
-    
-    // Clear existing route if any
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) {
-            map.removeLayer('route-stroke');
-        }
-        if (map.getLayer('route')) {
-            map.removeLayer('route');
-        }
-        map.removeSource('route');
-    }
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) {
-            map.removeLayer('route-line-stroke');
-        }
-        if (map.getLayer('route-line')) {
-            map.removeLayer('route-line');
-        }
-        map.removeSource('route-line');
-    }
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers = [];
-    
     if (!routeData || !routeData.geometry) {
         console.error('Invalid route data');
-        return;
+        return null;
     }
     
-    // Add route source
-    map.addSource('route', {
-        type: 'geojson',
-        data: {
-            type: 'Feature',
-            properties: {},
-            geometry: routeData.geometry
-        }
-    });
-    
-    // Add white stroke layer (beneath the colored line)
-    map.addLayer({
-        id: 'route-stroke',
-        type: 'line',
-        source: 'route',
-        layout: {
-            'line-join': 'round',
-            'line-cap': 'round'
-        },
-        paint: {
-            'line-color': '#ffffff',
-            'line-width': 7, // Slightly thicker for stroke effect
-            'line-opacity': 1
-        }
-    });
-    
-    // Add route layer (colored line on top)
-    map.addLayer({
-        id: 'route',
-        type: 'line',
-        source: 'route',
-        layout: {
-            'line-join': 'round',
-            'line-cap': 'round'
-        },
-        paint: {
-            'line-color': '#089BDF',
-            'line-width': 5,
-            'line-opacity': 0.8
-        }
-    });
+    // Point markers give way to the route's numbered waypoints
+    clearPointMarkers();
     
-    // Add markers at waypoints (use custom numbered markers)
-    coordinates.forEach((coord, index) => {
-        // Number markers (1-indexed for display)
-        const el = createCircleMarker(index + 1);
-        // All markers use blue fill, keep border colors same
-        const marker = new mapboxgl.Marker({ element: el })
-            .setLngLat(coord)
-            .addTo(map);
-        currentLineMarkers.push(marker);
-    });
+    const id = addLayeredFeature('lines', {
+        coordinates: routeData.geometry.coordinates,
+        waypoints: coordinates,
+        type: 'route',
+        name: routeData.name || 'Route',
+        profile: routeData.profile,
+        distance: routeData.distance,
+        duration: routeData.duration,
+        legs: routeData.legs || [],
+        color: ROUTE_COLOR,
+        width: 5,
+        opacity: 0.8
+    }, map);
     
     // Fit map to show entire route
-    const bounds = routeData.geometry.coordinates.reduce((bounds, coord) => {
-        return bounds.extend(coord);
-    }, new mapboxgl.LngLatBounds(routeData.geometry.coordinates[0], routeData.geometry.coordinates[0]));
-    
-    map.fitBounds(bounds, {
-        padding: 50,
-        duration: 1500
-    });
+    fitToPoints(routeData.geometry.coordinates, map);
     
     console.log(`Added route with ${coordinates.length} waypoints`);
     console.log(`Route distance: ${(routeData.distance / 1000).toFixed(2)} km`);
     console.log(`Route duration: ${(routeData.duration / 60).toFixed(1)} minutes`);
     
-    // Register route in feature registry
-    registerFeature('lines', {
-        coordinates: routeData.geometry.coordinates,
+    return id;
+}
+
+// Display the recommended route together with its alternatives (routeData.alternatives)
+// Alternatives are thinner, in their own colors and beneath the recommended route
+// Returns the route ids, recommended route first
+export function displayRouteAlternativesOnMap(routeData, coordinates, map) {
+    const alternatives = routeData.alternatives || [];
+    
+    const alternativeIds = alternatives.map((alternative, index) => addLayeredFeature('lines', {
+        coordinates: alternative.geometry.coordinates,
+        waypoints: [], // Markers come with the recommended route
         type: 'route',
-        name: 'Route'
-    });
+        name: `Alternative ${index + 1}`,
+        profile: alternative.profile,
+        distance: alternative.distance,
+        duration: alternative.duration,
+        legs: alternative.legs || [],
+        color: ALTERNATIVE_ROUTE_COLORS[index % ALTERNATIVE_ROUTE_COLORS.length],
+        width: 4,
+        opacity: 0.7
+    }, map));
+    
+    const id = displayRouteOnMap(routeData, coordinates, map);
+    
+    if (alternatives.length > 0) {
+        // Fit map to show every route
+        fitToPoints([routeData, ...alternatives].flatMap(route => route.geometry.coordinates), map);
+        console.log(`Added ${alternatives.length} alternative route(s)`);
+    }
+    
+    return [id, ...alternativeIds];
 }
 
 // Display line/polyline on map (LINE workflow)
 export function displayLineOnMap(coordinatesString, map) {
-    // Clear existing point markers (line takes precedence)
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers = [];
-    
-    // Clear existing line if any
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) {
-            map.removeLayer('route-line-stroke');
-        }
-        if (map.getLayer('route-line')) {
-            map.removeLayer('route-line');
-        }
-        map.removeSource('route-line');
-    }
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers = [];
-    
     // Parse coordinates string: "lat1,lon1 | lat2,lon2 | lat3,lon3"
     const coordPairs = coordinatesString.split(' | ').map(coord => coord.trim());
     const coordinates = [];
@@ -971,485 +1214,94 @@ export function displayLineOnMap(coordinatesString, map) {
     
     if (coordinates.length < 2) {
         console.log('Need at least 2 points for a line');
-        return;
+        return null;
     }
     
-    // Add line source
-    map.addSource('route-line', {
-        type: 'geojson',
-        data: {
-            type: 'Feature',
-            properties: {},
-            geometry: {
-                type: 'LineString',
-                coordinates: coordinates
-            }
-        }
-    });
-    
-    // Add white stroke layer (beneath the colored line)
-    map.addLayer({
-        id: 'route-line-stroke',
-        type: 'line',
-        source: 'route-line',
-        layout: {
-            'line-join': 'round',
-            'line-cap': 'round'
-        },
-        paint: {
-            'line-color': '#ffffff',
-            'line-width': 6, // Slightly thicker for stroke effect
-            'line-opacity': 1
-        }
-    });
-    
-    // Add line layer (colored line on top)
-    map.addLayer({
-        id: 'route-line',
-        type: 'line',
-        source: 'route-line',
-        layout: {
-            'line-join': 'round',
-            'line-cap': 'round'
-        },
-        paint: {
-            'line-color': '#089BDF',
-            'line-width': 4,
-            'line-opacity': 0.8
-        }
-    });
-    
-    // Add markers at each point (use custom numbered markers)
-    coordinates.forEach((coord, index) => {
-        // Number markers (1-indexed for display)
-        const el = createCircleMarker(index + 1);
-        const marker = new mapboxgl.Marker({ element: el })
-            .setLngLat(coord)
-            .addTo(map);
-        currentLineMarkers.push(marker);
-    });
-    
-    // Fit map to show entire line
-    const bounds = coordinates.reduce((bounds, coord) => {
-        return bounds.extend(coord);
-    }, new mapboxgl.LngLatBounds(coordinates[0], coordinates[0]));
+    // Point markers give way to the line's numbered points
+    clearPointMarkers();
     
-    map.fitBounds(bounds, {
-        padding: 50,
-        duration: 1500
-    });
-    
-    console.log(`Added line with ${coordinates.length} points`);
-    
-    // Register line in feature registry
-    registerFeature('lines', {
+    const id = addLayeredFeature('lines', {
         coordinates: coordinates,
-        type: 'line',
-        name: 'Direct line'
-    });
-}
-
-// Display buffer/geofence on map (BUFFER workflow)
-export function displayBufferOnMap(bufferData, map) {
-    // Clear existing point markers (buffer takes precedence)
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers = [];
-    
-    // Clear existing line if exists
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) {
-            map.removeLayer('route-line-stroke');
-        }
-        if (map.getLayer('route-line')) {
-            map.removeLayer('route-line');
-        }
-        map.removeSource('route-line');
-    }
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) {
-            map.removeLayer('route-stroke');
-        }
-        if (map.getLayer('route')) {
-            map.removeLayer('route');
-        }
-        map.removeSource('route');
-    }
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers = [];
-    
-    // Clear existing buffer if any
-    if (map.getSource('buffer')) {
-        if (map.getLayer('buffer-stroke')) {
-            map.removeLayer('buffer-stroke');
-        }
-        if (map.getLayer('buffer-stroke-background')) {
-            map.removeLayer('buffer-stroke-background');
-        }
-        if (map.getLayer('buffer-fill')) {
-            map.removeLayer('buffer-fill');
-        }
-        if (map.getLayer('buffer-label')) {
-            map.removeLayer('buffer-label');
-        }
-        if (map.getSource('buffer-label')) {
-            map.removeSource('buffer-label');
-        }
-        map.removeSource('buffer');
-    }
-    
-    if (!bufferData || !bufferData.polygon || bufferData.polygon.length === 0) {
-        console.error('Invalid buffer data');
-        return;
-    }
-    
-    // Create polygon (close the circle by adding first point at end)
-    const polygonCoords = [...bufferData.polygon, bufferData.polygon[0]];
-    
-    // Add buffer source
-    map.addSource('buffer', {
-        type: 'geojson',
-        data: {
-            type: 'Feature',
-            properties: {
-                radius: bufferData.radius
-            },
-            geometry: {
-                type: 'Polygon',
-                coordinates: [polygonCoords]
-            }
-        }
-    });
-    
-    // Add fill layer (semi-transparent)
-    map.addLayer({
-        id: 'buffer-fill',
-        type: 'fill',
-        source: 'buffer',
-        paint: {
-            'fill-color': '#089BDF',
-            'fill-opacity': 0.2 // Semi-transparent
-        }
-    });
-    
-    // Add background stroke layer (solid, fills gaps when dashed line animates)
-    map.addLayer({
-        id: 'buffer-stroke-background',
-        type: 'line',
-        source: 'buffer',
-        layout: {
-            'line-cap': 'round',
-            'line-join': 'round'
-        },
-        paint: {
-            'line-color': '#089BDF',
-            'line-width': 3,
-            'line-opacity': 0.4 // Semi-transparent background
-        }
-    });
-    
-    // Add stroke layer (dotted pattern, animated)
-    map.addLayer({
-        id: 'buffer-stroke',
-        type: 'line',
-        source: 'buffer',
-        layout: {
-            'line-cap': 'round',
-            'line-join': 'round'
-        },
-        paint: {
-            'line-color': '#089BDF',
-            'line-width': 3,
-            'line-opacity': 1,
-            'line-dasharray': [4, 2] // Dotted pattern
-        }
-    });
-    
-    // Add center marker
-    const el = createCircleMarker(1);
-    const centerMarker = new mapboxgl.Marker({ element: el })
-        .setLngLat(bufferData.center)
-        .addTo(map);
-    currentMarkers.push(centerMarker);
-    
-    // Calculate area (π * r²) in km²
-    const areaKm2 = Math.PI * bufferData.radius * bufferData.radius;
-    
-    // Add label source (point at center)
-    map.addSource('buffer-label', {
-        type: 'geojson',
-        data: {
-            type: 'Feature',
-            geometry: {
-                type: 'Point',
-                coordinates: bufferData.center
-            },
-            properties: {
-                label: `${bufferData.radius.toFixed(0)} km\n${areaKm2.toFixed(0)} km²`
-            }
-        }
-    });
-    
-    // Add label layer
-    map.addLayer({
-        id: 'buffer-label',
-        type: 'symbol',
-        source: 'buffer-label',
-        layout: {
-            'text-field': ['get', 'label'],
-            'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
-            'text-size': 12,
-            'text-anchor': 'center',
-            'text-justify': 'center'
-        },
-        paint: {
-            'text-color': '#ffffff',
-            'text-halo-color': '#089BDF',
-            'text-halo-width': 2
-        }
-    });
-    
-    // Fit map to show entire buffer
-    const bounds = polygonCoords.reduce((bounds, coord) => {
-        return bounds.extend(coord);
-    }, new mapboxgl.LngLatBounds(bufferData.center, bufferData.center));
-    
-    map.fitBounds(bounds, {
-        padding: 50,
-        duration: 1500
-    });
-    
-    console.log(`Added buffer with radius ${bufferData.radius.toFixed(2)} km`);
-    console.log(`Center: ${bufferData.center[1]}, ${bufferData.center[0]}`);
-    
-    // Register buffer in feature registry
-    registerFeature('buffers', {
-        center: bufferData.center,
-        radius: bufferData.radius,
-        polygon: polygonCoords
-    });
-}
-
-// Display multiple buffers/geofences on map (MULTIPLE BUFFER workflow)
-export function displayMultipleBuffersOnMap(buffersArray, map) {
-    // Clear existing point markers (buffers take precedence)
-    currentMarkers.forEach(marker => marker.remove());
-    currentMarkers = [];
-    
-    // Clear existing line if exists
-    if (map.getSource('route-line')) {
-        if (map.getLayer('route-line-stroke')) {
-            map.removeLayer('route-line-stroke');
-        }
-        if (map.getLayer('route-line')) {
-            map.removeLayer('route-line');
-        }
-        map.removeSource('route-line');
-    }
-    if (map.getSource('route')) {
-        if (map.getLayer('route-stroke')) {
-            map.removeLayer('route-stroke');
-        }
-        if (map.getLayer('route')) {
-            map.removeLayer('route');
-        }
-        map.removeSource('route');
-    }
-    currentLineMarkers.forEach(marker => marker.remove());
-    currentLineMarkers = [];
-    
-    // Clear existing buffers if any
-    for (let i = 0; i < 10; i++) { // Support up to 10 buffers
-        const sourceId = `buffer-${i}`;
-        if (map.getSource(sourceId)) {
-            if (map.getLayer(`${sourceId}-stroke`)) {
-                map.removeLayer(`${sourceId}-stroke`);
-            }
-            if (map.getLayer(`${sourceId}-stroke-background`)) {
-                map.removeLayer(`${sourceId}-stroke-background`);
-            }
-            if (map.getLayer(`${sourceId}-fill`)) {
-                map.removeLayer(`${sourceId}-fill`);
-            }
-            if (map.getLayer(`${sourceId}-label`)) {
-                map.removeLayer(`${sourceId}-label`);
-            }
-            if (map.getSource(`${sourceId}-label`)) {
-                map.removeSource(`${sourceId}-label`);
-            }
-            map.removeSource(sourceId);
-        }
-    }
-    
-    if (!buffersArray || buffersArray.length === 0) {
-        console.error('Invalid buffer data');
-        return;
-    }
-    
-    // Add each buffer
-    buffersArray.forEach((bufferData, index) => {
-        if (!bufferData || !bufferData.polygon || bufferData.polygon.length === 0) {
-            return;
-        }
-        
-        const sourceId = `buffer-${index}`;
-        
-        // Create polygon (close the circle by adding first point at end)
-        const polygonCoords = [...bufferData.polygon, bufferData.polygon[0]];
-        
-        // Add buffer source
-        map.addSource(sourceId, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                properties: {
-                    radius: bufferData.radius
-                },
-                geometry: {
-                    type: 'Polygon',
-                    coordinates: [polygonCoords]
-                }
-            }
-        });
-        
-        // Add fill layer (semi-transparent)
-        map.addLayer({
-            id: `${sourceId}-fill`,
-            type: 'fill',
-            source: sourceId,
-            paint: {
-                'fill-color': '#089BDF',
-                'fill-opacity': 0.2 // Semi-transparent
-            }
-        });
-        
-        // Add background stroke layer (solid, fills gaps when dashed line animates)
-        map.addLayer({
-            id: `${sourceId}-stroke-background`,
-            type: 'line',
-            source: sourceId,
-            layout: {
-                'line-cap': 'round',
-                'line-join': 'round'
-            },
-            paint: {
-                'line-color': '#089BDF',
-                'line-width': 3,
-                'line-opacity': 0.4 // Semi-transparent background
-            }
-        });
-        
-        // Add stroke layer (dotted pattern, animated)
-        map.addLayer({
-            id: `${sourceId}-stroke`,
-            type: 'line',
-            source: sourceId,
-            layout: {
-                'line-cap': 'round',
-                'line-join': 'round'
-            },
-            paint: {
-                'line-color': '#089BDF',
-                'line-width': 3,
-                'line-opacity': 1,
-                'line-dasharray': [4, 2] // Dotted pattern
-            }
-        });
-        
-        // Add center marker
-        const el = createCircleMarker(index + 1);
-        const centerMarker = new mapboxgl.Marker({ element: el })
-            .setLngLat(bufferData.center)
-            .addTo(map);
-        currentMarkers.push(centerMarker);
-        
-        // Calculate area (π * r²) in km²
-        const areaKm2 = Math.PI * bufferData.radius * bufferData.radius;
-        
-        // Add label source (point at center)
-        map.addSource(`${sourceId}-label`, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: bufferData.center
-                },
-                properties: {
-                    label: `${bufferData.radius.toFixed(0)} km\n${areaKm2.toFixed(0)} km²`
-                }
-            }
-        });
-        
-        // Add label layer
-        map.addLayer({
-            id: `${sourceId}-label`,
-            type: 'symbol',
-            source: `${sourceId}-label`,
-            layout: {
-                'text-field': ['get', 'label'],
-                'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
-                'text-size': 12,
-                'text-anchor': 'center',
-                'text-justify': 'center'
-            },
-            paint: {
-                'text-color': '#ffffff',
-                'text-halo-color': '#089BDF',
-                'text-halo-width': 2
-            }
-        });
-    });
+        waypoints: coordinates,
+        type: 'line',
+        name: 'Direct line',
+        color: ROUTE_COLOR,
+        width: 4,
+        opacity: 0.8
+    }, map);
     
-    // Fit map to show all buffers
-    let bounds = null;
-    buffersArray.forEach((bufferData) => {
-        const polygonCoords = [...bufferData.polygon, bufferData.polygon[0]];
-        if (!bounds) {
-            bounds = new mapboxgl.LngLatBounds(bufferData.center, bufferData.center);
-        }
-        polygonCoords.forEach(coord => {
-            bounds.extend(coord);
-        });
-    });
+    // Fit map to show entire line
+    fitToPoints(coordinates, map);
     
-    if (bounds) {
-        map.fitBounds(bounds, {
-            padding: 50,
-            duration: 1500
-        });
+    console.log(`Added line with ${coordinates.length} points`);
+    
+    return id;
+}
+
+// Buffer registry entry from buffer agent data ({ center, radius, polygon, geometry, ... })
+function bufferFeatureData(bufferData, number) {
+    return {
+        center: bufferData.center,
+        radius: bufferData.radius,
+        polygon: [...bufferData.polygon, bufferData.polygon[0]], // Closed ring
+        geometry: bufferData.geometry,
+        areaKm2: bufferData.areaKm2,
+        inset: bufferData.inset || false,
+        feature: bufferData.feature || null,
+        number: number,
+        color: BUFFER_COLOR,
+        width: 3,
+        opacity: 0.2
+    };
+}
+
+// Display buffer/geofence on map (BUFFER workflow)
+// Buffers around a selected line or polygon carry bufferData.feature and have no center marker
+export function displayBufferOnMap(bufferData, map) {
+    if (!bufferData || !bufferData.polygon || bufferData.polygon.length === 0) {
+        console.error('Invalid buffer data');
+        return null;
+    }
+    
+    // Point markers give way to the buffer's center marker
+    if (!bufferData.feature) {
+        clearPointMarkers();
     }
     
+    const id = addLayeredFeature('buffers', bufferFeatureData(bufferData, bufferData.number || 1), map);
+    
+    // Fit map to show entire buffer
+    fitToPoints([bufferData.center, ...bufferData.polygon], map);
+    
+    console.log(`Added buffer with radius ${bufferData.radius.toFixed(2)} km`);
+    console.log(`Center: ${bufferData.center[1]}, ${bufferData.center[0]}`);
+    
+    return id;
+}
+
+// Display multiple buffers/geofences on map (MULTIPLE BUFFER workflow)
+export function displayMultipleBuffersOnMap(buffersArray, map) {
+    // Point markers give way to the numbered buffer centers
+    clearPointMarkers();
+    
+    const ids = buffersArray.map((bufferData, index) => addLayeredFeature('buffers', bufferFeatureData(bufferData, index + 1), map));
+    
+    // Fit map to show all buffers
+    fitToPoints(buffersArray.flatMap(bufferData => [bufferData.center, ...bufferData.polygon]), map);
+    
     console.log(`Added ${buffersArray.length} buffer(s):`);
     buffersArray.forEach((buffer, index) => {
         console.log(`  Buffer ${index + 1}: radius ${buffer.radius.toFixed(2)} km`);
-        
-        // Register each buffer in feature registry
-        registerFeature('buffers', {
-            center: buffer.center,
-            radius: buffer.radius,
-            polygon: buffer.polygon
-        });
     });
+    
+    return ids;
 }
 
-// Get all buffer stroke layers
+// Animated (dashed) stroke layers of all buffers
 function getBufferStrokeLayers(map) {
-    const layers = [];
-    
-    // Check single buffer (only the animated stroke layer, not the background)
-    if (map.getLayer('buffer-stroke')) {
-        layers.push('buffer-stroke');
-    }
-    
-    // Check multiple buffers (buffer-0-stroke to buffer-9-stroke, only animated layers)
-    for (let i = 0; i < 10; i++) {
-        const layerId = `buffer-${i}-stroke`;
-        if (map.getLayer(layerId)) {
-            layers.push(layerId);
-        }
-    }
-    
-    return layers;
+    return featureRegistry.buffers
+        .map(buffer => `${buffer.id}-stroke`)
+        .filter(layerId => map.getLayer(layerId));
 }
 
 // Buffer animation loop (based on Mapbox example)
@@ -1547,289 +1399,446 @@ export function getBufferAnimationState() {
     };
 }
 
-// Display isochrone on map
+// Color scheme for isochrones (from outer to inner)
+const ISOCHRONE_COLORS = [
+    'ff6b6b', // Red
+    '4ecdc4', // Teal
+    '45b7d1', // Blue
+    '96ceb4'  // Green
+];
+
+// Fill/stroke color of an isochrone contour: the API color if present, else the default scheme
+export function isochroneColor(properties, index) {
+    return properties.fillColor || properties.fill || `#${ISOCHRONE_COLORS[index % ISOCHRONE_COLORS.length]}`;
+}
+
+// Label of an isochrone contour ("15 min", "2.5 km")
+export function isochroneContourLabel({ contour, metric }) {
+    return metric === 'time' ? `${contour} min` : `${(contour / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Show/hide one contour of an isochrone or change its fill opacity
+ * style is { visible, opacity } (any subset); opacity changes are applied without a redraw
+ */
+export function setIsochroneContourStyle(featureId, index, style, map) {
+    const { entry } = findLayeredFeature(featureId);
+    if (!entry.features || !entry.features[index]) {
+        throw new Error(`Contour not found: ${featureId} #${index}`);
+    }
+    if (style.opacity !== undefined && !(style.opacity >= 0 && style.opacity <= 1)) {
+        throw new Error(`Invalid opacity: ${style.opacity} (use 0 to 1)`);
+    }
+    
+    entry.contourStyles = entry.features.map((_, i) => ({ ...(entry.contourStyles || [])[i] }));
+    const contourStyle = entry.contourStyles[index];
+    const visibilityChanged = style.visible !== undefined && style.visible !== (contourStyle.visible !== false);
+    Object.entries(style).forEach(([key, value]) => {
+        if (value !== undefined) {
+            contourStyle[key] = value;
+        }
+    });
+    
+    const fillLayerId = `${featureId}-${index}-fill`;
+    if (!visibilityChanged && map.getLayer(fillLayerId)) {
+        map.setPaintProperty(fillLayerId, 'fill-opacity', contourStyle.opacity ?? entry.opacity);
+    } else {
+        redrawFeature('isochrones', entry, map);
+    }
+    return entry;
+}
+
+/**
+ * Replace the contours of an isochrone (e.g. after re-running it with other contour values)
+ * Keeps its id, center, name and style; per-contour styles are reset
+ */
+export function setIsochroneFeatures(featureId, isochroneData, map) {
+    const { entry } = findLayeredFeature(featureId);
+    entry.features = isochroneData.features;
+    entry.contours = isochroneData.features.length;
+    entry.contourStyles = [];
+    if (isochroneData.resolutionKm) {
+        entry.resolutionKm = isochroneData.resolutionKm;
+    }
+    redrawFeature('isochrones', entry, map);
+    return entry;
+}
+
+// Display isochrone on map (kept alongside earlier isochrones)
 export function displayIsochroneOnMap(isochroneData, centerCoordinates, map) {
     if (!isochroneData || !isochroneData.features || isochroneData.features.length === 0) {
         console.error('No isochrone data to display');
-        return;
+        return null;
     }
     
-    // Clear existing isochrones
-    cleanIsochrones(map);
-    
-    // Add center marker
-    const centerMarker = createCircleMarker(1);
-    const marker = new mapboxgl.Marker({ element: centerMarker })
-        .setLngLat(centerCoordinates)
-        .addTo(map);
-    currentMarkers.push(marker);
-    
-    // Color scheme for isochrones (from outer to inner)
-    const defaultColors = [
-        'ff6b6b', // Red
-        '4ecdc4', // Teal
-        '45b7d1', // Blue
-        '96ceb4'  // Green
-    ];
-    
-    // Display each isochrone contour
-    isochroneData.features.forEach((feature, index) => {
-        const sourceId = `isochrone-${index}`;
-        const contour = feature.properties.contour;
-        const metric = feature.properties.metric;
-        const color = feature.properties.fillColor || feature.properties.fill || `#${defaultColors[index % defaultColors.length]}`;
-        
-        // Remove # from color if present
-        const colorHex = color.replace('#', '');
-        
-        // Add source
-        map.addSource(sourceId, {
-            type: 'geojson',
-            data: feature
-        });
-        
-        // Add fill layer
-        map.addLayer({
-            id: `${sourceId}-fill`,
-            type: 'fill',
-            source: sourceId,
-            paint: {
-                'fill-color': color,
-                'fill-opacity': 0.2
-            }
-        });
-        
-        // Add stroke layer
-        map.addLayer({
-            id: `${sourceId}-stroke`,
-            type: 'line',
-            source: sourceId,
-            layout: {
-                'line-cap': 'round',
-                'line-join': 'round'
-            },
-            paint: {
-                'line-color': color,
-                'line-width': 3,
-                'line-opacity': 0.8
-            }
-        });
-        
-        // Add label at center
-        const labelText = metric === 'time' 
-            ? `${contour} min` 
-            : `${(contour / 1000).toFixed(1)} km`;
-        
-        map.addSource(`${sourceId}-label`, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: centerCoordinates
-                },
-                properties: {
-                    label: labelText
-                }
-            }
-        });
-        
-        map.addLayer({
-            id: `${sourceId}-label`,
-            type: 'symbol',
-            source: `${sourceId}-label`,
-            layout: {
-                'text-field': ['get', 'label'],
-                'text-font': ['Open Sans Semibold', 'Arial Unicode MS Bold'],
-                'text-size': 12,
-                'text-anchor': 'center',
-                'text-justify': 'center'
-            },
-            paint: {
-                'text-color': '#ffffff',
-                'text-halo-color': color,
-                'text-halo-width': 2
-            }
-        });
-    });
+    const id = addLayeredFeature('isochrones', {
+        center: centerCoordinates,
+        ...(isochroneData.name ? { name: isochroneData.name } : {}),
+        ...(isochroneData.catchment ? { catchment: true, resolutionKm: isochroneData.resolutionKm } : {}),
+        ...(isochroneData.request ? { request: isochroneData.request } : {}),
+        ...(isochroneData.contourStyles ? { contourStyles: isochroneData.contourStyles } : {}),
+        number: isochroneData.number || 1,
+        contours: isochroneData.features.length,
+        features: isochroneData.features,
+        profile: isochroneData.profile,
+        color: null, // Per-contour colors
+        width: 3,
+        opacity: 0.2
+    }, map);
     
     // Fit map to isochrone bounds
-    const bounds = new mapboxgl.LngLatBounds();
-    isochroneData.features.forEach(feature => {
-        if (feature.geometry.type === 'Polygon') {
-            feature.geometry.coordinates[0].forEach(coord => {
-                bounds.extend(coord);
-            });
-        } else if (feature.geometry.type === 'LineString') {
-            feature.geometry.coordinates.forEach(coord => {
-                bounds.extend(coord);
-            });
-        }
-    });
-    
-    map.fitBounds(bounds, {
-        padding: 50,
-        duration: 1000
-    });
+    fitToPoints(isochroneData.features.flatMap(feature => feature.geometry.type === 'LineString'
+        ? feature.geometry.coordinates
+        : geometryPoints(feature.geometry)), map, { duration: 1000 });
     
     console.log(`✅ Added ${isochroneData.features.length} isochrone contour(s)`);
     
-    // Register isochrone in feature registry
-    registerFeature('isochrones', {
-        center: centerCoordinates,
-        contours: isochroneData.features.length,
-        features: isochroneData.features
-    });
+    return id;
+}
+
+// Display isochrones from several origins with per-origin colors, plus derived coverage polygons:
+// overlap (reachable from 2+ origins) and gaps (inside the study area, the convex hull of all
+// isochrones, but not reachable). origins are { name, coordinates, isochroneData }
+// Returns { ids, overlapId, gapsId, coverage } - overlapId/gapsId are null when there is none
+export function displayMultiOriginIsochrones(origins, map) {
+    const shown = origins.filter(origin => origin.isochroneData && origin.isochroneData.features.length > 0);
+    if (shown.length === 0) {
+        console.error('No isochrone data to display');
+        return null;
+    }
+    
+    const ids = shown.map((origin, index) => addLayeredFeature('isochrones', {
+        center: origin.coordinates,
+        name: origin.name,
+        number: index + 1,
+        contours: origin.isochroneData.features.length,
+        features: origin.isochroneData.features,
+        profile: origin.isochroneData.profile,
+        ...(origin.isochroneData.request ? { request: origin.isochroneData.request } : {}),
+        color: ORIGIN_COLORS[index % ORIGIN_COLORS.length],
+        width: 3,
+        opacity: 0.2
+    }, map));
+    
+    // Contours are nested, so each origin's service area is its outermost contour
+    const coverage = coverageAnalysis(ids.map(getFeatureGeometry));
+    const addCoveragePolygon = (geometry, name, color) => geometry ? addLayeredFeature('polygons', {
+        coordinates: largestRing(geometry),
+        geometry: geometry,
+        name: name,
+        color: color,
+        width: 2,
+        opacity: 0.35,
+        coverage: true
+    }, map) : null;
+    const overlapId = addCoveragePolygon(coverage.overlap, 'Overlap (2+ origins)', OVERLAP_COLOR);
+    const gapsId = addCoveragePolygon(coverage.gaps, 'Coverage gaps', GAP_COLOR);
+    
+    // Fit map to the study area
+    fitToPoints(coverage.studyArea ? geometryPoints(coverage.studyArea) : shown.map(origin => origin.coordinates), map, { duration: 1000 });
+    
+    console.log(`✅ Added isochrones for ${shown.length} origin(s)`);
+    console.log(`Covered: ${coverage.coveredKm2.toFixed(1)} km², overlap: ${coverage.overlapKm2.toFixed(1)} km², gaps: ${coverage.gapsKm2.toFixed(1)} km² of ${coverage.studyAreaKm2.toFixed(1)} km² study area`);
+    
+    return { ids, overlapId, gapsId, coverage };
+}
+
+// Display isochrones of the same center for several travel modes or departure times
+// comparisons are { label, profile, departAt, coordinates, isochroneData }; travel modes keep
+// their own colors, departure times get one color each. Returns the ids of the isochrones shown
+export function displayIsochroneComparisonOnMap(comparisons, map) {
+    const shown = comparisons.filter(comparison => comparison.isochroneData && comparison.isochroneData.features.length > 0);
+    if (shown.length === 0) {
+        console.error('No isochrone data to display');
+        return [];
+    }
+    
+    const byTime = shown.some(comparison => comparison.departAt);
+    const ids = shown.map((comparison, index) => addLayeredFeature('isochrones', {
+        center: comparison.coordinates,
+        name: comparison.label,
+        number: 1,
+        contours: comparison.isochroneData.features.length,
+        features: comparison.isochroneData.features,
+        profile: comparison.profile,
+        ...(comparison.isochroneData.request ? { request: comparison.isochroneData.request } : {}),
+        color: byTime ? ORIGIN_COLORS[index % ORIGIN_COLORS.length] : PROFILE_COLORS[comparison.profile],
+        width: 3,
+        opacity: 0.15
+    }, map));
+    
+    // Fit map to the largest isochrone
+    fitToPoints(shown.flatMap(comparison => comparison.isochroneData.features.flatMap(feature => feature.geometry.type === 'LineString'
+        ? feature.geometry.coordinates
+        : geometryPoints(feature.geometry))), map, { duration: 1000 });
+    
+    console.log(`✅ Added ${shown.length} isochrones to compare: ${shown.map(comparison => comparison.label).join(', ')}`);
+    
+    return ids;
+}
+
+// Display a travel matrix (replacing any matrix shown before) and fit the map to its places
+// matrix is { name, origins, destinations, rows, profile } - rows from matrixRows() with a color each
+// Returns the matrix id
+export function displayMatrixOnMap(matrix, map) {
+    cleanFeatures('matrices', map);
+    
+    const id = addLayeredFeature('matrices', {
+        ...matrix,
+        color: null, // Per-pair colors
+        width: 3,
+        opacity: 0.8
+    }, map);
+    
+    fitToPoints([...matrix.origins, ...matrix.destinations].map(place => [place.lon, place.lat]), map, { padding: 80, maxZoom: 14, duration: 1000 });
+    
+    console.log(`✅ Added matrix of ${matrix.origins.length} origin(s) x ${matrix.destinations.length} destination(s)`);
+    
+    return id;
 }
 
 // Clean isochrones
 export function cleanIsochrones(map) {
-    let removed = 0;
+    const removed = cleanFeatures('isochrones', map);
     
-    // Remove isochrone layers (max 4 contours)
-    for (let i = 0; i < 4; i++) {
-        const sourceId = `isochrone-${i}`;
-        
-        if (map.getSource(sourceId)) {
-            // Remove layers
-            if (map.getLayer(`${sourceId}-fill`)) {
-                map.removeLayer(`${sourceId}-fill`);
-            }
-            if (map.getLayer(`${sourceId}-stroke`)) {
-                map.removeLayer(`${sourceId}-stroke`);
-            }
-            if (map.getLayer(`${sourceId}-label`)) {
-                map.removeLayer(`${sourceId}-label`);
-            }
-            
-            // Remove sources
-            if (map.getSource(`${sourceId}-label`)) {
-                map.removeSource(`${sourceId}-label`);
-            }
-            map.removeSource(sourceId);
-            removed++;
-        }
-    }
+    // Overlap and gap polygons derived from them go too
+    cleanFeatures('polygons', map, polygon => polygon.coverage);
     
     if (removed > 0) {
-        console.log(`✅ Removed ${removed} isochrone contour(s)`);
+        console.log(`✅ Removed ${removed} isochrone(s)`);
     }
     
-    return { success: true, message: `Removed ${removed} isochrone contour(s)` };
+    return { success: true, message: `Removed ${removed} isochrone(s)` };
+}
+
+// All [lng, lat] points of a Polygon/MultiPolygon geometry
+function geometryPoints(geometry) {
+    return geometry.type === 'Polygon' ? geometry.coordinates.flat() : geometry.coordinates.flat(2);
 }
 
-// Display polygon(s) on map
+// Outer ring of the polygon with the most vertices (the outline drawn for a Polygon/MultiPolygon)
+function largestRing(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.reduce((best, polygon) => polygon[0].length > best[0].length ? polygon : best)[0];
+}
+
+// Display polygon(s) on map (kept alongside earlier polygons)
+// Each polygon is { coordinates, name } and may carry a Polygon/MultiPolygon geometry and color
 export function displayPolygonOnMap(polygons, map) {
     if (!polygons || polygons.length === 0) {
         console.error('No polygon data to display');
-        return;
+        return [];
     }
     
-    // Clear existing polygons
-    cleanPolygons(map);
+    const ids = polygons.map((polygon, index) => addLayeredFeature('polygons', {
+        coordinates: polygon.coordinates,
+        geometry: polygon.geometry,
+        name: polygon.name || `Polygon ${index + 1}`,
+        color: polygon.color || POLYGON_COLOR,
+        width: 3,
+        opacity: 0.2
+    }, map));
     
-    // Display each polygon
-    polygons.forEach((polygon, index) => {
-        const sourceId = `polygon-${index}`;
-        
-        // Create GeoJSON feature
-        const feature = {
-            type: 'Feature',
-            geometry: {
-                type: 'Polygon',
-                coordinates: [polygon.coordinates]
-            },
-            properties: {
-                name: polygon.name || `Polygon ${index + 1}`
-            }
-        };
-        
-        // Add source
-        map.addSource(sourceId, {
-            type: 'geojson',
-            data: feature
-        });
-        
-        // Add fill layer (same style as buffer - semi-transparent blue)
-        map.addLayer({
-            id: `${sourceId}-fill`,
-            type: 'fill',
-            source: sourceId,
-            paint: {
-                'fill-color': '#089BDF',
-                'fill-opacity': 0.2
-            }
-        });
-        
-        // Add stroke layer (same style as buffer - blue with dotted stroke)
-        map.addLayer({
-            id: `${sourceId}-stroke`,
-            type: 'line',
-            source: sourceId,
-            layout: {
-                'line-cap': 'round',
-                'line-join': 'round'
-            },
-            paint: {
-                'line-color': '#089BDF',
-                'line-width': 3,
-                'line-opacity': 1,
-                'line-dasharray': [4, 2]
-            }
+    // Fit map to polygon bounds
+    fitToPoints(polygons.flatMap(polygon => polygon.geometry ? geometryPoints(polygon.geometry) : polygon.coordinates), map, { duration: 1000 });
+    
+    console.log(`✅ Added ${polygons.length} polygon(s)`);
+    
+    return ids;
+}
+
+// GeoJSON geometry of a registered feature: Polygon/MultiPolygon for buffers, polygons and
+// isochrones, LineString for lines and Point for markers. Throws if the feature does not exist
+export function getFeatureGeometry(featureId) {
+    const closeRing = ring => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    };
+    
+    const buffer = featureRegistry.buffers.find(f => f.id === featureId);
+    if (buffer) {
+        return buffer.geometry || { type: 'Polygon', coordinates: [closeRing(buffer.polygon)] };
+    }
+    
+    const polygon = featureRegistry.polygons.find(f => f.id === featureId);
+    if (polygon) {
+        return polygon.geometry || { type: 'Polygon', coordinates: [closeRing(polygon.coordinates)] };
+    }
+    
+    // Isochrone contours are nested, so their union is the outermost reachable area
+    const isochrone = featureRegistry.isochrones.find(f => f.id === featureId);
+    if (isochrone) {
+        return unionGeometries(isochrone.features.map(feature => feature.geometry.type === 'LineString'
+            ? { type: 'Polygon', coordinates: [closeRing(feature.geometry.coordinates)] }
+            : feature.geometry));
+    }
+    
+    const line = featureRegistry.lines.find(f => f.id === featureId);
+    if (line) {
+        return { type: 'LineString', coordinates: line.coordinates };
+    }
+    
+    const marker = featureRegistry.markers.find(f => f.id === featureId);
+    if (marker) {
+        return { type: 'Point', coordinates: marker.lngLat };
+    }
+    
+    // Matrix connectors as straight origin-destination segments
+    const matrix = featureRegistry.matrices.find(f => f.id === featureId);
+    if (matrix) {
+        return { type: 'MultiLineString', coordinates: matrix.rows.map(row => [row.fromCoordinates, row.toCoordinates]) };
+    }
+    
+
+    throw new Error(`Feature not found: ${featureId}`);
+}
+
+// Display the result of a geometry operation as a new polygon, keeping the existing ones
+export function displayGeometryResultOnMap(result, map) {
+    const id = addLayeredFeature('polygons', {
+        coordinates: largestRing(result.geometry),
+        geometry: result.geometry,
+        name: result.name,
+        color: GEOMETRY_RESULT_COLOR,
+        width: 3,
+        opacity: 0.2,
+        operation: result.operation,
+        sources: result.sources
+    }, map);
+    
+    // Fit map to result bounds
+    fitToPoints(geometryPoints(result.geometry), map, { duration: 1000 });
+    
+    console.log(`✅ Added ${result.name}`);
+    
+    return id;
+}
+
+// Clean polygons (imported polygons stay until @clean or a new session)
+export function cleanPolygons(map) {
+    const removed = cleanFeatures('polygons', map, polygon => !polygon.file);
+    
+    if (removed > 0) {
+        console.log(`✅ Removed ${removed} polygon(s)`);
+    }
+    
+    return { success: true, message: `Removed ${removed} polygon(s)` };
+}
+
+// Draw imported points from one 'imported' source, adding to what is there
+// Imported lines and polygons are drawn as their own features
+function addImportedLayers(features, map) {
+    const source = map.getSource('imported');
+    if (source) {
+        source.setData({
+            type: 'FeatureCollection',
+            features: [...(source._data ? source._data.features : []), ...features]
         });
+        return;
+    }
+    
+    map.addSource('imported', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features }
     });
     
-    // Fit map to polygon bounds
-    const bounds = new mapboxgl.LngLatBounds();
-    polygons.forEach(polygon => {
-        polygon.coordinates.forEach(coord => {
-            bounds.extend(coord);
-        });
+    map.addLayer({
+        id: 'imported-point',
+        type: 'circle',
+        source: 'imported',
+        paint: {
+            'circle-color': IMPORTED_COLOR,
+            'circle-radius': 6,
+            'circle-stroke-color': '#ffffff',
+            'circle-stroke-width': 2
+        }
     });
+}
+
+// Display features imported from a file and register them for @feature
+// features is [{ geometry, name }] with Point, LineString or Polygon/MultiPolygon geometries
+export function displayImportedFeaturesOnMap(features, filename, map) {
+    if (!features || features.length === 0) {
+        console.error('No imported features to display');
+        return [];
+    }
     
-    map.fitBounds(bounds, {
-        padding: 50,
-        duration: 1000
+    // Register each feature, so agents can use it once selected
+    const query = `@import ${filename}`;
+    const points = [];
+    const ids = features.map(({ geometry, name }) => {
+        if (geometry.type === 'Point') {
+            const id = registerFeature('markers', {
+                lngLat: geometry.coordinates,
+                name: name,
+                file: filename,
+                query: query
+            });
+            points.push({
+                type: 'Feature',
+                geometry: geometry,
+                properties: { id, name, file: filename }
+            });
+            return id;
+        }
+        if (geometry.type === 'LineString') {
+            return addLayeredFeature('lines', {
+                coordinates: geometry.coordinates,
+                type: 'import',
+                name: name,
+                file: filename,
+                query: query,
+                color: IMPORTED_COLOR,
+                width: 3,
+                opacity: 1
+            }, map);
+        }
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const largest = polygons.reduce((best, polygon) => polygon[0].length > best[0].length ? polygon : best);
+        return addLayeredFeature('polygons', {
+            coordinates: largest[0],
+            geometry: geometry,
+            name: name,
+            color: IMPORTED_COLOR,
+            width: 3,
+            opacity: 0.2,
+            file: filename,
+            query: query
+        }, map);
     });
     
-    console.log(`✅ Added ${polygons.length} polygon(s)`);
+    if (points.length > 0) {
+        addImportedLayers(points, map);
+    }
     
-    // Register polygons in feature registry
-    polygons.forEach((polygon, index) => {
-        registerFeature('polygons', {
-            coordinates: polygon.coordinates,
-            name: polygon.name || `Polygon ${index + 1}`
-        });
-    });
+    // Fit map to imported bounds
+    fitToPoints(features.flatMap(({ geometry }) => geometry.type === 'Point' ? [geometry.coordinates]
+        : geometry.type === 'LineString' ? geometry.coordinates
+        : geometryPoints(geometry)), map, { maxZoom: 15, duration: 1000 });
+    
+    console.log(`✅ Added ${features.length} imported feature(s) from ${filename}`);
+    return ids;
 }
 
-// Clean polygons
-export function cleanPolygons(map) {
-    let removed = 0;
+// Clean imported features
+export function cleanImported(map) {
+    const isImported = feature => Boolean(feature.file);
+    let removed = cleanFeatures('lines', map, isImported) + cleanFeatures('polygons', map, isImported);
     
-    // Remove polygon layers (max 10 polygons)
-    for (let i = 0; i < 10; i++) {
-        const sourceId = `polygon-${i}`;
-        
-        if (map.getSource(sourceId)) {
-            // Remove layers
-            if (map.getLayer(`${sourceId}-fill`)) {
-                map.removeLayer(`${sourceId}-fill`);
-            }
-            if (map.getLayer(`${sourceId}-stroke`)) {
-                map.removeLayer(`${sourceId}-stroke`);
-            }
-            
-            // Remove source
-            map.removeSource(sourceId);
-            removed++;
+    if (map.getSource('imported')) {
+        if (map.getLayer('imported-point')) {
+            map.removeLayer('imported-point');
         }
+        map.removeSource('imported');
     }
+    removed += featureRegistry.markers.filter(isImported).length;
+    featureRegistry.markers = featureRegistry.markers.filter(marker => !isImported(marker));
     
-    if (removed > 0) {
-        console.log(`✅ Removed ${removed} polygon(s)`);
+    if (removed === 0) {
+        return { success: true, message: 'No imported features' };
     }
     
-    return { success: true, message: `Removed ${removed} polygon(s)` };
+    console.log('✅ Removed imported features');
+    return { success: true, message: 'Removed imported features' };
 }
-
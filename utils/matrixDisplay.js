@@ -0,0 +1,184 @@
+import { getFeatureRegistry, displayMatrixOnMap } from './mapDisplay.js';
+import { formatLength, formatDuration } from './measurements.js';
+
+const UNREACHABLE_COLOR = '#999999';
+
+let matrixPanel = null;
+let panelMatrixId = null;
+let sortKey = 'duration';
+let sortAscending = true;
+
+/**
+ * One row per origin/destination pair (duration in seconds, distance in meters, null if unreachable)
+ * origins and destinations are places ({ name, lat, lon })
+ */
+export function matrixRows(matrixData, origins, destinations) {
+    return origins.flatMap((origin, originIndex) => destinations.map((destination, destinationIndex) => ({
+        pair: `${originIndex}-${destinationIndex}`,
+        from: origin.name,
+        to: destination.name,
+        fromCoordinates: [origin.lon, origin.lat],
+        toCoordinates: [destination.lon, destination.lat],
+        duration: matrixData.durations[originIndex][destinationIndex] ?? null,
+        distance: matrixData.distances[originIndex][destinationIndex] ?? null
+    })));
+}
+
+/**
+ * Sort rows by 'from', 'to', 'duration' or 'distance' (unreachable pairs always last)
+ */
+export function sortMatrixRows(rows, key, ascending = true) {
+    const direction = ascending ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        if (a[key] === null || b[key] === null) {
+            return (a[key] === null) - (b[key] === null);
+        }
+        const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return order * direction;
+    });
+}
+
+/**
+ * Connector color from green (fastest) to red (slowest) of the durations shown
+ */
+export function matrixColor(duration, minDuration, maxDuration) {
+    if (duration === null) {
+        return UNREACHABLE_COLOR;
+    }
+    const t = maxDuration > minDuration ? (duration - minDuration) / (maxDuration - minDuration) : 0;
+    return `hsl(${Math.round(120 * (1 - t))}, 75%, 45%)`;
+}
+
+/**
+ * Registry data of a travel matrix: its places and one row per pair, colored by travel time
+ */
+export function matrixFeatureData(matrixData, origins, destinations) {
+    const rows = matrixRows(matrixData, origins, destinations);
+    const durations = rows.map(row => row.duration).filter(duration => duration !== null);
+    const minDuration = Math.min(...durations);
+    const maxDuration = Math.max(...durations);
+    rows.forEach(row => {
+        row.color = matrixColor(row.duration, minDuration, maxDuration);
+    });
+
+    return {
+        name: `${origins.length} x ${destinations.length}`,
+        origins: origins.map(({ name, lat, lon }) => ({ name, lat, lon })),
+        destinations: destinations.map(({ name, lat, lon }) => ({ name, lat, lon })),
+        rows,
+        profile: matrixData.profile || null
+    };
+}
+
+/**
+ * Display a travel time matrix: a connector line per pair, origin/destination markers and a sortable table
+ * Replaces any matrix shown before; returns the matrix id
+ */
+export function displayMatrix(matrixData, origins, destinations, map) {
+    const id = displayMatrixOnMap(matrixFeatureData(matrixData, origins, destinations), map);
+    displayMatrixPanel(id, map);
+    return id;
+}
+
+/**
+ * Sortable table of the pairs of a registered matrix
+ */
+export function displayMatrixPanel(matrixId, map) {
+    panelMatrixId = matrixId;
+    sortKey = 'duration';
+    sortAscending = true;
+
+    if (!matrixPanel) {
+        matrixPanel = document.createElement('div');
+        matrixPanel.className = 'matrix-panel';
+        document.body.appendChild(matrixPanel);
+    }
+    renderMatrixPanel(map);
+}
+
+/**
+ * Fill the panel with the pairs in the current sort order
+ */
+function renderMatrixPanel(map) {
+    const matrix = getFeatureRegistry().matrices.find(entry => entry.id === panelMatrixId);
+    // Matrix was removed since the panel was shown
+    if (!matrix) {
+        cleanMatrixPanel();
+        return;
+    }
+
+    matrixPanel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'matrix-panel-header';
+    const title = document.createElement('span');
+    title.textContent = 'TRAVEL MATRIX';
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanMatrixPanel());
+    header.append(title, closeButton);
+    matrixPanel.appendChild(header);
+
+    const table = document.createElement('table');
+    const labels = document.createElement('tr');
+    [['from', 'FROM'], ['to', 'TO'], ['duration', 'TIME'], ['distance', 'DISTANCE']].forEach(([key, label]) => {
+        // Clicking a column sorts by it, clicking it again reverses the order
+        const cell = document.createElement('th');
+        cell.textContent = key === sortKey ? `${label} ${sortAscending ? '▴' : '▾'}` : label;
+        cell.addEventListener('click', () => {
+            sortAscending = key === sortKey ? !sortAscending : true;
+            sortKey = key;
+            renderMatrixPanel(map);
+        });
+        labels.appendChild(cell);
+    });
+    table.appendChild(labels);
+
+    sortMatrixRows(matrix.rows, sortKey, sortAscending).forEach(row => {
+        const tableRow = document.createElement('tr');
+        const from = document.createElement('td');
+        const swatch = document.createElement('span');
+        swatch.className = 'matrix-panel-swatch';
+        swatch.style.background = matrix.color || row.color;
+        from.append(swatch, row.from);
+        tableRow.appendChild(from);
+
+        [
+            row.to,
+            row.duration === null ? '—' : formatDuration(row.duration),
+            row.distance === null ? '—' : formatLength(row.distance / 1000)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tableRow.appendChild(cell);
+        });
+
+        // Hovering a pair highlights its connector
+        tableRow.addEventListener('mouseenter', () => highlightMatrixPair(matrix, row.pair, map));
+        tableRow.addEventListener('mouseleave', () => highlightMatrixPair(matrix, null, map));
+        table.appendChild(tableRow);
+    });
+    matrixPanel.appendChild(table);
+}
+
+/**
+ * Widen one connector and fade the others (pair null restores the matrix style)
+ */
+function highlightMatrixPair(matrix, pair, map) {
+    if (!map.getLayer(matrix.id)) {
+        return;
+    }
+    map.setPaintProperty(matrix.id, 'line-width', pair === null ? matrix.width : ['case', ['==', ['get', 'pair'], pair], matrix.width + 4, 2]);
+    map.setPaintProperty(matrix.id, 'line-opacity', pair === null ? matrix.opacity : ['case', ['==', ['get', 'pair'], pair], 1, 0.25]);
+}
+
+/**
+ * Remove the matrix table (the matrix stays on the map)
+ */
+export function cleanMatrixPanel() {
+    if (matrixPanel) {
+        matrixPanel.remove();
+        matrixPanel = null;
+    }
+    panelMatrixId = null;
+}
@@ -0,0 +1,106 @@
+import { UNIT_SYSTEMS, formatLength, formatArea } from './measurements.js';
+
+let measurementPanel = null;
+let currentMeasurement = null;
+let currentUnits = 'metric';
+
+/**
+ * Set the unit system used by the measurement panel ('metric', 'imperial' or 'nautical')
+ * Re-renders the panel if it is open
+ */
+export function setMeasurementUnits(units) {
+    if (!UNIT_SYSTEMS.includes(units)) {
+        throw new Error(`Unknown units: ${units} (use ${UNIT_SYSTEMS.join(', ')})`);
+    }
+    currentUnits = units;
+    if (measurementPanel && currentMeasurement) {
+        renderMeasurementPanel();
+    }
+}
+
+export function getMeasurementUnits() {
+    return currentUnits;
+}
+
+/**
+ * Display measurements of a feature in a floating panel on the map
+ * measurement is the output of measureGeometry()
+ */
+export function displayMeasurementPanel(name, measurement) {
+    currentMeasurement = { name, measurement };
+
+    if (!measurementPanel) {
+        measurementPanel = document.createElement('div');
+        measurementPanel.className = 'measurement-panel';
+        document.body.appendChild(measurementPanel);
+    }
+
+    renderMeasurementPanel();
+}
+
+/**
+ * Fill the panel with the current measurement in the current units
+ */
+function renderMeasurementPanel() {
+    const { name, measurement } = currentMeasurement;
+    const { kind, areaKm2, perimeterKm, lengthKm, centroid, bbox } = measurement;
+
+    const rows = [];
+    if (kind === 'area') {
+        rows.push(['AREA', formatArea(areaKm2, currentUnits)]);
+        rows.push(['PERIMETER', formatLength(perimeterKm, currentUnits)]);
+    }
+    if (kind === 'line') {
+        rows.push(['LENGTH', formatLength(lengthKm, currentUnits)]);
+    }
+    rows.push(['CENTROID', `${centroid[1].toFixed(5)}, ${centroid[0].toFixed(5)}`]);
+    rows.push(['BBOX', bbox.map(value => value.toFixed(4)).join(', ')]);
+
+    measurementPanel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'measurement-panel-header';
+    const title = document.createElement('span');
+    title.textContent = name;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'measurement-panel-close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanMeasurementPanel());
+    header.append(title, closeButton);
+    measurementPanel.appendChild(header);
+
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'measurement-panel-row';
+        const labelElement = document.createElement('span');
+        labelElement.className = 'measurement-panel-label';
+        labelElement.textContent = label;
+        const valueElement = document.createElement('span');
+        valueElement.textContent = value;
+        row.append(labelElement, valueElement);
+        measurementPanel.appendChild(row);
+    });
+
+    // Unit switcher
+    const units = document.createElement('div');
+    units.className = 'measurement-panel-units';
+    UNIT_SYSTEMS.forEach(system => {
+        const button = document.createElement('button');
+        button.textContent = system.toUpperCase();
+        button.classList.toggle('active', system === currentUnits);
+        button.addEventListener('click', () => setMeasurementUnits(system));
+        units.appendChild(button);
+    });
+    measurementPanel.appendChild(units);
+}
+
+/**
+ * Remove the measurement panel
+ */
+export function cleanMeasurementPanel() {
+    if (measurementPanel) {
+        measurementPanel.remove();
+        measurementPanel = null;
+    }
+    currentMeasurement = null;
+}
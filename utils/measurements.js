@@ -0,0 +1,208 @@
+import { calculateLineDistance } from './elevationHelpers.js';
+import { geometryAreaKm2 } from './bufferGenerator.js';
+
+// Unit systems supported by @measure
+export const UNIT_SYSTEMS = ['metric', 'imperial', 'nautical'];
+
+const KM_PER_MILE = 1.609344;
+const KM_PER_NAUTICAL_MILE = 1.852;
+const FEET_PER_KM = 3280.839895;
+const KM2_PER_ACRE = 0.0040468564224;
+
+// Shift a longitude to within 180° of a reference, so shapes split at the antimeridian stay contiguous
+function unwrapLongitude(lon, reference) {
+    return lon + Math.round((reference - lon) / 360) * 360;
+}
+
+function normalizeLongitude(lon) {
+    return ((lon + 540) % 360) - 180;
+}
+
+// Close a ring so the perimeter includes its last edge
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// All [lon, lat] points of any GeoJSON geometry
+function geometryPoints(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return [geometry.coordinates];
+        case 'MultiPoint':
+        case 'LineString':
+            return geometry.coordinates;
+        case 'MultiLineString':
+        case 'Polygon':
+            return geometry.coordinates.flat();
+        case 'MultiPolygon':
+            return geometry.coordinates.flat(2);
+        default:
+            throw new Error(`Unsupported geometry type: ${geometry.type}`);
+    }
+}
+
+/**
+ * Smallest [west, south, east, north] box around the points
+ * west > east when the box crosses the antimeridian
+ */
+export function boundingBox(points) {
+    const lats = points.map(point => point[1]);
+    const lons = [...new Set(points.map(point => normalizeLongitude(point[0])))].sort((a, b) => a - b);
+
+    // The box spans everything except the widest gap between neighbouring longitudes
+    let west = lons[0];
+    let east = lons[lons.length - 1];
+    let widestGap = lons[0] + 360 - lons[lons.length - 1];
+    for (let i = 1; i < lons.length; i++) {
+        if (lons[i] - lons[i - 1] > widestGap) {
+            widestGap = lons[i] - lons[i - 1];
+            west = lons[i];
+            east = lons[i - 1];
+        }
+    }
+
+    return [west, Math.min(...lats), east, Math.max(...lats)];
+}
+
+// Length-weighted centre of a set of lines
+function lineCentroid(lines, reference) {
+    let total = 0;
+    let lon = 0;
+    let lat = 0;
+    lines.forEach(line => {
+        for (let i = 0; i < line.length - 1; i++) {
+            const length = calculateLineDistance([line[i], line[i + 1]]);
+            lon += length * (unwrapLongitude(line[i][0], reference) + unwrapLongitude(line[i + 1][0], reference)) / 2;
+            lat += length * (line[i][1] + line[i + 1][1]) / 2;
+            total += length;
+        }
+    });
+    return total > 0 ? [lon / total, lat / total] : null;
+}
+
+// Area-weighted centre of a set of polygons (holes subtracted)
+function polygonCentroid(polygons, reference) {
+    let total = 0;
+    let lon = 0;
+    let lat = 0;
+    polygons.forEach(rings => {
+        rings.forEach((ring, ringIndex) => {
+            const points = closeRing(ring).map(([x, y]) => [unwrapLongitude(x, reference), y]);
+            let area = 0;
+            let cx = 0;
+            let cy = 0;
+            for (let i = 0; i < points.length - 1; i++) {
+                const cross = points[i][0] * points[i + 1][1] - points[i + 1][0] * points[i][1];
+                area += cross;
+                cx += (points[i][0] + points[i + 1][0]) * cross;
+                cy += (points[i][1] + points[i + 1][1]) * cross;
+            }
+            if (area === 0) {
+                return;
+            }
+            // Outer rings add, holes subtract, whatever their winding
+            const weight = (ringIndex === 0 ? 1 : -1) * Math.abs(area / 2);
+            lon += weight * cx / (3 * area);
+            lat += weight * cy / (3 * area);
+            total += weight;
+        });
+    });
+    return total > 0 ? [lon / total, lat / total] : null;
+}
+
+/**
+ * Geodesic measurements of any GeoJSON geometry (Point, LineString, Polygon and their Multi* forms)
+ * Returns { kind: 'point' | 'line' | 'area', areaKm2, perimeterKm, lengthKm, centroid: [lon, lat], bbox }
+ */
+export function measureGeometry(geometry) {
+    if (!geometry) {
+        throw new Error('Nothing to measure');
+    }
+
+    const points = geometryPoints(geometry);
+    if (points.length === 0) {
+        throw new Error('Geometry has no coordinates');
+    }
+    const reference = points[0][0];
+    const meanCentroid = [
+        points.reduce((sum, point) => sum + unwrapLongitude(point[0], reference), 0) / points.length,
+        points.reduce((sum, point) => sum + point[1], 0) / points.length
+    ];
+
+    let kind = 'point';
+    let areaKm2 = 0;
+    let perimeterKm = 0;
+    let lengthKm = 0;
+    let centroid = meanCentroid;
+
+    if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        kind = 'line';
+        lengthKm = lines.reduce((sum, line) => sum + calculateLineDistance(line), 0);
+        centroid = lineCentroid(lines, reference) || meanCentroid;
+    } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        kind = 'area';
+        areaKm2 = geometryAreaKm2(geometry);
+        perimeterKm = polygons.flat().reduce((sum, ring) => sum + calculateLineDistance(closeRing(ring)), 0);
+        centroid = polygonCentroid(polygons, reference) || meanCentroid;
+    }
+
+    return {
+        kind,
+        areaKm2,
+        perimeterKm,
+        lengthKm,
+        centroid: [normalizeLongitude(centroid[0]), centroid[1]],
+        bbox: boundingBox(points)
+    };
+}
+
+// Number with thousands separators
+function formatNumber(value, digits) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Format a distance in km for a unit system (small metric/imperial values use m/ft)
+ */
+export function formatLength(km, units = 'metric') {
+    if (units === 'imperial') {
+        const miles = km / KM_PER_MILE;
+        return miles < 0.1 ? `${formatNumber(km * FEET_PER_KM, 0)} ft` : `${formatNumber(miles, 2)} mi`;
+    }
+    if (units === 'nautical') {
+        return `${formatNumber(km / KM_PER_NAUTICAL_MILE, 2)} nmi`;
+    }
+    return km < 1 ? `${formatNumber(km * 1000, 0)} m` : `${formatNumber(km, 2)} km`;
+}
+
+/**
+ * Format an area in km² for a unit system (small metric/imperial values use ha/acres)
+ */
+export function formatArea(km2, units = 'metric') {
+    if (units === 'imperial') {
+        const squareMiles = km2 / (KM_PER_MILE * KM_PER_MILE);
+        return squareMiles < 1 ? `${formatNumber(km2 / KM2_PER_ACRE, 1)} ac` : `${formatNumber(squareMiles, 2)} mi²`;
+    }
+    if (units === 'nautical') {
+        return `${formatNumber(km2 / (KM_PER_NAUTICAL_MILE * KM_PER_NAUTICAL_MILE), 2)} nmi²`;
+    }
+    return km2 < 1 ? `${formatNumber(km2 * 100, 2)} ha` : `${formatNumber(km2, 2)} km²`;
+}
+
+/**
+ * Format a duration in seconds as minutes, or hours and minutes
+ */
+export function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) {
+        return '< 1 min';
+    }
+    if (minutes < 60) {
+        return `${minutes} min`;
+    }
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
@@ -1,8 +1,116 @@
+import { detectTravelModes } from '../services/isochrone.js';
+
+// Multi-stop optimization ("best order to visit these 8 sites", "optimize my delivery route")
+export function isOptimizationQuery(userMessage) {
+    const optimizationPatterns = [
+        /\b(best|optimal|optimi[sz]ed|shortest|fastest|most\s+efficient)\s+(order|sequence|tour|loop)\b/i,
+        /\b(best|optimal|shortest|fastest|most\s+efficient)\s+(route|way|path)\s+to\s+(visit|cover|hit|see)\b/i,
+        /\boptimi[sz]e\s+(the\s+|my\s+|our\s+)?(route|order|stops|trip|tour|deliver(y|ies))/i,
+        /\bin\s+(the\s+)?(best|optimal|most\s+efficient)\s+order\b/i,
+        /\btravell?ing\s+salesman\b/i
+    ];
+    
+    return optimizationPatterns.some(pattern => pattern.test(userMessage));
+}
+
+// Travel time / distance matrix between two sets of places ("travel times from our 3 warehouses to these 10 stores")
+export function isMatrixQuery(userMessage) {
+    const matrixPatterns = [
+        // "table"/"grid" alone is a timetable or a schedule unless it is about travel or drive times
+        /\b(distance|time|travel[\s-]?time|duration|drive[\s-]?time|driving[\s-]?time|od|origin[\s-]?destination)\s+matrix\b/i,
+        /\b(travel|drive|driving)[\s-]?times?\s+(table|grid)\b/i,
+        /\borigin[\s-]?destination\b/i,
+        /\b(travel|drive|driving|walk(ing)?|cycling|bike|commute)\s+(times?|distances?)\s+(from|between)\s+(our|these|all|each|every|(the\s+)?\d+)\b.*\b(to|and)\s+(our|these|those|all|each|every|(the\s+)?\d+)\b/i,
+        /\bhow\s+(long|far)\s+.*\bfrom\s+(each|every|all)\s+(of\s+)?.*\bto\s+(each|every|all)\b/i
+    ];
+    
+    return matrixPatterns.some(pattern => pattern.test(userMessage));
+}
+
+// Catchment / reverse isochrone: where people can come from to reach a site
+// ("who can reach the stadium within 20 minutes", "where can customers come from to reach our store in 15 min")
+export function isCatchmentQuery(userMessage) {
+    const catchmentPatterns = [
+        /\bcatchment\b/i,
+        /\breverse\s+isochrones?\b/i,
+        /\bwho\s+(can|could)\s+(reach|get\s+to|make\s+it\s+to)\b/i,
+        /\bwhere\s+can\s+(people|customers|visitors|patients|employees|staff|students|fans|shoppers|someone|anyone)\s+(come|travel|commute|drive|walk|cycle)\s+from\b/i,
+        /\bfrom\s+where\s+can\s+\w+\s+(reach|get\s+to)\b/i
+    ];
+    
+    return catchmentPatterns.some(pattern => pattern.test(userMessage));
+}
+
+// Isochrones from several origins ("15 minute drive from each of our 5 clinics", "10 min walk from A, B and C")
+export function isMultiOriginIsochroneQuery(userMessage) {
+    const multiOriginPatterns = [
+        /\b(from|of|around)\s+(each|every|all)\b/i,
+        /\b(from|of|around)\s+(our|the|these|those|my)\s+(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+[a-z]+/i,
+        // Lists of places: "from A and B", "from A, B, C" (but not "from Denver, Colorado")
+        // ("from the station at 8am and 5pm", "from Lyon walking and cycling" compare one origin)
+        /\b(from|of|around)\s+.*?\s+and\s+(?!\d+\s*(min|minute|minutes|hour|hours|km|mile|miles|meter|meters|m|am|pm)\b|\d{1,2}:\d{2}|back\b|without\b|rush\b|noon\b|midday\b|midnight\b|(walk|hik|bik|bicycl|cycl|driv)\w*\b)\S/i,
+        /\b(from|of|around)\s+(?!\d)[^,.]+,[^,.]+,\s*[a-z]/i
+    ];
+    
+    return multiOriginPatterns.some(pattern => pattern.test(userMessage));
+}
+
+// Isochrones compared across travel modes or departure times
+// ("how much bigger is the 20 min bike zone than the walk zone", "30 min drive at 8am vs 11pm")
+// Mode words only count as travel modes (not "the car park", "the bike shop")
+export function isIsochroneComparisonQuery(userMessage) {
+    const clockTimes = userMessage.match(/\b\d{1,2}(:\d{2}\s*(am|pm)?|\s*(am|pm))\b/gi) || [];
+    
+    return detectTravelModes(userMessage).length > 1 ||
+        clockTimes.length > 1 ||
+        /\b(rush\s+hour|noon|midday|midnight)\b.*\b(vs\.?|versus|and|or|compared\s+to)\b.*\b(\d{1,2}\s*(am|pm)|rush\s+hour|noon|midday|midnight)\b/i.test(userMessage);
+}
+
+// Inset (negative buffer) requests: "-500m buffer", "inset by 500m", "shrink the polygon by 1km", "200 m inside the boundary"
+// Only inset wording counts - "5 km buffer around the route inside the city" is a regular buffer
+export function isInsetQuery(userMessage) {
+    const distance = '\\d+(?:\\.\\d+)?\\s*(?:km|kilomet(?:er|re)s?|m|met(?:er|re)s?|mi|miles?|ft|feet|yards?|yd)\\b';
+    const insetPatterns = [
+        new RegExp(`(^|[\\s(])-\\s*${distance}`, 'i'),
+        /\b(inset|insetting|shrink|shrinking|erode|eroding)\b/i,
+        /\bnegative\s+(buffer|offset|setback|distance)\b/i,
+        new RegExp(`${distance}\\s+(inward|inwards)\\b`, 'i'),
+        /\b(buffer|offset|move|push)\w*\s+(it\s+|them\s+|the\s+\w+\s+)?(inward|inwards)\b/i,
+        new RegExp(`${distance}\\s+(inside|in\\s+from|within)\\s+(the\\s+|its\\s+|this\\s+)?(polygon|boundary|border|edge|perimeter|outline|shape)\\b`, 'i')
+    ];
+    
+    return insetPatterns.some(pattern => pattern.test(userMessage));
+}
+
 // Detect query type with improved classification
 export function detectQueryType(userMessage, aiMessage) {
     const query = userMessage.toLowerCase();
     const combinedText = (userMessage + ' ' + aiMessage).toLowerCase();
     
+    // Route optimization (highest priority - the stop list looks like any other multi-location query)
+    if (isOptimizationQuery(query)) {
+        return {
+            type: 'line',
+            subtype: 'route-optimized'
+        };
+    }
+    
+    // Travel time matrix (also before the location count checks - it always lists many places)
+    if (isMatrixQuery(query)) {
+        return {
+            type: 'matrix',
+            subtype: 'multiple'
+        };
+    }
+    
+    // Catchment (before polygons and isochrones - "catchment area from..." is neither)
+    if (isCatchmentQuery(query)) {
+        return {
+            type: 'isochrone',
+            subtype: 'catchment'
+        };
+    }
+    
     // Count locations in query (comma-separated or explicit)
     const commaCount = (query.match(/,/g) || []).length;
     const locationCount = commaCount + 1;
@@ -113,7 +221,10 @@ export function detectQueryType(userMessage, aiMessage) {
         
         return {
             type: 'isochrone',
-            subtype: hasMultipleContours ? 'multiple' : 'single'
+            // Several origins can also compare modes or times: one set of isochrones per variant
+            subtype: isMultiOriginIsochroneQuery(query) ? 'multi-origin'
+                : isIsochroneComparisonQuery(query) ? 'compare'
+                : hasMultipleContours ? 'multiple' : 'single'
         };
     }
     
@@ -123,6 +234,10 @@ export function detectQueryType(userMessage, aiMessage) {
         /\bgeofence\b/i,
         /\bgeofencing\b/i,
         /\bperimeter\b/i,
+        /\bcorridor\b/i,
+        /\bsetback\b/i,
+        /\binset\b/i,
+        /\b(shrink|erode)\s+(this|the|selected)?\s*(polygon|area|shape)/i,
         /\bradius\b/i,
         /\barea\s+within/i,
         /\bwithin\s+\d+\s*(km|mile|m)\s+(of|around|from)/i,
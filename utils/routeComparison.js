@@ -0,0 +1,150 @@
+import { getFeatureRegistry } from './mapDisplay.js';
+import { getElevationPoints, calculateLineDistance, calculateElevationGainLoss } from './elevationHelpers.js';
+import { ensureTerrain, waitForIdle } from './elevationDisplay.js';
+import { formatLength, formatDuration } from './measurements.js';
+
+let comparisonPanel = null;
+let comparedRoutes = [];
+let activeRouteId = null;
+let selectRoute = null;
+
+/**
+ * Display routes side by side in a floating panel: distance, duration and elevation gain/loss
+ * routeIds are registry line ids (recommended route first); onSelect(id) is called when a row is clicked
+ */
+export function displayRouteComparison(routeIds, map, onSelect) {
+    const lines = getFeatureRegistry().lines;
+    comparedRoutes = routeIds
+        .map(id => lines.find(line => line.id === id))
+        .filter(Boolean)
+        .map(line => ({
+            id: line.id,
+            name: line.name,
+            color: line.color,
+            distance: line.distance,
+            duration: line.duration,
+            coordinates: line.coordinates,
+            elevation: null
+        }));
+    activeRouteId = null;
+    selectRoute = onSelect;
+
+    if (!comparisonPanel) {
+        comparisonPanel = document.createElement('div');
+        comparisonPanel.className = 'route-comparison-panel';
+        document.body.appendChild(comparisonPanel);
+    }
+
+    renderRouteComparison();
+    measureRouteElevations(map);
+}
+
+/**
+ * Fill in elevation gain/loss once terrain has loaded for the routes
+ * Terrain is only switched on while sampling if it was off
+ */
+function measureRouteElevations(map) {
+    const routes = comparedRoutes;
+    const terrainWasEnabled = map.getTerrain() !== null;
+    ensureTerrain(map);
+
+    waitForIdle(map).then(() => {
+        // Panel was closed or replaced in the meantime
+        if (routes === comparedRoutes) {
+            routes.forEach(route => {
+                // Sample every 250 m, but no more than ~500 points on long routes
+                const chunkLengthKm = Math.max(0.25, calculateLineDistance(route.coordinates) / 500);
+                const elevations = getElevationPoints(route.coordinates, map, chunkLengthKm);
+                route.elevation = elevations.length > 1 ? calculateElevationGainLoss(elevations) : false;
+            });
+            renderRouteComparison();
+            console.log(`✅ Measured elevation gain/loss of ${routes.length} route(s)`);
+        }
+
+        if (!terrainWasEnabled) {
+            map.setTerrain(null);
+        }
+    });
+}
+
+/**
+ * Fill the panel with one row per route
+ */
+function renderRouteComparison() {
+    comparisonPanel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'route-comparison-header';
+    const title = document.createElement('span');
+    title.textContent = 'ROUTES';
+    const closeButton = document.createElement('button');
+    closeButton.className = 'route-comparison-close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => cleanRouteComparison());
+    header.append(title, closeButton);
+    comparisonPanel.appendChild(header);
+
+    const labels = document.createElement('div');
+    labels.className = 'route-comparison-row route-comparison-labels';
+    ['ROUTE', 'DISTANCE', 'DURATION', 'GAIN', 'LOSS'].forEach(label => {
+        const cell = document.createElement('span');
+        cell.textContent = label;
+        labels.appendChild(cell);
+    });
+    comparisonPanel.appendChild(labels);
+
+    comparedRoutes.forEach(route => {
+        // Elevation is null while terrain loads, false when no elevation data is available
+        const elevation = route.elevation === null ? ['…', '…']
+            : route.elevation === false ? ['—', '—']
+            : [`↑ ${Math.round(route.elevation.gain)} m`, `↓ ${Math.round(route.elevation.loss)} m`];
+
+        const row = document.createElement('div');
+        row.className = 'route-comparison-row';
+        row.classList.toggle('active', route.id === activeRouteId);
+        row.addEventListener('click', () => {
+            if (selectRoute) {
+                selectRoute(route.id);
+            }
+            highlightComparedRoute(route.id);
+        });
+
+        const name = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'route-comparison-swatch';
+        swatch.style.background = route.color;
+        name.append(swatch, route.name);
+        row.appendChild(name);
+
+        [formatLength(route.distance / 1000), formatDuration(route.duration), ...elevation].forEach(value => {
+            const cell = document.createElement('span');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        comparisonPanel.appendChild(row);
+    });
+}
+
+/**
+ * Mark a route as the active row (no-op if it is not being compared)
+ */
+export function highlightComparedRoute(routeId) {
+    if (!comparisonPanel || !comparedRoutes.some(route => route.id === routeId)) {
+        return;
+    }
+    activeRouteId = routeId;
+    renderRouteComparison();
+}
+
+/**
+ * Remove the route comparison panel
+ */
+export function cleanRouteComparison() {
+    if (comparisonPanel) {
+        comparisonPanel.remove();
+        comparisonPanel = null;
+    }
+    comparedRoutes = [];
+    activeRouteId = null;
+    selectRoute = null;
+}
@@ -0,0 +1,74 @@
+// Session persistence in localStorage
+// The current session is saved automatically; named sessions are workspaces saved with @session save <name>
+
+const CURRENT_SESSION_KEY = 'mbrt-session';
+const NAMED_SESSIONS_KEY = 'mbrt-sessions';
+
+// Bump when the stored shape changes so old sessions are ignored instead of half-restored
+export const SESSION_VERSION = 2;
+
+function readJSON(key) {
+    try {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        console.warn(`⚠️ Could not read ${key} from localStorage:`, error);
+        return null;
+    }
+}
+
+function writeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // QuotaExceededError or storage disabled (private mode)
+        throw new Error(`Could not save session to localStorage: ${error.message}`);
+    }
+}
+
+function isValidSession(session) {
+    return Boolean(session && session.version === SESSION_VERSION && session.features);
+}
+
+/**
+ * Save a session - the current (autosaved) one, or a named workspace when name is given
+ */
+export function saveSession(session, name = null) {
+    const stored = { ...session, version: SESSION_VERSION, savedAt: Date.now() };
+
+    if (!name) {
+        writeJSON(CURRENT_SESSION_KEY, stored);
+        return stored;
+    }
+
+    const sessions = readJSON(NAMED_SESSIONS_KEY) || {};
+    sessions[name] = { ...stored, name };
+    writeJSON(NAMED_SESSIONS_KEY, sessions);
+    return sessions[name];
+}
+
+/**
+ * Load the current session, or a named workspace when name is given (null if missing)
+ */
+export function loadSession(name = null) {
+    const session = name
+        ? (readJSON(NAMED_SESSIONS_KEY) || {})[name]
+        : readJSON(CURRENT_SESSION_KEY);
+    return isValidSession(session) ? session : null;
+}
+
+/**
+ * Named workspaces, most recently saved first
+ */
+export function listSessions() {
+    const sessions = readJSON(NAMED_SESSIONS_KEY) || {};
+    return Object.values(sessions)
+        .filter(isValidSession)
+        .map(session => ({
+            name: session.name,
+            savedAt: session.savedAt,
+            featureCount: Object.values(session.features.registry || {})
+                .reduce((count, features) => count + features.length, 0)
+        }))
+        .sort((a, b) => b.savedAt - a.savedAt);
+}
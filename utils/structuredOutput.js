@@ -0,0 +1,239 @@
+import { parseCoordinates } from './coordinateParser.js';
+
+// Structured JSON output contract for agent extraction steps
+//
+// Places:   { "places": [{ "name": "...", "lat": 40.7128, "lon": -74.006, "confidence": 0.9, "source": "https://..." }] }
+// Polygons: { "polygons": [{ "name": "...", "places": [<place>, <place>, <place>, ...] }] }
+// Matrix:   { "origins": [<place>, ...], "destinations": [<place>, ...] }
+//
+// Extraction prompts append the instructions below, and every response is run through
+// validatePlaces/validatePolygons/validateMatrixPlaces. Invalid output sends the agent into its REFLECT/REFINE steps.
+
+const PLACE_FIELDS = `"name" (string), "lat" (decimal degrees, -90 to 90, negative = south), "lon" (decimal degrees, -180 to 180, negative = west), "confidence" (0 to 1), "source" (URL or citation the coordinate came from, or null)`;
+
+// Output instructions for place extraction prompts
+export function placesOutputInstructions({ multiple = true, ordered = false } = {}) {
+    return `Return ONLY JSON (no markdown, no explanations) matching this schema:
+    {"places": [{"name": "...", "lat": 0.0, "lon": 0.0, "confidence": 0.0, "source": "..."}]}
+    Each place has ${PLACE_FIELDS}.
+    ${multiple ? `Include one entry per location${ordered ? ', in the order they should be connected' : ''}.` : 'Include exactly ONE entry.'}
+    If no location can be found, return {"places": []}`;
+}
+
+// Output instructions for polygon extraction prompts
+export function polygonsOutputInstructions({ multiple = false } = {}) {
+    return `Return ONLY JSON (no markdown, no explanations) matching this schema:
+    {"polygons": [{"name": "...", "places": [{"name": "...", "lat": 0.0, "lon": 0.0, "confidence": 0.0, "source": "..."}]}]}
+    Each vertex in "places" has ${PLACE_FIELDS}.
+    ${multiple ? 'Include one polygon per location.' : 'Include exactly ONE polygon.'} Each polygon needs at least 3 vertices in boundary order.
+    If no polygon can be found, return {"polygons": []}`;
+}
+
+// Output instructions for travel time matrix extraction prompts
+export function matrixOutputInstructions() {
+    return `Return ONLY JSON (no markdown, no explanations) matching this schema:
+    {"origins": [{"name": "...", "lat": 0.0, "lon": 0.0, "confidence": 0.0, "source": "..."}], "destinations": [{"name": "...", "lat": 0.0, "lon": 0.0, "confidence": 0.0, "source": "..."}]}
+    Each place has ${PLACE_FIELDS}.
+    "origins" are the places travel starts from, "destinations" the places it goes to. Include one entry per location.
+    If no locations can be found, return {"origins": [], "destinations": []}`;
+}
+
+// Pull the JSON payload out of an LLM response (handles ```json fences and surrounding prose)
+export function extractJSON(text) {
+    if (!text || typeof text !== 'string') {
+        return { data: null, error: 'Empty response' };
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+        return { data: null, error: 'Response is not JSON' };
+    }
+
+    try {
+        return { data: JSON.parse(candidate.slice(start, end + 1)), error: null };
+    } catch (error) {
+        return { data: null, error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+// Validate a single place object, returning a list of problems
+function validatePlace(place, label) {
+    const errors = [];
+
+    if (!place || typeof place !== 'object' || Array.isArray(place)) {
+        return [`${label} is not an object`];
+    }
+    if (typeof place.name !== 'string' || !place.name.trim()) {
+        errors.push(`${label} is missing "name"`);
+    }
+    if (typeof place.lat !== 'number' || !Number.isFinite(place.lat) || place.lat < -90 || place.lat > 90) {
+        errors.push(`${label} has invalid "lat" (must be a number from -90 to 90)`);
+    }
+    if (typeof place.lon !== 'number' || !Number.isFinite(place.lon) || place.lon < -180 || place.lon > 180) {
+        errors.push(`${label} has invalid "lon" (must be a number from -180 to 180)`);
+    }
+    if (place.confidence !== undefined && place.confidence !== null &&
+        (typeof place.confidence !== 'number' || place.confidence < 0 || place.confidence > 1)) {
+        errors.push(`${label} has invalid "confidence" (must be a number from 0 to 1)`);
+    }
+    if (place.source !== undefined && place.source !== null && typeof place.source !== 'string') {
+        errors.push(`${label} has invalid "source" (must be a string or null)`);
+    }
+
+    return errors;
+}
+
+// Normalize a validated place (fills optional fields)
+function normalizePlace(place) {
+    return {
+        name: place.name.trim(),
+        lat: place.lat,
+        lon: place.lon,
+        confidence: typeof place.confidence === 'number' ? place.confidence : null,
+        source: place.source || null
+    };
+}
+
+// Validate a places response
+// Returns { valid, places, errors } - places only contains entries that passed validation
+export function validatePlaces(text, { minCount = 1, maxCount = Infinity } = {}) {
+    const { data, error } = extractJSON(text);
+    if (error) {
+        return { valid: false, places: [], errors: [error] };
+    }
+    if (!data || !Array.isArray(data.places)) {
+        return { valid: false, places: [], errors: ['Missing "places" array'] };
+    }
+
+    const errors = [];
+    const places = [];
+    data.places.forEach((place, index) => {
+        const placeErrors = validatePlace(place, `places[${index}]`);
+        if (placeErrors.length > 0) {
+            errors.push(...placeErrors);
+        } else {
+            places.push(normalizePlace(place));
+        }
+    });
+
+    if (places.length < minCount) {
+        errors.push(`Expected at least ${minCount} place(s), got ${places.length}`);
+    }
+    if (places.length > maxCount) {
+        errors.push(`Expected at most ${maxCount} place(s), got ${places.length}`);
+    }
+
+    return { valid: errors.length === 0, places, errors };
+}
+
+// Validate a polygons response
+// Returns { valid, polygons, errors } - polygons are { name, places } with at least minPoints vertices
+export function validatePolygons(text, { minPolygons = 1, maxPolygons = Infinity, minPoints = 3 } = {}) {
+    const { data, error } = extractJSON(text);
+    if (error) {
+        return { valid: false, polygons: [], errors: [error] };
+    }
+    if (!data || !Array.isArray(data.polygons)) {
+        return { valid: false, polygons: [], errors: ['Missing "polygons" array'] };
+    }
+
+    const errors = [];
+    const polygons = [];
+    data.polygons.forEach((polygon, polygonIndex) => {
+        const label = `polygons[${polygonIndex}]`;
+        if (!polygon || !Array.isArray(polygon.places)) {
+            errors.push(`${label} is missing "places" array`);
+            return;
+        }
+
+        const polygonErrors = [];
+        polygon.places.forEach((place, placeIndex) => {
+            polygonErrors.push(...validatePlace(place, `${label}.places[${placeIndex}]`));
+        });
+        if (polygon.places.length < minPoints) {
+            polygonErrors.push(`${label} has ${polygon.places.length} vertices, needs at least ${minPoints}`);
+        }
+
+        if (polygonErrors.length > 0) {
+            errors.push(...polygonErrors);
+        } else {
+            polygons.push({
+                name: typeof polygon.name === 'string' && polygon.name.trim() ? polygon.name.trim() : `Polygon ${polygonIndex + 1}`,
+                places: polygon.places.map(normalizePlace)
+            });
+        }
+    });
+
+    if (polygons.length < minPolygons) {
+        errors.push(`Expected at least ${minPolygons} polygon(s), got ${polygons.length}`);
+    }
+    if (polygons.length > maxPolygons) {
+        errors.push(`Expected at most ${maxPolygons} polygon(s), got ${polygons.length}`);
+    }
+
+    return { valid: errors.length === 0, polygons, errors };
+}
+
+// Validate a travel time matrix response
+// Returns { valid, origins, destinations, errors } - both lists only contain entries that passed validation
+export function validateMatrixPlaces(text, { minOrigins = 1, minDestinations = 1 } = {}) {
+    const { data, error } = extractJSON(text);
+    if (error) {
+        return { valid: false, origins: [], destinations: [], errors: [error] };
+    }
+
+    const errors = [];
+    const lists = {};
+    ['origins', 'destinations'].forEach(key => {
+        lists[key] = [];
+        if (!data || !Array.isArray(data[key])) {
+            errors.push(`Missing "${key}" array`);
+            return;
+        }
+        data[key].forEach((place, index) => {
+            const placeErrors = validatePlace(place, `${key}[${index}]`);
+            if (placeErrors.length > 0) {
+                errors.push(...placeErrors);
+            } else {
+                lists[key].push(normalizePlace(place));
+            }
+        });
+    });
+
+    if (lists.origins.length < minOrigins) {
+        errors.push(`Expected at least ${minOrigins} origin(s), got ${lists.origins.length}`);
+    }
+    if (lists.destinations.length < minDestinations) {
+        errors.push(`Expected at least ${minDestinations} destination(s), got ${lists.destinations.length}`);
+    }
+
+    return { valid: errors.length === 0, origins: lists.origins, destinations: lists.destinations, errors };
+}
+
+// Convert places to the "lat1,lon1 | lat2,lon2" string used by the display functions
+export function placesToCoordinateString(places) {
+    if (!places || places.length === 0) {
+        return 'none';
+    }
+    return places.map(place => `${place.lat},${place.lon}`).join(' | ');
+}
+
+// Convert a "lat1,lon1 | lat2,lon2" string (e.g. scraped from free text) into places
+export function placesFromCoordinateString(coordinatesString, source = null) {
+    if (!coordinatesString || coordinatesString === 'none') {
+        return [];
+    }
+    return coordinatesString.split(' | ').map((pair, index) => {
+        const [lat, lon] = pair.trim().split(',').map(Number);
+        return { name: `Location ${index + 1}`, lat, lon, confidence: null, source };
+    }).filter(place => !isNaN(place.lat) && !isNaN(place.lon));
+}
+
+// Legacy fallback for models that ignore the JSON contract: scrape coordinates from free text
+export function placesFromFreeText(text) {
+    return placesFromCoordinateString(parseCoordinates(text), 'free text');
+}
@@ -0,0 +1,428 @@
+import { currentMarkers, getFeatureRegistry, displayCoordinatesOnMap, displayRouteOnMap, displayLineOnMap, displayBufferOnMap, displayIsochroneOnMap, displayPolygonOnMap, displayImportedFeaturesOnMap, displayMatrixOnMap, setFeatureStyle, setFeatureVisibility } from './mapDisplay.js';
+import { matrixFeatureData } from './matrixDisplay.js';
+import { generateCircle, generateCircleGeometry } from './bufferGenerator.js';
+
+// Shareable map state in the URL hash: #map=<base64url JSON>
+// Lines and rings are polyline-encoded, point buffers are stored as center + radius
+// Every line, buffer, polygon and isochrone keeps its style and visibility, routes keep their directions
+
+const HASH_PREFIX = '#map=';
+const STATE_VERSION = 2;
+const MAPBOX_STYLE_PREFIX = 'mapbox://styles/mapbox/';
+
+/**
+ * Encode [lon, lat] coordinates with the Google polyline algorithm (5 decimals by default)
+ */
+export function encodePolyline(coordinates, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let lastLat = 0;
+    let lastLon = 0;
+    let result = '';
+
+    const encodeValue = (value) => {
+        let shifted = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (shifted >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+            shifted >>= 5;
+        }
+        return chunk + String.fromCharCode(shifted + 63);
+    };
+
+    coordinates.forEach(([lon, lat]) => {
+        const latValue = Math.round(lat * factor);
+        const lonValue = Math.round(lon * factor);
+        result += encodeValue(latValue - lastLat) + encodeValue(lonValue - lastLon);
+        lastLat = latValue;
+        lastLon = lonValue;
+    });
+
+    return result;
+}
+
+/**
+ * Decode a polyline string into [lon, lat] coordinates
+ */
+export function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lon = 0;
+
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= encoded.length) {
+                throw new Error('Truncated polyline');
+            }
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lon += decodeValue();
+        coordinates.push([lon / factor, lat / factor]);
+    }
+
+    return coordinates;
+}
+
+/**
+ * Compact form of a Point, LineString, Polygon or MultiPolygon: [type letter, polyline data]
+ */
+export function encodeGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return ['P', encodePolyline([geometry.coordinates])];
+        case 'LineString':
+            return ['L', encodePolyline(geometry.coordinates)];
+        case 'Polygon':
+            return ['A', geometry.coordinates.map(ring => encodePolyline(ring))];
+        case 'MultiPolygon':
+            return ['M', geometry.coordinates.map(rings => rings.map(ring => encodePolyline(ring)))];
+        default:
+            throw new Error(`Unsupported geometry type: ${geometry.type}`);
+    }
+}
+
+/**
+ * Inverse of encodeGeometry
+ */
+export function decodeGeometry([type, data]) {
+    switch (type) {
+        case 'P':
+            return { type: 'Point', coordinates: decodePolyline(data)[0] };
+        case 'L':
+            return { type: 'LineString', coordinates: decodePolyline(data) };
+        case 'A':
+            return { type: 'Polygon', coordinates: data.map(ring => decodePolyline(ring)) };
+        case 'M':
+            return { type: 'MultiPolygon', coordinates: data.map(rings => rings.map(ring => decodePolyline(ring))) };
+        default:
+            throw new Error(`Unknown geometry code: ${type}`);
+    }
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// UTF-8 safe base64url, so names with accents survive the URL
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * URL hash for a state ({ camera, style, terrain, scene })
+ */
+export function encodeMapState({ camera, style, terrain, scene }) {
+    const state = {
+        v: STATE_VERSION,
+        c: [
+            round(camera.center[0], 5),
+            round(camera.center[1], 5),
+            round(camera.zoom, 2),
+            round(camera.bearing, 1),
+            round(camera.pitch, 1)
+        ],
+        s: style.startsWith(MAPBOX_STYLE_PREFIX) ? style.slice(MAPBOX_STYLE_PREFIX.length) : style,
+        ...(terrain ? { t: 1 } : {}),
+        ...scene
+    };
+    return `${HASH_PREFIX}${toBase64Url(JSON.stringify(state))}`;
+}
+
+/**
+ * State from a URL hash, or null when the hash holds no (valid) map state
+ */
+export function decodeMapState(hash) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) {
+        return null;
+    }
+
+    try {
+        const { v, c, s, t, ...scene } = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+        if (v !== STATE_VERSION || !Array.isArray(c)) {
+            return null;
+        }
+        return {
+            camera: { center: [c[0], c[1]], zoom: c[2], bearing: c[3], pitch: c[4] },
+            style: s.includes('://') ? s : `${MAPBOX_STYLE_PREFIX}${s}`,
+            terrain: Boolean(t),
+            scene
+        };
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid map state in URL:', error.message);
+        return null;
+    }
+}
+
+// Style of a registry entry: s = [color, opacity, width], h = 1 when hidden
+function encodeStyle(feature) {
+    return {
+        s: [feature.color || null, feature.opacity, feature.width],
+        ...(feature.visible === false ? { h: 1 } : {})
+    };
+}
+
+/**
+ * Compact description of the registered features
+ * m: point markers, l: routes and lines, b: buffers, i: isochrones, p: polygons,
+ * t: travel matrices, x: imported features grouped by file
+ */
+export function captureScene() {
+    const registry = getFeatureRegistry();
+    const scene = {};
+
+    if (currentMarkers.length > 0) {
+        scene.m = encodePolyline(currentMarkers.map(marker => marker.getLngLat().toArray()));
+    }
+
+    const lines = registry.lines.filter(line => !line.file);
+    if (lines.length > 0) {
+        scene.l = lines.map(line => ({
+            k: line.type === 'route' ? 'r' : 'l',
+            l: encodePolyline(line.coordinates),
+            ...(line.type === 'route' ? {
+                w: encodePolyline(line.waypoints || []),
+                p: line.profile,
+                d: Math.round(line.distance),
+                u: Math.round(line.duration),
+                ...(line.name !== 'Route' ? { n: line.name } : {}),
+                // Directions: [summary, distance, duration, steps] per leg, [instruction, distance, duration, first, last] per step
+                ...((line.legs || []).some(leg => leg.steps.length > 0) ? {
+                    s: line.legs.map(leg => [leg.summary, Math.round(leg.distance), Math.round(leg.duration),
+                        leg.steps.map(step => [step.instruction, Math.round(step.distance), Math.round(step.duration), ...step.range])])
+                } : {})
+            } : {}),
+            ...encodeStyle(line)
+        }));
+    }
+
+    if (registry.buffers.length > 0) {
+        scene.b = registry.buffers.map(buffer => ({
+            c: buffer.center.map(value => round(value, 6)),
+            r: round(buffer.radius, 3),
+            ...(buffer.number > 1 ? { n: buffer.number } : {}),
+            // Buffers around lines and polygons cannot be regenerated from a center and radius
+            ...(buffer.feature ? {
+                g: encodeGeometry(buffer.geometry),
+                f: [buffer.feature.type, buffer.feature.name],
+                ...(buffer.inset ? { i: 1 } : {}),
+                ...(buffer.areaKm2 ? { a: round(buffer.areaKm2, 3) } : {})
+            } : {}),
+            ...encodeStyle(buffer)
+        }));
+    }
+
+    if (registry.isochrones.length > 0) {
+        scene.i = registry.isochrones.map(isochrone => ({
+            c: isochrone.center.map(value => round(value, 6)),
+            f: isochrone.features.map(feature => [
+                feature.properties.contour,
+                feature.properties.metric,
+                feature.properties.fillColor || feature.properties.fill || null,
+                encodeGeometry(feature.geometry)
+            ]),
+            ...(isochrone.profile ? { p: isochrone.profile } : {}),
+            ...(isochrone.name ? { n: isochrone.name } : {}),
+            ...(isochrone.number > 1 ? { o: isochrone.number } : {}),
+            ...(isochrone.catchment ? { r: 1 } : {}),
+            ...(isochrone.resolutionKm ? { g: round(isochrone.resolutionKm, 2) } : {}),
+            ...(isochrone.request ? { q: isochrone.request } : {}),
+            // Legend settings per contour: [shown, fill opacity or null]
+            ...((isochrone.contourStyles || []).some(style => style && Object.keys(style).length > 0) ? {
+                v: isochrone.contourStyles.map(style => [style?.visible === false ? 0 : 1, style?.opacity ?? null])
+            } : {}),
+            ...encodeStyle(isochrone)
+        }));
+    }
+
+    if (registry.matrices.length > 0) {
+        const place = ({ name, lat, lon }) => [name, round(lat, 6), round(lon, 6)];
+        scene.t = registry.matrices.map(matrix => ({
+            o: matrix.origins.map(place),
+            d: matrix.destinations.map(place),
+            // Seconds and meters of every pair, origin by origin (null where unreachable)
+            u: matrix.rows.map(row => row.duration === null ? null : Math.round(row.duration)),
+            k: matrix.rows.map(row => row.distance === null ? null : Math.round(row.distance)),
+            ...(matrix.profile ? { p: matrix.profile } : {}),
+            ...encodeStyle(matrix)
+        }));
+    }
+
+    const polygons = registry.polygons.filter(polygon => !polygon.file);
+    if (polygons.length > 0) {
+        scene.p = polygons.map(polygon => ({
+            n: polygon.name,
+            g: encodeGeometry(polygon.geometry || { type: 'Polygon', coordinates: [polygon.coordinates] }),
+            ...encodeStyle(polygon)
+        }));
+    }
+
+    const imported = [...registry.markers, ...registry.lines, ...registry.polygons].filter(feature => feature.file);
+    if (imported.length > 0) {
+        const files = new Map();
+        imported.forEach(feature => {
+            if (!files.has(feature.file)) {
+                files.set(feature.file, []);
+            }
+            const geometry = feature.lngLat ? { type: 'Point', coordinates: feature.lngLat }
+                : feature.geometry || { type: 'LineString', coordinates: feature.coordinates };
+            files.get(feature.file).push([feature.name, encodeGeometry(geometry)]);
+        });
+        scene.x = [...files.entries()];
+    }
+
+    return scene;
+}
+
+// "lat,lon | lat,lon" string used by the coordinate display functions
+function toCoordinateString(coordinates) {
+    return coordinates.map(([lon, lat]) => `${lat},${lon}`).join(' | ');
+}
+
+// Put back the style and visibility captured with encodeStyle
+function applyStyle(id, { s, h }, map) {
+    if (!id) {
+        return;
+    }
+    if (s) {
+        setFeatureStyle(id, { color: s[0] || undefined, opacity: s[1] ?? undefined, width: s[2] ?? undefined }, map);
+    }
+    if (h) {
+        setFeatureVisibility(id, false, map);
+    }
+}
+
+/**
+ * Redraw a scene from captureScene with the display functions (no API calls)
+ * Must be called once the style has loaded
+ */
+export function rebuildScene(scene, map) {
+    (scene.l || []).forEach(line => {
+        const coordinates = decodePolyline(line.l);
+        const id = line.k === 'r'
+            ? displayRouteOnMap({
+                geometry: { type: 'LineString', coordinates },
+                distance: line.d,
+                duration: line.u,
+                profile: line.p,
+                name: line.n,
+                legs: (line.s || []).map(([summary, distance, duration, steps]) => ({
+                    summary,
+                    distance,
+                    duration,
+                    steps: steps.map(([instruction, stepDistance, stepDuration, first, last]) => ({
+                        instruction,
+                        distance: stepDistance,
+                        duration: stepDuration,
+                        range: [first, last]
+                    }))
+                }))
+            }, decodePolyline(line.w), map)
+            : displayLineOnMap(toCoordinateString(coordinates), map);
+        applyStyle(id, line, map);
+    });
+
+    (scene.b || []).forEach(buffer => {
+        const [lon, lat] = buffer.c;
+        let bufferData;
+        if (buffer.g) {
+            const geometry = decodeGeometry(buffer.g);
+            const outerRing = geometry.type === 'Polygon' ? geometry.coordinates[0]
+                : geometry.coordinates.map(polygon => polygon[0]).reduce((largest, ring) => ring.length > largest.length ? ring : largest);
+            bufferData = {
+                center: buffer.c,
+                radius: buffer.r,
+                polygon: outerRing.slice(0, -1),
+                geometry: geometry,
+                areaKm2: buffer.a,
+                inset: Boolean(buffer.i),
+                feature: { id: null, type: buffer.f[0], name: buffer.f[1] }
+            };
+        } else {
+            // Same shape the buffer agent produces for point buffers
+            bufferData = {
+                center: buffer.c,
+                radius: buffer.r,
+                polygon: generateCircle([lat, lon], buffer.r),
+                geometry: generateCircleGeometry([lat, lon], buffer.r),
+                number: buffer.n || 1
+            };
+        }
+        applyStyle(displayBufferOnMap(bufferData, map), buffer, map);
+    });
+
+    (scene.i || []).forEach(isochrone => {
+        const id = displayIsochroneOnMap({
+            features: isochrone.f.map(([contour, metric, color, geometry]) => ({
+                type: 'Feature',
+                properties: { contour, metric, ...(color ? { fillColor: color } : {}) },
+                geometry: decodeGeometry(geometry)
+            })),
+            profile: isochrone.p,
+            name: isochrone.n,
+            number: isochrone.o,
+            catchment: isochrone.r === 1,
+            resolutionKm: isochrone.g,
+            request: isochrone.q,
+            contourStyles: isochrone.v && isochrone.v.map(([shown, opacity]) => ({
+                ...(shown ? {} : { visible: false }),
+                ...(opacity !== null ? { opacity } : {})
+            }))
+        }, isochrone.c, map);
+        applyStyle(id, isochrone, map);
+    });
+
+    (scene.p || []).forEach(polygon => {
+        const geometry = decodeGeometry(polygon.g);
+        const [id] = displayPolygonOnMap([{
+            coordinates: geometry.type === 'Polygon' ? geometry.coordinates[0] : geometry.coordinates[0][0],
+            geometry: geometry,
+            name: polygon.n
+        }], map);
+        applyStyle(id, polygon, map);
+    });
+
+    (scene.t || []).forEach(matrix => {
+        const toPlace = ([name, lat, lon]) => ({ name, lat, lon });
+        const origins = matrix.o.map(toPlace);
+        const destinations = matrix.d.map(toPlace);
+        const byOrigin = values => origins.map((_, index) => values.slice(index * destinations.length, (index + 1) * destinations.length));
+        const id = displayMatrixOnMap(matrixFeatureData({
+            durations: byOrigin(matrix.u),
+            distances: byOrigin(matrix.k),
+            profile: matrix.p
+        }, origins, destinations), map);
+        applyStyle(id, matrix, map);
+    });
+
+    (scene.x || []).forEach(([file, features]) => {
+        displayImportedFeaturesOnMap(features.map(([name, geometry]) => ({ name, geometry: decodeGeometry(geometry) })), file, map);
+    });
+
+    // Last: routes, lines and point buffers replace the point markers when they are drawn
+    if (scene.m) {
+        displayCoordinatesOnMap(toCoordinateString(decodePolyline(scene.m)), map);
+    }
+}
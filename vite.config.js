@@ -1,5 +1,56 @@
 import { defineConfig, loadEnv } from 'vite';
 import fs from 'fs';
+import path from 'path';
+
+// Dev server endpoint for the fixture record/replay layer (services/fixtures.js)
+// GET /__fixtures/<key> reads fixtures/<key>.json, PUT writes it
+// Writes are only accepted in record mode and from this machine (the server listens on the LAN)
+function fixturesPlugin(fixtureMode) {
+  const fixturesDir = path.resolve('fixtures');
+
+  return {
+    name: 'mbrt-fixtures',
+    configureServer(server) {
+      server.middlewares.use('/__fixtures/', (req, res) => {
+        const key = decodeURIComponent(req.url.replace(/^\//, '').split('?')[0]);
+        if (!/^[a-z]+-[0-9a-f]+$/.test(key)) {
+          res.statusCode = 400;
+          res.end('Invalid fixture key');
+          return;
+        }
+        const file = path.join(fixturesDir, `${key}.json`);
+
+        if (req.method === 'GET') {
+          if (!fs.existsSync(file)) {
+            res.statusCode = 404;
+            res.end('Fixture not found');
+            return;
+          }
+          res.setHeader('Content-Type', 'application/json');
+          res.end(fs.readFileSync(file));
+        } else if (req.method === 'PUT') {
+          const remote = req.socket.remoteAddress || '';
+          if (fixtureMode !== 'record' || !['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(remote)) {
+            res.statusCode = 403;
+            res.end('Fixtures are only recorded from localhost with FIXTURE_MODE=record');
+            return;
+          }
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            fs.mkdirSync(fixturesDir, { recursive: true });
+            fs.writeFileSync(file, body);
+            res.statusCode = 204;
+            res.end();
+          });
+        } else {
+          res.statusCode = 405;
+          res.end();
+        }
+      });
+    }
+  };
+}
 
 export default defineConfig(({ mode }) => {
   // Load env file based on `mode` in the current working directory.
@@ -46,6 +97,7 @@ export default defineConfig(({ mode }) => {
   }
 
   return {
+    plugins: [fixturesPlugin(env.FIXTURE_MODE)],
     server: {
       host: true,
       port: 8000,
@@ -57,10 +109,15 @@ export default defineConfig(({ mode }) => {
       } : false
     },
     // Define environment variables to be available in client code
-    // This allows using MAPBOX_ACCESS_TOKEN and PERPLEXITY_API_KEY without VITE_ prefix
+    // This allows using MAPBOX_ACCESS_TOKEN, PERPLEXITY_API_KEY and LLM_* without VITE_ prefix
     define: {
       'import.meta.env.MAPBOX_ACCESS_TOKEN': JSON.stringify(env.MAPBOX_ACCESS_TOKEN || ''),
-      'import.meta.env.PERPLEXITY_API_KEY': JSON.stringify(env.PERPLEXITY_API_KEY || '')
+      'import.meta.env.PERPLEXITY_API_KEY': JSON.stringify(env.PERPLEXITY_API_KEY || ''),
+      'import.meta.env.LLM_PROVIDER': JSON.stringify(env.LLM_PROVIDER || ''),
+      'import.meta.env.LLM_BASE_URL': JSON.stringify(env.LLM_BASE_URL || ''),
+      'import.meta.env.LLM_MODEL': JSON.stringify(env.LLM_MODEL || ''),
+      'import.meta.env.LLM_API_KEY': JSON.stringify(env.LLM_API_KEY || ''),
+      'import.meta.env.FIXTURE_MODE': JSON.stringify(env.FIXTURE_MODE || '')
     }
   };
 });